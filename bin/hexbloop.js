@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview hexbloop command-line entry point
+ * @author Hexbloop Audio Labs
+ * @description Native modules (canvas) are rebuilt for Electron on install, so the
+ * CLI re-launches itself with Electron in plain Node mode (no windows) when it can.
+ */
+
+const { spawn } = require('child_process');
+
+function runInProcess() {
+    const { run } = require('../src/cli/hexbloop-cli');
+    run(process.argv.slice(2))
+        .then((code) => {
+            process.exitCode = code;
+        })
+        .catch((error) => {
+            console.error('hexbloop:', error.message);
+            process.exitCode = 1;
+        });
+}
+
+let electronBinary = null;
+if (!process.versions.electron) {
+    try {
+        // Outside Electron, the electron package exports the path to its binary
+        electronBinary = require('electron');
+    } catch {
+        // electron not installed (e.g. production install): use this Node directly
+    }
+}
+
+if (typeof electronBinary === 'string') {
+    const child = spawn(electronBinary, [__filename, ...process.argv.slice(2)], {
+        stdio: 'inherit',
+        env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' }
+    });
+
+    // Ctrl-C reaches the whole process group: the child cancels the batch and removes its temp
+    // files, so the launcher waits for it instead of exiting first (and doesn't pass the signal
+    // on, which the child would take as a second Ctrl-C). Termination requests sent to the
+    // launcher alone are forwarded.
+    const ignoreInterrupt = () => {};
+    const forwardTerminate = () => child.kill('SIGTERM');
+    process.on('SIGINT', ignoreInterrupt);
+    process.on('SIGTERM', forwardTerminate);
+    const release = () => {
+        process.removeListener('SIGINT', ignoreInterrupt);
+        process.removeListener('SIGTERM', forwardTerminate);
+    };
+
+    child.on('error', () => {
+        release();
+        runInProcess();
+    });
+    child.on('exit', (code, signal) => {
+        release();
+        if (signal) {
+            // Die the same way, so the shell sees the child's signal
+            process.kill(process.pid, signal);
+            return;
+        }
+        process.exit(code);
+    });
+} else {
+    runInProcess();
+}
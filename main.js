@@ -7,13 +7,22 @@
 const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const os = require('os');
 const { spawn } = require('child_process');
 
 // Audio processing modules
-const AudioProcessor = require('./src/audio-processor');
 const NameGenerator = require('./src/name-generator');
 const BatchNamingEngine = require('./src/batch/batch-naming-engine');
+const BatchProcessor = require('./src/batch/batch-processor');
+const BatchJournal = require('./src/batch/batch-journal');
+const Preflight = require('./src/batch/preflight');
+const AudioPreview = require('./src/audio-preview');
+const { getMasteringPresets } = require('./src/shared/mastering-presets');
+const { describeEffectModules } = require('./src/shared/effects-chain');
+const { applyEffectOverrides } = require('./src/shared/settings-schema');
+const ProcessingClock = require('./src/processing-clock');
+const MediaProbe = require('./src/media-probe');
+const { WatchFolderManager } = require('./src/watch/watch-folder-manager');
+const WatchSession = require('./src/watch/watch-session');
 
 // Menu system
 const { MenuBuilder } = require('./src/menu/menu-builder');
@@ -22,6 +31,26 @@ const { PreferencesWindow } = require('./src/menu/preferences-window');
 
 let mainWindow;
 let preferencesWindow;
+let menuBuilder;
+let activeBatch;
+// Settles when the main window's batch finishes (watch files wait for it)
+let activeBatchRun;
+// Aborts the A/B preview being rendered, if any
+let activePreview;
+
+// Watch folders run new inbox files through the same batch pipeline, one at a time,
+// into one session per day, and only while no batch from the main window is running
+const watchSession = new WatchSession({
+    createBatch: (settings) => new BatchProcessor({ settings })
+});
+const watchFolders = new WatchFolderManager({
+    processFile: (filePath) => watchSession.processFile(filePath, getPreferencesManager().getSettings()),
+    waitForTurn: async () => {
+        while (activeBatchRun) {
+            await activeBatchRun.catch(() => {});
+        }
+    }
+});
 
 // === Window Management ===
 function createWindow() {
@@ -49,7 +78,8 @@ function createWindow() {
     mainWindow.loadFile('src/renderer/index.html');
     
     // Initialize menu system
-    const menuBuilder = new MenuBuilder(mainWindow);
+    menuBuilder = new MenuBuilder(mainWindow);
+    menuBuilder.setWatchStatus(watchFolders.getStatus());
     const menu = menuBuilder.buildMenu();
     require('electron').Menu.setApplicationMenu(menu);
 
@@ -130,9 +160,73 @@ module.exports.showPreferencesWindow = showPreferencesWindow;
 
 // === App Lifecycle ===
 app.setName('Hexbloop');
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
     app.setName('Hexbloop');
     createWindow();
+    
+    // Start watch folders once saved preferences are loaded, and follow later changes
+    const preferencesManager = getPreferencesManager();
+    await preferencesManager.ready;
+    watchFolders.configure(preferencesManager.getSettings().watch);
+    preferencesManager.on('change', (settings) => watchFolders.configure(settings.watch));
+
+    // The renderer must be listening before a resume can be started
+    if (mainWindow.webContents.isLoading()) {
+        mainWindow.webContents.once('did-finish-load', offerBatchResume);
+    } else {
+        offerBatchResume();
+    }
+});
+
+/**
+ * Offer to resume batches left unfinished by a crash, sleep or quit
+ */
+async function offerBatchResume() {
+    const running = activeBatch?.journalId;
+    for (const unfinished of BatchJournal.findUnfinished({ exclude: running ? [running] : [] })) {
+        if (!mainWindow || mainWindow.isDestroyed() || activeBatch) {
+            return;
+        }
+
+        const started = new Date(unfinished.createdAt).toLocaleString();
+        const { response } = await dialog.showMessageBox(mainWindow, {
+            type: 'question',
+            buttons: ['Resume', 'Not Now', 'Discard'],
+            defaultId: 0,
+            cancelId: 1,
+            message: 'Resume unfinished batch?',
+            detail: `${unfinished.remaining} of ${unfinished.total} files were not finished (batch started ${started}).\n\n${unfinished.outputDirectory}`
+        });
+
+        if (response === 0) {
+            // One batch at a time; anything else is offered again next launch
+            mainWindow.webContents.send('resume-batch', unfinished.path);
+            return;
+        }
+        if (response === 2) {
+            BatchJournal.discard(unfinished.path);
+            console.log(`🗑️ Discarded unfinished batch ${unfinished.id}`);
+        }
+    }
+}
+
+watchFolders.on('status', (status) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('watch-status', status);
+    }
+    if (menuBuilder) {
+        menuBuilder.setWatchStatus(status);
+    }
+});
+
+app.on('before-quit', () => {
+    watchFolders.stop();
+    // Don't leave sox/ffmpeg running after the window is gone
+    // (the journal is kept so the batch can be resumed next launch)
+    if (activeBatch) {
+        activeBatch.interrupt();
+    }
+    activePreview?.abort();
 });
 
 app.on('window-all-closed', () => {
@@ -152,163 +246,72 @@ ipcMain.handle('open-preferences', async () => {
     await showPreferencesWindow();
 });
 
-ipcMain.handle('process-audio', async (event, filePaths) => {
-    const results = [];
-    let firstSuccessfulOutput = null;
-    
+// Probe every file before 'process-audio' so bad files are reported before the batch starts
+ipcMain.handle('preflight-audio', async (event, filePaths) => {
+    return Preflight.check(filePaths, {
+        onProgress: (progress) => event.sender.send('preflight-progress', progress)
+    });
+});
+
+ipcMain.handle('process-audio', async (event, filePaths, options = {}) => {
     // Get user preferences for batch processing
+    // options.intensity / options.mix (per batch) override the effects chain's intensity and wet/dry mix
     const preferencesManager = getPreferencesManager();
-    const settings = preferencesManager.getSettings();
+    const settings = applyEffectOverrides(preferencesManager.getSettings(), options);
     
-    // Initialize batch naming engine with user preferences
-    const namingEngine = new BatchNamingEngine(settings.batch);
+    // Processing clock: options.renderAt (per batch) overrides settings.processing.renderAt
+    const clock = ProcessingClock.resolve(settings, options?.renderAt);
     
-    // Determine output directory (with optional session folder)
-    // Use the user's configured output folder; fallback matches settings-schema default
-    let outputDirectory = settings.ui.outputFolder || path.join(os.homedir(), 'Documents', 'HexbloopOutput');
-    
-    // Create session folder if enabled
-    const sessionFolder = namingEngine.generateSessionFolder();
-    if (sessionFolder) {
-        outputDirectory = path.join(outputDirectory, sessionFolder);
-    }
-    
-    // Ensure output directory exists
-    if (!fs.existsSync(outputDirectory)) {
-        fs.mkdirSync(outputDirectory, { recursive: true });
-        console.log(`✨ Created output directory: ${outputDirectory}`);
-    }
-    
-    // Save manifest if session folders are enabled
-    if (sessionFolder) {
-        const manifest = {
-            timestamp: new Date().toISOString(),
-            moonPhase: namingEngine.moonPhase,
-            fileCount: filePaths.length,
-            settings: settings.batch,
-            files: []
-        };
-        
-        // Will be updated as files are processed
-        results.manifest = manifest;
+    const batch = new BatchProcessor({
+        settings,
+        clock,
+        journal: true,
+        onProgress: (progress) => event.sender.send('processing-progress', progress)
+    });
+
+    return runBatch(batch, () => batch.process(filePaths));
+});
+
+// Continue a batch from its journal (offered on launch)
+ipcMain.handle('resume-batch', async (event, journalPath) => {
+    // Only journals the app registered itself can be resumed
+    if (!BatchJournal.findUnfinished().some(unfinished => unfinished.path === journalPath)) {
+        throw new Error('No unfinished batch found to resume');
     }
-    
-    for (let i = 0; i < filePaths.length; i++) {
-        const filePath = filePaths[i];
-        try {
-            // Memory management: hint GC between files in large batches
-            // Canvas buffers and audio data can accumulate significantly
-            if (i > 0 && i % 5 === 0 && global.gc) {
-                global.gc();
-                console.log(`🧹 GC hint after ${i} files`);
-            }
 
-            // Send progress update
-            event.sender.send('processing-progress', {
-                current: i + 1,
-                total: filePaths.length,
-                fileName: path.basename(filePath),
-                status: 'processing'
-            });
-            
-            // Validate and sanitize input file path
-            if (!filePath || typeof filePath !== 'string') {
-                throw new Error('Invalid file path provided');
-            }
-            
-            // Resolve to absolute path and check it exists
-            const resolvedPath = path.resolve(filePath);
-            if (!fs.existsSync(resolvedPath)) {
-                throw new Error(`Input file not found: ${path.basename(filePath)}`);
-            }
-            
-            // Ensure file is actually a file, not a directory
-            const stats = fs.statSync(resolvedPath);
-            if (!stats.isFile()) {
-                throw new Error(`Path is not a file: ${path.basename(filePath)}`);
-            }
-            
-            // Validate audio file extension
-            // Expanded support for all sox and ffmpeg compatible formats
-            const validExtensions = [
-                // Core formats (well-tested)
-                '.mp3', '.wav', '.m4a', '.aiff', '.aif', '.flac', '.ogg', '.aac',
-                // Additional lossless formats
-                '.ape', '.alac', '.wv',  // APE, ALAC, WavPack
-                // Additional lossy formats
-                '.opus', '.wma', '.mka',  // Opus, Windows Media, Matroska
-                // Legacy/specialty formats
-                '.au', '.snd', '.voc', '.8svx', '.amb', '.caf'  // Various legacy
-            ];
-            const ext = path.extname(resolvedPath).toLowerCase();
-            if (!validExtensions.includes(ext)) {
-                throw new Error(`Unsupported audio format: ${ext}. Supported: ${validExtensions.slice(0, 8).join(', ')} and more.`);
-            }
-            
-            // Generate name using batch naming engine
-            const generatedName = namingEngine.generateName(resolvedPath, i, filePaths.length);
-            const outputFormat = settings.output.format || 'mp3';
-            const outputPath = path.join(outputDirectory, `${generatedName}.${outputFormat}`);
-            
-            console.log(`🎵 Processing ${i + 1}/${filePaths.length}: ${path.basename(resolvedPath)} -> ${generatedName}.${outputFormat}`);
-            
-            // Process the audio file
-            await AudioProcessor.processFile(resolvedPath, outputPath);
-            
-            // Check if file was actually created
-            if (!fs.existsSync(outputPath)) {
-                throw new Error('Output file was not created');
-            }
-            
-            results.push({
-                success: true,
-                originalFile: filePath,
-                outputFile: outputPath,
-                mysticalName: generatedName
-            });
-            
-            // Update manifest if session folders are enabled
-            if (results.manifest) {
-                results.manifest.files.push({
-                    original: path.basename(filePath),
-                    output: `${generatedName}.${outputFormat}`,
-                    success: true
-                });
-            }
-            
-            // Remember first successful output for folder opening
-            if (!firstSuccessfulOutput) {
-                firstSuccessfulOutput = outputPath;
-            }
-            
-        } catch (error) {
-            console.error('Audio processing error:', error);
-            results.push({
-                success: false,
-                originalFile: filePath,
-                error: error.message
-            });
-        }
+    const journal = BatchJournal.load(journalPath);
+    // A running batch's journal stays unfinished until it ends; never run it twice
+    if (activeBatch && activeBatch.journalId === journal.id) {
+        throw new Error(`Batch ${journal.id} is already running`);
     }
-    
-    // Save manifest file if session folders are enabled
-    if (results.manifest && sessionFolder) {
-        const manifestPath = path.join(outputDirectory, 'manifest.json');
-        try {
-            fs.writeFileSync(manifestPath, JSON.stringify(results.manifest, null, 2));
-            console.log(`📝 Saved session manifest: ${manifestPath}`);
-        } catch (error) {
-            console.error('Failed to save manifest:', error);
+    const batch = BatchProcessor.fromJournal(journal, {
+        onProgress: (progress) => event.sender.send('processing-progress', progress)
+    });
+
+    return runBatch(batch, () => batch.processJournal(journal));
+});
+
+/**
+ * Run a batch started from the main window and reveal its output
+ * @param {BatchProcessor} batch - Batch to run
+ * @param {Function} start - Starts processing, resolves with the batch run
+ * @returns {Promise<Array<Object>>} Per-file results
+ */
+async function runBatch(batch, start) {
+    // Cancel/pause/resume act on the batch the main window started
+    activeBatch = batch;
+    const run = start();
+    activeBatchRun = run;
+    let batchRun;
+    try {
+        batchRun = await run;
+    } finally {
+        if (activeBatch === batch) {
+            activeBatch = null;
+            activeBatchRun = null;
         }
     }
-    
-    // Log batch memory usage
-    try {
-        const memInfo = process.memoryUsage();
-        const heapMB = Math.round(memInfo.heapUsed / 1024 / 1024);
-        const rssMB = Math.round(memInfo.rss / 1024 / 1024);
-        console.log(`📊 Batch complete - Memory: ${heapMB}MB heap, ${rssMB}MB RSS (${filePaths.length} files)`);
-    } catch (e) { /* non-critical */ }
+    const { results, firstSuccessfulOutput } = batchRun;
 
     // Show processed files in Finder/Explorer
     if (firstSuccessfulOutput) {
@@ -318,18 +321,84 @@ ipcMain.handle('process-audio', async (event, filePaths) => {
     }
 
     return results;
+}
+
+/**
+ * Apply a control action to the running batch
+ * @param {'cancel'|'pause'|'resume'} action - BatchProcessor method to call
+ * @returns {{success: boolean, state: string}} state is 'idle' when nothing is processing
+ */
+function controlActiveBatch(action) {
+    if (!activeBatch) {
+        return { success: false, state: 'idle' };
+    }
+    const success = activeBatch[action]();
+    const state = activeBatch.state;
+    if (success && mainWindow) {
+        mainWindow.webContents.send('processing-state', state);
+    }
+    return { success, state };
+}
+
+ipcMain.handle('cancel-processing', () => controlActiveBatch('cancel'));
+ipcMain.handle('pause-processing', () => controlActiveBatch('pause'));
+ipcMain.handle('resume-processing', () => controlActiveBatch('resume'));
+
+// Render an A/B preview of one file with the current settings; a new preview replaces a running one
+ipcMain.handle('preview-audio', async (event, filePath, options = {}) => {
+    const preferencesManager = getPreferencesManager();
+    const settings = applyEffectOverrides(preferencesManager.getSettings(), options);
+    const clock = ProcessingClock.resolve(settings, options?.renderAt);
+
+    activePreview?.abort();
+    const controller = new AbortController();
+    activePreview = controller;
+    try {
+        return await AudioPreview.render(filePath, {
+            settings,
+            clock,
+            signal: controller.signal,
+            onProgress: (progress) => event.sender.send('preview-progress', progress)
+        });
+    } finally {
+        if (activePreview === controller) {
+            activePreview = null;
+        }
+    }
+});
+
+ipcMain.handle('cancel-preview', () => {
+    if (!activePreview) {
+        return { success: false };
+    }
+    activePreview.abort();
+    return { success: true };
 });
 
 // Preview batch naming without processing
-ipcMain.handle('preview-batch-naming', async (event, filePaths) => {
+ipcMain.handle('preview-batch-naming', async (event, filePaths, options = {}) => {
     const preferencesManager = getPreferencesManager();
     const settings = preferencesManager.getSettings();
-    const namingEngine = new BatchNamingEngine(settings.batch);
+    const clock = ProcessingClock.resolve(settings, options?.renderAt);
+    const namingEngine = new BatchNamingEngine(settings.batch, { clock });
     const outputFormat = settings.output.format || 'mp3';
 
     return namingEngine.previewBatch(filePaths, outputFormat);
 });
 
+// File information (duration, codec, sample rate, channels, bit depth, tags) for the renderer
+ipcMain.handle('probe-audio', async (event, filePaths) => {
+    const results = [];
+    for (const filePath of filePaths) {
+        try {
+            results.push({ filePath, info: await MediaProbe.probe(filePath) });
+        } catch (error) {
+            results.push({ filePath, info: null, error: error.message });
+        }
+    }
+    return results;
+});
+
 ipcMain.handle('select-files', async () => {
     const result = await dialog.showOpenDialog(mainWindow, {
         properties: ['openFile', 'multiSelections'],
@@ -370,6 +439,9 @@ ipcMain.handle('get-file-paths-from-drop', async (event, fileData) => {
     return paths;
 });
 
+// Current watch-folder status for the main window
+ipcMain.handle('get-watch-status', () => watchFolders.getStatus());
+
 // Handle ambient audio toggle from menu
 ipcMain.on('toggle-ambient-audio', (event, enabled) => {
     // Forward to all renderer windows (in case we have multiple in the future)
@@ -416,6 +488,26 @@ ipcMain.handle('preferences-get-settings', async () => {
     }
 });
 
+/**
+ * List mastering presets for the preferences selector
+ * @returns {Promise<Array<{id: string, name: string, description: string, custom: boolean}>>} Shipped and user presets
+ */
+ipcMain.handle('preferences-get-mastering-presets', async () => {
+    const settings = getPreferencesManager().getSettings();
+    return Object.entries(getMasteringPresets(settings)).map(([id, preset]) => ({
+        id,
+        name: preset.name,
+        description: preset.description || '',
+        custom: Boolean(settings.processing.masteringPresets?.[id])
+    }));
+});
+
+/**
+ * Describe the effect modules for the effects chain editor
+ * @returns {Promise<Array<Object>>} Module ids, names, parameter ranges and which parameters follow the moon
+ */
+ipcMain.handle('preferences-get-effect-modules', async () => describeEffectModules());
+
 /**
  * Update a single preference setting
  * @param {Event} event - IPC event object
@@ -562,6 +654,40 @@ ipcMain.handle('preferences-choose-output-folder', async () => {
     }
 });
 
+/**
+ * Show native folder selection dialog for a watch-folder inbox
+ * @returns {Promise<{success: boolean, path?: string, error?: string}>} Selected folder path
+ */
+ipcMain.handle('preferences-choose-watch-folder', async () => {
+    try {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            properties: ['openDirectory', 'createDirectory'],
+            title: 'Choose an Inbox Folder to Watch'
+        });
+        
+        if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, error: 'No folder selected' };
+        }
+        
+        const selectedPath = result.filePaths[0];
+        
+        // Processed sources are moved into done/ and failed/ inside the inbox
+        try {
+            await fs.promises.access(selectedPath, fs.constants.W_OK);
+        } catch (accessError) {
+            return {
+                success: false,
+                error: 'Selected folder is read-only. Watch folders need write access to file away processed audio.'
+            };
+        }
+        
+        console.log('👁️ Watch folder selected:', selectedPath);
+        return { success: true, path: selectedPath };
+    } catch (error) {
+        return handlePreferencesError('choose watch folder', error);
+    }
+});
+
 /**
  * Close the preferences window
  * @returns {{success: boolean, error?: string}} Close operation result
@@ -8,11 +8,27 @@ const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 // Expose protected methods that allow the renderer process to use the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
-    processAudio: (filePaths) => ipcRenderer.invoke('process-audio', filePaths),
+    // options.renderAt pins lunar/temporal influences for this batch (ISO date);
+    // options.intensity and options.mix (0-100) override the effects chain's intensity and wet/dry mix
+    processAudio: (filePaths, options = {}) => ipcRenderer.invoke('process-audio', filePaths, options),
+    // Resolves to { files, ready, problems }; ready is what processAudio should be given
+    preflightAudio: (filePaths) => ipcRenderer.invoke('preflight-audio', filePaths),
+    resumeBatch: (journalPath) => ipcRenderer.invoke('resume-batch', journalPath),
+    cancelProcessing: () => ipcRenderer.invoke('cancel-processing'),
+    pauseProcessing: () => ipcRenderer.invoke('pause-processing'),
+    resumeProcessing: () => ipcRenderer.invoke('resume-processing'),
+    // Resolves to { fileName, start, duration, original, processed, gains, levels }; original and
+    // processed are the encoded excerpts, gains the linear playback gains that level-match them.
+    // Takes the same options as processAudio
+    previewAudio: (filePath, options = {}) => ipcRenderer.invoke('preview-audio', filePath, options),
+    cancelPreview: () => ipcRenderer.invoke('cancel-preview'),
     selectFiles: () => ipcRenderer.invoke('select-files'),
     getFilePathsFromDrop: (files) => ipcRenderer.invoke('get-file-paths-from-drop', files),
     openPreferences: () => ipcRenderer.invoke('open-preferences'),
     getSettings: () => ipcRenderer.invoke('get-settings'),
+    getWatchStatus: () => ipcRenderer.invoke('get-watch-status'),
+    // Resolves to [{ filePath, info, error }] with info from MediaProbe.probe (null on failure)
+    probeAudio: (filePaths) => ipcRenderer.invoke('probe-audio', filePaths),
 
     // New method for getting file paths from dropped files (Electron v32+ compatible)
     getFilePathsFromFiles: (files) => {
@@ -22,8 +38,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Event listeners for progress updates
     onProcessingUpdate: (callback) => ipcRenderer.on('processing-update', callback),
     onProcessingProgress: (callback) => ipcRenderer.on('processing-progress', callback),
+    onPreflightProgress: (callback) => ipcRenderer.on('preflight-progress', callback),
+    onPreviewProgress: (callback) => ipcRenderer.on('preview-progress', callback),
+    onProcessingState: (callback) => ipcRenderer.on('processing-state', callback),
+    onResumeBatch: (callback) => ipcRenderer.on('resume-batch', callback),
     onFileDropped: (callback) => ipcRenderer.on('file-dropped', callback),
     onAmbientToggle: (callback) => ipcRenderer.on('toggle-ambient-audio', callback),
+    onWatchStatus: (callback) => ipcRenderer.on('watch-status', callback),
     removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel)
 });
 
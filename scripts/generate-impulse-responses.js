@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Render the bundled reverb impulse responses
+ * @description Run with: npm run ir:generate
+ *
+ * Writes one mono 48 kHz 16-bit WAV per reverb space (IMPULSE_RESPONSES in
+ * src/shared/effects-chain.js) into assets/impulse-responses/. The FFmpeg reverb
+ * convolves with these files (afir); they are committed so builds don't need this
+ * script, and it only has to be run again after changing a space's design below.
+ *
+ * Each response is synthesised from a fixed seed: a handful of early reflections,
+ * then a dense noise tail whose lows and highs decay at their own rates (RT60).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { IMPULSE_RESPONSES, IMPULSE_RESPONSE_DIR } = require('../src/shared/effects-chain');
+
+const SAMPLE_RATE = 48000;
+const SEED = 1337;
+
+// Acoustic design per space. Lengths come from IMPULSE_RESPONSES.
+//   reflections - Early reflection count, spread over [first, last] ms
+//   rt60        - Seconds for the low and high bands to fall 60 dB
+//   crossover   - Hz between the low and high bands
+//   attack      - ms for the tail to build up
+const SPACES = {
+    room: { reflections: 8, first: 3, last: 28, rt60: { low: 0.7, high: 0.4 }, crossover: 2500, attack: 8 },
+    hall: { reflections: 14, first: 15, last: 90, rt60: { low: 2.4, high: 1.5 }, crossover: 2000, attack: 40 },
+    plate: { reflections: 0, first: 0, last: 0, rt60: { low: 1.3, high: 1.5 }, crossover: 4000, attack: 2 },
+    cave: { reflections: 6, first: 60, last: 260, rt60: { low: 3.8, high: 1.2 }, crossover: 1200, attack: 90 }
+};
+
+/**
+ * Deterministic PRNG (mulberry32), so regenerated files are identical
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Render one space as float samples, peak normalised to -1 dBFS
+ */
+function renderSpace(design, length, random) {
+    const count = Math.round(length * SAMPLE_RATE);
+    const samples = new Float64Array(count);
+
+    // Tail: noise split at the crossover, each band with its own decay
+    const lowpass = 1 - Math.exp(-2 * Math.PI * design.crossover / SAMPLE_RATE);
+    const decay = (rt60, t) => Math.pow(10, -3 * t / rt60);
+    const attack = Math.max(1, design.attack * SAMPLE_RATE / 1000);
+    let low = 0;
+    for (let i = 0; i < count; i++) {
+        const t = i / SAMPLE_RATE;
+        const noise = random() * 2 - 1;
+        low += lowpass * (noise - low);
+        const high = noise - low;
+        const buildUp = Math.min(1, i / attack);
+        samples[i] = buildUp * 0.5 * (low * decay(design.rt60.low, t) + high * decay(design.rt60.high, t));
+    }
+
+    // Early reflections: sparse taps, quieter the later they arrive
+    for (let n = 0; n < design.reflections; n++) {
+        const ms = design.first + (design.last - design.first) * random();
+        const index = Math.round(ms * SAMPLE_RATE / 1000);
+        if (index < count) {
+            const level = 0.9 * (1 - 0.6 * (ms - design.first) / Math.max(1, design.last - design.first));
+            samples[index] += (random() < 0.5 ? -1 : 1) * level;
+        }
+    }
+
+    // Fade the last 5% so the file ends in silence
+    const fadeStart = Math.floor(count * 0.95);
+    for (let i = fadeStart; i < count; i++) {
+        samples[i] *= (count - i) / (count - fadeStart);
+    }
+
+    let peak = 0;
+    for (const sample of samples) {
+        peak = Math.max(peak, Math.abs(sample));
+    }
+    const gain = peak > 0 ? Math.pow(10, -1 / 20) / peak : 1;
+    return samples.map(sample => sample * gain);
+}
+
+/**
+ * Mono 16-bit PCM WAV file contents
+ */
+function encodeWav(samples) {
+    const dataSize = samples.length * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);                // PCM
+    buffer.writeUInt16LE(1, 22);                // mono
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);  // byte rate
+    buffer.writeUInt16LE(2, 32);                // block align
+    buffer.writeUInt16LE(16, 34);               // bits per sample
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(dataSize, 40);
+    samples.forEach((sample, i) => {
+        buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, sample)) * 32767), 44 + i * 2);
+    });
+    return buffer;
+}
+
+function main() {
+    fs.mkdirSync(IMPULSE_RESPONSE_DIR, { recursive: true });
+
+    Object.entries(IMPULSE_RESPONSES).forEach(([space, ir], i) => {
+        const design = SPACES[space];
+        if (!design) {
+            throw new Error(`No acoustic design for reverb space: ${space}`);
+        }
+        const samples = renderSpace(design, ir.length, createRandom(SEED + i));
+        const target = path.join(IMPULSE_RESPONSE_DIR, ir.file);
+        fs.writeFileSync(target, encodeWav(samples));
+        console.log(`🏛️  ${space}: ${ir.length}s → ${path.relative(process.cwd(), target)}`);
+    });
+}
+
+main();
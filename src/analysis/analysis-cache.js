@@ -0,0 +1,187 @@
+/**
+ * @fileoverview On-disk cache of audio analysis results
+ * @author Hexbloop Audio Labs
+ * @description Keeps AudioAnalyzer results in the user data folder so re-rendering a
+ * file with different settings skips the ffprobe/ffmpeg decode. Entries are keyed by
+ * the caller (AudioAnalyzer uses the file's SHA-256 plus its analysis version), so a
+ * renamed or moved file still hits and an edited one misses.
+ *
+ * Each entry is one JSON file. Reading an entry refreshes its modification time, and
+ * the least recently used entries are evicted once the cache passes its size limits.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getUserDataPath } = require('../shared/user-data-path');
+
+const CACHE_FOLDER = 'analysis-cache';
+const ENTRY_EXTENSION = '.json';
+
+// Limits: an entry is typically 10-30 KB (waveform, energy curve, spectral features)
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+const DEFAULT_MAX_ENTRIES = 2000;
+
+class AnalysisCache {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.directory] - Cache folder (defaults to <userData>/analysis-cache)
+     * @param {number} [options.maxBytes] - Total size above which old entries are evicted
+     * @param {number} [options.maxEntries] - Entry count above which old entries are evicted
+     */
+    constructor({ directory, maxBytes = DEFAULT_MAX_BYTES, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.directory = directory || path.join(getUserDataPath(), CACHE_FOLDER);
+        this.maxBytes = maxBytes;
+        this.maxEntries = maxEntries;
+    }
+
+    /**
+     * SHA-256 of a file's contents
+     * @param {string} filePath - File to hash
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops reading when aborted
+     * @returns {Promise<string>} Hex digest
+     */
+    static async hashFile(filePath, { signal } = {}) {
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of fs.createReadStream(filePath, { signal })) {
+            hash.update(chunk);
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * @param {string} key - Cache key
+     * @returns {string} Entry file location
+     */
+    entryPath(key) {
+        return path.join(this.directory, `${key.replace(/[^a-zA-Z0-9_.-]/g, '_')}${ENTRY_EXTENSION}`);
+    }
+
+    /**
+     * Read an entry and mark it as recently used
+     * @param {string} key - Cache key
+     * @returns {Object|null} The stored value, null on a miss or an unreadable entry
+     */
+    get(key) {
+        const entryPath = this.entryPath(key);
+        try {
+            const value = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+            const now = new Date();
+            fs.utimesSync(entryPath, now, now);
+            return value;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.log(`⚠️ Dropping unreadable analysis cache entry ${path.basename(entryPath)}: ${error.message}`);
+                fs.rmSync(entryPath, { force: true });
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Store an entry, then evict old entries if the cache is over its limits.
+     * Failures are logged and ignored: the cache only ever saves time.
+     * @param {string} key - Cache key
+     * @param {Object} value - JSON-serializable value
+     */
+    set(key, value) {
+        const entryPath = this.entryPath(key);
+        const tempPath = `${entryPath}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            // Write then rename so a crash never leaves a half-written entry behind
+            fs.writeFileSync(tempPath, JSON.stringify(value));
+            fs.renameSync(tempPath, entryPath);
+            this.evict();
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            console.log(`⚠️ Could not write analysis cache entry: ${error.message}`);
+        }
+    }
+
+    /**
+     * Entries with their size and last use, oldest first
+     * @returns {Array<{path: string, bytes: number, usedAt: number}>}
+     */
+    entries() {
+        let names;
+        try {
+            names = fs.readdirSync(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        for (const name of names) {
+            if (!name.endsWith(ENTRY_EXTENSION)) continue;
+            const entryPath = path.join(this.directory, name);
+            try {
+                const stats = fs.statSync(entryPath);
+                entries.push({ path: entryPath, bytes: stats.size, usedAt: stats.mtimeMs });
+            } catch {
+                // removed by another process
+            }
+        }
+        return entries.sort((a, b) => a.usedAt - b.usedAt);
+    }
+
+    /**
+     * Remove least recently used entries until the cache is within both limits
+     * @returns {number} Entries removed
+     */
+    evict() {
+        const entries = this.entries();
+        let bytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+        let count = entries.length;
+        let removed = 0;
+
+        for (const entry of entries) {
+            if (bytes <= this.maxBytes && count <= this.maxEntries) break;
+            fs.rmSync(entry.path, { force: true });
+            bytes -= entry.bytes;
+            count--;
+            removed++;
+        }
+        return removed;
+    }
+
+    /**
+     * Current size of the cache
+     * @returns {{entries: number, bytes: number}}
+     */
+    stats() {
+        const entries = this.entries();
+        return { entries: entries.length, bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0) };
+    }
+
+    /**
+     * Delete every entry
+     * @returns {{entries: number, bytes: number}} What was removed
+     */
+    clear() {
+        const removed = this.stats();
+        fs.rmSync(this.directory, { recursive: true, force: true });
+        return removed;
+    }
+}
+
+// Singleton instance
+let analysisCache = null;
+
+/**
+ * Get the shared analysis cache in the user data folder
+ * @returns {AnalysisCache}
+ */
+function getAnalysisCache() {
+    if (!analysisCache) {
+        analysisCache = new AnalysisCache();
+    }
+    return analysisCache;
+}
+
+module.exports = {
+    AnalysisCache,
+    getAnalysisCache
+};
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Radix-2 FFT for audio analysis
+ * @author Hexbloop Audio Labs
+ * @description Magnitude spectra of fixed-size frames. Twiddle factors, bit reversal
+ * and the window are computed once per size, so one instance serves a whole file.
+ */
+
+class FFT {
+    /**
+     * @param {number} size - Frame length, a power of two
+     */
+    constructor(size) {
+        if (!Number.isInteger(Math.log2(size))) {
+            throw new Error(`FFT size must be a power of two, got ${size}`);
+        }
+        this.size = size;
+        this.bins = size / 2 + 1;
+
+        this.cos = new Float64Array(size / 2);
+        this.sin = new Float64Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            this.cos[i] = Math.cos(2 * Math.PI * i / size);
+            this.sin[i] = -Math.sin(2 * Math.PI * i / size);
+        }
+
+        const bits = Math.log2(size);
+        this.reversed = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let r = 0;
+            for (let b = 0; b < bits; b++) {
+                r = (r << 1) | ((i >> b) & 1);
+            }
+            this.reversed[i] = r;
+        }
+
+        // Hann window: keeps leakage from smearing onsets across bins
+        this.window = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1));
+        }
+
+        this.real = new Float64Array(size);
+        this.imag = new Float64Array(size);
+    }
+
+    /**
+     * Windowed magnitude spectrum of one frame
+     * @param {Float32Array} samples - Source samples
+     * @param {number} offset - First sample of the frame (missing samples count as silence)
+     * @param {Float32Array} [out] - Reused output buffer of length size / 2 + 1
+     * @returns {Float32Array} Magnitudes from DC to Nyquist
+     */
+    magnitudes(samples, offset, out = new Float32Array(this.bins)) {
+        const { size, real, imag, reversed, window } = this;
+
+        for (let i = 0; i < size; i++) {
+            const index = offset + reversed[i];
+            real[i] = index < samples.length ? samples[index] * window[reversed[i]] : 0;
+            imag[i] = 0;
+        }
+
+        for (let span = 2; span <= size; span *= 2) {
+            const half = span / 2;
+            const step = size / span;
+            for (let start = 0; start < size; start += span) {
+                for (let k = 0; k < half; k++) {
+                    const a = start + k;
+                    const b = a + half;
+                    const wr = this.cos[k * step];
+                    const wi = this.sin[k * step];
+                    const tr = real[b] * wr - imag[b] * wi;
+                    const ti = real[b] * wi + imag[b] * wr;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+
+        for (let i = 0; i < this.bins; i++) {
+            out[i] = Math.hypot(real[i], imag[i]);
+        }
+        return out;
+    }
+}
+
+module.exports = FFT;
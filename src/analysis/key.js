@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Musical key and scale detection
+ * @author Hexbloop Audio Labs
+ * @description Key from a whole-file chroma vector (analysis/spectral.js) by correlating it
+ * with the Krumhansl-Kessler key profiles rotated to all 24 major and minor keys.
+ *
+ * Notation:
+ *   name     - "A minor", "Eb major"
+ *   tag      - TKEY / KEY tag value: "Am", "Eb", "F#m" (ID3v2.4 TKEY format)
+ *   camelot  - Camelot wheel position for harmonic mixing: "8A" (A minor), "8B" (C major)
+ */
+
+// Krumhansl-Kessler probe-tone ratings, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Spelling used in tags: sharps for the keys DJs write with sharps, flats for the rest
+const KEY_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Below this correlation the chroma doesn't point at one key: don't tag it
+const KEY_CONFIDENCE_THRESHOLD = 0.5;
+
+/**
+ * Pearson correlation of two 12-element vectors
+ */
+function correlate(a, b) {
+    const meanA = a.reduce((sum, value) => sum + value, 0) / 12;
+    const meanB = b.reduce((sum, value) => sum + value, 0) / 12;
+    let cross = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < 12; i++) {
+        cross += (a[i] - meanA) * (b[i] - meanB);
+        varianceA += (a[i] - meanA) ** 2;
+        varianceB += (b[i] - meanB) ** 2;
+    }
+    return varianceA > 0 && varianceB > 0 ? cross / Math.sqrt(varianceA * varianceB) : 0;
+}
+
+/**
+ * Camelot wheel position: C major = 8B, each fifth up adds one; minor keys share their relative major's number
+ * @param {number} tonic - Pitch class 0-11 (C = 0)
+ * @param {string} scale - 'major' | 'minor'
+ * @returns {string} e.g. "8A"
+ */
+function camelot(tonic, scale) {
+    const relativeMajor = scale === 'minor' ? (tonic + 3) % 12 : tonic;
+    const number = (relativeMajor * 7 + 7) % 12 + 1;
+    return `${number}${scale === 'minor' ? 'A' : 'B'}`;
+}
+
+/**
+ * Detect the key of a piece from its chroma
+ * @param {number[]|null} chroma - Energy per pitch class, C to B
+ * @returns {{tonic: string, scale: string, name: string, tag: string, camelot: string, confidence: number}|null}
+ *   null when there is no chroma or it is flat
+ */
+function detectKey(chroma) {
+    if (!chroma || chroma.length !== 12 || Math.max(...chroma) === Math.min(...chroma)) {
+        return null;
+    }
+
+    // Power chroma lets the bass swamp everything else; magnitudes weigh the notes more evenly
+    const weights = chroma.map(value => Math.sqrt(Math.max(0, value)));
+
+    let best = null;
+    for (let tonic = 0; tonic < 12; tonic++) {
+        for (const [scale, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+            const rotated = weights.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+            const score = correlate(weights, rotated);
+            if (!best || score > best.score) {
+                best = { tonic, scale, score };
+            }
+        }
+    }
+
+    const tonicName = KEY_NAMES[best.tonic];
+    return {
+        tonic: tonicName,
+        scale: best.scale,
+        name: `${tonicName} ${best.scale}`,
+        tag: best.scale === 'minor' ? `${tonicName}m` : tonicName,
+        camelot: camelot(best.tonic, best.scale),
+        confidence: Math.round(Math.max(0, best.score) * 100) / 100
+    };
+}
+
+/**
+ * Pitch class (0-11) of a detectKey() tonic
+ * @param {Object} key - detectKey() result
+ * @returns {number}
+ */
+function tonicPitchClass(key) {
+    return KEY_NAMES.indexOf(key.tonic);
+}
+
+module.exports = {
+    detectKey,
+    camelot,
+    tonicPitchClass,
+    KEY_CONFIDENCE_THRESHOLD
+};
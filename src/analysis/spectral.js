@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Spectral features over a whole file
+ * @author Hexbloop Audio Labs
+ * @description Streaming FFT feature extractor: samples are pushed as they are decoded
+ * and only running totals are kept, so file length doesn't matter.
+ *
+ * Features:
+ *   centroid     - Mean spectral centroid (Hz): where the "centre of mass" of the spectrum sits
+ *   rolloff      - Mean frequency below which 85% of the energy lies (Hz)
+ *   flatness     - Mean spectral flatness, 0 (tonal) to 1 (noise-like)
+ *   bands        - Share of the file's energy in sub/low/mid/high, summing to 1
+ *   chroma       - Energy per pitch class, C to B, loudest = 1
+ *   brightness   - Centroid on a log scale from 250 Hz (0) to 8 kHz (1)
+ */
+
+const FFT = require('./fft');
+
+// 4096 points at 22.05 kHz: 5.4 Hz bins, fine enough to tell semitones apart above ~100 Hz
+const FRAME_SIZE = 4096;
+
+const ROLLOFF_SHARE = 0.85;
+
+const BANDS = {
+    sub: [20, 60],
+    low: [60, 250],
+    mid: [250, 4000],
+    high: [4000, Infinity]
+};
+
+// Pitch classes are only read where the bins resolve semitones and harmonics haven't taken over
+const CHROMA_RANGE = [100, 5000];
+const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const BRIGHTNESS_RANGE = [250, 8000];
+
+// Frames quieter than about -60 dBFS RMS don't count towards the averages
+const SILENT_FRAME_POWER = 1e-6;
+
+/**
+ * Create a streaming spectral analyzer
+ * @param {number} sampleRate - Sample rate of the pushed samples
+ * @returns {{push: Function, result: Function}} push(Float32Array) as samples arrive, result() at the end
+ */
+function createSpectralAnalyzer(sampleRate) {
+    const fft = new FFT(FRAME_SIZE);
+    const binHz = sampleRate / FRAME_SIZE;
+    const frame = new Float32Array(FRAME_SIZE);
+    const magnitudes = new Float32Array(fft.bins);
+    let filled = 0;
+
+    // Band and pitch class of every bin, worked out once
+    const bandNames = Object.keys(BANDS);
+    const binBand = new Int8Array(fft.bins).fill(-1);
+    const binPitchClass = new Int8Array(fft.bins).fill(-1);
+    for (let bin = 1; bin < fft.bins; bin++) {
+        const frequency = bin * binHz;
+        binBand[bin] = bandNames.findIndex(name => frequency >= BANDS[name][0] && frequency < BANDS[name][1]);
+        if (frequency >= CHROMA_RANGE[0] && frequency <= CHROMA_RANGE[1]) {
+            // MIDI note 69 = A4 = 440 Hz; pitch class 0 = C
+            const note = Math.round(69 + 12 * Math.log2(frequency / 440));
+            binPitchClass[bin] = ((note % 12) + 12) % 12;
+        }
+    }
+
+    let frames = 0;
+    let centroidSum = 0;
+    let rolloffSum = 0;
+    let flatnessSum = 0;
+    const bandEnergy = new Float64Array(bandNames.length);
+    const chroma = new Float64Array(12);
+
+    const analyzeFrame = () => {
+        let meanSquare = 0;
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            meanSquare += frame[i] * frame[i];
+        }
+        if (meanSquare / FRAME_SIZE < SILENT_FRAME_POWER) {
+            return;
+        }
+
+        fft.magnitudes(frame, 0, magnitudes);
+
+        let magnitudeSum = 0;
+        let weightedFrequency = 0;
+        let powerSum = 0;
+        let logPowerSum = 0;
+        for (let bin = 1; bin < fft.bins; bin++) {
+            const magnitude = magnitudes[bin];
+            const power = magnitude * magnitude;
+            magnitudeSum += magnitude;
+            weightedFrequency += magnitude * bin * binHz;
+            powerSum += power;
+            logPowerSum += Math.log(power + 1e-12);
+            if (binBand[bin] >= 0) bandEnergy[binBand[bin]] += power;
+            if (binPitchClass[bin] >= 0) chroma[binPitchClass[bin]] += power;
+        }
+
+        let cumulative = 0;
+        let rolloffBin = fft.bins - 1;
+        for (let bin = 1; bin < fft.bins; bin++) {
+            cumulative += magnitudes[bin] * magnitudes[bin];
+            if (cumulative >= ROLLOFF_SHARE * powerSum) {
+                rolloffBin = bin;
+                break;
+            }
+        }
+
+        const binCount = fft.bins - 1;
+        frames++;
+        centroidSum += weightedFrequency / magnitudeSum;
+        rolloffSum += rolloffBin * binHz;
+        flatnessSum += Math.exp(logPowerSum / binCount) / (powerSum / binCount);
+    };
+
+    const push = (samples) => {
+        let offset = 0;
+        while (offset < samples.length) {
+            const count = Math.min(FRAME_SIZE - filled, samples.length - offset);
+            frame.set(samples.subarray(offset, offset + count), filled);
+            filled += count;
+            offset += count;
+            if (filled === FRAME_SIZE) {
+                analyzeFrame();
+                filled = 0;
+            }
+        }
+    };
+
+    const result = () => {
+        if (frames === 0) {
+            return null;
+        }
+
+        const centroid = centroidSum / frames;
+        const totalBandEnergy = bandEnergy.reduce((sum, value) => sum + value, 0) || 1;
+        const loudestPitchClass = Math.max(...chroma) || 1;
+        const [low, high] = BRIGHTNESS_RANGE;
+
+        return {
+            centroid: Math.round(centroid),
+            rolloff: Math.round(rolloffSum / frames),
+            flatness: round(flatnessSum / frames, 3),
+            bands: Object.fromEntries(bandNames.map((name, i) => [name, round(bandEnergy[i] / totalBandEnergy, 3)])),
+            chroma: Array.from(chroma, value => round(value / loudestPitchClass, 3)),
+            brightness: round(Math.min(1, Math.max(0, Math.log2(centroid / low) / Math.log2(high / low))), 3)
+        };
+    };
+
+    return { push, result };
+}
+
+/**
+ * Run the analyzer over samples already in memory
+ * @param {Float32Array} samples - Mono PCM, -1 to 1
+ * @param {number} sampleRate - Sample rate of samples
+ * @returns {Object|null} Features (see file header), null for silence
+ */
+function analyzeSpectrum(samples, sampleRate) {
+    const analyzer = createSpectralAnalyzer(sampleRate);
+    analyzer.push(samples);
+    return analyzer.result();
+}
+
+function round(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    createSpectralAnalyzer,
+    analyzeSpectrum,
+    PITCH_CLASSES
+};
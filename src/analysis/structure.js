@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Song structure over time
+ * @author Hexbloop Audio Labs
+ * @description Streaming structure analyzer: RMS energy curve, sections found on a
+ * novelty curve, silence regions and fades. Samples are pushed as they are decoded.
+ *
+ * Result schema (STRUCTURE_VERSION 1, times in seconds):
+ *   {
+ *     version: 1,
+ *     duration: 215.4,
+ *     energy:   { interval: 0.5, db: [-31.2, -18.4, ...] },          // RMS dBFS per interval
+ *     sections: [{ type, start, end, db, relative }],               // type: intro|build|drop|breakdown|body|outro
+ *     silence:  [{ start, end }],                                   // below SILENCE_DB for MIN_SILENCE_SECONDS
+ *     fadeIn:   { start, end } | null,
+ *     fadeOut:  { start, end } | null
+ *   }
+ *
+ * Sections: each energy point gets a feature vector (level and zero-crossing rate, both
+ * standardized over the audible part of the file). Novelty at a point is the distance between the mean
+ * vectors of the windows just before and just after it; peaks of the novelty curve are
+ * section boundaries. Sections are then labelled from their level relative to the rest.
+ */
+
+const STRUCTURE_VERSION = 1;
+
+// Energy curve resolution (seconds)
+const POINT_SECONDS = 0.5;
+
+// Silence detection resolution (seconds) and level
+const BLOCK_SECONDS = 0.1;
+const SILENCE_DB = -60;
+const MIN_SILENCE_SECONDS = 0.5;
+
+// Novelty: compare this much audio either side of a point; sections are at least this long
+const NOVELTY_WINDOW_SECONDS = 8;
+const MIN_SECTION_SECONDS = 8;
+// A boundary needs the features either side to differ by this many standard deviations
+const NOVELTY_THRESHOLD = 0.75;
+// Spread below which a feature counts as steady, so near-constant tracks aren't split on noise
+const MIN_SPREAD_DB = 3;
+const MIN_SPREAD_CROSSINGS = 0.01;
+
+// Section labels: relative level (0 = quietest section, 1 = loudest)
+const LOUD_SECTION = 0.75;
+const QUIET_SECTION = 0.5;
+const DROP_JUMP = 0.25;
+const BUILD_RISE_DB = 3;
+
+// Fades: at least this long, rising or falling at least this far, ending close to the level just beyond them
+const MIN_FADE_SECONDS = 1;
+const FADE_LOOKAHEAD_SECONDS = 4;
+const MIN_FADE_DEPTH_DB = 12;
+const FADE_REACH_DB = 3;
+const FADE_WOBBLE_DB = 1.5;
+
+const FLOOR_DB = -90;
+
+/**
+ * Create a streaming structure analyzer
+ * @param {number} sampleRate - Sample rate of the pushed samples
+ * @returns {{push: Function, result: Function}} push(Float32Array) as samples arrive, result() at the end
+ */
+function createStructureAnalyzer(sampleRate) {
+    const pointLength = Math.round(POINT_SECONDS * sampleRate);
+    const blockLength = Math.round(BLOCK_SECONDS * sampleRate);
+
+    const pointPower = [];
+    const pointCrossings = [];
+    const blockPower = [];
+    let pointSum = 0;
+    let pointCrossingCount = 0;
+    let pointFilled = 0;
+    let blockSum = 0;
+    let blockFilled = 0;
+    let previous = 0;
+    let total = 0;
+
+    const push = (samples) => {
+        for (let i = 0; i < samples.length; i++) {
+            const sample = samples[i];
+            const square = sample * sample;
+            pointSum += square;
+            blockSum += square;
+            if ((sample >= 0) !== (previous >= 0)) pointCrossingCount++;
+            previous = sample;
+
+            if (++blockFilled === blockLength) {
+                blockPower.push(blockSum / blockLength);
+                blockSum = 0;
+                blockFilled = 0;
+            }
+            if (++pointFilled === pointLength) {
+                pointPower.push(pointSum / pointLength);
+                pointCrossings.push(pointCrossingCount / pointLength);
+                pointSum = 0;
+                pointCrossingCount = 0;
+                pointFilled = 0;
+            }
+        }
+        total += samples.length;
+    };
+
+    const result = () => {
+        // A trailing partial point counts if it is at least half full
+        const power = [...pointPower];
+        const crossings = [...pointCrossings];
+        if (pointFilled >= pointLength / 2) {
+            power.push(pointSum / pointFilled);
+            crossings.push(pointCrossingCount / pointFilled);
+        }
+        const blocks = blockFilled > 0 ? [...blockPower, blockSum / blockFilled] : blockPower;
+        if (power.length === 0) {
+            return null;
+        }
+
+        const duration = total / sampleRate;
+        const db = power.map(toDb);
+        const silence = findSilence(blocks.map(toDb), duration);
+        const sections = findSections(db, crossings, power, duration);
+        const { fadeIn, fadeOut } = findFades(db, duration);
+
+        return {
+            version: STRUCTURE_VERSION,
+            duration: round(duration, 2),
+            energy: { interval: POINT_SECONDS, db: db.map(value => round(value, 1)) },
+            sections,
+            silence,
+            fadeIn,
+            fadeOut
+        };
+    };
+
+    return { push, result };
+}
+
+/**
+ * Runs of silent blocks
+ */
+function findSilence(blockDb, duration) {
+    const regions = [];
+    let start = null;
+    for (let i = 0; i <= blockDb.length; i++) {
+        const silent = i < blockDb.length && blockDb[i] < SILENCE_DB;
+        if (silent && start === null) {
+            start = i;
+        } else if (!silent && start !== null) {
+            const end = Math.min(duration, i * BLOCK_SECONDS);
+            if (end - start * BLOCK_SECONDS >= MIN_SILENCE_SECONDS - 1e-9) {
+                regions.push({ start: round(start * BLOCK_SECONDS, 2), end: round(end, 2) });
+            }
+            start = null;
+        }
+    }
+    return regions;
+}
+
+/**
+ * Novelty boundaries and labelled sections
+ */
+function findSections(db, crossings, power, duration) {
+    const count = db.length;
+    const window = Math.round(NOVELTY_WINDOW_SECONDS / POINT_SECONDS);
+    const minGap = Math.round(MIN_SECTION_SECONDS / POINT_SECONDS);
+
+    // Leading and trailing silence join the first and last sections instead of forming their own
+    const audible = db.map(value => value >= SILENCE_DB);
+    const first = Math.max(0, audible.indexOf(true));
+    const last = audible.lastIndexOf(true) + 1 || count;
+
+    const boundaries = [0];
+    if (last - first >= 2 * minGap) {
+        const features = [
+            standardize(db.slice(first, last), MIN_SPREAD_DB),
+            standardize(crossings.slice(first, last), MIN_SPREAD_CROSSINGS)
+        ];
+        const novelty = new Float64Array(count);
+        for (let t = first + minGap; t <= last - minGap; t++) {
+            const before = Math.max(first, t - window) - first;
+            const after = Math.min(last, t + window) - first;
+            let distance = 0;
+            for (const feature of features) {
+                distance += (mean(feature, t - first, after) - mean(feature, before, t - first)) ** 2;
+            }
+            novelty[t] = Math.sqrt(distance);
+        }
+
+        // Strongest peaks first, each claiming MIN_SECTION_SECONDS either side
+        const peaks = [];
+        for (let t = first + minGap; t <= last - minGap; t++) {
+            if (novelty[t] > NOVELTY_THRESHOLD && novelty[t] >= novelty[t - 1] && novelty[t] >= (novelty[t + 1] ?? 0)) {
+                peaks.push(t);
+            }
+        }
+        peaks.sort((a, b) => novelty[b] - novelty[a]);
+        for (const t of peaks) {
+            if (boundaries.every(boundary => Math.abs(boundary - t) >= minGap)) {
+                boundaries.push(t);
+            }
+        }
+        boundaries.sort((a, b) => a - b);
+    }
+    boundaries.push(count);
+
+    const sections = [];
+    for (let i = 0; i + 1 < boundaries.length; i++) {
+        const from = boundaries[i];
+        const to = boundaries[i + 1];
+        const third = Math.max(1, Math.floor((to - from) / 3));
+        sections.push({
+            start: round(from * POINT_SECONDS, 2),
+            end: round(Math.min(duration, to * POINT_SECONDS), 2),
+            db: toDb(mean(power, from, to)),
+            rise: toDb(mean(power, to - third, to)) - toDb(mean(power, from, from + third))
+        });
+    }
+
+    const levels = sections.map(section => section.db);
+    const loudest = Math.max(...levels);
+    const quietest = Math.min(...levels);
+    for (const section of sections) {
+        section.relative = loudest > quietest ? (section.db - quietest) / (loudest - quietest) : 1;
+    }
+
+    return sections.map((section, i) => ({
+        type: labelSection(sections, i),
+        start: section.start,
+        end: section.end,
+        db: round(section.db, 1),
+        relative: round(section.relative, 2)
+    }));
+}
+
+/**
+ * intro | build | drop | breakdown | body | outro
+ */
+function labelSection(sections, i) {
+    const section = sections[i];
+    const previous = sections[i - 1];
+    const next = sections[i + 1];
+    const isDrop = (candidate, before) => candidate && before &&
+        candidate.relative >= LOUD_SECTION && candidate.relative - before.relative >= DROP_JUMP;
+
+    if (isDrop(section, previous)) return 'drop';
+    if (isDrop(next, section) && section.rise >= BUILD_RISE_DB) return 'build';
+    // Quiet sections before the first loud one and after the last are intro and outro
+    const quiet = (candidate) => candidate.relative < QUIET_SECTION;
+    if (sections.length > 2 && sections.slice(0, i + 1).every(quiet)) return 'intro';
+    if (sections.length > 2 && sections.slice(i).every(quiet)) return 'outro';
+    if (previous && next && section.relative < QUIET_SECTION) return 'breakdown';
+    return 'body';
+}
+
+/**
+ * Fade-in from the first sound and fade-out into the last
+ */
+function findFades(db, duration) {
+    const audible = db.map(value => value >= SILENCE_DB);
+    const first = audible.indexOf(true);
+    const last = audible.lastIndexOf(true);
+    if (first === -1) {
+        return { fadeIn: null, fadeOut: null };
+    }
+
+    // A fade ends where the level comes within FADE_REACH_DB of the loudest point just beyond it
+    const lookahead = Math.round(FADE_LOOKAHEAD_SECONDS / POINT_SECONDS);
+    const fade = (from, step) => {
+        let i = from;
+        const target = (at) => {
+            const window = step > 0 ? db.slice(at, at + lookahead + 1) : db.slice(Math.max(0, at - lookahead), at + 1);
+            return Math.max(...window) - FADE_REACH_DB;
+        };
+        while (i >= first && i <= last && db[i] < target(i)) {
+            const next = i + step;
+            if (next < first || next > last || db[next] < db[i] - FADE_WOBBLE_DB) {
+                return null; // Not a steady ramp
+            }
+            i = next;
+        }
+        const length = Math.abs(i - from) * POINT_SECONDS;
+        const depth = db[i] - db[from];
+        return length >= MIN_FADE_SECONDS && depth >= MIN_FADE_DEPTH_DB ? i : null;
+    };
+
+    const fadeInEnd = fade(first, 1);
+    const fadeOutStart = fade(last, -1);
+    return {
+        fadeIn: fadeInEnd === null ? null : { start: round(first * POINT_SECONDS, 2), end: round(fadeInEnd * POINT_SECONDS, 2) },
+        fadeOut: fadeOutStart === null ? null : {
+            start: round(fadeOutStart * POINT_SECONDS, 2),
+            end: round(Math.min(duration, (last + 1) * POINT_SECONDS), 2)
+        }
+    };
+}
+
+function toDb(power) {
+    return power > 0 ? Math.max(FLOOR_DB, 10 * Math.log10(power)) : FLOOR_DB;
+}
+
+function mean(values, from, to) {
+    let sum = 0;
+    for (let i = from; i < to; i++) {
+        sum += values[i];
+    }
+    return to > from ? sum / (to - from) : 0;
+}
+
+function standardize(values, minSpread) {
+    const average = mean(values, 0, values.length);
+    const sd = Math.max(minSpread, Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length));
+    return values.map(value => (value - average) / sd);
+}
+
+function round(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Run the analyzer over samples already in memory
+ * @param {Float32Array} samples - Mono PCM, -1 to 1
+ * @param {number} sampleRate - Sample rate of samples
+ * @returns {Object|null} Structure (see file header), null when there are no samples
+ */
+function analyzeStructure(samples, sampleRate) {
+    const analyzer = createStructureAnalyzer(sampleRate);
+    analyzer.push(samples);
+    return analyzer.result();
+}
+
+module.exports = {
+    createStructureAnalyzer,
+    analyzeStructure,
+    STRUCTURE_VERSION
+};
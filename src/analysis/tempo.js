@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Onset-based tempo estimation
+ * @author Hexbloop Audio Labs
+ * @description BPM and confidence from decoded mono PCM.
+ *
+ * 1. Onset strength: spectral flux of the log-magnitude STFT, local mean removed
+ * 2. Periodicity: autocorrelation of the onset envelope
+ * 3. Comb filter: each candidate tempo scores the autocorrelation at its first
+ *    few beat multiples, weighted by a prior centred on 120 BPM
+ * 4. Octave errors: a faster candidate with near-equal evidence replaces a slow
+ *    winner (an 87 BPM guess for 174 BPM drum & bass), and vice versa
+ */
+
+const FFT = require('./fft');
+
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 256;
+
+// Local mean window for the onset envelope (seconds)
+const ONSET_MEAN_SECONDS = 0.5;
+
+// Less onset envelope than this and there is no tempo to find (seconds)
+const MIN_SECONDS = 6;
+
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+const BPM_STEP = 0.1;
+
+// Beat multiples scored per candidate
+const HARMONICS = 4;
+
+// Tempo prior: log-normal around 120 BPM with this spread in octaves
+const PRIOR_CENTER_BPM = 120;
+const PRIOR_OCTAVES = 1;
+
+// An octave-related candidate takes over when its score is at least this share of the winner's
+const OCTAVE_RATIO = 0.9;
+const OCTAVE_UP_BELOW_BPM = 90;
+const OCTAVE_DOWN_ABOVE_BPM = 180;
+
+// Below this confidence the tempo should not be shown to people or written to tags
+const TEMPO_CONFIDENCE_THRESHOLD = 0.3;
+
+/**
+ * Onset strength envelope
+ * @param {Float32Array} samples - Mono PCM, -1 to 1
+ * @param {number} sampleRate - Sample rate of samples
+ * @returns {{envelope: Float32Array, frameRate: number}}
+ */
+function onsetEnvelope(samples, sampleRate) {
+    const frameCount = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+    const frameRate = sampleRate / HOP_SIZE;
+    const flux = new Float32Array(frameCount);
+    const fft = new FFT(FRAME_SIZE);
+
+    let previous = new Float32Array(fft.bins);
+    let current = new Float32Array(fft.bins);
+    for (let frame = 0; frame < frameCount; frame++) {
+        fft.magnitudes(samples, frame * HOP_SIZE, current);
+        let sum = 0;
+        for (let bin = 0; bin < fft.bins; bin++) {
+            current[bin] = Math.log1p(100 * current[bin]);
+            if (frame > 0 && current[bin] > previous[bin]) {
+                sum += current[bin] - previous[bin];
+            }
+        }
+        flux[frame] = sum;
+        [previous, current] = [current, previous];
+    }
+
+    // Keep only rises above the local mean so sustained loud passages don't read as onsets
+    const radius = Math.max(1, Math.round(ONSET_MEAN_SECONDS * frameRate / 2));
+    const envelope = new Float32Array(frameCount);
+    let windowSum = 0;
+    let windowStart = 0;
+    let windowEnd = 0;
+    for (let frame = 0; frame < frameCount; frame++) {
+        while (windowEnd < Math.min(frameCount, frame + radius + 1)) {
+            windowSum += flux[windowEnd++];
+        }
+        while (windowStart < frame - radius) {
+            windowSum -= flux[windowStart++];
+        }
+        envelope[frame] = Math.max(0, flux[frame] - windowSum / (windowEnd - windowStart));
+    }
+
+    return { envelope, frameRate };
+}
+
+/**
+ * Normalized autocorrelation (lag 0 = 1) of a zero-mean copy of the envelope
+ * @param {Float32Array} envelope - Onset envelope
+ * @param {number} maxLag - Largest lag to compute
+ * @returns {Float64Array|null} null when the envelope is flat
+ */
+function autocorrelate(envelope, maxLag) {
+    const n = envelope.length;
+    const mean = envelope.reduce((sum, value) => sum + value, 0) / n;
+    const centered = envelope.map(value => value - mean);
+
+    const acf = new Float64Array(maxLag + 1);
+    for (let lag = 0; lag <= maxLag; lag++) {
+        let sum = 0;
+        for (let i = 0; i + lag < n; i++) {
+            sum += centered[i] * centered[i + lag];
+        }
+        acf[lag] = sum / (n - lag);
+    }
+    if (!(acf[0] > 0)) {
+        return null;
+    }
+    return acf.map(value => value / acf[0]);
+}
+
+/**
+ * Estimate the tempo of a piece
+ * @param {Float32Array} samples - Mono PCM, -1 to 1
+ * @param {number} sampleRate - Sample rate of samples
+ * @returns {{bpm: number|null, confidence: number}} bpm is null when no pulse was found
+ */
+function estimateTempo(samples, sampleRate) {
+    const { envelope, frameRate } = onsetEnvelope(samples, sampleRate);
+    if (envelope.length < MIN_SECONDS * frameRate) {
+        return { bpm: null, confidence: 0 };
+    }
+
+    const maxLag = Math.min(envelope.length - 1, Math.ceil(HARMONICS * 60 * frameRate / MIN_BPM) + 1);
+    const acf = autocorrelate(envelope, maxLag);
+    if (!acf) {
+        return { bpm: null, confidence: 0 };
+    }
+
+    const acfAt = (lag) => {
+        const i = Math.floor(lag);
+        const fraction = lag - i;
+        return i + 1 < acf.length ? acf[i] * (1 - fraction) + acf[i + 1] * fraction : acf[acf.length - 1];
+    };
+
+    // Comb filter over beat multiples; lags beyond the envelope are left out
+    const score = (bpm) => {
+        const lag = 60 * frameRate / bpm;
+        let sum = 0;
+        let count = 0;
+        for (let k = 1; k <= HARMONICS && k * lag < acf.length - 1; k++) {
+            sum += acfAt(k * lag);
+            count++;
+        }
+        return count > 0 ? sum / count : 0;
+    };
+    const prior = (bpm) => Math.exp(-0.5 * (Math.log2(bpm / PRIOR_CENTER_BPM) / PRIOR_OCTAVES) ** 2);
+
+    let best = null;
+    let bestWeighted = -Infinity;
+    let total = 0;
+    let count = 0;
+    for (let bpm = MIN_BPM; bpm <= MAX_BPM + 1e-9; bpm += BPM_STEP) {
+        const raw = score(bpm);
+        const weighted = Math.max(0, raw) * prior(bpm);
+        total += raw;
+        count++;
+        if (weighted > bestWeighted) {
+            bestWeighted = weighted;
+            best = { bpm, raw };
+        }
+    }
+
+    if (best.bpm < OCTAVE_UP_BELOW_BPM && best.bpm * 2 <= MAX_BPM) {
+        const doubled = score(best.bpm * 2);
+        if (doubled >= OCTAVE_RATIO * best.raw) {
+            best = { bpm: best.bpm * 2, raw: doubled };
+        }
+    } else if (best.bpm > OCTAVE_DOWN_ABOVE_BPM && best.bpm / 2 >= MIN_BPM) {
+        const halved = score(best.bpm / 2);
+        if (halved >= OCTAVE_RATIO * best.raw) {
+            best = { bpm: best.bpm / 2, raw: halved };
+        }
+    }
+
+    // How far the winner stands above the average candidate (1 = a perfect pulse)
+    const mean = total / count;
+    const confidence = Math.min(1, Math.max(0, (best.raw - mean) / (1 - mean)));
+    if (!(best.raw > 0)) {
+        return { bpm: null, confidence: 0 };
+    }
+
+    return {
+        bpm: Math.round(best.bpm * 10) / 10,
+        confidence: Math.round(confidence * 100) / 100
+    };
+}
+
+module.exports = {
+    onsetEnvelope,
+    estimateTempo,
+    TEMPO_CONFIDENCE_THRESHOLD
+};
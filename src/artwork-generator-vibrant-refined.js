@@ -5,6 +5,7 @@
 
 const { createCanvas } = require('canvas');
 const fs = require('fs').promises;
+const { tonicPitchClass } = require('./analysis/key');
 
 class VibrantRefinedArtworkGenerator {
     constructor(options = {}) {
@@ -38,7 +39,7 @@ class VibrantRefinedArtworkGenerator {
     // ENHANCED COLOR PALETTES WITH VARIATIONS
     // ===================================================================
     
-    getPalette(style, audioEnergy = 0.5, tempo = 120) {
+    getPalette(style, audioEnergy = 0.5, tempo = 120, spectral = null, key = null) {
         const palettes = {
             'neon-plasma': [
                 // Variation 1: Electric neon
@@ -115,6 +116,10 @@ class VibrantRefinedArtworkGenerator {
             variationIndex = 0; // High energy = most vibrant
         } else if (audioEnergy < 0.3 && tempo < 100) {
             variationIndex = 2; // Low energy = softer variation
+        } else if (spectral?.brightness > 0.65) {
+            variationIndex = 0; // Bright timbre = most vibrant
+        } else if (spectral?.brightness < 0.35) {
+            variationIndex = 2; // Dark timbre = softer variation
         } else {
             variationIndex = 1; // Medium = balanced
         }
@@ -137,6 +142,16 @@ class VibrantRefinedArtworkGenerator {
             const accentColors = ['#FFD700', '#FF1493', '#00FF00', '#FF00FF', '#00FFFF'];
             selectedPalette.push(accentColors[Math.floor(Math.random() * accentColors.length)]);
         }
+
+        // Tonal centre accent: the key's tonic (or else the dominant pitch class) walked round the
+        // circle of fifths onto the colour wheel; minor keys get a deeper shade
+        if (key) {
+            const pitchClass = tonicPitchClass(key);
+            selectedPalette.push(this.hslToHex((pitchClass * 7 % 12) * 30, 0.85, key.scale === 'minor' ? 0.45 : 0.65));
+        } else if (spectral?.chroma?.length === 12) {
+            const pitchClass = spectral.chroma.indexOf(Math.max(...spectral.chroma));
+            selectedPalette.push(this.hslToHex((pitchClass * 7 % 12) * 30, 0.85, 0.6));
+        }
         
         return selectedPalette;
     }
@@ -913,7 +928,9 @@ class VibrantRefinedArtworkGenerator {
             audioEnergy = 0.5,
             tempo = 120,
             moonPhase = 0.5,
-            title = ''
+            title = '',
+            spectral = null,
+            key = null
         } = options;
 
         // BEST PRACTICE: Validate and clamp audio parameters to prevent visual glitches
@@ -937,9 +954,12 @@ class VibrantRefinedArtworkGenerator {
             this.seed = (this.seed * 1664525 + 1013904223) % 2147483647;
             return this.seed / 2147483647;
         };
+
+        // Noise offset comes from the seeded stream so a seed fully determines the image
+        this.noiseOffset = Math.random() * 1000;
         
         // Get palette with variations (use validated parameters)
-        const colors = this.getPalette(style, validatedEnergy, validatedTempo);
+        const colors = this.getPalette(style, validatedEnergy, validatedTempo, spectral, key);
         
         // Clear canvas with subtle gradient
         const bgGradient = this.ctx.createRadialGradient(
@@ -1026,6 +1046,16 @@ class VibrantRefinedArtworkGenerator {
             b: parseInt(result[3], 16)
         } : { r: 255, g: 255, b: 255 };
     }
+
+    hslToHex(hue, saturation, lightness) {
+        const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+        const channel = (n) => {
+            const k = (n + hue / 30) % 12;
+            const value = lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+            return Math.round(value * 255).toString(16).padStart(2, '0');
+        };
+        return `#${channel(0)}${channel(8)}${channel(4)}`.toUpperCase();
+    }
     
     noise2D(x, y) {
         const n = Math.sin(x * 12.9898 + y * 78.233 + this.noiseOffset) * 43758.5453;
@@ -1,33 +1,73 @@
 const fs = require('fs');
-const { execSync, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const path = require('path');
 const binaries = require('./binary-resolver');
+const MediaProbe = require('./media-probe');
+const { estimateTempo, TEMPO_CONFIDENCE_THRESHOLD } = require('./analysis/tempo');
+const { createSpectralAnalyzer } = require('./analysis/spectral');
+const { detectKey, KEY_CONFIDENCE_THRESHOLD } = require('./analysis/key');
+const { createStructureAnalyzer } = require('./analysis/structure');
+const { AnalysisCache } = require('./analysis/analysis-cache');
+
+// Decoded PCM for analysis: mono at 22.05 kHz. Spectral features and structure cover the
+// whole file; tempo uses a window from the middle, where intros and outros can't mislead it
+const ANALYSIS_SAMPLE_RATE = 22050;
+const TEMPO_WINDOW_SECONDS = 90;
 
 // ===================================================================
 // 🎵 AUDIO ANALYZER - Extract features for visual generation
 // ===================================================================
 
 class AudioAnalyzer {
+    // Bump whenever analyzeAudio() results change shape or meaning: cached results from older versions are ignored
+    static ANALYSIS_VERSION = 1;
+
     /**
      * Extract audio features using FFmpeg
-     * Returns waveform data and basic audio characteristics
+     * Returns waveform data, basic audio characteristics, spectral features, the key, the
+     * structure over time and the detected tempo (tempo stays at 120 with tempoConfidence 0
+     * when no pulse is found)
+     * @param {string} inputPath - Audio file to analyze
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Kills the waveform extraction when aborted
+     * @param {AnalysisCache} [options.cache] - Reuse results for identical file contents
      */
-    static async analyzeAudio(inputPath) {
+    static async analyzeAudio(inputPath, options = {}) {
+        const { cache } = options;
+        let cacheKey = null;
+        if (cache) {
+            try {
+                cacheKey = this.cacheKey(await AnalysisCache.hashFile(inputPath, { signal: options.signal }));
+                const cached = cache.get(cacheKey);
+                if (cached) {
+                    console.log('⚡ Using cached audio analysis');
+                    return cached;
+                }
+            } catch (cacheError) {
+                options.signal?.throwIfAborted();
+                console.log('⚠️ Analysis cache unavailable:', cacheError.message);
+            }
+        }
+
+        // Only results where every step really ran are worth caching
+        let complete = true;
         const features = {
             duration: 0,
             waveform: [],
             energy: 0,
             peaks: [],
-            // These would require more complex analysis:
-            tempo: 120, // Default BPM
-            brightness: 0.5 // Spectral centroid normalized
+            tempo: 120, // BPM (default until detected)
+            tempoConfidence: 0, // 0-1, see reliableTempo()
+            spectral: null, // analysis/spectral.js features, null if decoding failed
+            key: null, // analysis/key.js result, see reliableKey()
+            structure: null, // analysis/structure.js result: energy curve, sections, silence, fades
+            brightness: 0.5 // Spectral centroid normalized (spectral.brightness)
         };
 
         try {
             // Get duration using ffprobe (bundled or system)
-            const ffprobeBin = binaries.ffprobe.path || 'ffprobe';
-            const durationCmd = `"${ffprobeBin}" -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${inputPath}"`;
-            features.duration = parseFloat(execSync(durationCmd, { encoding: 'utf8' }).trim());
+            const info = await MediaProbe.probe(inputPath, { signal: options.signal });
+            features.duration = info.duration || 0;
             
             // Extract waveform samples (downsample for visualization)
             // We want ~360 samples for circular visualization
@@ -36,51 +76,90 @@ class AudioAnalyzer {
             try {
                 // Stream audio data with a memory cap instead of buffering entire file
                 // Downsample to 2kHz mono - keeps memory under ~1MB even for long files
-                const waveformBuffer = await this.extractWaveformStream(inputPath);
+                const waveformBuffer = await this.extractWaveformStream(inputPath, options.signal);
                 features.waveform = this.extractWaveformPeaks(waveformBuffer, samples);
                 features.energy = this.calculateEnergy(features.waveform);
                 features.peaks = this.findPeaks(features.waveform);
             } catch (waveformError) {
                 // If waveform extraction fails, generate synthetic data
                 console.log('⚠️ Using synthetic waveform data');
+                complete = false;
                 features.waveform = this.generateSyntheticWaveform(samples);
                 features.energy = 0.5;
             }
 
-            // Estimate tempo based on peak intervals (simplified)
-            if (features.peaks.length > 1) {
-                const intervals = [];
-                for (let i = 1; i < features.peaks.length && i < 10; i++) {
-                    intervals.push(features.peaks[i] - features.peaks[i-1]);
+            // One decode of the whole file feeds the spectral features, the structure and the tempo window
+            try {
+                const spectral = createSpectralAnalyzer(ANALYSIS_SAMPLE_RATE);
+                const structure = createStructureAnalyzer(ANALYSIS_SAMPLE_RATE);
+                const tempoStart = Math.floor(Math.max(0, (features.duration || 0) / 2 - TEMPO_WINDOW_SECONDS / 2) * ANALYSIS_SAMPLE_RATE);
+                const tempoWindow = new Float32Array(TEMPO_WINDOW_SECONDS * ANALYSIS_SAMPLE_RATE);
+                let tempoLength = 0;
+                let position = 0;
+
+                await this.streamPcm(inputPath, (chunk) => {
+                    spectral.push(chunk);
+                    structure.push(chunk);
+                    const from = Math.max(0, tempoStart - position);
+                    const count = Math.min(chunk.length - from, tempoWindow.length - tempoLength);
+                    if (count > 0) {
+                        tempoWindow.set(chunk.subarray(from, from + count), tempoLength);
+                        tempoLength += count;
+                    }
+                    position += chunk.length;
+                }, { signal: options.signal });
+
+                features.spectral = spectral.result();
+                features.structure = structure.result();
+                if (features.spectral) {
+                    features.brightness = features.spectral.brightness;
+                    features.key = detectKey(features.spectral.chroma);
                 }
-                if (intervals.length > 0) {
-                    const avgInterval = intervals.reduce((a, b) => a + b) / intervals.length;
-                    const samplesPerSecond = samples / features.duration;
-                    const beatsPerSecond = samplesPerSecond / avgInterval;
-                    features.tempo = Math.round(beatsPerSecond * 60);
-                    features.tempo = Math.max(60, Math.min(180, features.tempo)); // Clamp to reasonable range
+
+                const { bpm, confidence } = estimateTempo(tempoWindow.subarray(0, tempoLength), ANALYSIS_SAMPLE_RATE);
+                if (bpm) {
+                    features.tempo = bpm;
+                    features.tempoConfidence = confidence;
+                }
+            } catch (pcmError) {
+                if (options.signal?.aborted) {
+                    throw pcmError;
                 }
+                console.log('⚠️ Spectral, structure and tempo analysis skipped:', pcmError.message);
+                complete = false;
             }
 
-            // Estimate brightness (simplified - based on high frequency presence)
-            const highFreqSamples = features.waveform.slice(Math.floor(samples * 0.7));
-            const highEnergy = this.calculateEnergy(highFreqSamples);
-            features.brightness = Math.min(1, highEnergy * 2);
-
         } catch (error) {
+            if (options.signal?.aborted) {
+                throw error;
+            }
             console.log('⚠️ Audio analysis failed, using defaults:', error.message);
             // Return default features
             features.waveform = this.generateSyntheticWaveform(360);
+            complete = false;
+        }
+
+        if (cacheKey && complete && !options.signal?.aborted) {
+            cache.set(cacheKey, features);
         }
 
         return features;
     }
 
+    /**
+     * Cache key for a file's analysis: content hash plus analysis version
+     * @param {string} contentHash - AnalysisCache.hashFile() digest
+     * @returns {string}
+     */
+    static cacheKey(contentHash) {
+        return `${contentHash}-v${this.ANALYSIS_VERSION}`;
+    }
+
     /**
      * Stream-based waveform extraction with memory cap
      * Downsamples to 2kHz mono to keep memory under ~1MB for any file length
      */
-    static extractWaveformStream(inputPath) {
+    static extractWaveformStream(inputPath, signal) {
         return new Promise((resolve, reject) => {
             const MAX_BYTES = 1024 * 1024; // 1MB cap
             const chunks = [];
@@ -95,7 +174,7 @@ class AudioAnalyzer {
                 '-acodec', 'pcm_f32le',
                 '-v', 'error',
                 '-'                    // Output to stdout
-            ], { stdio: ['ignore', 'pipe', 'pipe'] });
+            ], { stdio: ['ignore', 'pipe', 'pipe'], signal, killSignal: 'SIGKILL' });
 
             proc.stdout.on('data', (chunk) => {
                 if (totalBytes < MAX_BYTES) {
@@ -107,7 +186,9 @@ class AudioAnalyzer {
             });
 
             proc.on('close', (code) => {
-                if (chunks.length > 0) {
+                if (signal?.aborted) {
+                    reject(signal.reason);
+                } else if (chunks.length > 0) {
                     resolve(Buffer.concat(chunks));
                 } else {
                     reject(new Error(`FFmpeg waveform extraction failed (code ${code})`));
@@ -130,6 +211,73 @@ class AudioAnalyzer {
         });
     }
 
+    /**
+     * Decode the file to mono float PCM at ANALYSIS_SAMPLE_RATE, chunk by chunk
+     * @param {string} inputPath - Audio file
+     * @param {Function} onSamples - Called with each decoded Float32Array
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Kills FFmpeg when aborted
+     * @returns {Promise<number>} Samples decoded
+     */
+    static streamPcm(inputPath, onSamples, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            let remainder = Buffer.alloc(0);
+            let total = 0;
+
+            const ffmpegBin = binaries.ffmpeg.path || 'ffmpeg';
+            const proc = spawn(ffmpegBin, [
+                '-v', 'error',
+                '-i', inputPath,
+                '-vn',
+                '-ac', '1',
+                '-ar', String(ANALYSIS_SAMPLE_RATE),
+                '-f', 'f32le',
+                '-acodec', 'pcm_f32le',
+                '-'
+            ], { stdio: ['ignore', 'pipe', 'ignore'], signal, killSignal: 'SIGKILL' });
+
+            proc.stdout.on('data', (chunk) => {
+                // Chunks split samples at any byte; carry the partial sample over
+                const bytes = remainder.length > 0 ? Buffer.concat([remainder, chunk]) : chunk;
+                const usable = bytes.length - (bytes.length % 4);
+                const samples = new Float32Array(usable / 4);
+                bytes.copy(Buffer.from(samples.buffer), 0, 0, usable);
+                remainder = bytes.subarray(usable);
+                total += samples.length;
+                onSamples(samples);
+            });
+
+            proc.on('error', (error) => reject(signal?.aborted ? signal.reason : error));
+            proc.on('close', (code) => {
+                if (signal?.aborted) {
+                    return reject(signal.reason);
+                }
+                if (total === 0) {
+                    return reject(new Error(`FFmpeg PCM decode failed (code ${code})`));
+                }
+                resolve(total);
+            });
+        });
+    }
+
+    /**
+     * The detected tempo when it can be trusted (tags, artwork, display)
+     * @param {Object|null} features - analyzeAudio() result
+     * @returns {number|null} BPM, or null when detection was unsure
+     */
+    static reliableTempo(features) {
+        return features && features.tempoConfidence >= TEMPO_CONFIDENCE_THRESHOLD ? features.tempo : null;
+    }
+
+    /**
+     * The detected key when it can be trusted (tags, names, artwork)
+     * @param {Object|null} features - analyzeAudio() result
+     * @returns {Object|null} analysis/key.js result, or null when the chroma was ambiguous
+     */
+    static reliableKey(features) {
+        return features?.key && features.key.confidence >= KEY_CONFIDENCE_THRESHOLD ? features.key : null;
+    }
+
     /**
      * Extract evenly spaced peaks from audio buffer
      */
@@ -195,8 +343,9 @@ class AudioAnalyzer {
 
     /**
      * Detect genre/mood from filename or metadata (simple heuristic)
+     * @param {Object|null} [spectral] - Spectral features; timbre decides when energy and tempo don't
      */
-    static detectMood(filename, duration, energy, tempo) {
+    static detectMood(filename, duration, energy, tempo, spectral = null) {
         const name = filename.toLowerCase();
         
         // Check filename for mood hints
@@ -218,26 +367,40 @@ class AudioAnalyzer {
         if (energy < 0.3 && tempo < 100) return 'calm';
         if (energy > 0.5 && tempo > 140) return 'intense';
         
+        // Use timbre: noise-like spectra read as harsh, bass-heavy dull ones as dark, airy ones as bright
+        if (spectral) {
+            const { flatness, brightness, bands } = spectral;
+            if (flatness > 0.3 && energy > 0.4) return 'intense';
+            if (brightness < 0.35 && bands.sub + bands.low > 0.6) return 'dark';
+            if (brightness > 0.6 && bands.high > 0.15) return 'happy';
+            if (brightness < 0.4 && energy < 0.5) return 'calm';
+        }
+        
         return 'neutral';
     }
 
     /**
      * Get style suggestions based on audio features
+     * @param {Object} features - analyzeAudio() result
+     * @param {string} filename - Source file name (mood hints)
+     * @param {number} [roll] - 0-1 choice among the mood's styles (seeded for pinned renders)
+     * @returns {string} A VibrantRefinedArtworkGenerator style
      */
-    static suggestArtStyle(features, filename) {
-        const mood = this.detectMood(filename, features.duration, features.energy, features.tempo);
+    static suggestArtStyle(features, filename, roll = Math.random()) {
+        const tempo = this.reliableTempo(features) || 120;
+        const mood = this.detectMood(filename, features.duration, features.energy, tempo, features.spectral);
         
         const styleMap = {
-            'energetic': ['glitch', 'matrix', 'geometric'],
-            'calm': ['cosmic', 'aurora', 'organic'],
-            'dark': ['glitch', 'matrix', 'fractal'],
-            'happy': ['vapor', 'retro', 'crystal'],
-            'intense': ['fractal', 'glitch', 'nebula'],
-            'neutral': ['cosmic', 'geometric', 'mystic']
+            'energetic': ['neon-plasma', 'electric-storm', 'cyber-matrix'],
+            'calm': ['ocean-aurora', 'cosmic-flow', 'vapor-dream'],
+            'dark': ['cosmic-flow', 'cyber-matrix', 'electric-storm'],
+            'happy': ['vapor-dream', 'sunset-liquid', 'crystal-prism'],
+            'intense': ['electric-storm', 'neon-plasma', 'cyber-matrix'],
+            'neutral': ['cosmic-flow', 'crystal-prism', 'sunset-liquid']
         };
         
         const styles = styleMap[mood] || styleMap['neutral'];
-        return styles[Math.floor(Math.random() * styles.length)];
+        return styles[Math.min(styles.length - 1, Math.floor(roll * styles.length))];
     }
 }
 
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview A/B preview of the current settings
+ * @author Hexbloop Audio Labs
+ * @description Cuts a short excerpt from the loudest part of a track (found by
+ * AudioAnalyzer), runs it through the full pipeline with the current settings and
+ * hands both versions back with gains that play them at the same loudness. The
+ * excerpt is mastered with the whole track's loudness measurement, so its gain and
+ * limiting match what the batch will produce.
+ * Nothing is written to the output folder; the temp files are removed before returning.
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const AudioAnalyzer = require('./audio-analyzer');
+const AudioProcessor = require('./audio-processor');
+const { getAnalysisCache } = require('./analysis/analysis-cache');
+const { validateInputFile } = require('./shared/input-validation');
+const { findLoudestWindow, matchLevels, previewSettings } = require('./shared/preview-plan');
+const binaries = require('./binary-resolver');
+
+// Shares of the preview's progress: analyzing the source and cutting the excerpt, then
+// measuring the whole track's loudness; rendering the excerpt gets the rest
+const PREPARE_SHARE = 0.15;
+const MEASURE_SHARE = 0.45;
+
+class AudioPreview {
+    /**
+     * Render a level-matched A/B preview of one file
+     * @param {string} inputPath - Source audio file
+     * @param {Object} options
+     * @param {Object} options.settings - Settings to preview (usually the saved preferences)
+     * @param {ProcessingClock} [options.clock] - Processing clock (pinned for reproducible renders)
+     * @param {AbortSignal} [options.signal] - Stops the analysis, the cut and the render
+     * @param {Function} [options.onProgress] - Called with { stage, stagePercent, filePercent }
+     * @returns {Promise<Object>} { fileName, start, duration, source, format, original, processed,
+     *   levels, gains, influence }; original and processed are the encoded excerpts
+     */
+    static async render(inputPath, { settings, clock, signal, onProgress } = {}) {
+        const resolvedPath = validateInputFile(inputPath);
+        console.log(`🎧 Preparing preview: ${path.basename(resolvedPath)}`);
+
+        onProgress?.({ stage: 'listening', stagePercent: 0, filePercent: 0 });
+        const features = await AudioAnalyzer.analyzeAudio(resolvedPath, { signal, cache: getAnalysisCache() });
+        signal?.throwIfAborted();
+        const excerpt = findLoudestWindow(features);
+        console.log(`🎧 Excerpt: ${excerpt.start.toFixed(1)}s + ${excerpt.duration}s (${excerpt.source})`);
+
+        const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hexbloop-preview-'));
+        try {
+            const originalPath = path.join(tempDir, 'original.wav');
+            await this.cut(resolvedPath, originalPath, excerpt, {
+                signal,
+                onProgress: onProgress && ((percent) => onProgress({
+                    stage: 'excerpt',
+                    stagePercent: Math.round(percent),
+                    filePercent: Math.round(PREPARE_SHARE * percent)
+                }))
+            });
+
+            // Two-pass loudnorm on the excerpt alone would pick a different gain than the batch does
+            const renderSettings = previewSettings(settings, resolvedPath);
+            const measuredLoudness = await AudioProcessor.measureMasteringLoudness(resolvedPath, {
+                settings: renderSettings,
+                clock,
+                signal,
+                onProgress: onProgress && ((percent) => onProgress({
+                    stage: 'measuring',
+                    stagePercent: Math.round(percent),
+                    filePercent: Math.round(PREPARE_SHARE * 100 + MEASURE_SHARE * percent)
+                }))
+            });
+            signal?.throwIfAborted();
+
+            const processedPath = path.join(tempDir, `processed.${renderSettings.output.format}`);
+            const renderStart = (PREPARE_SHARE + MEASURE_SHARE) * 100;
+            const result = await AudioProcessor.processFile(originalPath, processedPath, {
+                clock,
+                settings: renderSettings,
+                features,
+                measuredLoudness,
+                signal,
+                onProgress: onProgress && ((progress) => onProgress({
+                    ...progress,
+                    filePercent: Math.round(renderStart + progress.filePercent * (1 - PREPARE_SHARE - MEASURE_SHARE))
+                }))
+            });
+
+            const gains = matchLevels(result.levels?.input?.integrated, result.levels?.output?.integrated);
+            if (gains.matched) {
+                console.log(`🎧 Level match: processed is ${gains.difference >= 0 ? '+' : ''}${gains.difference} LU against the original`);
+            } else {
+                console.log('⚠️ Could not measure the excerpts, previewing without level matching');
+            }
+
+            const [original, processed] = await Promise.all([
+                fs.promises.readFile(originalPath),
+                fs.promises.readFile(processedPath)
+            ]);
+            return {
+                fileName: path.basename(resolvedPath),
+                ...excerpt,
+                format: renderSettings.output.format,
+                original,
+                processed,
+                levels: result.levels,
+                gains,
+                influence: result.influence
+            };
+        } finally {
+            await fs.promises.rm(tempDir, { recursive: true, force: true }).catch((cleanupError) => {
+                console.log('⚠️  Could not clean up preview directory:', cleanupError.message);
+            });
+        }
+    }
+
+    /**
+     * Cut an excerpt to 32-bit float WAV
+     * @param {string} inputPath - Source audio
+     * @param {string} outputPath - Excerpt file
+     * @param {{start: number, duration: number}} excerpt - Window in seconds
+     * @param {Object} [control] - { signal, onProgress (percentage) }
+     */
+    static cut(inputPath, outputPath, { start, duration }, { signal, onProgress } = {}) {
+        return new Promise((resolve, reject) => {
+            const ffmpegBin = binaries.ffmpeg.path || 'ffmpeg';
+            const proc = spawn(ffmpegBin, [
+                '-hide_banner',
+                '-y',
+                '-ss', String(start),
+                '-t', String(duration),
+                '-i', inputPath,
+                '-vn',
+                '-c:a', 'pcm_f32le',
+                '-f', 'wav',
+                outputPath
+            ], { stdio: ['ignore', 'ignore', 'pipe'], signal, killSignal: 'SIGKILL' });
+
+            let lastLine = '';
+            readline.createInterface({ input: proc.stderr, crlfDelay: Infinity }).on('line', (line) => {
+                for (const part of line.split('\r')) {
+                    const time = part.match(/time=(\d+):(\d+):([\d.]+)/);
+                    if (time && onProgress && duration > 0) {
+                        const seconds = Number(time[1]) * 3600 + Number(time[2]) * 60 + parseFloat(time[3]);
+                        onProgress(Math.min(100, seconds / duration * 100));
+                    } else if (part.trim()) {
+                        lastLine = part.trim();
+                    }
+                }
+            });
+
+            proc.on('error', (error) => reject(signal?.aborted ? signal.reason : error));
+            proc.on('close', (code) => {
+                if (signal?.aborted) {
+                    return reject(signal.reason);
+                }
+                if (code !== 0) {
+                    return reject(new Error(`Could not cut a preview from ${path.basename(inputPath)}: ${lastLine || `code ${code}`}`));
+                }
+                onProgress?.(100);
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = AudioPreview;
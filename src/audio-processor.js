@@ -2,30 +2,56 @@
  * @fileoverview Audio processing pipeline with lunar influences
  * @author Hexbloop Audio Labs
  * 
- * Pipeline: Input → Sox (mystical effects) → FFmpeg (mastering) → MP3 with embedded artwork
+ * Pipeline: Input → silence trim/fades (optional) → effects chain (Sox, or FFmpeg without Sox) → FFmpeg (mastering) → MP3 with embedded artwork → level report
+ * Intermediates keep the source sample rate and channels in 32-bit float; only the final encode
+ * applies the channel policy, resamples and dithers.
  */
 
 const ffmpeg = require('fluent-ffmpeg');
-const { spawn, execSync } = require('child_process');
+const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const LunarProcessor = require('./lunar-processor');
+const ProcessingClock = require('./processing-clock');
 const NameGenerator = require('./name-generator');
 const VibrantRefinedArtworkGenerator = require('./artwork-generator-vibrant-refined');
 // Legacy generators moved to old-generators/
 const MetadataEmbedder = require('./metadata-embedder');
+const MediaProbe = require('./media-probe');
 const AudioAnalyzer = require('./audio-analyzer');
+const LevelAnalyzer = require('./level-analyzer');
+const SilenceTrimmer = require('./silence-trimmer');
+const { getAnalysisCache } = require('./analysis/analysis-cache');
 const { getPreferencesManager } = require('./menu/preferences');
+const { getProcessingConfig } = require('./shared/settings-schema');
+const {
+    resolveMasteringPreset,
+    buildMasteringFilters,
+    buildLoudnessMeasurementFilters,
+    masteredLayout,
+    parseLoudnormStats
+} = require('./shared/mastering-presets');
+const { resolveOutput, forEncodeLayout, describeOutput } = require('./shared/output-format');
+const {
+    DEFAULT_INTENSITY,
+    DEFAULT_MIX,
+    resolveEffectsChain,
+    compileEffectsChain,
+    buildDryWetGraph,
+    describeEffectsChain
+} = require('./shared/effects-chain');
 const binaries = require('./binary-resolver');
+const { planStages, createStageTracker, ffmpegProgressHandler, parseSoxProgress } = require('./stage-progress');
 
-const DEFAULT_COMPRESSION_PROFILE = {
-    overdrive: 4.0,
-    bass: 2.0,
-    treble: 1.0,
-    echo: { delay: 0.3, decay: 0.05 },
-    compand: { attack: 0.2, ratio: 5 }
-};
+// Share of the mastering stage's progress spent on the loudness measurement pass
+const LOUDNESS_MEASURE_SHARE = 0.4;
+
+// Share of the effects stage's progress spent on the chain when it is blended with the dry signal
+const EFFECTS_WET_SHARE = 0.8;
+
+// FFmpeg stderr lines kept from a render; enough for loudnorm's JSON block
+const STDERR_TAIL_LINES = 40;
 
 // Configure fluent-ffmpeg with resolved binary paths (bundled or system)
 if (binaries.ffmpeg.path) {
@@ -37,13 +63,30 @@ if (binaries.ffprobe.path) {
 }
 
 class AudioProcessor {
-    static async processFile(inputPath, outputPath) {
+    /**
+     * Run one file through the full pipeline
+     * @param {string} inputPath - Source audio file
+     * @param {string} outputPath - Destination file (name already generated by the batch)
+     * @param {Object} [options]
+     * @param {ProcessingClock} [options.clock] - Processing clock (pinned for reproducible renders)
+     * @param {Object} [options.settings] - Settings snapshot for this batch (defaults to the saved preferences)
+     * @param {AbortSignal} [options.signal] - Aborts the run: kills sox/ffmpeg, removes temp files and partial output
+     * @param {Function} [options.onProgress] - Called with { stage, stagePercent, filePercent } as stages advance
+     * @param {Object} [options.features] - AudioAnalyzer result to use instead of analyzing inputPath
+     *   (previews pass the whole track's)
+     * @param {Object} [options.measuredLoudness] - Loudnorm stats from measureMasteringLoudness() to master
+     *   with instead of measuring inputPath (previews pass the whole track's)
+     */
+    static async processFile(inputPath, outputPath, options = {}) {
         console.log(`🎵 Processing: ${path.basename(inputPath)} -> ${path.basename(outputPath)}`);
+        const clock = options.clock || new ProcessingClock();
+        const signal = options.signal;
+        signal?.throwIfAborted();
+        const renderTime = clock.now();
         
-        // Get user preferences for processing configuration
-        const preferencesManager = getPreferencesManager();
-        const processingConfig = preferencesManager.getProcessingConfig();
-        const settings = preferencesManager.getSettings();
+        // Get user preferences for processing configuration (CLI and batches may pass their own)
+        const settings = options.settings || getPreferencesManager().getSettings();
+        const processingConfig = getProcessingConfig(settings, { clock });
         
         // Extract the name from outputPath (already generated by main.js)
         // Remove .mp3 extension to get the mystical name
@@ -56,14 +99,19 @@ class AudioProcessor {
             console.log(`📝 Using custom metadata`);
         }
         
-        const compressionProfile = processingConfig.stages.compressing ? DEFAULT_COMPRESSION_PROFILE : null;
+        // Moon phase + time of day drive the lunar parameters of the effects chain
+        const { influence, effects } = this.planEffects(processingConfig, clock, renderTime);
+        
+        // Stage progress: each stage's share of the file comes from STAGE_WEIGHTS (stage-progress.js)
+        const progress = createStageTracker(planStages(processingConfig.stages), options.onProgress);
         
         // Create unique temp directory for this processing job
         const uniqueId = `${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
         const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `hexbloop-${uniqueId}-`));
 
-        // Temp files for processing stages (scoped per run)
-        const tempFile = path.join(tempDir, 'temp_audio.aif');
+        // Temp files for processing stages (scoped per run); the effects stage writes 32-bit float WAV
+        const tempFile = path.join(tempDir, 'temp_audio.wav');
+        const trimmedFile = path.join(tempDir, 'temp_trimmed.wav');
         const processedFile = path.join(tempDir, 'temp_processed.mp3');
 
         // Use Vibrant Refined Artwork Generator for maximum variety
@@ -73,12 +121,73 @@ class AudioProcessor {
         try {
             let currentFile = inputPath;
             let artworkResult = null;
+            let loudness = null;
+            let trim = null;
+            
+            // Analyze the source once: artwork and tags both use its features
+            let audioFeatures = null;
+            try {
+                console.log('🎵 Analyzing audio features...');
+                progress.stage('listening')(0);
+                audioFeatures = options.features || await AudioAnalyzer.analyzeAudio(inputPath, { signal, cache: getAnalysisCache() });
+                const bpm = AudioAnalyzer.reliableTempo(audioFeatures);
+                const key = AudioAnalyzer.reliableKey(audioFeatures);
+                console.log(`   Energy: ${(audioFeatures.energy * 100).toFixed(0)}% | Tempo: ${bpm ? `${bpm} BPM` : 'no clear pulse'} ` +
+                    `(confidence ${audioFeatures.tempoConfidence}) | Key: ${key ? `${key.name} (${key.camelot})` : 'unclear'}`);
+                if (audioFeatures.structure) {
+                    console.log(`   Sections: ${audioFeatures.structure.sections.map(section => section.type).join(' → ')}`);
+                }
+            } catch (analysisError) {
+                console.log('⚠️ Audio analysis skipped:', analysisError.message);
+            }
+            signal?.throwIfAborted();
+            progress.complete('listening');
             
-            // Step 1: Sox processing (conditional)
-            if (compressionProfile) {
-                console.log('🎛️ Applying mystical compression...');
-                await this.processSox(currentFile, tempFile, compressionProfile);
+            // Output rate, bit depth and channels; output.sampleRate = 0 keeps the source rate
+            const source = await MediaProbe.probe(inputPath, { signal }).catch((probeError) => {
+                if (signal?.aborted) throw signal.reason;
+                console.log('⚠️ Could not read source format:', probeError.message);
+                return null;
+            });
+            const output = resolveOutput(settings, inputPath, source?.audio);
+            console.log(`🎚️ Output: ${describeOutput(output)}`);
+            
+            // Step 0: Trim leading/trailing silence and fade (conditional)
+            // Trimming is optional: if it fails, the file carries on untrimmed
+            if (processingConfig.stages.trimming) {
+                console.log('✂️ Trimming silence...');
+                trim = await SilenceTrimmer.process(currentFile, trimmedFile, processingConfig.trim, {
+                    signal,
+                    onProgress: progress.stage('trimming')
+                }).catch((trimError) => {
+                    if (signal?.aborted) throw signal.reason;
+                    console.log('⚠️ Silence trimming failed, continuing untrimmed:', trimError.message);
+                    return null;
+                });
+                progress.complete('trimming');
+                if (trim?.applied) {
+                    currentFile = trimmedFile;
+                }
+            }
+            
+            // Step 1: Effects chain (conditional)
+            const { intensity, mix } = processingConfig;
+            if (effects.length > 0 && mix > 0) {
+                const amounts = intensity !== DEFAULT_INTENSITY || mix !== DEFAULT_MIX ? ` (intensity ${intensity}, ${mix}% wet)` : '';
+                console.log(`🌙 Applying mystical effects: ${influence.description}${amounts}`);
+                await this.processEffects(currentFile, tempFile, effects, {
+                    mix,
+                    sampleRate: source?.audio?.sampleRate,
+                    signal,
+                    onProgress: progress.stage('compressing')
+                });
+                progress.complete('compressing');
                 currentFile = tempFile;
+            } else if (influence) {
+                console.log(effects.length > 0
+                    ? '⏭️ Effects mix is 0%, skipping compression stage'
+                    : '⏭️ Effects chain is empty, skipping compression stage');
+                progress.complete('compressing');
             } else {
                 console.log('⏭️ Skipping compression stage');
             }
@@ -87,21 +196,39 @@ class AudioProcessor {
             if (processingConfig.stages.mastering) {
                 console.log('🎚️ Applying mystical mastering...');
                 const masteringInput = currentFile;
-                const masteringOutput = processingConfig.stages.compressing ? processedFile : tempFile;
-                await this.processFFmpeg(masteringInput, masteringOutput, settings);
+                const masteringOutput = masteringInput === tempFile ? processedFile : tempFile;
+                const layout = await this.probeLayout(masteringInput, inputPath, source?.audio, { signal });
+                signal?.throwIfAborted();
+                loudness = await this.processFFmpeg(masteringInput, masteringOutput, settings, {
+                    signal,
+                    output,
+                    layout,
+                    measured: options.measuredLoudness,
+                    onProgress: progress.stage('mastering')
+                });
+                progress.complete('mastering');
                 currentFile = masteringOutput;
             } else {
                 console.log('⏭️ Skipping mastering stage');
                 // If no mastering but we have a processed file, convert it
                 if (currentFile !== inputPath) {
-                    // Convert to MP3 without mastering
-                    await this.convertToMp3(currentFile, processedFile, settings);
+                    // Encode to the output format without mastering, matrixed from the effects output's channels
+                    const layout = await this.probeLayout(currentFile, inputPath, source?.audio, { signal });
+                    signal?.throwIfAborted();
+                    await this.encodeOutput(currentFile, processedFile, settings, {
+                        signal,
+                        output: forEncodeLayout(output, settings, layout),
+                        onProgress: progress.stage('converting')
+                    });
+                    progress.complete('converting');
                     currentFile = processedFile;
                 }
             }
             
             // Step 3: Generate artwork (conditional)
             if (processingConfig.stages.coverArt) {
+                signal?.throwIfAborted();
+                progress.stage('artwork')(0);
                 console.log('🎨 Generating mystical artwork...');
                 // Respect artwork format setting (png or jpg)
                 const artworkFormat = settings?.artwork?.imageFormat || 'png';
@@ -109,19 +236,9 @@ class AudioProcessor {
                 const artworkPath = path.join(tempDir, `${finalName.replace(/[^a-zA-Z0-9]/g, '_')}_artwork.${artworkExt}`);
 
                 // Get moon phase for artwork generation
-                const moonData = LunarProcessor.getMoonPhase();
+                const moonData = LunarProcessor.getMoonPhase(renderTime);
                 const moonPhase = typeof moonData === 'object' ? moonData.phase : moonData;
                 
-                // Analyze audio for visual features
-                let audioFeatures = null;
-                try {
-                    console.log('🎵 Analyzing audio for visual features...');
-                    audioFeatures = await AudioAnalyzer.analyzeAudio(inputPath);
-                    console.log(`   Energy: ${(audioFeatures.energy * 100).toFixed(0)}% | Tempo: ${audioFeatures.tempo} BPM`);
-                } catch (analysisError) {
-                    console.log('⚠️ Audio analysis skipped:', analysisError.message);
-                }
-                
                 // Auto-select style based on processing characteristics
                 // Enhanced generator has 8 styles: neon-plasma, cosmic-flow, vapor-dream, cyber-matrix, sunset-liquid, electric-storm, crystal-prism, ocean-aurora
                 let artStyle = null;
@@ -149,6 +266,9 @@ class AudioProcessor {
                 } else if (finalName.toLowerCase().includes('cyber') || finalName.toLowerCase().includes('matrix') ||
                            finalName.toLowerCase().includes('digital') || finalName.toLowerCase().includes('tech')) {
                     artStyle = 'cyber-matrix';
+                } else if (audioFeatures?.spectral) {
+                    // Mood from energy, tempo and timbre; the moon picks among the mood's styles
+                    artStyle = AudioAnalyzer.suggestArtStyle(audioFeatures, path.basename(inputPath), moonPhase || 0);
                 } else if (audioFeatures && audioFeatures.energy > 0.7) {
                     artStyle = 'neon-plasma'; // High energy audio
                 } else if (audioFeatures && audioFeatures.energy < 0.3) {
@@ -165,9 +285,11 @@ class AudioProcessor {
                     style: artStyle,
                     title: finalName,
                     moonPhase: moonPhase,
-                    seed: Date.now(),
+                    seed: clock.seed(`artwork:${finalName}`) || Date.now(),
                     audioEnergy: audioFeatures ? audioFeatures.energy : 0.5,
-                    tempo: audioFeatures ? audioFeatures.tempo : 120
+                    tempo: AudioAnalyzer.reliableTempo(audioFeatures) || 120,
+                    spectral: audioFeatures?.spectral,
+                    key: AudioAnalyzer.reliableKey(audioFeatures)
                 });
                 
                 // Save the artwork in the user's chosen format
@@ -178,6 +300,7 @@ class AudioProcessor {
                     style: artStyle || 'cosmic-flow'
                 };
                 
+                progress.complete('artwork');
                 console.log(`🎨 Generated ${artworkResult.style} style artwork (moon phase: ${(moonPhase * 100).toFixed(0)}%)`);
             } else {
                 console.log('⏭️ Skipping artwork generation');
@@ -195,22 +318,41 @@ class AudioProcessor {
                 title: path.parse(path.basename(inputPath)).name,
                 artist: finalName,
                 album: 'Mystical Transmutations',
-                year: new Date().getFullYear(),
+                year: clock.year(),
                 genre: 'Mystical Audio'
             };
+            const bpm = AudioAnalyzer.reliableTempo(audioFeatures);
+            if (bpm) {
+                metadataForEmbedding.bpm = Math.round(bpm);
+            }
+            const key = AudioAnalyzer.reliableKey(audioFeatures);
+            if (key) {
+                metadataForEmbedding.key = key.tag;
+            }
             
             // If no processing was done, convert the original file
             if (currentFile === inputPath) {
-                await this.convertToMp3(inputPath, processedFile, settings);
+                await this.encodeOutput(inputPath, processedFile, settings, { signal, output, onProgress: progress.stage('converting') });
+                progress.complete('converting');
                 currentFile = processedFile;
             }
             
+            signal?.throwIfAborted();
+            progress.stage('tagging')(0);
             await metadataEmbedder.embedMetadata(
                 currentFile,
                 outputPath,
                 metadataForEmbedding,
                 artworkResult?.pngPath
             );
+            progress.complete('tagging');
+
+            // Step 5: Level report for the finished file
+            const levels = await this.analyzeLevels(inputPath, outputPath, loudness?.target, {
+                signal,
+                onProgress: progress.stage('analyzing')
+            });
+            progress.complete('analyzing');
 
             // Artwork files are now in tempDir and cleaned up automatically by the finally block
 
@@ -219,11 +361,25 @@ class AudioProcessor {
                 success: true,
                 finalName,
                 artwork: artworkResult,
+                influence,
+                loudness,
+                trim,
+                levels,
+                tempo: audioFeatures ? { bpm: audioFeatures.tempo, confidence: audioFeatures.tempoConfidence } : null,
+                key: audioFeatures?.key || null,
+                structure: audioFeatures?.structure || null,
+                renderAt: clock.toJSON(),
                 processingConfig,
                 metadata: metadataForEmbedding
             };
 
         } catch (error) {
+            if (signal?.aborted) {
+                // Never leave a half-written file behind
+                await fs.promises.rm(outputPath, { force: true }).catch(() => {});
+                console.log(`⏹️ Stopped: ${path.basename(inputPath)}`);
+                throw signal.reason;
+            }
             throw error;
         } finally {
             // Clean up temp directory and all its contents
@@ -238,243 +394,576 @@ class AudioProcessor {
         }
     }
     
-    static async processSox(inputPath, outputPath, influences) {
-        return new Promise((resolve, reject) => {
-            // Ensure influences object exists with defaults
-            if (!influences) {
-                influences = {
-                    overdrive: 4.0,
-                    bass: 2.0,
-                    treble: 1.0,
-                    echo: { delay: 0.3, decay: 0.05 },
-                    compand: { attack: 0.2, ratio: 5 }
-                };
+    /**
+     * Measure the source and the finished file and check the master against its targets.
+     * A failed measurement never fails the file; the report is null instead.
+     * @param {Object|null} target - Loudness target from the mastering stage
+     * @returns {Promise<Object|null>} LevelAnalyzer.buildReport() result
+     */
+    static async analyzeLevels(inputPath, outputPath, target, { signal, onProgress } = {}) {
+        const measure = async (filePath) => {
+            try {
+                return await LevelAnalyzer.measure(filePath, { signal });
+            } catch (error) {
+                if (signal?.aborted) {
+                    throw signal.reason;
+                }
+                console.log('⚠️ Level analysis skipped:', error.message);
+                return null;
             }
+        };
+
+        console.log('📊 Measuring levels...');
+        onProgress?.(0);
+        const input = await measure(inputPath);
+        onProgress?.(50);
+        const output = await measure(outputPath);
+        if (!output) {
+            return null;
+        }
+
+        const report = LevelAnalyzer.buildReport({ input, output, target });
+        if (report.passed) {
+            console.log(`📊 Levels OK: ${output.integrated} LUFS, ${output.truePeak} dBTP, crest ${output.crestFactor} dB`);
+        } else {
+            console.log(`⚠️ Level check: ${report.issues.map(issue => issue.message).join('; ')}`);
+        }
+        return report;
+    }
+    
+    /**
+     * Kill a running child process when the signal aborts
+     * @param {AbortSignal} [signal] - Abort signal from the batch queue
+     * @param {Function} kill - Stops the process
+     * @returns {Function} Detaches the listener once the process has finished
+     */
+    static killOnAbort(signal, kill) {
+        if (!signal) {
+            return () => {};
+        }
+        const onAbort = () => kill();
+        signal.addEventListener('abort', onAbort, { once: true });
+        return () => signal.removeEventListener('abort', onAbort);
+    }
+    
+    /**
+     * Lunar influence for the render time and the effects it resolves
+     * @param {Object} processingConfig - From getProcessingConfig()
+     * @param {ProcessingClock} clock - Processing clock
+     * @param {Date} [renderTime] - The render's clock.now()
+     * @returns {{influence: Object|null, effects: Array}} influence is null when the effects stage is off
+     */
+    static planEffects(processingConfig, clock, renderTime = clock.now()) {
+        const influence = processingConfig.stages.compressing
+            ? LunarProcessor.getInfluencedParameters(renderTime, { timeZone: clock.timeZone() })
+            : null;
+        const effects = influence ? resolveEffectsChain(processingConfig.effectsChain, influence, { intensity: processingConfig.intensity }) : [];
+        return { influence, effects };
+    }
 
-            // Sox effects chain with lunar-influenced parameters
-            // BEST PRACTICE: gain -h provides headroom BEFORE effects, gain -r reclaims AFTER
-            // This prevents clipping from cascading effects
+    /**
+     * The mastering stage's loudness measurement for a whole file, without rendering it:
+     * the effects chain runs into a temp file and loudnorm measures what mastering would
+     * see. Previews master their excerpt with it, so the excerpt gets the gain and limiting
+     * of the full render. Silence trimming is left out; loudnorm gates silence anyway.
+     * @param {string} inputPath - Source audio file
+     * @param {Object} options
+     * @param {Object} options.settings - Settings snapshot
+     * @param {ProcessingClock} [options.clock] - Processing clock (pinned for reproducible renders)
+     * @param {AbortSignal} [options.signal] - Stops the effects chain and the measurement
+     * @param {Function} [options.onProgress] - Called with 0-100
+     * @returns {Promise<Object|null>} Parsed loudnorm stats; null when mastering is off, the preset has
+     *   no loudness target, or measuring failed (the render then measures for itself)
+     */
+    static async measureMasteringLoudness(inputPath, { settings, clock = new ProcessingClock(), signal, onProgress } = {}) {
+        const processingConfig = getProcessingConfig(settings, { clock });
+        const { preset } = resolveMasteringPreset(settings);
+        if (!processingConfig.stages.mastering || !preset.loudness) {
+            return null;
+        }
+
+        const { effects } = this.planEffects(processingConfig, clock);
+        const runEffects = effects.length > 0 && processingConfig.mix > 0;
+        const effectsShare = runEffects ? EFFECTS_WET_SHARE : 0;
+        const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hexbloop-measure-'));
+        try {
+            const source = await MediaProbe.probe(inputPath, { signal }).catch((probeError) => {
+                if (signal?.aborted) throw signal.reason;
+                console.log('⚠️ Could not read source format:', probeError.message);
+                return null;
+            });
+
+            let masteringInput = inputPath;
+            if (runEffects) {
+                masteringInput = path.join(tempDir, 'temp_audio.wav');
+                await this.processEffects(inputPath, masteringInput, effects, {
+                    mix: processingConfig.mix,
+                    sampleRate: source?.audio?.sampleRate,
+                    signal,
+                    onProgress: onProgress && ((percent) => onProgress(percent * effectsShare))
+                });
+            }
+
+            const layout = await this.probeLayout(masteringInput, inputPath, source?.audio, { signal });
+            const measured = await this.measureLoudness(masteringInput, preset, {
+                signal,
+                layout,
+                onProgress: onProgress && ((percent) => onProgress(effectsShare * 100 + percent * (1 - effectsShare)))
+            });
+            return Number.isFinite(measured.input.integrated) ? measured : null;
+        } catch (error) {
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+            console.log(`⚠️ Could not measure the whole track's loudness: ${error.message}`);
+            return null;
+        } finally {
+            await fs.promises.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+        }
+    }
+
+    /**
+     * Channel layout of a file in the pipeline: the source's, or re-read after a stage rewrote it
+     * @param {string} filePath - File about to be processed
+     * @param {string} inputPath - The source file
+     * @param {Object|null} sourceAudio - Source audio stream from MediaProbe
+     * @returns {Promise<Object|null>} { channels, channelLayout }, the source's when the file can't be read
+     */
+    static async probeLayout(filePath, inputPath, sourceAudio, { signal } = {}) {
+        if (filePath === inputPath) {
+            return sourceAudio || null;
+        }
+        const info = await MediaProbe.probe(filePath, { signal }).catch((probeError) => {
+            if (signal?.aborted) throw signal.reason;
+            console.log('⚠️ Could not read intermediate format:', probeError.message);
+            return null;
+        });
+        return info?.audio || sourceAudio || null;
+    }
+    
+    /**
+     * Run the effects chain, blended with the dry signal when the mix is below 100%
+     * @param {Array} effects - From resolveEffectsChain()
+     * @param {Object} [options]
+     * @param {number} [options.mix=100] - Wet share in percent (settings.processing.mix)
+     * @param {number} [options.sampleRate] - Source sample rate (kept through the chain)
+     */
+    static async processEffects(inputPath, outputPath, effects, { mix = DEFAULT_MIX, sampleRate, signal, onProgress } = {}) {
+        if (mix >= 100) {
+            return this.runEffectsChain(inputPath, outputPath, effects, { sampleRate, signal, onProgress });
+        }
+
+        const wetFile = path.join(path.dirname(outputPath), 'temp_wet.wav');
+        await this.runEffectsChain(inputPath, wetFile, effects, {
+            sampleRate,
+            signal,
+            onProgress: onProgress && ((percent) => onProgress(percent * EFFECTS_WET_SHARE))
+        });
+        signal?.throwIfAborted();
+        await this.blendDry(wetFile, inputPath, outputPath, mix, {
+            signal,
+            onProgress: onProgress && ((percent) => onProgress(EFFECTS_WET_SHARE * 100 + percent * (1 - EFFECTS_WET_SHARE)))
+        });
+    }
+    
+    /**
+     * Run the effects chain: Sox when it is installed and can run every effect, FFmpeg otherwise
+     * @param {Array} effects - From resolveEffectsChain()
+     * @param {Object} [options]
+     * @param {number} [options.sampleRate] - Source sample rate, for FFmpeg's generated signals
+     */
+    static async runEffectsChain(inputPath, outputPath, effects, { sampleRate, signal, onProgress } = {}) {
+        const compiled = compileEffectsChain(effects, { sox: Boolean(binaries.sox.path), sampleRate });
+        console.log(`🎛️ Effects chain: ${describeEffectsChain(effects)} (${compiled.engine === 'sox' ? 'Sox' : 'FFmpeg'})`);
+
+        if (compiled.engine === 'ffmpeg') {
+            return this.processWithFFmpegOnly(inputPath, outputPath, compiled.graph, { signal, onProgress });
+        }
+        try {
+            await this.processSox(inputPath, outputPath, compiled.args, { signal, onProgress });
+        } catch (soxError) {
+            if (signal?.aborted) {
+                throw soxError;
+            }
+            console.log(`⚠️ ${soxError.message}, using FFmpeg for the effects chain...`);
+            const { graph } = compileEffectsChain(effects, { sox: false, sampleRate });
+            await this.processWithFFmpegOnly(inputPath, outputPath, graph, { signal, onProgress });
+        }
+    }
+    
+    /**
+     * Blend the effects chain's output with the dry source into a 32-bit float WAV
+     * @param {string} wetPath - Effects chain output
+     * @param {string} dryPath - The file the chain was run on
+     * @param {number} mix - Wet share in percent
+     */
+    static async blendDry(wetPath, dryPath, outputPath, mix, { signal, onProgress } = {}) {
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg(wetPath).input(dryPath);
+            const release = this.killOnAbort(signal, () => command.kill('SIGKILL'));
+
+            command
+                .complexFilter(buildDryWetGraph(mix))
+                .audioCodec('pcm_f32le')
+                .format('wav')
+                .on('start', (commandLine) => {
+                    console.log(`🎛️ Blending ${mix}% wet with the dry signal: ` + commandLine);
+                })
+                .on('progress', ffmpegProgressHandler(onProgress))
+                .on('end', () => {
+                    release();
+                    resolve();
+                })
+                .on('error', (err) => {
+                    release();
+                    if (signal?.aborted) {
+                        return reject(signal.reason);
+                    }
+                    console.error('❌ Dry/wet blend failed:', err.message);
+                    reject(err);
+                })
+                .save(outputPath);
+        });
+    }
+    
+    /**
+     * Run Sox effects into a 32-bit float WAV
+     * @param {string[]} effectArgs - From compileSoxEffects()
+     */
+    static async processSox(inputPath, outputPath, effectArgs, { signal, onProgress } = {}) {
+        return new Promise((resolve, reject) => {
             const soxBin = binaries.sox.path || 'sox';
             const soxProcess = spawn(soxBin, [
+                '-S',                                     // Progress on stderr ("In:42.10% ...")
                 inputPath,
+                '-b', '32', '-e', 'floating-point',       // 32-bit float intermediate; source rate and channels kept
                 outputPath,
-                'gain', '-h',                             // Add headroom BEFORE effects (prevents clipping)
-                'overdrive', influences.overdrive.toString(), '2.5',  // Distortion
-                'bass', `+${influences.bass}`,            // Low freq boost
-                'treble', influences.treble >= 0 ? `+${influences.treble}` : influences.treble.toString(),  // High freq adjust
-                'echo', influences.echo.delay.toString(), influences.echo.decay.toString(), '6.5', '0.045',  // Echo effect
-                'compand', `${influences.compand.attack},0.6`, '6:-70,-60,-20', '-2', '-90', '0.25',  // Compression
-                'gain', '-r',                             // Reclaim headroom AFTER effects (maximize volume safely)
-                'rate', '44100',                          // Sample rate
-                'dither'                                  // Dithering
+                ...effectArgs
             ]);
             
             let stderr = '';
+            const release = this.killOnAbort(signal, () => soxProcess.kill('SIGKILL'));
             
             soxProcess.stderr.on('data', (data) => {
-                stderr += data.toString();
+                const text = data.toString();
+                stderr += text;
+
+                // -S redraws one status line; report the latest input percentage
+                const percent = parseSoxProgress(text);
+                if (onProgress && percent !== null) {
+                    onProgress(percent);
+                }
             });
             
             soxProcess.on('close', (code) => {
-                if (code === 0) {
+                release();
+                if (signal?.aborted) {
+                    reject(signal.reason);
+                } else if (code === 0) {
                     console.log('✨ Sox processing complete');
                     resolve();
                 } else {
-                    console.log('⚠️ Sox not available, using FFmpeg for all processing...');
-                    this.processWithFFmpegOnly(inputPath, outputPath, influences).then(resolve).catch(reject);
+                    const lastLine = stderr.trim().split(/\r?\n/).pop();
+                    reject(new Error(`Sox failed (code ${code})${lastLine ? `: ${lastLine}` : ''}`));
                 }
             });
             
             soxProcess.on('error', (error) => {
-                console.log('⚠️ Sox not found, using FFmpeg fallback...');
-                this.processWithFFmpegOnly(inputPath, outputPath, influences).then(resolve).catch(reject);
+                release();
+                reject(signal?.aborted ? signal.reason : new Error(`Sox not available (${error.message})`));
             });
         });
     }
     
     /**
-     * Convert to MP3 with configurable bitrate
+     * Encode to the output format without mastering (resample and dither only)
+     * @param {Object} [options.output] - Output from resolveOutput (defaults to the settings with an unknown source rate)
      */
-    static async convertToMp3(inputPath, outputPath, settings = {}) {
+    static async encodeOutput(inputPath, outputPath, settings = {}, { signal, onProgress, output } = {}) {
         return new Promise((resolve, reject) => {
-            const bitrate = settings?.output?.mp3Bitrate || 192;
-
-            ffmpeg(inputPath)
-                .format('mp3')
-                .audioCodec('libmp3lame')
-                .audioBitrate(`${bitrate}k`)
-                .audioFrequency(44100)
-                .audioChannels(2)
+            output = output || resolveOutput(settings, inputPath, null);
+
+            const command = this.applyOutputFormat(ffmpeg(inputPath).audioFilters(output.filter), output, settings);
+            const release = this.killOnAbort(signal, () => command.kill('SIGKILL'));
+
+            command
                 .on('start', (commandLine) => {
-                    console.log(`🎵 Converting to MP3 (${bitrate}k): ` + commandLine);
+                    console.log(`🎵 Encoding ${output.format.toUpperCase()} (${describeOutput(output)}): ` + commandLine);
                 })
+                .on('progress', ffmpegProgressHandler(onProgress))
                 .on('end', () => {
-                    console.log('✨ MP3 conversion complete');
+                    release();
+                    console.log('✨ Encoding complete');
                     resolve();
                 })
                 .on('error', (err) => {
-                    console.error('❌ MP3 conversion failed:', err.message);
+                    release();
+                    if (signal?.aborted) {
+                        return reject(signal.reason);
+                    }
+                    console.error('❌ Encoding failed:', err.message);
                     reject(err);
                 })
                 .save(outputPath);
         });
     }
     
-    static async processWithFFmpegOnly(inputPath, outputPath, influences) {
+    /**
+     * Run the effects chain through FFmpeg into a 32-bit float WAV
+     * @param {string} graph - From compileEffectsChain() (generated sources make it a complex graph)
+     */
+    static async processWithFFmpegOnly(inputPath, outputPath, graph, { signal, onProgress } = {}) {
         return new Promise((resolve, reject) => {
-            // FFmpeg fallback that approximates Sox effects
-            const soxLikeFilters = [
-                'volume=-1.5dB',
-                `bass=g=${influences.bass}`,
-                `treble=g=${influences.treble}`,
-                `aecho=${influences.echo.delay}:${influences.echo.decay}:6.5:0.045`,
-                `acompressor=threshold=-20dB:ratio=${influences.compand.ratio || 6}:attack=${influences.compand.attack * 1000}:release=250:makeup=2`
-            ].join(',');
-            
-            ffmpeg(inputPath)
-                .audioFilters(soxLikeFilters)
-                .audioFrequency(44100)
-                .audioChannels(2)
-                .format('aiff')
+            const command = ffmpeg(inputPath);
+            const release = this.killOnAbort(signal, () => command.kill('SIGKILL'));
+
+            command
+                .complexFilter(graph)
+                .audioCodec('pcm_f32le')    // Same 32-bit float intermediate as the Sox stage
+                .format('wav')
                 .on('start', (commandLine) => {
-                    console.log('🎛️ FFmpeg sox-like processing: ' + commandLine);
+                    console.log('🎛️ FFmpeg effects processing: ' + commandLine);
                 })
+                .on('progress', ffmpegProgressHandler(onProgress))
                 .on('end', () => {
-                    console.log('✨ FFmpeg sox-like processing complete');
+                    release();
+                    console.log('✨ FFmpeg effects processing complete');
                     resolve();
                 })
                 .on('error', (err) => {
-                    console.error('❌ FFmpeg sox-like processing failed:', err.message);
+                    release();
+                    if (signal?.aborted) {
+                        return reject(signal.reason);
+                    }
+                    console.error('❌ FFmpeg effects processing failed:', err.message);
                     reject(err);
                 })
                 .save(outputPath);
         });
     }
     
-    static async processFFmpeg(inputPath, outputPath, settings = {}) {
-        return new Promise((resolve, reject) => {
-            // Extract format from output path or use settings
-            const outputExt = path.extname(outputPath).slice(1).toLowerCase();
-            const format = settings?.output?.format || outputExt || 'mp3';
-            const quality = settings?.output?.quality || 'high';
-            const sampleRate = settings?.output?.sampleRate || 44100;
-
-            // PROFESSIONAL MASTERING CHAIN (2025 best practices):
-            // EQ → Compression → Limiting → Loudness Normalization → Safety Limiter
-            const filterComplex = [
-                // 1. EQUALIZATION: Shape frequency response before dynamics
-                'equalizer=f=100:t=q:w=1:g=0.3',      // Low bass boost
-                'equalizer=f=800:t=q:w=1.2:g=0.5',    // Low-mid presence
-                'equalizer=f=1600:t=q:w=1:g=0.4',     // Mid clarity
-                'equalizer=f=5000:t=q:w=1:g=0.3',     // High-mid sparkle
-
-                // 2. COMPRESSION: Tighter ratio for mastering (4:1 instead of 2:1)
-                //    Lower threshold (-18dB) catches more dynamics
-                //    Faster attack (5ms) for transient control
-                //    Moderate release (50ms) for natural sound
-                //    Makeup gain (+4dB) compensates for reduction
-                'acompressor=threshold=-18dB:ratio=4:attack=5:release=50:makeup=4',
-
-                // 3. FIRST LIMITING: Catch peaks at -0.5dB (95% = -0.45dB)
-                'alimiter=limit=0.95',
-
-                // 4. LOUDNESS NORMALIZATION: EBU R128 standard
-                //    Integrated loudness: -16 LUFS (streaming standard)
-                //    True peak: -1.5dB (headroom for codec)
-                //    Loudness range: 11 LU (moderate dynamics)
-                'loudnorm=I=-16:TP=-1.5:LRA=11',
-
-                // 5. SAFETY LIMITER: Final protection at -0.3dB (97%)
-                'alimiter=limit=0.97'
-            ].join(',');
-            
-            let command = ffmpeg(inputPath)
-                .complexFilter(filterComplex)
-                .audioChannels(2);
-            
-            // Set sample rate if not preserving original
-            if (sampleRate > 0) {
-                command = command.audioFrequency(sampleRate);
-            }
-            
-            // Configure output format
-            switch (format) {
-                case 'mp3':
-                    // Use lower bitrate for actual compression (192k is high quality but compressed)
-                    // 128k = good quality, 192k = very good, 256k = excellent, 320k = maximum
-                    const mp3Bitrate = settings?.output?.mp3Bitrate || 192;
-                    command = command
-                        .format('mp3')
-                        .audioCodec('libmp3lame')
-                        .audioBitrate(`${mp3Bitrate}k`);
-                    break;
-                    
-                case 'wav':
-                    command = command
-                        .format('wav')
-                        .audioCodec('pcm_s16le'); // 16-bit PCM
-                    break;
-                    
-                case 'flac':
-                    const flacCompression = quality === 'maximum' ? 8 : quality === 'high' ? 5 : 2;
-                    command = command
-                        .format('flac')
-                        .audioCodec('flac')
-                        .outputOptions(`-compression_level ${flacCompression}`);
-                    break;
-                    
-                case 'aac':
-                case 'm4a':
-                    const aacBitrate = quality === 'maximum' ? 320 : quality === 'high' ? 256 : quality === 'medium' ? 192 : 128;
-                    command = command
-                        .format('mp4')
-                        .audioCodec('aac')
-                        .audioBitrate(`${aacBitrate}k`);
-                    break;
-                    
-                case 'ogg':
-                    const oggQuality = quality === 'maximum' ? 10 : quality === 'high' ? 8 : quality === 'medium' ? 5 : 3;
-                    command = command
-                        .format('ogg')
-                        .audioCodec('libvorbis')
-                        .outputOptions(`-q:a ${oggQuality}`);
-                    break;
-                    
-                case 'original':
-                    // Keep original format, just apply effects
-                    const originalExt = path.extname(inputPath).slice(1).toLowerCase();
-                    command = command.format(originalExt);
-                    break;
-                    
-                default:
-                    // Default to MP3 with user's configured bitrate
-                    const defaultBitrate = settings?.output?.mp3Bitrate || 192;
-                    command = command
-                        .format('mp3')
-                        .audioCodec('libmp3lame')
-                        .audioBitrate(`${defaultBitrate}k`);
+    /**
+     * Master a file with the selected preset
+     *
+     * Presets with a loudness target are normalized in two passes: the first
+     * measures what loudnorm will see, the second applies the measured values
+     * in linear mode so the whole file gets one gain offset instead of pumping.
+     * If measuring fails the render falls back to single-pass loudnorm.
+     *
+     * @param {Object|null} [options.layout] - { channels, channelLayout } of inputPath, for the mono fold
+     *   and the output channel matrix
+     * @param {Object|null} [options.measured] - Stats from measureMasteringLoudness() used instead of pass 1,
+     *   so an excerpt is mastered like its whole track
+     * @returns {Promise<Object|null>} Loudness report, null when the preset has no loudness target:
+     *   { target, before, after, normalization: 'linear'|'dynamic', passes }
+     *   where before/after are { integrated (LUFS), truePeak (dBTP), range (LU) }
+     */
+    static async processFFmpeg(inputPath, outputPath, settings = {}, { signal, onProgress, output, layout = null, measured: premeasured = null } = {}) {
+        const { id: presetId, preset } = resolveMasteringPreset(settings);
+        console.log(`🎚️ Mastering preset: ${preset.name} (${presetId})`);
+
+        // The output matrix works on what the chain hands over, not on the source's channels
+        const encodeLayout = masteredLayout(preset, layout);
+        if (encodeLayout) {
+            output = forEncodeLayout(output || resolveOutput(settings, inputPath, null), settings, encodeLayout);
+        }
+
+        if (!preset.loudness) {
+            await this.renderMaster(inputPath, outputPath, settings, buildMasteringFilters(preset, { layout }), { signal, onProgress, output });
+            return null;
+        }
+
+        // Pass 1: measurement (a decode-only run, so it gets the smaller share of the stage)
+        let measured = premeasured;
+        if (measured) {
+            console.log(`📏 Mastering with the whole track's loudness (${measured.input.integrated} LUFS)`);
+        } else {
+            try {
+                measured = await this.measureLoudness(inputPath, preset, {
+                    signal,
+                    layout,
+                    onProgress: onProgress && ((percent) => onProgress(percent * LOUDNESS_MEASURE_SHARE))
+                });
+                if (measured && !Number.isFinite(measured.input.integrated)) {
+                    console.log('⚠️ Input measured as silent, using single-pass loudnorm');
+                    measured = null;
+                }
+            } catch (error) {
+                if (signal?.aborted) {
+                    throw signal.reason;
+                }
+                console.log(`⚠️ Loudness measurement failed, using single-pass loudnorm: ${error.message}`);
             }
+        }
+
+        // Pass 2: render
+        const stderr = await this.renderMaster(inputPath, outputPath, settings,
+            buildMasteringFilters(preset, { measured, printStats: true, layout }), {
+                signal,
+                output,
+                onProgress: onProgress && ((percent) => onProgress(
+                    LOUDNESS_MEASURE_SHARE * 100 + percent * (1 - LOUDNESS_MEASURE_SHARE)
+                ))
+            });
+        const rendered = parseLoudnormStats(stderr);
+        const source = measured || rendered;
+        const loudness = {
+            target: { ...preset.loudness },
+            before: source ? this.loudnessSummary(source.input) : null,
+            after: rendered ? this.loudnessSummary(rendered.output) : null,
+            normalization: rendered?.normalization || (measured ? 'linear' : 'dynamic'),
+            passes: measured ? 2 : 1
+        };
+
+        if (loudness.before && loudness.after) {
+            console.log(`📏 Loudness: ${loudness.before.integrated} → ${loudness.after.integrated} LUFS, ` +
+                `true peak ${loudness.after.truePeak} dBTP (${loudness.normalization})`);
+        }
+        return loudness;
+    }
+
+    /**
+     * Loudness measurement pass: run the chain up to loudnorm and read its stats
+     * @returns {Promise<Object|null>} Parsed loudnorm stats (see parseLoudnormStats)
+     */
+    static async measureLoudness(inputPath, preset, { signal, onProgress, layout = null } = {}) {
+        return new Promise((resolve, reject) => {
+            const stderr = [];
+            const command = ffmpeg(inputPath)
+                .complexFilter(buildLoudnessMeasurementFilters(preset, { layout }).join(','))
+                .noVideo()
+                .format('null');
+
+            const release = this.killOnAbort(signal, () => command.kill('SIGKILL'));
+
+            command
+                .on('start', (commandLine) => {
+                    console.log(`📏 Measuring loudness: ${commandLine}`);
+                })
+                .on('stderr', (line) => stderr.push(line))
+                .on('progress', ffmpegProgressHandler(onProgress))
+                .on('end', () => {
+                    release();
+                    const stats = parseLoudnormStats(stderr.join('\n'));
+                    if (!stats) {
+                        return reject(new Error('loudnorm printed no statistics'));
+                    }
+                    resolve(stats);
+                })
+                .on('error', (err) => {
+                    release();
+                    reject(signal?.aborted ? signal.reason : err);
+                })
+                .save('-');
+        });
+    }
+
+    /**
+     * Integrated loudness, true peak and loudness range from one side of loudnorm's stats
+     */
+    static loudnessSummary({ integrated, truePeak, range }) {
+        return { integrated, truePeak, range };
+    }
+
+    /**
+     * Render pass of the mastering stage
+     * @param {string[]} filters - Mastering chain from buildMasteringFilters
+     * @param {Object} [options.output] - Output from resolveOutput (defaults to the settings with an unknown source rate)
+     * @returns {Promise<string>} The tail of FFmpeg's stderr, where loudnorm prints its stats
+     */
+    static async renderMaster(inputPath, outputPath, settings, filters, { signal, onProgress, output } = {}) {
+        return new Promise((resolve, reject) => {
+            output = output || resolveOutput(settings, inputPath, null);
+            const format = output.format;
+            const stderr = [];
+
+            // EQ → Compression → Limiting → Loudness Normalization → Safety Limiter → Channels/Resample/Dither
+            // (loudnorm works at 192 kHz internally, so the final aresample always sets the rate)
+            const command = this.applyOutputFormat(ffmpeg(inputPath).complexFilter([...filters, output.filter].join(',')), output, settings);
             
+            const release = this.killOnAbort(signal, () => command.kill('SIGKILL'));
+
             command
                 .on('start', (commandLine) => {
                     console.log(`🎛️ FFmpeg mastering to ${format.toUpperCase()}: ${commandLine}`);
                 })
-                .on('progress', (progress) => {
-                    if (progress.percent) {
-                        process.stdout.write(`\r🎵 Processing: ${Math.round(progress.percent)}%`);
+                .on('stderr', (line) => {
+                    // Keep only the tail; loudnorm prints its stats last
+                    stderr.push(line);
+                    if (stderr.length > STDERR_TAIL_LINES) {
+                        stderr.shift();
                     }
                 })
+                .on('progress', ffmpegProgressHandler(onProgress))
                 .on('end', () => {
-                    console.log(`\n✅ FFmpeg mastering complete (${format.toUpperCase()})`);
-                    resolve();
+                    release();
+                    console.log(`✅ FFmpeg mastering complete (${format.toUpperCase()})`);
+                    resolve(stderr.join('\n'));
                 })
                 .on('error', (err) => {
-                    console.error('\n❌ FFmpeg mastering failed:', err.message);
+                    release();
+                    if (signal?.aborted) {
+                        return reject(signal.reason);
+                    }
+                    console.error('❌ FFmpeg mastering failed:', err.message);
                     reject(err);
                 })
                 .save(outputPath);
         });
     }
+
+    /**
+     * Set the container and codec of the final encode
+     * @param {Object} command - fluent-ffmpeg command
+     * @param {Object} output - Output from resolveOutput
+     * @param {Object} settings - Full settings (bitrates and quality)
+     * @returns {Object} The command
+     */
+    static applyOutputFormat(command, output, settings) {
+        const quality = settings?.output?.quality || 'high';
+
+        switch (output.format) {
+            case 'mp3':
+                // Use lower bitrate for actual compression (192k is high quality but compressed)
+                // 128k = good quality, 192k = very good, 256k = excellent, 320k = maximum
+                return command
+                    .format('mp3')
+                    .audioCodec('libmp3lame')
+                    .audioBitrate(`${settings?.output?.mp3Bitrate || 192}k`);
+
+            case 'wav':
+            case 'aiff':
+                return command
+                    .format(output.format)
+                    .audioCodec(output.codec);
+
+            case 'flac':
+                // 24-bit arrives as s32; the encoder stores it as 24-bit
+                const flacCompression = quality === 'maximum' ? 8 : quality === 'high' ? 5 : 2;
+                return command
+                    .format('flac')
+                    .audioCodec('flac')
+                    .outputOptions(`-compression_level ${flacCompression}`);
+
+            case 'aac':
+                const aacBitrate = quality === 'maximum' ? 320 : quality === 'high' ? 256 : quality === 'medium' ? 192 : 128;
+                return command
+                    .format('mp4')
+                    .audioCodec('aac')
+                    .audioBitrate(`${aacBitrate}k`);
+
+            case 'ogg':
+                const oggQuality = quality === 'maximum' ? 10 : quality === 'high' ? 8 : quality === 'medium' ? 5 : 3;
+                return command
+                    .format('ogg')
+                    .audioCodec('libvorbis')
+                    .outputOptions(`-q:a ${oggQuality}`);
+
+            default:
+                // 'original' in a container without a mapping: keep its extension as the muxer
+                return command.format(output.format);
+        }
+    }
     
 }
 
@@ -0,0 +1,327 @@
+/**
+ * @fileoverview Persistent job journal for resumable batches
+ * @author Hexbloop Audio Labs
+ * @description Records every file's state in the output folder while a batch runs,
+ * so a batch interrupted by a crash, sleep or quit can be resumed on next launch.
+ *
+ * The journal lives next to the outputs (`.hexbloop-journal-<id>.json`). A small
+ * registry in the user data folder lists journals that have not finished yet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getUserDataPath } = require('../shared/user-data-path');
+
+const JOURNAL_VERSION = 1;
+const JOURNAL_PREFIX = '.hexbloop-journal-';
+const REGISTRY_FILE = 'unfinished-batches.json';
+
+// File states written to the journal
+const FILE_STATES = ['pending', 'processing', 'complete', 'failed', 'skipped'];
+
+class BatchJournal {
+    /**
+     * @param {string} journalPath - Journal file location
+     * @param {Object} data - Journal contents
+     * @param {Object} [options]
+     * @param {string} [options.userDataPath] - Registry location (defaults to the app's user data folder)
+     */
+    constructor(journalPath, data, { userDataPath } = {}) {
+        this.path = journalPath;
+        this.data = data;
+        this.userDataPath = userDataPath || getUserDataPath();
+    }
+
+    /**
+     * Start a journal for a planned batch and register it as unfinished
+     * @param {Object} batch
+     * @param {string} batch.outputDirectory - Output folder (session folder included)
+     * @param {string|null} batch.sessionFolder - Session folder name, if any
+     * @param {Object} batch.settings - Settings snapshot used for the batch
+     * @param {string|null} batch.renderAt - Pinned render date (clock.toJSON())
+     * @param {Array<Object>} batch.jobs - Planned jobs from BatchProcessor.planJobs
+     * @param {Object} [options] - See constructor
+     * @returns {BatchJournal}
+     */
+    static create({ outputDirectory, sessionFolder, settings, renderAt, jobs }, options = {}) {
+        const id = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+        const now = new Date().toISOString();
+
+        const journal = new BatchJournal(path.join(outputDirectory, `${JOURNAL_PREFIX}${id}.json`), {
+            version: JOURNAL_VERSION,
+            id,
+            status: 'running',
+            createdAt: now,
+            updatedAt: now,
+            outputDirectory,
+            sessionFolder,
+            renderAt,
+            settings,
+            files: jobs.map(job => job.error ? {
+                index: job.index,
+                input: job.filePath,
+                state: 'failed',
+                error: job.error.message
+            } : {
+                index: job.index,
+                input: job.resolvedPath,
+                generatedName: job.generatedName,
+                outputFile: job.outputFile,
+                output: job.outputPath,
+                state: 'pending'
+            })
+        }, options);
+
+        journal.save();
+        journal.register();
+        return journal;
+    }
+
+    /**
+     * Read a journal from disk
+     * @param {string} journalPath - Journal file location
+     * @param {Object} [options] - See constructor
+     * @returns {BatchJournal}
+     * @throws {Error} If the file is missing or not a Hexbloop journal
+     */
+    static load(journalPath, options = {}) {
+        const data = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+        if (data.version !== JOURNAL_VERSION || !Array.isArray(data.files)) {
+            throw new Error(`Not a Hexbloop batch journal: ${path.basename(journalPath)}`);
+        }
+        return new BatchJournal(journalPath, data, options);
+    }
+
+    /**
+     * Journals of batches that never finished, newest first. Journals that were
+     * deleted or finished elsewhere are dropped from the registry.
+     * @param {Object} [options] - See constructor
+     * @param {string[]} [options.exclude] - Batch ids to leave out (batches running right now)
+     * @returns {Array<Object>} Summaries from summary()
+     */
+    static findUnfinished(options = {}) {
+        const exclude = new Set(options.exclude || []);
+        const registryPath = BatchJournal.registryPath(options.userDataPath);
+        const registered = BatchJournal.readRegistry(registryPath);
+        const journals = [];
+
+        for (const journalPath of registered) {
+            try {
+                const journal = BatchJournal.load(journalPath, options);
+                if (journal.data.status !== 'complete') {
+                    journals.push(journal.summary());
+                }
+            } catch (error) {
+                console.log(`⚠️ Dropping unreadable batch journal ${journalPath}: ${error.message}`);
+            }
+        }
+
+        if (journals.length !== registered.length) {
+            BatchJournal.writeRegistry(registryPath, journals.map(journal => journal.path));
+        }
+
+        return journals
+            .filter(journal => !exclude.has(journal.id))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Forget an unfinished batch and delete its journal. Outputs are kept.
+     * @param {string} journalPath - Journal file location
+     * @param {Object} [options] - See constructor
+     */
+    static discard(journalPath, options = {}) {
+        new BatchJournal(journalPath, null, options).finish();
+    }
+
+    /**
+     * @param {string} [userDataPath] - User data folder
+     * @returns {string} Registry file location
+     */
+    static registryPath(userDataPath) {
+        return path.join(userDataPath || getUserDataPath(), REGISTRY_FILE);
+    }
+
+    /**
+     * @private
+     */
+    static readRegistry(registryPath) {
+        try {
+            const list = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+            return Array.isArray(list) ? list.filter(entry => typeof entry === 'string') : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * @private
+     */
+    static writeRegistry(registryPath, list) {
+        try {
+            fs.mkdirSync(path.dirname(registryPath), { recursive: true });
+            fs.writeFileSync(registryPath, JSON.stringify(list, null, 2), 'utf8');
+        } catch (error) {
+            console.log('⚠️ Could not save unfinished batch list:', error.message);
+        }
+    }
+
+    get id() {
+        return this.data.id;
+    }
+
+    get files() {
+        return this.data.files;
+    }
+
+    get settings() {
+        return this.data.settings;
+    }
+
+    get renderAt() {
+        return this.data.renderAt;
+    }
+
+    get outputDirectory() {
+        return this.data.outputDirectory;
+    }
+
+    get sessionFolder() {
+        return this.data.sessionFolder;
+    }
+
+    /**
+     * Record a file's new state and write the journal
+     * @param {number} index - File index in the batch
+     * @param {Object} changes - { state, bytes, influence, loudness, levels, tempo, key, error }
+     */
+    update(index, changes) {
+        if (changes.state && !FILE_STATES.includes(changes.state)) {
+            throw new Error(`Unknown journal file state: ${changes.state}`);
+        }
+        const entry = this.data.files[index];
+        Object.assign(entry, changes);
+        if (changes.state && changes.state !== 'failed') {
+            delete entry.error;
+        }
+        this.save();
+    }
+
+    /**
+     * Set the batch status ('running' | 'interrupted' | 'complete') and write the journal
+     * @param {string} status - New status
+     */
+    setStatus(status) {
+        this.data.status = status;
+        this.save();
+    }
+
+    /**
+     * Whether a finished file's output is still on disk exactly as written
+     * @param {Object} entry - Journal file entry
+     * @returns {boolean}
+     */
+    isOutputVerified(entry) {
+        if (entry.state !== 'complete' || !entry.output || !(entry.bytes > 0)) {
+            return false;
+        }
+        try {
+            const stats = fs.statSync(entry.output);
+            return stats.isFile() && stats.size === entry.bytes;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Jobs for resuming the batch, in planJobs shape. Verified outputs come back
+     * with done: true; files that failed stay failed; everything else runs again.
+     * @returns {Array<Object>}
+     */
+    resumeJobs() {
+        return this.data.files.map((entry) => {
+            if (entry.state === 'failed') {
+                return { index: entry.index, filePath: entry.input, error: new Error(entry.error || 'Failed') };
+            }
+
+            const job = {
+                index: entry.index,
+                filePath: entry.input,
+                resolvedPath: entry.input,
+                generatedName: entry.generatedName,
+                outputFile: entry.outputFile,
+                outputPath: entry.output
+            };
+
+            return this.isOutputVerified(entry) ? {
+                ...job,
+                done: true,
+                influence: entry.influence,
+                loudness: entry.loudness,
+                levels: entry.levels,
+                tempo: entry.tempo,
+                key: entry.key
+            } : job;
+        });
+    }
+
+    /**
+     * Short description for resume prompts
+     * @returns {{path: string, id: string, createdAt: string, outputDirectory: string, total: number, remaining: number}}
+     */
+    summary() {
+        const remaining = this.data.files.filter(entry =>
+            entry.state !== 'failed' && !this.isOutputVerified(entry)
+        ).length;
+
+        return {
+            path: this.path,
+            id: this.data.id,
+            createdAt: this.data.createdAt,
+            outputDirectory: this.data.outputDirectory,
+            total: this.data.files.length,
+            remaining
+        };
+    }
+
+    /**
+     * Write the journal atomically so a crash mid-write never corrupts it
+     */
+    save() {
+        this.data.updatedAt = new Date().toISOString();
+        const tempPath = `${this.path}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+            fs.renameSync(tempPath, this.path);
+        } catch (error) {
+            console.log('⚠️ Could not save batch journal:', error.message);
+        }
+    }
+
+    /**
+     * Add this journal to the unfinished batch registry
+     */
+    register() {
+        const registryPath = BatchJournal.registryPath(this.userDataPath);
+        const list = BatchJournal.readRegistry(registryPath);
+        if (!list.includes(this.path)) {
+            BatchJournal.writeRegistry(registryPath, [...list, this.path]);
+        }
+    }
+
+    /**
+     * The batch is over: delete the journal and remove it from the registry
+     */
+    finish() {
+        const registryPath = BatchJournal.registryPath(this.userDataPath);
+        const list = BatchJournal.readRegistry(registryPath);
+        if (list.includes(this.path)) {
+            BatchJournal.writeRegistry(registryPath, list.filter(entry => entry !== this.path));
+        }
+        fs.rmSync(this.path, { force: true });
+    }
+}
+
+module.exports = BatchJournal;
+module.exports.JOURNAL_PREFIX = JOURNAL_PREFIX;
@@ -9,9 +9,16 @@ const fs = require('fs');
 const os = require('os');
 const NameGenerator = require('../name-generator');
 const LunarProcessor = require('../lunar-processor');
+const ProcessingClock = require('../processing-clock');
+const { getUserDataPath } = require('../shared/user-data-path');
 
 class BatchNamingEngine {
-    constructor(settings = {}) {
+    /**
+     * @param {Object} settings - Batch naming settings (settings.batch)
+     * @param {Object} [options]
+     * @param {ProcessingClock} [options.clock] - Processing clock (pinned for reproducible renders)
+     */
+    constructor(settings = {}, options = {}) {
         this.settings = {
             namingScheme: settings.namingScheme || 'mystical',
             prefix: settings.prefix || '',
@@ -24,12 +31,13 @@ class BatchNamingEngine {
         };
         
         this.fileCounter = 0;
-        this.sessionTimestamp = new Date();
+        this.clock = options.clock || new ProcessingClock();
+        this.sessionTimestamp = this.clock.now();
         this.moonPhase = null;
         
         // Initialize moon phase for consistent lunar naming
         try {
-            this.moonPhase = LunarProcessor.getMoonPhase();
+            this.moonPhase = LunarProcessor.getMoonPhase(this.sessionTimestamp);
         } catch (e) {
             console.log('🌙 Could not get moon phase for naming');
         }
@@ -40,16 +48,18 @@ class BatchNamingEngine {
      * @param {string} originalPath - Original file path
      * @param {number} index - Position in batch (0-based)
      * @param {number} total - Total files in batch
+     * @param {Object} [influences]
+     * @param {Object} [influences.key] - Detected key (AudioAnalyzer.reliableKey), used when settings.useKey is on
      * @returns {string} Generated filename (without path)
      */
-    generateName(originalPath, index = 0, total = 1) {
+    generateName(originalPath, index = 0, total = 1, { key = null } = {}) {
         const originalName = path.parse(originalPath).name;
         let baseName = '';
         
         // Generate base name based on scheme
         switch (this.settings.namingScheme) {
             case 'mystical':
-                baseName = this.generateMysticalName(index);
+                baseName = this.generateMysticalName(index, key);
                 break;
                 
             case 'sequential':
@@ -69,7 +79,7 @@ class BatchNamingEngine {
                 break;
                 
             default:
-                baseName = NameGenerator.generateMystical({ moonPhase: this.moonPhase });
+                baseName = this.generateMysticalName(index, key);
         }
         
         // Build final name with optional elements
@@ -107,12 +117,25 @@ class BatchNamingEngine {
     }
     
     /**
-     * Generate mystical name using lunar/temporal influences
+     * Whether names are influenced by each file's detected key, so sources
+     * need analyzing before they are named
+     * @returns {boolean}
+     */
+    usesKey() {
+        return Boolean(this.settings.useKey) && this.settings.namingScheme === 'mystical';
+    }
+
+    /**
+     * Generate mystical name using lunar/temporal influences (and the key, when enabled)
      */
-    generateMysticalName(index) {
+    generateMysticalName(index, key = null) {
         return NameGenerator.generateMystical({ 
             moonPhase: this.moonPhase,
-            batchIndex: index 
+            key: this.settings.useKey ? key : null,
+            batchIndex: index,
+            date: this.sessionTimestamp,
+            timeZone: this.clock.timeZone(),
+            seed: this.clock.seed(`name:${index}`)
         });
     }
     
@@ -128,17 +151,17 @@ class BatchNamingEngine {
      * Generate timestamp-based name
      */
     generateTimestampName(index) {
-        const date = this.sessionTimestamp;
+        const date = ProcessingClock.wallTime(this.sessionTimestamp, this.clock.timeZone());
         const dateStr = [
-            date.getFullYear(),
-            String(date.getMonth() + 1).padStart(2, '0'),
-            String(date.getDate()).padStart(2, '0')
+            date.year,
+            String(date.month).padStart(2, '0'),
+            String(date.day).padStart(2, '0')
         ].join('');
         
         const timeStr = [
-            String(date.getHours()).padStart(2, '0'),
-            String(date.getMinutes()).padStart(2, '0'),
-            String(date.getSeconds()).padStart(2, '0')
+            String(date.hour).padStart(2, '0'),
+            String(date.minute).padStart(2, '0'),
+            String(date.second).padStart(2, '0')
         ].join('');
         
         return `hexbloop${this.settings.separator}${dateStr}${this.settings.separator}${timeStr}`;
@@ -148,7 +171,9 @@ class BatchNamingEngine {
      * Generate hybrid name (mystical + numbering)
      */
     generateHybridName(index) {
-        const mystical = NameGenerator.generateCleanName();
+        const seed = this.clock.seed(`hybrid:${index}`);
+        const randomFunc = seed ? NameGenerator.seededRandom(seed) : Math.random;
+        const mystical = NameGenerator.generateCleanName(randomFunc, this.sessionTimestamp, this.clock.timeZone());
         const number = this.generateNumber(index);
         
         if (number && this.settings.numberingStyle !== 'none') {
@@ -232,15 +257,15 @@ class BatchNamingEngine {
             return null;
         }
 
-        const date = this.sessionTimestamp;
+        const date = ProcessingClock.wallTime(this.sessionTimestamp, this.clock.timeZone());
 
         switch (this.settings.folderScheme) {
             case 'date':
                 // YYYY-MM-DD_session_01, YYYY-MM-DD_session_02, etc.
                 const dateStr = [
-                    date.getFullYear(),
-                    String(date.getMonth() + 1).padStart(2, '0'),
-                    String(date.getDate()).padStart(2, '0')
+                    date.year,
+                    String(date.month).padStart(2, '0'),
+                    String(date.day).padStart(2, '0')
                 ].join('-');
                 const dailyCounter = this.getAndIncrementDailyCounter(dateStr);
                 return `${dateStr}_session_${String(dailyCounter).padStart(2, '0')}`;
@@ -250,7 +275,7 @@ class BatchNamingEngine {
                 const phaseName = this.moonPhase ?
                     this.moonPhase.name.toLowerCase().replace(/ /g, '_') :
                     'unknown_phase';
-                const lunarDateStr = `${date.getFullYear()}_${String(date.getMonth() + 1).padStart(2, '0')}_${String(date.getDate()).padStart(2, '0')}`;
+                const lunarDateStr = `${date.year}_${String(date.month).padStart(2, '0')}_${String(date.day).padStart(2, '0')}`;
                 const lunarKey = `lunar_${phaseName}_${lunarDateStr}`;
                 const lunarCounter = this.getAndIncrementDailyCounter(lunarKey);
                 return `${lunarKey}_${String(lunarCounter).padStart(2, '0')}`;
@@ -269,9 +294,7 @@ class BatchNamingEngine {
      * Get storage path for session counters
      */
     getCounterStoragePath() {
-        const app = require('electron').app;
-        const userDataPath = app.getPath('userData');
-        return path.join(userDataPath, 'session-counters.json');
+        return path.join(getUserDataPath(), 'session-counters.json');
     }
 
     /**
@@ -345,7 +368,7 @@ class BatchNamingEngine {
         
         // Ensure name isn't empty
         if (!name) {
-            name = `hexbloop_${Date.now()}`;
+            name = `hexbloop_${this.sessionTimestamp.getTime()}`;
         }
         
         // Limit length to 200 chars (leave room for extension)
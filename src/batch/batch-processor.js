@@ -0,0 +1,556 @@
+/**
+ * @fileoverview Batch processor for Hexbloop
+ * @author Hexbloop Audio Labs
+ * @description Runs a list of files through the audio pipeline with batch naming,
+ * session folders and manifests, several files at a time. Shared by the Electron
+ * app, the CLI and watch folders.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const AudioProcessor = require('../audio-processor');
+const BatchNamingEngine = require('./batch-naming-engine');
+const JobPlanner = require('./job-planner');
+const BatchJournal = require('./batch-journal');
+const JobQueue = require('./job-queue');
+const { JobCancelledError } = JobQueue;
+const ProcessingClock = require('../processing-clock');
+const { validateInputFile } = require('../shared/input-validation');
+
+// Minimum gap between stage progress events for one file
+const PROGRESS_INTERVAL_MS = 200;
+
+class BatchProcessor {
+    /**
+     * @param {Object} options
+     * @param {Object} options.settings - Full settings snapshot used for the whole batch
+     * @param {ProcessingClock} [options.clock] - Processing clock (defaults to settings.processing.renderAt)
+     * @param {Function} [options.onProgress] - Called with per-file events { index, total, fileName, status, completed, failed, active };
+     *   plus { overallPercent, eta }; 'progress' events add { stage, stagePercent, filePercent }
+     * @param {boolean} [options.journal=false] - Keep a resumable job journal in the output folder
+     */
+    constructor({ settings, clock, onProgress, journal = false } = {}) {
+        if (!settings) {
+            throw new Error('BatchProcessor requires settings');
+        }
+
+        this.settings = settings;
+        this.clock = clock || ProcessingClock.resolve(settings);
+        this.onProgress = onProgress || (() => {});
+        this.namingEngine = new BatchNamingEngine(settings.batch, { clock: this.clock });
+        this.queue = new JobQueue({ concurrency: settings.processing.concurrency });
+        this.journalEnabled = journal;
+        this.journal = null;
+        this.keepJournal = false;
+    }
+
+    /**
+     * Build a processor that continues an unfinished batch with its original
+     * settings and render date
+     * @param {BatchJournal} journal - Journal of the interrupted batch
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Per-file progress callback
+     * @returns {BatchProcessor}
+     */
+    static fromJournal(journal, { onProgress } = {}) {
+        return new BatchProcessor({
+            settings: journal.settings,
+            clock: new ProcessingClock(journal.renderAt),
+            onProgress,
+            journal: true
+        });
+    }
+
+    /**
+     * Id of the journal this batch writes, once it has started
+     * @returns {string|null}
+     */
+    get journalId() {
+        return this.journal ? this.journal.id : null;
+    }
+
+    /**
+     * Batch state for the UI
+     * @returns {'running'|'paused'|'cancelled'}
+     */
+    get state() {
+        return this.queue.state;
+    }
+
+    /**
+     * Pause the batch. Files in flight are stopped and start over on resume().
+     * @returns {boolean} False if already paused or cancelled
+     */
+    pause() {
+        const paused = this.queue.pause();
+        if (paused) {
+            console.log('⏸️ Batch paused');
+        }
+        return paused;
+    }
+
+    /**
+     * Resume a paused batch
+     * @returns {boolean} False if the batch was not paused
+     */
+    resume() {
+        const resumed = this.queue.resume();
+        if (resumed) {
+            console.log('▶️ Batch resumed');
+        }
+        return resumed;
+    }
+
+    /**
+     * Cancel the batch. Running sox/ffmpeg processes are killed and every file
+     * that has not finished is reported as skipped.
+     * @returns {boolean} False if already cancelled
+     */
+    cancel() {
+        const cancelled = this.queue.cancel();
+        if (cancelled) {
+            console.log('⏹️ Batch cancelled');
+        }
+        return cancelled;
+    }
+
+    /**
+     * Stop for app shutdown: kills running jobs like cancel(), but keeps the
+     * journal so the batch is offered for resume on next launch
+     * @returns {boolean} False if already cancelled
+     */
+    interrupt() {
+        this.keepJournal = true;
+        return this.queue.cancel();
+    }
+
+    /**
+     * Resolve and create the output directory, including the optional session folder
+     * @returns {{outputDirectory: string, sessionFolder: string|null}}
+     */
+    prepareOutputDirectory() {
+        // Use the user's configured output folder; fallback matches settings-schema default
+        let outputDirectory = this.settings.ui.outputFolder || path.join(os.homedir(), 'Documents', 'HexbloopOutput');
+
+        const sessionFolder = this.namingEngine.generateSessionFolder();
+        if (sessionFolder) {
+            outputDirectory = path.join(outputDirectory, sessionFolder);
+        }
+
+        if (!fs.existsSync(outputDirectory)) {
+            fs.mkdirSync(outputDirectory, { recursive: true });
+            console.log(`✨ Created output directory: ${outputDirectory}`);
+        }
+
+        return { outputDirectory, sessionFolder };
+    }
+
+    /**
+     * Name every file up front (see JobPlanner.plan())
+     * @param {string[]} filePaths - Input files
+     * @param {string} outputDirectory - Destination folder
+     * @param {Object} [session] - { fileCount, plannedOutputs } of a continuing session (see append()),
+     *   plus keys from detectKeys()
+     * @returns {Array<Object>} Planned jobs
+     */
+    planJobs(filePaths, outputDirectory, session = {}) {
+        return JobPlanner.plan(filePaths, {
+            namingEngine: this.namingEngine,
+            outputDirectory,
+            format: this.settings.output.format || 'mp3',
+            separator: this.settings.batch.separator || '_',
+            ...session
+        });
+    }
+
+    /**
+     * Detected key per file when batch.useKey steers the names (see JobPlanner.detectKeys())
+     * @param {string[]} filePaths - Input files
+     * @returns {Promise<Array<Object|null>>}
+     */
+    detectKeys(filePaths) {
+        return JobPlanner.detectKeys(this.namingEngine, filePaths);
+    }
+
+    /**
+     * Process every file through a bounded job queue. Results keep input order and
+     * failures are recorded per file without aborting the batch. After cancel(),
+     * unfinished files come back as { success: false, skipped: true }.
+     * @param {string[]} filePaths - Input files
+     * @returns {Promise<Object>} { results, manifest, outputDirectory, firstSuccessfulOutput, cancelled }
+     */
+    async process(filePaths) {
+        if (this.clock.isPinned()) {
+            console.log(`🕰️ Rendering as of ${this.clock.toJSON()}`);
+        }
+
+        const keys = await this.detectKeys(filePaths);
+        const { outputDirectory, sessionFolder } = this.prepareOutputDirectory();
+        const jobs = this.planJobs(filePaths, outputDirectory, { keys });
+
+        const journal = this.journalEnabled ? BatchJournal.create({
+            outputDirectory,
+            sessionFolder,
+            settings: this.settings,
+            renderAt: this.clock.toJSON(),
+            jobs
+        }) : null;
+        this.journal = journal;
+
+        return this.run(jobs, { outputDirectory, sessionFolder, journal });
+    }
+
+    /**
+     * Process files into one continuing session, as watch folders do file by file.
+     * The first call creates the output (and session) folder; later calls reuse it,
+     * continue the numbering and rewrite the same manifest with every file so far.
+     * @param {string[]} filePaths - Input files
+     * @returns {Promise<Object>} Same shape as process(); the manifest covers the whole session
+     */
+    async append(filePaths) {
+        const keys = await this.detectKeys(filePaths);
+        if (!this.session) {
+            this.session = {
+                ...this.prepareOutputDirectory(),
+                fileCount: 0,
+                plannedOutputs: new Set(),
+                manifestFiles: []
+            };
+        }
+        const session = this.session;
+
+        const jobs = this.planJobs(filePaths, session.outputDirectory, {
+            fileCount: session.fileCount,
+            plannedOutputs: session.plannedOutputs,
+            keys
+        });
+        session.fileCount += filePaths.length;
+
+        const batchRun = await this.run(jobs, {
+            outputDirectory: session.outputDirectory,
+            sessionFolder: session.sessionFolder,
+            journal: null,
+            earlierFiles: session.manifestFiles
+        });
+        if (batchRun.manifest) {
+            session.manifestFiles = batchRun.manifest.files;
+        }
+        return batchRun;
+    }
+
+    /**
+     * Continue an unfinished batch. Outputs that are still on disk as written are
+     * kept; every other file (except earlier failures) is processed again under
+     * its original name.
+     * @param {BatchJournal} journal - Journal of the interrupted batch
+     * @returns {Promise<Object>} Same shape as process()
+     */
+    async processJournal(journal) {
+        const { outputDirectory, sessionFolder } = journal;
+        console.log(`♻️ Resuming batch ${journal.id} in ${outputDirectory}`);
+        fs.mkdirSync(outputDirectory, { recursive: true });
+
+        const jobs = journal.resumeJobs().map((job) => {
+            if (job.error || job.done) {
+                return job;
+            }
+            try {
+                validateInputFile(job.filePath);
+                return job;
+            } catch (error) {
+                return { index: job.index, filePath: job.filePath, error };
+            }
+        });
+
+        this.journal = journal;
+        journal.setStatus('running');
+        return this.run(jobs, { outputDirectory, sessionFolder, journal });
+    }
+
+    /**
+     * Run planned jobs through the queue. earlierFiles are the manifest entries
+     * of earlier append() calls in the same session.
+     * @private
+     */
+    async run(jobs, { outputDirectory, sessionFolder, journal, earlierFiles = [] }) {
+        const total = jobs.length;
+        const results = new Array(total);
+        const manifestFiles = new Array(total);
+        const queue = this.queue;
+        let completed = 0;
+        let failed = 0;
+        let skipped = 0;
+
+        const remaining = jobs.filter(job => !job.error && !job.done).length;
+        const alreadyFinished = total - remaining;
+        const startedAt = Date.now();
+        // Percent done per file processed in this run (0-100)
+        const filePercents = new Map();
+        console.log(`⚙️ Processing ${remaining} file${remaining !== 1 ? 's' : ''} with ${queue.concurrency} parallel job${queue.concurrency !== 1 ? 's' : ''}`);
+
+        // Journal saves log and carry on, so a full disk never fails the batch
+        const journalUpdate = (job, changes) => {
+            if (journal) {
+                journal.update(job.index, changes);
+            }
+        };
+
+        // Manifest is only written when session folders are enabled. It is rewritten as
+        // each file finishes (complete: false), so a crash still leaves the finished files listed.
+        const manifestPath = sessionFolder ? path.join(outputDirectory, 'manifest.json') : null;
+        const buildManifest = (complete) => ({
+            timestamp: new Date().toISOString(),
+            renderAt: this.clock.toJSON(),
+            moonPhase: this.namingEngine.moonPhase,
+            fileCount: earlierFiles.length + total,
+            complete,
+            cancelled: queue.state === 'cancelled',
+            settings: this.settings.batch,
+            files: [...earlierFiles, ...manifestFiles.filter(Boolean)]
+        });
+        const saveManifest = (manifest) => {
+            const tempPath = `${manifestPath}.tmp`;
+            try {
+                fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+                fs.renameSync(tempPath, manifestPath);
+                return true;
+            } catch (error) {
+                console.error('Failed to save manifest:', error);
+                return false;
+            }
+        };
+        const manifestUpdate = () => {
+            if (manifestPath) {
+                saveManifest(buildManifest(false));
+            }
+        };
+
+        /**
+         * Overall batch percent and seconds remaining, extrapolated from this run's pace
+         */
+        const measure = () => {
+            let work = 0;
+            for (const percent of filePercents.values()) {
+                work += percent;
+            }
+            const elapsed = (Date.now() - startedAt) / 1000;
+            const remainingWork = remaining * 100 - work;
+            return {
+                overallPercent: total > 0 ? Math.round((alreadyFinished * 100 + work) / total) : 100,
+                eta: work > 0 && elapsed > 1 ? Math.round(elapsed * remainingWork / work) : null
+            };
+        };
+
+        // Per-file progress: status is 'queued' | 'processing' | 'progress' | 'complete' | 'failed' | 'skipped'
+        const report = (job, status, extra = {}) => {
+            this.onProgress({
+                index: job.index,
+                total,
+                fileName: path.basename(String(job.filePath)),
+                status,
+                completed,
+                failed,
+                skipped,
+                active: queue.active,
+                state: queue.state,
+                ...measure(),
+                ...extra
+            });
+        };
+
+        // loudness: before/after report from the mastering stage (null when it didn't run)
+        // levels: LevelAnalyzer report for the finished file (null when measuring failed)
+        // tempo: { bpm, confidence } detected in the source
+        // key: analysis/key.js result for the source (null when no chroma)
+        const recordSuccess = (job, { influence, loudness = null, levels = null, tempo = null, key = null }) => {
+            completed++;
+            results[job.index] = {
+                success: true,
+                originalFile: job.filePath,
+                outputFile: job.outputPath,
+                mysticalName: job.generatedName,
+                influence,
+                loudness,
+                levels,
+                tempo,
+                key
+            };
+            manifestFiles[job.index] = {
+                original: path.basename(job.filePath),
+                output: job.outputFile,
+                success: true,
+                influence,
+                loudness,
+                levels,
+                tempo,
+                key
+            };
+            manifestUpdate();
+        };
+
+        const recordFailure = (job, error) => {
+            if (error instanceof JobCancelledError) {
+                return recordSkipped(job);
+            }
+            console.error('Audio processing error:', error);
+            failed++;
+            journalUpdate(job, { state: 'failed', error: error.message });
+            results[job.index] = {
+                success: false,
+                originalFile: job.filePath,
+                error: error.message
+            };
+            manifestFiles[job.index] = {
+                original: path.basename(job.filePath),
+                success: false,
+                error: error.message
+            };
+            manifestUpdate();
+            report(job, 'failed', { error: error.message });
+        };
+
+        const recordSkipped = (job) => {
+            skipped++;
+            // Interrupted by shutdown: leave the file pending so it resumes next launch
+            if (!this.keepJournal) {
+                journalUpdate(job, { state: 'skipped' });
+            }
+            results[job.index] = {
+                success: false,
+                skipped: true,
+                originalFile: job.filePath,
+                error: 'Cancelled'
+            };
+            manifestFiles[job.index] = {
+                original: path.basename(job.filePath),
+                success: false,
+                skipped: true
+            };
+            manifestUpdate();
+            report(job, 'skipped');
+        };
+
+        await Promise.all(jobs.map(job => {
+            if (job.error) {
+                recordFailure(job, job.error);
+                return null;
+            }
+
+            // Verified output from before the interruption
+            if (job.done) {
+                console.log(`♻️ Keeping ${job.outputFile}`);
+                recordSuccess(job, job);
+                report(job, 'complete', {
+                    outputFile: job.outputFile,
+                    loudness: job.loudness,
+                    levels: job.levels,
+                    resumed: true
+                });
+                return null;
+            }
+
+            report(job, 'queued');
+            const settle = () => filePercents.set(job.index, 100);
+
+            return queue.add(async (signal) => {
+                journalUpdate(job, { state: 'processing' });
+                filePercents.set(job.index, 0);
+                report(job, 'processing', { outputFile: job.outputFile });
+
+                // Stage progress, throttled except for stage changes and completions
+                let lastEmit = 0;
+                let lastStage = null;
+                const onProgress = ({ stage, stagePercent, filePercent }) => {
+                    filePercents.set(job.index, filePercent);
+                    const now = Date.now();
+                    if (stage === lastStage && stagePercent < 100 && now - lastEmit < PROGRESS_INTERVAL_MS) {
+                        return;
+                    }
+                    lastEmit = now;
+                    lastStage = stage;
+                    report(job, 'progress', { stage, stagePercent, filePercent });
+                };
+                console.log(`🎵 Processing ${job.index + 1}/${total}: ${path.basename(job.resolvedPath)} -> ${job.outputFile}`);
+
+                const processResult = await AudioProcessor.processFile(job.resolvedPath, job.outputPath, {
+                    clock: this.clock,
+                    settings: this.settings,
+                    signal,
+                    onProgress
+                });
+
+                // Check if file was actually created
+                const stats = fs.statSync(job.outputPath, { throwIfNoEntry: false });
+                if (!stats) {
+                    throw new Error('Output file was not created');
+                }
+                return { ...processResult, bytes: stats.size };
+            }).then((processResult) => {
+                settle();
+                recordSuccess(job, processResult);
+                journalUpdate(job, {
+                    state: 'complete',
+                    bytes: processResult.bytes,
+                    influence: processResult.influence,
+                    loudness: processResult.loudness,
+                    levels: processResult.levels,
+                    tempo: processResult.tempo,
+                    key: processResult.key
+                });
+                report(job, 'complete', {
+                    outputFile: job.outputFile,
+                    loudness: processResult.loudness,
+                    levels: processResult.levels
+                });
+
+                // Memory management: hint GC between files in large batches
+                // Canvas buffers and audio data can accumulate significantly
+                if (completed % 5 === 0 && global.gc) {
+                    global.gc();
+                    console.log(`🧹 GC hint after ${completed} files`);
+                }
+            }, (error) => {
+                settle();
+                recordFailure(job, error);
+            });
+        }));
+
+        const cancelled = queue.state === 'cancelled';
+        if (cancelled) {
+            console.log(`⏹️ Batch cancelled: ${completed} done, ${skipped} skipped`);
+        }
+
+        // Final manifest before the journal goes, so a finished batch always has one
+        // (an interrupted batch stays incomplete until it is resumed)
+        const manifest = manifestPath ? buildManifest(!this.keepJournal) : null;
+        if (manifest && saveManifest(manifest)) {
+            console.log(`📝 Saved session manifest: ${manifestPath}`);
+        }
+
+        if (journal) {
+            if (this.keepJournal) {
+                journal.setStatus('interrupted');
+                console.log(`📒 Batch journal kept for resume: ${journal.path}`);
+            } else {
+                journal.finish();
+            }
+        }
+
+        // Log batch memory usage
+        try {
+            const memInfo = process.memoryUsage();
+            const heapMB = Math.round(memInfo.heapUsed / 1024 / 1024);
+            const rssMB = Math.round(memInfo.rss / 1024 / 1024);
+            console.log(`📊 Batch complete - Memory: ${heapMB}MB heap, ${rssMB}MB RSS (${total} files)`);
+        } catch (e) { /* non-critical */ }
+
+        // First successful output in input order, for folder opening
+        const firstSuccess = results.find(result => result.success);
+        const firstSuccessfulOutput = firstSuccess ? firstSuccess.outputFile : null;
+
+        return { results, manifest, outputDirectory, firstSuccessfulOutput, cancelled };
+    }
+}
+
+module.exports = BatchProcessor;
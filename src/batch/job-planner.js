@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Batch job planning for Hexbloop
+ * @author Hexbloop Audio Labs
+ * @description Names every file of a batch up front, in input order. Shared by
+ * BatchProcessor and the CLI's --dry-run, so a preview prints the names a real run
+ * writes. Loads no native modules.
+ */
+
+const path = require('path');
+const AudioAnalyzer = require('../audio-analyzer');
+const { getAnalysisCache } = require('../analysis/analysis-cache');
+const { validateInputFile } = require('../shared/input-validation');
+
+class JobPlanner {
+    /**
+     * Generate every output name up front, in input order, so names never depend on
+     * which file finishes first. Invalid inputs keep their index (and leave their name unused).
+     * @param {string[]} filePaths - Input files
+     * @param {Object} options
+     * @param {BatchNamingEngine} options.namingEngine - Names for the batch
+     * @param {string} options.outputDirectory - Destination folder
+     * @param {string} [options.format='mp3'] - settings.output.format
+     * @param {string} [options.separator='_'] - settings.batch.separator, before the number that keeps names unique
+     * @param {number} [options.fileCount=0] - Files already named in a continuing session; numbering continues after them
+     * @param {Set<string>} [options.plannedOutputs] - Lowercase names already taken (added to as names are planned)
+     * @param {Array<Object|null>} [options.keys] - Detected key per file, from detectKeys()
+     * @returns {Array<Object>} Jobs with { index, filePath, resolvedPath, generatedName, outputFile, outputPath } or { index, filePath, error }
+     */
+    static plan(filePaths, {
+        namingEngine,
+        outputDirectory,
+        format = 'mp3',
+        separator = '_',
+        fileCount = 0,
+        plannedOutputs = new Set(),
+        keys = []
+    }) {
+        return filePaths.map((filePath, index) => {
+            try {
+                const resolvedPath = validateInputFile(filePath);
+                let generatedName = namingEngine.generateName(resolvedPath, fileCount + index, fileCount + filePaths.length, {
+                    key: keys[index] || null
+                });
+
+                // Parallel jobs must never write the same file
+                const baseName = generatedName;
+                for (let n = 2; plannedOutputs.has(generatedName.toLowerCase()); n++) {
+                    generatedName = `${baseName}${separator}${n}`;
+                }
+                plannedOutputs.add(generatedName.toLowerCase());
+
+                return {
+                    index,
+                    filePath,
+                    resolvedPath,
+                    generatedName,
+                    outputFile: `${generatedName}.${format}`,
+                    outputPath: path.join(outputDirectory, `${generatedName}.${format}`)
+                };
+            } catch (error) {
+                return { index, filePath, error };
+            }
+        });
+    }
+
+    /**
+     * Detect each file's key for naming, when batch.useKey steers mystical names.
+     * Sources are analyzed one at a time before any job starts; the analysis cache
+     * hands the same result to AudioProcessor when the file is processed.
+     * @param {BatchNamingEngine} namingEngine - Names for the batch
+     * @param {string[]} filePaths - Input files
+     * @param {Object} [options]
+     * @param {Function} [options.analyze] - (filePath) => audio features (defaults to cached AudioAnalyzer.analyzeAudio)
+     * @returns {Promise<Array<Object|null>>} AudioAnalyzer.reliableKey() per file (null when unclear or unreadable)
+     */
+    static async detectKeys(namingEngine, filePaths, {
+        analyze = (filePath) => AudioAnalyzer.analyzeAudio(filePath, { cache: getAnalysisCache() })
+    } = {}) {
+        if (!namingEngine.usesKey()) {
+            return [];
+        }
+
+        console.log('🎼 Detecting keys for naming...');
+        const keys = [];
+        for (const filePath of filePaths) {
+            try {
+                keys.push(AudioAnalyzer.reliableKey(await analyze(validateInputFile(filePath))));
+            } catch (error) {
+                // Invalid inputs fail again (and are reported) in plan()
+                keys.push(null);
+            }
+        }
+        return keys;
+    }
+}
+
+module.exports = JobPlanner;
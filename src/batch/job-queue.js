@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Bounded job queue for batch processing
+ * @author Hexbloop Audio Labs
+ * @description Runs async jobs with a fixed number in flight. The heavy lifting
+ * (sox, ffmpeg) happens in child processes, so parallel jobs use separate cores.
+ * Each job receives an AbortSignal so pause and cancel can stop work in flight.
+ */
+
+const os = require('os');
+const { EventEmitter } = require('events');
+
+/**
+ * Rejection reason for jobs dropped by cancel()
+ */
+class JobCancelledError extends Error {
+    constructor(message = 'Cancelled') {
+        super(message);
+        this.name = 'JobCancelledError';
+    }
+}
+
+/**
+ * Abort reason for jobs interrupted by pause(); they go back on the queue
+ * @private
+ */
+class JobPausedError extends Error {
+    constructor() {
+        super('Paused');
+        this.name = 'JobPausedError';
+    }
+}
+
+class JobQueue extends EventEmitter {
+    /**
+     * Default concurrency: one core left free for the UI and main process
+     * @returns {number}
+     */
+    static defaultConcurrency() {
+        return Math.max(1, os.cpus().length - 1);
+    }
+
+    /**
+     * Turn the processing.concurrency setting into a job count
+     * @param {number} value - Setting value (0 or empty = automatic)
+     * @returns {number} Concurrency of at least 1
+     */
+    static resolveConcurrency(value) {
+        const count = Math.floor(Number(value));
+        return count > 0 ? count : JobQueue.defaultConcurrency();
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.concurrency] - Max jobs in flight (defaults to CPU count minus one)
+     */
+    constructor({ concurrency } = {}) {
+        super();
+        this.concurrency = JobQueue.resolveConcurrency(concurrency);
+        this.pending = [];
+        this.running = new Set();
+        this.active = 0;
+        this.sequence = 0;
+        this.paused = false;
+        this.cancelled = false;
+    }
+
+    /**
+     * Queue state for the UI
+     * @returns {'running'|'paused'|'cancelled'}
+     */
+    get state() {
+        if (this.cancelled) return 'cancelled';
+        return this.paused ? 'paused' : 'running';
+    }
+
+    /**
+     * Number of jobs waiting to start
+     * @returns {number}
+     */
+    get size() {
+        return this.pending.length;
+    }
+
+    /**
+     * Queue a job
+     * @param {Function} task - async (signal) => result; should stop when signal aborts
+     * @returns {Promise<*>} Settles with the job's result or error (JobCancelledError after cancel())
+     */
+    add(task) {
+        return new Promise((resolve, reject) => {
+            if (this.cancelled) {
+                return reject(new JobCancelledError());
+            }
+            this.pending.push({ task, resolve, reject, seq: this.sequence++ });
+            this.next();
+        });
+    }
+
+    /**
+     * Start waiting jobs while there is capacity
+     * @private
+     */
+    next() {
+        while (!this.paused && !this.cancelled && this.active < this.concurrency && this.pending.length > 0) {
+            const entry = this.pending.shift();
+            entry.controller = new AbortController();
+            this.running.add(entry);
+            this.active++;
+
+            Promise.resolve()
+                .then(() => entry.task(entry.controller.signal))
+                .then(entry.resolve, (error) => {
+                    const reason = entry.controller.signal.reason;
+                    if (reason instanceof JobPausedError) {
+                        // Interrupted by pause(): run it again from the start on resume()
+                        this.requeue(entry);
+                    } else if (reason instanceof JobCancelledError) {
+                        entry.reject(reason);
+                    } else {
+                        entry.reject(error);
+                    }
+                })
+                .finally(() => {
+                    this.running.delete(entry);
+                    this.active--;
+                    this.next();
+                    if (this.active === 0 && this.pending.length === 0) {
+                        this.emit('idle');
+                    }
+                });
+        }
+    }
+
+    /**
+     * Put an interrupted job back in its original queue position
+     * @private
+     */
+    requeue(entry) {
+        if (this.cancelled) {
+            entry.reject(new JobCancelledError());
+            return;
+        }
+        this.pending.push({ task: entry.task, resolve: entry.resolve, reject: entry.reject, seq: entry.seq });
+        this.pending.sort((a, b) => a.seq - b.seq);
+    }
+
+    /**
+     * Stop starting new jobs and interrupt the ones in flight. Interrupted jobs
+     * restart from scratch on resume().
+     * @returns {boolean} False if the queue was already paused or cancelled
+     */
+    pause() {
+        if (this.paused || this.cancelled) {
+            return false;
+        }
+        this.paused = true;
+        for (const entry of this.running) {
+            entry.controller.abort(new JobPausedError());
+        }
+        this.emit('paused');
+        return true;
+    }
+
+    /**
+     * Continue a paused queue
+     * @returns {boolean} False if the queue was not paused
+     */
+    resume() {
+        if (!this.paused || this.cancelled) {
+            return false;
+        }
+        this.paused = false;
+        this.emit('resumed');
+        this.next();
+        return true;
+    }
+
+    /**
+     * Drop every waiting job and abort the running ones. Their promises reject
+     * with JobCancelledError; the queue accepts no further jobs.
+     * @returns {boolean} False if the queue was already cancelled
+     */
+    cancel() {
+        if (this.cancelled) {
+            return false;
+        }
+        this.cancelled = true;
+        this.paused = false;
+
+        const dropped = this.pending.splice(0);
+        for (const entry of dropped) {
+            entry.reject(new JobCancelledError());
+        }
+        for (const entry of this.running) {
+            entry.controller.abort(new JobCancelledError());
+        }
+
+        this.emit('cancelled');
+        if (this.active === 0) {
+            this.emit('idle');
+        }
+        return true;
+    }
+
+    /**
+     * Resolves once no jobs are running or waiting
+     * @returns {Promise<void>}
+     */
+    onIdle() {
+        if (this.active === 0 && this.pending.length === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.once('idle', resolve));
+    }
+}
+
+module.exports = JobQueue;
+module.exports.JobCancelledError = JobCancelledError;
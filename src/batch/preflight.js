@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Pre-flight checks for a batch
+ * @author Hexbloop Audio Labs
+ * @description Probes every input before a batch starts so missing, empty, corrupt,
+ * unsupported or DRM-protected files are reported up front instead of failing
+ * halfway through the pipeline.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const MediaProbe = require('../media-probe');
+const { validateInputFile } = require('../shared/input-validation');
+
+class Preflight {
+    /**
+     * Check a list of input files
+     * @param {string[]} filePaths - Input files, in batch order
+     * @param {Object} [options]
+     * @param {Function} [options.probe] - (filePath, { signal }) => file information (defaults to MediaProbe.probe)
+     * @param {AbortSignal} [options.signal] - Stops probing when aborted
+     * @param {Function} [options.onProgress] - Called with { checked, total, fileName } after each file
+     * @returns {Promise<Object>} { files: [{ filePath, fileName, info, problem }], ready: string[], problems: Array<Object> }
+     *   ready keeps batch order; problems are the files entries that have a problem
+     */
+    static async check(filePaths, { probe = (filePath, options) => MediaProbe.probe(filePath, options), signal, onProgress } = {}) {
+        const files = [];
+        for (const filePath of filePaths) {
+            signal?.throwIfAborted();
+            const fileName = path.basename(filePath || '');
+            let info = null;
+            let problem = null;
+            try {
+                info = await this.inspect(filePath, { probe, signal });
+                problem = this.findProblem(info);
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                problem = error.message;
+            }
+            files.push({ filePath, fileName, info, problem });
+            onProgress?.({ checked: files.length, total: filePaths.length, fileName });
+        }
+
+        const problems = files.filter(file => file.problem);
+        if (problems.length > 0) {
+            console.log(`🔎 Pre-flight: ${problems.length} of ${files.length} file${files.length !== 1 ? 's' : ''} can't be processed`);
+            problems.forEach(file => console.log(`   ⚠️ ${file.fileName}: ${file.problem}`));
+        }
+
+        return {
+            files,
+            ready: files.filter(file => !file.problem).map(file => file.filePath),
+            problems
+        };
+    }
+
+    /**
+     * Validate and probe one file
+     * @param {string} filePath - Input file
+     * @param {Object} options - { probe, signal }
+     * @returns {Promise<Object>} File information
+     * @throws {Error} With a user-facing reason when the file can't be read at all
+     */
+    static async inspect(filePath, { probe, signal }) {
+        // Missing files, folders and unknown extensions fail exactly as they would in the batch
+        const resolvedPath = validateInputFile(filePath);
+        if (fs.statSync(resolvedPath).size === 0) {
+            throw new Error('Empty file (0 bytes)');
+        }
+
+        try {
+            return await probe(resolvedPath, { signal });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            // "ffprobe failed for /path: Invalid data found when processing input" -> the reason only
+            const reason = error.message.split(': ').pop();
+            throw new Error(`Unreadable or corrupt file (${reason})`);
+        }
+    }
+
+    /**
+     * Why probed file information can't be processed
+     * @param {Object} info - File information from MediaProbe
+     * @returns {string|null} Reason, or null if the file looks processable
+     */
+    static findProblem(info) {
+        if (!info.audio) {
+            return 'No audio stream';
+        }
+        if (info.encrypted) {
+            return 'DRM protected';
+        }
+        if (!info.audio.sampleRate || !info.audio.channels) {
+            return `Unsupported audio stream (${info.audio.codec || 'unknown codec'})`;
+        }
+        if (info.duration === 0) {
+            return 'Zero-length audio';
+        }
+        return null;
+    }
+}
+
+module.exports = Preflight;
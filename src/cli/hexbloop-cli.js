@@ -0,0 +1,583 @@
+/**
+ * @fileoverview Headless command-line interface for Hexbloop
+ * @author Hexbloop Audio Labs
+ * @description Runs the same pipeline as the app (AudioProcessor, BatchNamingEngine,
+ * preferences schema) from a terminal, without opening any windows.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const ProcessingClock = require('../processing-clock');
+const { getPreferencesManager } = require('../menu/preferences');
+const { SETTINGS_SCHEMA, validateSettings, mergeWithDefaults } = require('../shared/settings-schema');
+const BatchNamingEngine = require('../batch/batch-naming-engine');
+const JobPlanner = require('../batch/job-planner');
+const { AUDIO_EXTENSIONS } = require('../shared/constants');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILURES = 1;
+const EXIT_USAGE = 2;
+
+// Shorthand flags mapped onto setting paths
+const FLAG_SETTINGS = {
+    output: 'ui.outputFolder',
+    format: 'output.format',
+    quality: 'output.quality',
+    bitrate: 'output.mp3Bitrate',
+    'sample-rate': 'output.sampleRate',
+    'bit-depth': 'output.bitDepth',
+    channels: 'output.channels',
+    naming: 'batch.namingScheme',
+    prefix: 'batch.prefix',
+    suffix: 'batch.suffix',
+    numbering: 'batch.numberingStyle',
+    'folder-scheme': 'batch.folderScheme',
+    'art-style': 'artwork.defaultStyle',
+    jobs: 'processing.concurrency',
+    preset: 'processing.masteringPreset',
+    intensity: 'processing.intensity',
+    mix: 'processing.mix'
+};
+
+// Boolean switches (also accepted as --no-<name>)
+const SWITCH_SETTINGS = {
+    trim: 'processing.trimming',
+    compress: 'processing.compressing',
+    master: 'processing.mastering',
+    artwork: 'processing.coverArt',
+    'session-folders': 'batch.sessionFolders'
+};
+
+const SHORT_FLAGS = {
+    o: 'output',
+    f: 'format',
+    q: 'quality',
+    b: 'bitrate',
+    n: 'naming',
+    j: 'jobs',
+    r: 'recursive',
+    v: 'verbose',
+    h: 'help'
+};
+
+const USAGE = `Usage: hexbloop [options] <file|folder|glob>...
+
+Process audio files through the Hexbloop pipeline without opening the app.
+Settings come from the app's preferences; flags override them for this run.
+
+Options:
+  -o, --output <dir>           Output folder                (ui.outputFolder)
+  -f, --format <fmt>           mp3|wav|flac|aac|ogg|original (output.format)
+  -q, --quality <level>        low|medium|high|maximum      (output.quality)
+  -b, --bitrate <kbps>         MP3 bitrate                  (output.mp3Bitrate)
+      --sample-rate <hz>       Output sample rate, 0 = keep (output.sampleRate)
+      --bit-depth <depth>      16|24|32f for WAV/AIFF/FLAC  (output.bitDepth)
+      --channels <policy>      preserve|stereo|mono|mid-side (output.channels)
+  -n, --naming <scheme>        mystical|sequential|timestamp|hybrid|preserve
+      --prefix <text>          Name prefix                  (batch.prefix)
+      --suffix <text>          Name suffix                  (batch.suffix)
+      --numbering <style>      none|numeric|alpha|roman     (batch.numberingStyle)
+      --folder-scheme <scheme> date|lunar|counter|none      (batch.folderScheme)
+      --art-style <style>      Artwork style                (artwork.defaultStyle)
+  -j, --jobs <n>               Files processed in parallel, 0 = CPUs - 1 (processing.concurrency)
+      --[no-]trim              Trim silence, add fades      (processing.trimming, trim.*)
+      --[no-]compress          Sox stage                    (processing.compressing)
+      --intensity <0-100>      Lunar effect strength, 50 = as the moon sets it (processing.intensity)
+      --mix <0-100>            Effects wet/dry mix, 100 = fully wet (processing.mix)
+      --[no-]master            FFmpeg mastering stage       (processing.mastering)
+      --preset <id>            balanced|streaming|podcast|club|gentle or a custom preset
+                                                            (processing.masteringPreset)
+      --[no-]artwork           Cover art generation         (processing.coverArt)
+      --[no-]session-folders   Session folders + manifest   (batch.sessionFolders)
+      --render-at <date>       Pin lunar/temporal influences to an ISO date (UTC unless it has an offset)
+      --set <path=value>       Override any setting, e.g. --set metadata.artist=Nyx
+      --settings <file>        Use a settings or exported preferences JSON file
+  -r, --recursive              Include audio files in sub-folders
+      --dry-run                Print the planned output names and exit
+  -v, --verbose                Show pipeline logs
+  -h, --help                   Show this help
+      --version                Show version
+
+Exit codes: 0 all files processed, 1 one or more files failed, 2 usage error.`;
+
+/**
+ * Error for invalid command-line usage (exit code 2)
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments without the node/script entries
+ * @returns {Object} { inputs, overrides, renderAt, settingsFile, recursive, dryRun, verbose, help, version }
+ */
+function parseArgs(argv) {
+    const options = {
+        inputs: [],
+        overrides: [],
+        renderAt: null,
+        settingsFile: null,
+        recursive: false,
+        dryRun: false,
+        verbose: false,
+        help: false,
+        version: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            options.inputs.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith('-') || arg === '-') {
+            options.inputs.push(arg);
+            continue;
+        }
+
+        // --name=value, --name value, -x value
+        let name;
+        let inlineValue = null;
+        if (arg.startsWith('--')) {
+            const eq = arg.indexOf('=');
+            name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+            inlineValue = eq === -1 ? null : arg.slice(eq + 1);
+        } else {
+            name = SHORT_FLAGS[arg.slice(1)];
+            if (!name) {
+                throw new UsageError(`Unknown option: ${arg}`);
+            }
+        }
+
+        const takeValue = () => {
+            if (inlineValue !== null) {
+                return inlineValue;
+            }
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`Missing value for --${name}`);
+            }
+            return argv[++i];
+        };
+
+        if (FLAG_SETTINGS[name]) {
+            options.overrides.push({ path: FLAG_SETTINGS[name], value: takeValue() });
+        } else if (SWITCH_SETTINGS[name]) {
+            options.overrides.push({ path: SWITCH_SETTINGS[name], value: true });
+        } else if (name.startsWith('no-') && SWITCH_SETTINGS[name.slice(3)]) {
+            options.overrides.push({ path: SWITCH_SETTINGS[name.slice(3)], value: false });
+        } else {
+            switch (name) {
+                case 'set': {
+                    const assignment = takeValue();
+                    const eq = assignment.indexOf('=');
+                    if (eq <= 0) {
+                        throw new UsageError(`Expected --set <path=value>, got: ${assignment}`);
+                    }
+                    options.overrides.push({ path: assignment.slice(0, eq), value: assignment.slice(eq + 1) });
+                    break;
+                }
+                case 'render-at':
+                    options.renderAt = takeValue();
+                    break;
+                case 'settings':
+                    options.settingsFile = takeValue();
+                    break;
+                case 'recursive':
+                    options.recursive = true;
+                    break;
+                case 'dry-run':
+                    options.dryRun = true;
+                    break;
+                case 'verbose':
+                    options.verbose = true;
+                    break;
+                case 'help':
+                    options.help = true;
+                    break;
+                case 'version':
+                    options.version = true;
+                    break;
+                default:
+                    throw new UsageError(`Unknown option: ${arg}`);
+            }
+        }
+    }
+
+    return options;
+}
+
+// Schema entries that are settings themselves; any other object is a group of settings
+const LEAF_SCHEMA_TYPES = ['string', 'number', 'boolean', 'object', 'string[]'];
+
+/**
+ * Convert a string flag value to the type the settings schema expects
+ * @param {string} settingPath - Dot path, e.g. "output.mp3Bitrate"
+ * @param {*} value - Raw value from the command line
+ * @returns {*} Typed value
+ */
+function coerceSettingValue(settingPath, value) {
+    // Own properties only, so "constructor" or "batch.toString" are not settings
+    const expected = settingPath.split('.').reduce((node, key) => (
+        node && typeof node === 'object' && !Array.isArray(node) && Object.hasOwn(node, key) ? node[key] : undefined
+    ), SETTINGS_SCHEMA);
+
+    if (!LEAF_SCHEMA_TYPES.includes(expected) && !Array.isArray(expected)) {
+        throw new UsageError(`Unknown setting: ${settingPath}`);
+    }
+
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    if (expected === 'number') {
+        const number = Number(value);
+        if (value.trim() === '' || isNaN(number)) {
+            throw new UsageError(`Expected a number for ${settingPath}, got: ${value}`);
+        }
+        return number;
+    }
+
+    if (expected === 'string[]') {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    if (expected === 'boolean') {
+        if (['true', 'yes', 'on', '1'].includes(value.toLowerCase())) return true;
+        if (['false', 'no', 'off', '0'].includes(value.toLowerCase())) return false;
+        throw new UsageError(`Expected true or false for ${settingPath}, got: ${value}`);
+    }
+
+    return value;
+}
+
+/**
+ * Apply command-line overrides to a copy of the settings
+ * @param {Object} settings - Base settings
+ * @param {Array<{path: string, value: *}>} overrides - Overrides in command-line order
+ * @returns {Object} New settings object
+ */
+function applyOverrides(settings, overrides) {
+    const result = JSON.parse(JSON.stringify(settings));
+
+    for (const { path: settingPath, value } of overrides) {
+        // Validate against the schema before walking, so unknown paths are usage errors
+        const typed = coerceSettingValue(settingPath, value);
+        const keys = settingPath.split('.');
+        const lastKey = keys.pop();
+        const target = keys.reduce((node, key) => {
+            if (!node[key] || typeof node[key] !== 'object') {
+                node[key] = {};
+            }
+            return node[key];
+        }, result);
+        target[lastKey] = typed;
+    }
+
+    // Relative output folders are relative to where the command was run
+    if (result.ui.outputFolder) {
+        result.ui.outputFolder = path.resolve(result.ui.outputFolder);
+    }
+
+    return result;
+}
+
+/**
+ * Load the base settings: a JSON file when given, otherwise the app's preferences
+ * @param {string|null} settingsFile - Settings or exported preferences file
+ * @returns {Promise<Object>} Full settings object
+ */
+async function loadBaseSettings(settingsFile) {
+    if (settingsFile) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path.resolve(settingsFile), 'utf8'));
+        } catch (error) {
+            throw new UsageError(`Cannot read settings file ${settingsFile}: ${error.message}`);
+        }
+        // Accept both raw settings and the app's export format ({ settings: {...} })
+        return mergeWithDefaults(data.settings || data);
+    }
+
+    const preferencesManager = getPreferencesManager();
+    await preferencesManager.ready;
+    return preferencesManager.getSettings();
+}
+
+/**
+ * Convert a glob pattern (*, ?, **) to a regular expression over "/" separated paths
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches zero or more folders
+            source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += pattern[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+/**
+ * List audio files in a folder
+ * @param {string} directory - Folder to scan
+ * @param {boolean} recursive - Descend into sub-folders
+ * @returns {string[]} Sorted absolute paths
+ */
+function listAudioFiles(directory, recursive) {
+    const files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) {
+            continue;
+        }
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) {
+                files.push(...listAudioFiles(fullPath, recursive));
+            }
+        } else if (AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Expand files, folders and glob patterns into a de-duplicated list of files.
+ * Explicit file paths are kept even when unsupported so the batch reports them.
+ * @param {string[]} inputs - Command-line inputs
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive=false] - Descend into sub-folders of folder inputs
+ * @returns {string[]} Absolute file paths in input order
+ */
+function expandInputs(inputs, { recursive = false } = {}) {
+    const files = [];
+
+    for (const input of inputs) {
+        const resolved = path.resolve(input);
+
+        if (fs.existsSync(resolved)) {
+            if (fs.statSync(resolved).isDirectory()) {
+                files.push(...listAudioFiles(resolved, recursive));
+            } else {
+                files.push(resolved);
+            }
+            continue;
+        }
+
+        if (!/[*?]/.test(input)) {
+            // Missing file: let the batch report it as a failure
+            files.push(resolved);
+            continue;
+        }
+
+        // Walk from the deepest folder without wildcards
+        const normalized = resolved.split(path.sep).join('/');
+        const firstWildcard = normalized.search(/[*?]/);
+        const base = normalized.slice(0, normalized.lastIndexOf('/', firstWildcard)) || '/';
+        const matcher = globToRegExp(normalized);
+
+        if (fs.existsSync(base)) {
+            const matches = listAudioFiles(base, true)
+                .filter(file => matcher.test(file.split(path.sep).join('/')));
+            if (matches.length === 0) {
+                console.warn(`⚠️ No audio files match ${input}`);
+            }
+            files.push(...matches);
+        }
+    }
+
+    return [...new Set(files)];
+}
+
+const print = (line) => process.stdout.write(`${line}\n`);
+const printError = (line) => process.stderr.write(`${line}\n`);
+
+/**
+ * Loudness suffix for a finished file, e.g. " (-23.1 -> -14.0 LUFS, -1.0 dBTP)"
+ * @param {Object|null} loudness - Loudness report from the mastering stage
+ * @returns {string} Empty when mastering didn't normalize the file
+ */
+function formatLoudness(loudness) {
+    if (!loudness?.after) {
+        return '';
+    }
+    const db = (value) => Number.isFinite(value) ? value.toFixed(1) : '-inf';
+    const from = loudness.before ? `${db(loudness.before.integrated)} -> ` : '';
+    return ` (${from}${db(loudness.after.integrated)} LUFS, ${db(loudness.after.truePeak)} dBTP)`;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node/script entries
+ * @returns {Promise<number>} Process exit code
+ */
+async function run(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        return reportUsageError(error);
+    }
+
+    if (options.help) {
+        print(USAGE);
+        return EXIT_OK;
+    }
+    if (options.version) {
+        print(require('../../package.json').version);
+        return EXIT_OK;
+    }
+
+    // Pipeline modules log freely; keep the terminal to CLI output unless asked
+    const originalLog = console.log;
+    const originalError = console.error;
+    if (!options.verbose) {
+        console.log = () => {};
+        console.error = () => {};
+    }
+
+    try {
+        return await processInputs(options);
+    } catch (error) {
+        return reportUsageError(error);
+    } finally {
+        console.log = originalLog;
+        console.error = originalError;
+    }
+}
+
+/**
+ * Print a usage error, rethrowing anything else
+ * @param {Error} error
+ * @returns {number} EXIT_USAGE
+ */
+function reportUsageError(error) {
+    if (!(error instanceof UsageError)) {
+        throw error;
+    }
+    printError(`hexbloop: ${error.message}`);
+    printError('Run "hexbloop --help" for usage.');
+    return EXIT_USAGE;
+}
+
+/**
+ * Resolve settings and inputs, then process (or preview) the batch
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} Process exit code
+ */
+async function processInputs(options) {
+    if (options.inputs.length === 0) {
+        throw new UsageError('No input files given');
+    }
+
+    const settings = applyOverrides(await loadBaseSettings(options.settingsFile), options.overrides);
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+        throw new UsageError(errors.join('\n'));
+    }
+
+    let clock;
+    try {
+        clock = ProcessingClock.resolve(settings, options.renderAt);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const files = expandInputs(options.inputs, { recursive: options.recursive });
+    if (files.length === 0) {
+        printError('hexbloop: no audio files found');
+        return EXIT_FAILURES;
+    }
+
+    if (options.dryRun) {
+        // Planned like a real run (BatchProcessor.planJobs), without creating any folders
+        const namingEngine = new BatchNamingEngine(settings.batch, { clock });
+        const jobs = JobPlanner.plan(files, {
+            namingEngine,
+            outputDirectory: settings.ui.outputFolder || '',
+            format: settings.output.format || 'mp3',
+            separator: settings.batch.separator || '_',
+            keys: await JobPlanner.detectKeys(namingEngine, files)
+        });
+        jobs.forEach((job) => {
+            print(`${path.basename(job.filePath)} -> ${job.error ? `(skipped: ${job.error.message})` : job.outputFile}`);
+        });
+        if (!clock.isPinned() && ['mystical', 'hybrid'].includes(settings.batch.namingScheme)) {
+            print('Note: generated names are drawn afresh on every run; pin them with --render-at');
+        }
+        return EXIT_OK;
+    }
+
+    // Loaded here so --help, --dry-run and usage errors never touch native modules
+    const BatchProcessor = require('../batch/batch-processor');
+
+    const batch = new BatchProcessor({
+        settings,
+        clock,
+        onProgress: ({ status, total, fileName, completed, failed, skipped, outputFile, loudness, levels, error }) => {
+            const counter = `[${completed + failed + skipped}/${total}]`;
+            if (status === 'complete') {
+                print(`${counter} ✅ ${fileName} -> ${outputFile}${formatLoudness(loudness)}`);
+                if (levels && !levels.passed) {
+                    print(`    ⚠️  ${levels.issues.map(issue => issue.message).join('; ')}`);
+                }
+            } else if (status === 'failed') {
+                printError(`${counter} ❌ ${fileName}: ${error}`);
+            }
+        }
+    });
+
+    // Ctrl-C stops sox/ffmpeg and cleans temp files; a second Ctrl-C exits immediately
+    const onInterrupt = () => {
+        printError('\nhexbloop: cancelling (Ctrl-C again to force quit)');
+        batch.cancel();
+        process.removeListener('SIGINT', onInterrupt);
+    };
+    process.on('SIGINT', onInterrupt);
+
+    let batchRun;
+    try {
+        batchRun = await batch.process(files);
+    } finally {
+        process.removeListener('SIGINT', onInterrupt);
+    }
+    const { results, outputDirectory, cancelled } = batchRun;
+    const failed = results.filter(result => !result.success);
+
+    print(`\n${results.length - failed.length}/${results.length} processed -> ${outputDirectory}`);
+    if (cancelled) {
+        print(`Cancelled: ${results.filter(result => result.skipped).length} skipped`);
+    }
+    if (clock.isPinned()) {
+        print(`Rendered as of ${clock.toJSON()}`);
+    }
+
+    return failed.length > 0 ? EXIT_FAILURES : EXIT_OK;
+}
+
+module.exports = {
+    run,
+    parseArgs,
+    applyOverrides,
+    expandInputs,
+    globToRegExp,
+    UsageError,
+    USAGE
+};
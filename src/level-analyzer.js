@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Loudness and peak measurements for processed files
+ * @author Hexbloop Audio Labs
+ * @description Runs FFmpeg's ebur128 and astats filters over a file and turns their
+ * logs into numbers, then compares a master against its mastering targets.
+ *
+ * Measurements:
+ *   integrated     - Integrated loudness (LUFS)
+ *   shortTermMax   - Loudest 3 s short-term window (LUFS)
+ *   truePeak       - True peak (dBTP)
+ *   range          - Loudness range (LU)
+ *   crestFactor    - Peak to RMS ratio (dB)
+ *   dcOffset       - Mean sample value (linear, -1 to 1)
+ *   clipping       - Samples at full scale
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const binaries = require('./binary-resolver');
+
+// Integrated loudness may land this far from the target (EBU R128 tolerance)
+const INTEGRATED_TOLERANCE = 1;
+
+// True peak may exceed the ceiling by this much before it counts (rounding in the logs)
+const TRUE_PEAK_TOLERANCE = 0.1;
+
+// DC offset above this is audible as a thump on cuts and wastes headroom (about -60 dB)
+const DC_OFFSET_LIMIT = 0.001;
+
+// Sample peaks at or above this level count as clipped
+const CLIP_LEVEL_DB = -0.01;
+
+class LevelAnalyzer {
+    /**
+     * Measure one file
+     * @param {string} filePath - Audio file to measure
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops FFmpeg when aborted
+     * @returns {Promise<Object>} Measurements (see file header)
+     */
+    static measure(filePath, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            const ffmpegBin = binaries.ffmpeg.path || 'ffmpeg';
+            const proc = spawn(ffmpegBin, [
+                '-hide_banner',
+                '-nostats',
+                '-i', filePath,
+                '-vn',
+                '-af', 'ebur128=peak=true,astats',
+                '-f', 'null',
+                '-'
+            ], { stdio: ['ignore', 'ignore', 'pipe'], signal, killSignal: 'SIGKILL' });
+
+            // ebur128 logs ten lines a second of audio; parse as they arrive instead of buffering
+            const parser = this.createParser();
+            readline.createInterface({ input: proc.stderr }).on('line', (line) => parser.push(line));
+
+            proc.on('error', (error) => reject(signal?.aborted ? signal.reason : error));
+            proc.on('close', (code) => {
+                if (signal?.aborted) {
+                    return reject(signal.reason);
+                }
+                const levels = parser.result();
+                if (code !== 0 || levels.integrated === null) {
+                    return reject(new Error(`Level analysis failed for ${filePath} (code ${code})`));
+                }
+                resolve(levels);
+            });
+        });
+    }
+
+    /**
+     * Line parser for the ebur128 + astats log
+     *
+     * Each filter prefixes its lines with "[Parsed_<name>_<n> @ 0x...]"; the ebur128
+     * summary continues over unprefixed lines, so those belong to the last prefix seen.
+     *
+     * @returns {{push: Function, result: Function}}
+     */
+    static createParser() {
+        let filter = null;
+        let ebur128Summary = false;
+        let astatsOverall = false;
+        let shortTermMax = null;
+        const summary = { integrated: null, range: null, truePeak: null };
+        const overall = {};
+
+        const number = (text) => text === '-inf' ? -Infinity : text === 'inf' ? Infinity : parseFloat(text);
+
+        const push = (rawLine) => {
+            const prefixed = rawLine.match(/^\[Parsed_(\w+?)_\d+ @ [^\]]+\]\s?(.*)$/);
+            if (prefixed) {
+                filter = prefixed[1];
+            }
+            const line = prefixed ? prefixed[2] : rawLine;
+
+            if (filter === 'ebur128') {
+                if (line.startsWith('Summary:')) {
+                    ebur128Summary = true;
+                    return;
+                }
+                if (!ebur128Summary) {
+                    // Per-frame log: "t: 4.1  TARGET:-23 LUFS  M: -18.2 S: -19.0  I: ..."
+                    const shortTerm = line.match(/\bS:\s*(-?[\d.]+|-inf)/);
+                    if (shortTerm) {
+                        const value = number(shortTerm[1]);
+                        shortTermMax = shortTermMax === null ? value : Math.max(shortTermMax, value);
+                    }
+                    return;
+                }
+                // The summary lists the integrated and LRA thresholds too; keep the first of each
+                const integrated = line.match(/^\s*I:\s*(\S+) LUFS/);
+                const range = line.match(/^\s*LRA:\s*(\S+) LU/);
+                const peak = line.match(/^\s*Peak:\s*(\S+) dBFS/);
+                if (integrated && summary.integrated === null) summary.integrated = number(integrated[1]);
+                if (range && summary.range === null) summary.range = number(range[1]);
+                if (peak && summary.truePeak === null) summary.truePeak = number(peak[1]);
+            } else if (filter === 'astats') {
+                if (line.trim() === 'Overall') {
+                    astatsOverall = true;
+                    return;
+                }
+                const stat = astatsOverall && line.match(/^\s*([A-Za-z ]+):\s*(\S+)/);
+                if (stat) {
+                    overall[stat[1].trim()] = number(stat[2]);
+                }
+            }
+        };
+
+        const result = () => {
+            const peakDb = overall['Peak level dB'];
+            const rmsDb = overall['RMS level dB'];
+            const hasLevels = Number.isFinite(peakDb) && Number.isFinite(rmsDb);
+            return {
+                integrated: summary.integrated,
+                shortTermMax,
+                truePeak: summary.truePeak,
+                range: summary.range,
+                crestFactor: hasLevels ? round(peakDb - rmsDb) : null,
+                dcOffset: overall['DC offset'] ?? null,
+                // astats counts how often the peak level was reached; at full scale those are clips
+                clipping: peakDb >= CLIP_LEVEL_DB ? (overall['Peak count'] || 0) : 0
+            };
+        };
+
+        return { push, result };
+    }
+
+    /**
+     * Parse a complete ebur128 + astats log
+     * @param {string} stderr - FFmpeg stderr
+     * @returns {Object} Measurements (see file header)
+     */
+    static parse(stderr) {
+        const parser = this.createParser();
+        stderr.split(/\r?\n/).forEach(line => parser.push(line));
+        return parser.result();
+    }
+
+    /**
+     * Compare a master against its targets
+     * @param {Object} report
+     * @param {Object|null} report.input - Measurements of the source file
+     * @param {Object} report.output - Measurements of the processed file
+     * @param {Object|null} [report.target] - Mastering loudness target { integrated, truePeak, range }
+     * @returns {{input, output, target, issues: Array<{check: string, message: string}>, passed: boolean}}
+     */
+    static buildReport({ input, output, target = null }) {
+        const issues = [];
+
+        if (target && Number.isFinite(output.integrated)
+            && Math.abs(output.integrated - target.integrated) > INTEGRATED_TOLERANCE) {
+            issues.push({
+                check: 'integrated',
+                message: `Integrated ${output.integrated.toFixed(1)} LUFS, target ${target.integrated} LUFS`
+            });
+        }
+        if (target && output.truePeak > target.truePeak + TRUE_PEAK_TOLERANCE) {
+            issues.push({
+                check: 'truePeak',
+                message: `True peak ${output.truePeak.toFixed(1)} dBTP over the ${target.truePeak} dBTP ceiling`
+            });
+        }
+        if (output.clipping > 0) {
+            issues.push({
+                check: 'clipping',
+                message: `${output.clipping} clipped sample${output.clipping !== 1 ? 's' : ''}`
+            });
+        }
+        if (Math.abs(output.dcOffset) > DC_OFFSET_LIMIT) {
+            issues.push({
+                check: 'dcOffset',
+                message: `DC offset ${output.dcOffset.toFixed(4)}`
+            });
+        }
+
+        return { input, output, target, issues, passed: issues.length === 0 };
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = LevelAnalyzer;
@@ -4,16 +4,91 @@
  * @description Implements mystical lunar influences on audio transformation
  */
 
+const ProcessingClock = require('./processing-clock');
+
+// === Moon Phase → Texture Mapping ===
+// Each phase brings its own character effects (effects-chain.js modules, keyed by the phase's
+// influence type); effects a texture leaves out sit that phase out.
+const PHASE_TEXTURES = {
+    // New Moon: a cavernous, humming dark
+    dark: {
+        name: 'abyss',
+        effects: {
+            reverb: { space: 'cave', reverberance: 70, damping: 80, roomScale: 100, preDelay: 40 },
+            tremolo: { rate: 0.5, depth: 30 },
+            noiseBed: { type: 'hum', level: -54 }
+        }
+    },
+    // Waxing Crescent: slow phasing over crackle
+    building: {
+        name: 'kindling',
+        effects: {
+            phaser: { delay: 3, decay: 0.4, speed: 0.3, shape: 'sine' },
+            noiseBed: { type: 'vinyl', level: -50 }
+        }
+    },
+    // First Quarter: a doubled voice in a small room
+    balanced: {
+        name: 'chamber',
+        effects: {
+            chorus: { delay: 40, depth: 2, rate: 0.6, mix: 0.35 },
+            reverb: { space: 'room', reverberance: 40, damping: 50, roomScale: 50, preDelay: 10 }
+        }
+    },
+    // Waxing Gibbous: rising jet sweep on a bright plate
+    growing: {
+        name: 'ascent',
+        effects: {
+            flanger: { delay: 2, depth: 3, regen: 30, width: 70, speed: 0.2 },
+            reverb: { space: 'plate', reverberance: 45, damping: 30, roomScale: 60, preDelay: 15 }
+        }
+    },
+    // Full Moon: wide, shimmering chorus in a large hall
+    ethereal: {
+        name: 'halo',
+        effects: {
+            chorus: { delay: 55, depth: 4, rate: 0.3, mix: 0.5 },
+            tremolo: { rate: 0.25, depth: 15 },
+            reverb: { space: 'hall', reverberance: 75, damping: 20, roomScale: 100, preDelay: 30 }
+        }
+    },
+    // Waning Gibbous: drifting notches, hall and tape hiss
+    reflective: {
+        name: 'mirror',
+        effects: {
+            phaser: { delay: 4, decay: 0.3, speed: 0.15, shape: 'triangle' },
+            reverb: { space: 'hall', reverberance: 55, damping: 60, roomScale: 80, preDelay: 25 },
+            noiseBed: { type: 'tape', level: -56 }
+        }
+    },
+    // Last Quarter: broken up, stuttering and metallic
+    releasing: {
+        name: 'fracture',
+        effects: {
+            bitcrush: { bits: 10, downsample: 2 },
+            tremolo: { rate: 6, depth: 50 },
+            flanger: { delay: 0, depth: 6, regen: -40, width: 80, speed: 0.8 }
+        }
+    },
+    // Waning Crescent: worn, dusty record in a dead room
+    fading: {
+        name: 'dust',
+        effects: {
+            bitcrush: { bits: 12, downsample: 3 },
+            noiseBed: { type: 'vinyl', level: -44 },
+            reverb: { space: 'room', reverberance: 35, damping: 70, roomScale: 40, preDelay: 5 }
+        }
+    }
+};
+
 class LunarProcessor {
-    static getMoonPhase() {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = now.getMonth() + 1;
-        const day = now.getDate();
-        
-        // Calculate days since known new moon (Jan 6, 2000)
+    /**
+     * @param {Date} [now] - Moment to evaluate (defaults to the current time)
+     */
+    static getMoonPhase(now = new Date()) {
+        // Calculate days since known new moon (Jan 6, 2000 UTC, so the phase is the same in every zone)
         const lunarMonth = 29.530588853;
-        const referenceNewMoon = new Date(2000, 0, 6);
+        const referenceNewMoon = Date.UTC(2000, 0, 6);
         const daysSinceReference = (now - referenceNewMoon) / (1000 * 60 * 60 * 24);
         
         // Phase: 0-1 (0/1 = new moon, 0.5 = full moon)
@@ -124,9 +199,12 @@ class LunarProcessor {
     }
     
     // === Time of Day Modifiers ===
-    static getTimeInfluence() {
-        const now = new Date();
-        const hour = now.getHours();
+    /**
+     * @param {Date} [now] - Moment to evaluate (defaults to the current time)
+     * @param {string|null} [timeZone] - Zone to read the hour in (ProcessingClock.timeZone(); null = local)
+     */
+    static getTimeInfluence(now = new Date(), timeZone = null) {
+        const hour = ProcessingClock.wallTime(now, timeZone).hour;
         
         if (hour >= 0 && hour < 6) {
             // Deep Night → Enhance darkness
@@ -165,13 +243,35 @@ class LunarProcessor {
         }
     }
     
-    static getInfluencedParameters() {
-        const moonPhase = this.getMoonPhase();
-        const timeInfluence = this.getTimeInfluence();
+    /**
+     * Character effects for a phase
+     * @param {string} type - Phase influence type (getPhaseInfluence().type)
+     * @param {Object} [time] - getTimeInfluence() result; stretches the reverb like it does the echo
+     * @returns {{name: string, effects: Object}} Effect id → parameters (a copy)
+     */
+    static getTexture(type, time = { echoMultiplier: 1 }) {
+        const texture = PHASE_TEXTURES[type];
+        const effects = Object.fromEntries(Object.entries(texture.effects).map(([effect, params]) => [effect, { ...params }]));
+        if (effects.reverb) {
+            effects.reverb.reverberance = Math.min(100, Math.round(effects.reverb.reverberance * time.echoMultiplier));
+        }
+        return { name: texture.name, effects };
+    }
+    
+    /**
+     * Combined moon + time of day parameters for the effects chain
+     * @param {Date} [now] - Moment to evaluate (pass a pinned ProcessingClock time to reproduce a render)
+     * @param {Object} [options]
+     * @param {string|null} [options.timeZone] - Zone for the time of day (ProcessingClock.timeZone())
+     */
+    static getInfluencedParameters(now = new Date(), { timeZone = null } = {}) {
+        const moonPhase = this.getMoonPhase(now);
+        const timeInfluence = this.getTimeInfluence(now, timeZone);
         
         // Combine moon + time influences
         const base = moonPhase.influence;
         const time = timeInfluence;
+        const texture = this.getTexture(base.type, time);
         
         return {
             moonPhase: moonPhase.name,
@@ -187,8 +287,9 @@ class LunarProcessor {
                 decay: base.echo.decay * time.echoMultiplier
             },
             compand: base.compand,
+            texture,
             
-            description: `${moonPhase.name} ${time.type} processing (${base.type})`
+            description: `${moonPhase.name} ${time.type} processing (${base.type}, ${texture.name} texture)`
         };
     }
 }
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Structured file information from ffprobe
+ * @author Hexbloop Audio Labs
+ * @description Runs ffprobe with an argument array (no shell, so any file name is safe)
+ * and turns its JSON into the few fields the pipeline and UI need.
+ *
+ * Result:
+ *   format        - Container short name ("wav", "mp3", "flac", "mov,mp4,m4a,3gp,3g2,mj2", ...)
+ *   duration      - Seconds (null if unknown)
+ *   size          - Bytes
+ *   bitRate       - Overall bits per second (null if unknown)
+ *   audio         - First audio stream, null if there is none:
+ *                   { codec, sampleRate, channels, channelLayout, bitDepth, sampleFormat, bitRate }
+ *                   bitDepth is null for lossy codecs, which have no fixed sample size
+ *   hasArtwork    - An attached picture (cover art) stream is present
+ *   encrypted     - The audio stream is DRM protected (iTunes .m4p, Audible) and can't be decoded
+ *   tags          - Container and audio stream tags, keys lower-cased ({ title, artist, ... })
+ */
+
+const { spawn } = require('child_process');
+const binaries = require('./binary-resolver');
+
+// ffprobe answers in well under a second; anything slower is a hung network share or a broken file
+const PROBE_TIMEOUT_MS = 30000;
+
+// Bit depth implied by the decoder's sample format when the stream doesn't say
+const SAMPLE_FORMAT_BITS = {
+    u8: 8, u8p: 8,
+    s16: 16, s16p: 16,
+    s32: 32, s32p: 32,
+    s64: 64, s64p: 64,
+    flt: 32, fltp: 32,
+    dbl: 64, dblp: 64
+};
+
+// Codecs whose decoded sample format says nothing about the source's resolution
+const LOSSY_CODECS = ['mp3', 'mp2', 'aac', 'vorbis', 'opus', 'wmav2', 'ac3', 'eac3'];
+
+// Sample entry tags of encrypted MP4 audio (FairPlay, Audible, Common Encryption)
+const ENCRYPTED_CODEC_TAGS = ['drms', 'drmi', 'aavd', 'enca'];
+
+class MediaProbe {
+    /**
+     * Probe one file
+     * @param {string} filePath - Media file
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Kills ffprobe when aborted
+     * @returns {Promise<Object>} File information (see file header)
+     */
+    static probe(filePath, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            const ffprobeBin = binaries.ffprobe.path || 'ffprobe';
+            const proc = spawn(ffprobeBin, [
+                '-v', 'error',
+                '-print_format', 'json',
+                '-show_format',
+                '-show_streams',
+                '-i', filePath
+            ], { stdio: ['ignore', 'pipe', 'pipe'], signal, killSignal: 'SIGKILL', timeout: PROBE_TIMEOUT_MS });
+
+            let stdout = '';
+            let stderr = '';
+            proc.stdout.on('data', (chunk) => { stdout += chunk; });
+            proc.stderr.on('data', (chunk) => { stderr += chunk; });
+
+            proc.on('error', (error) => reject(signal?.aborted ? signal.reason : error));
+            proc.on('close', (code, killSignal) => {
+                if (signal?.aborted) {
+                    return reject(signal.reason);
+                }
+                if (code !== 0) {
+                    const reason = killSignal ? `timed out after ${PROBE_TIMEOUT_MS / 1000}s` : stderr.trim().split('\n').pop() || `code ${code}`;
+                    return reject(new Error(`ffprobe failed for ${filePath}: ${reason}`));
+                }
+                try {
+                    resolve(this.parse(JSON.parse(stdout)));
+                } catch (error) {
+                    reject(new Error(`ffprobe returned unreadable output for ${filePath}: ${error.message}`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Turn ffprobe's -show_format -show_streams JSON into file information
+     * @param {Object} data - Parsed ffprobe JSON
+     * @returns {Object} File information (see file header)
+     */
+    static parse(data) {
+        const format = data.format || {};
+        const streams = data.streams || [];
+        const audioStream = streams.find(stream => stream.codec_type === 'audio');
+        const artwork = streams.some(stream => stream.codec_type === 'video' && stream.disposition?.attached_pic === 1);
+
+        return {
+            format: format.format_name || null,
+            duration: toNumber(format.duration) ?? toNumber(audioStream?.duration),
+            size: toNumber(format.size),
+            bitRate: toNumber(format.bit_rate),
+            audio: audioStream ? {
+                codec: audioStream.codec_name || null,
+                sampleRate: toNumber(audioStream.sample_rate),
+                channels: audioStream.channels ?? null,
+                channelLayout: audioStream.channel_layout || null,
+                bitDepth: this.bitDepth(audioStream),
+                sampleFormat: audioStream.sample_fmt || null,
+                bitRate: toNumber(audioStream.bit_rate)
+            } : null,
+            hasArtwork: artwork,
+            encrypted: ENCRYPTED_CODEC_TAGS.includes(audioStream?.codec_tag_string),
+            tags: {
+                ...lowerCaseKeys(audioStream?.tags),
+                ...lowerCaseKeys(format.tags)
+            }
+        };
+    }
+
+    /**
+     * Source resolution of an audio stream
+     * @param {Object} stream - ffprobe audio stream
+     * @returns {number|null} Bits per sample, null for lossy codecs
+     */
+    static bitDepth(stream) {
+        // FLAC and ALAC report the real depth here (24-bit FLAC decodes to s32)
+        const raw = toNumber(stream.bits_per_raw_sample);
+        if (raw) return raw;
+        if (LOSSY_CODECS.includes(stream.codec_name)) return null;
+        // PCM in WAV/AIFF reports it here
+        const coded = toNumber(stream.bits_per_sample);
+        if (coded) return coded;
+        return SAMPLE_FORMAT_BITS[stream.sample_fmt] || null;
+    }
+}
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === 'N/A' || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function lowerCaseKeys(tags = {}) {
+    return Object.fromEntries(Object.entries(tags).map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+module.exports = MediaProbe;
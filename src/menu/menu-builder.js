@@ -7,12 +7,15 @@
 const { Menu, shell, dialog, app } = require('electron');
 const path = require('path');
 const { getPreferencesManager } = require('./preferences');
+const { getMasteringPresets, resolveMasteringPreset } = require('../shared/mastering-presets');
+const { getAnalysisCache } = require('../analysis/analysis-cache');
 
 class MenuBuilder {
     constructor(mainWindow) {
         this.mainWindow = mainWindow;
         this.preferencesManager = getPreferencesManager();
         this.preferencesWindow = null;
+        this.watchStatus = null;
     }
     
     /**
@@ -126,6 +129,14 @@ class MenuBuilder {
                             }
                         ]
                     },
+                    {
+                        label: 'Mastering Preset',
+                        submenu: this.buildMasteringPresetMenu()
+                    },
+                    {
+                        label: 'Watch Folders',
+                        submenu: this.buildWatchMenu()
+                    },
                     {
                         type: 'separator'
                     },
@@ -234,6 +245,130 @@ class MenuBuilder {
         return menu;
     }
     
+    /**
+     * Build the Mastering Preset submenu (shipped presets, then the user's own)
+     * @returns {Array} Menu template items
+     */
+    buildMasteringPresetMenu() {
+        const settings = this.preferencesManager.getSettings();
+        const { id: selected } = resolveMasteringPreset(settings);
+        const custom = settings.processing.masteringPresets || {};
+
+        const radio = ([id, preset]) => ({
+            label: preset.name,
+            type: 'radio',
+            checked: id === selected,
+            enabled: settings.processing.mastering,
+            click: () => this.setMasteringPreset(id)
+        });
+
+        const items = Object.entries(getMasteringPresets(settings))
+            .filter(([id]) => !custom[id])
+            .map(radio);
+        const customItems = Object.entries(custom).map(radio);
+
+        return customItems.length > 0 ? [...items, { type: 'separator' }, ...customItems] : items;
+    }
+
+    /**
+     * Build the Watch Folders submenu from the latest watcher status
+     * @returns {Array} Menu template items
+     */
+    buildWatchMenu() {
+        const folders = this.preferencesManager.getSetting('watch.folders') || [];
+        const items = [
+            {
+                label: this.describeWatchStatus(),
+                enabled: false
+            },
+            {
+                type: 'separator'
+            },
+            {
+                label: 'Watch Inbox Folders',
+                type: 'checkbox',
+                checked: this.preferencesManager.getSetting('watch.enabled'),
+                enabled: folders.length > 0,
+                click: (menuItem) => this.toggleProcessingOption('watch.enabled', menuItem.checked)
+            },
+            {
+                label: 'Add Watch Folder...',
+                click: () => this.addWatchFolder()
+            }
+        ];
+
+        if (folders.length > 0) {
+            items.push({ type: 'separator' });
+            for (const folder of folders) {
+                items.push({
+                    label: `Open ${path.basename(folder)}`,
+                    click: () => shell.openPath(folder)
+                });
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * One-line watcher status for the menu
+     * @returns {string}
+     */
+    describeWatchStatus() {
+        const status = this.watchStatus;
+        if (!status || status.state === 'off') {
+            return status && status.errors.length > 0 ? `⚠️ ${status.errors[0].error}` : 'Not watching';
+        }
+        if (status.state === 'processing') {
+            return `Processing ${status.current}${status.pending ? ` (${status.pending} waiting)` : ''}`;
+        }
+        if (status.state === 'waiting') {
+            return `${status.pending} file${status.pending !== 1 ? 's' : ''} waiting for the current batch`;
+        }
+        if (status.state === 'settling') {
+            return `Waiting for ${status.pending} file${status.pending !== 1 ? 's' : ''} to finish copying`;
+        }
+        const count = status.folders.length;
+        return `Watching ${count} folder${count !== 1 ? 's' : ''} • ${status.processed} done, ${status.failed} failed`;
+    }
+
+    /**
+     * Refresh the Watch Folders submenu with a new watcher status
+     * @param {Object} status - WatchFolderManager.getStatus() snapshot
+     */
+    setWatchStatus(status) {
+        const isUpdate = this.watchStatus !== null;
+        this.watchStatus = status;
+        if (isUpdate) {
+            this.updateMenu();
+        }
+    }
+
+    /**
+     * Pick a new inbox folder and start watching it
+     */
+    async addWatchFolder() {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+            properties: ['openDirectory', 'createDirectory'],
+            title: 'Choose an Inbox Folder to Watch'
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return;
+        }
+
+        try {
+            const folders = this.preferencesManager.getSetting('watch.folders') || [];
+            if (!folders.includes(result.filePaths[0])) {
+                await this.preferencesManager.updateSetting('watch.folders', [...folders, result.filePaths[0]]);
+            }
+            await this.preferencesManager.updateSetting('watch.enabled', true);
+            this.updateMenu();
+        } catch (error) {
+            console.error('❌ Failed to add watch folder:', error);
+        }
+    }
+
     /**
      * Show mystical about dialog
      */
@@ -322,6 +457,21 @@ Hexbloop Audio Labs © 2024`,
         }
     }
     
+    /**
+     * Select the mastering preset and update radio buttons in menu
+     * @param {string} presetId - Preset id from getMasteringPresets()
+     */
+    async setMasteringPreset(presetId) {
+        try {
+            await this.preferencesManager.updateSetting('processing.masteringPreset', presetId);
+            console.log(`🎚️ Mastering preset set to: ${presetId}`);
+            
+            this.updateMenu();
+        } catch (error) {
+            console.error('❌ Failed to update mastering preset:', error);
+        }
+    }
+    
     /**
      * Toggle ambient audio
      */
@@ -348,22 +498,36 @@ Hexbloop Audio Labs © 2024`,
     }
     
     /**
-     * Clear mystical cache
+     * Clear the audio analysis cache (see analysis/analysis-cache.js) with confirmation
      */
     async clearCache() {
+        const cache = getAnalysisCache();
+        const { entries, bytes } = cache.stats();
         const response = await dialog.showMessageBox(this.mainWindow, {
             type: 'question',
             title: 'Clear Cache',
-            message: 'Clear all temporary files?',
-            detail: 'This will remove cached artwork, temporary files, and processing logs.',
+            message: 'Clear the audio analysis cache?',
+            detail: `${entries} cached ${entries === 1 ? 'analysis' : 'analyses'} (${(bytes / 1024 / 1024).toFixed(1)} MB). ` +
+                'Files will be analyzed again the next time they are processed.',
             buttons: ['Clear Cache', 'Cancel'],
             defaultId: 1,
             cancelId: 1
         });
         
         if (response.response === 0) {
-            // Implementation for clearing cache
-            console.log('🧹 Mystical cache cleared');
+            try {
+                const removed = cache.clear();
+                console.log(`🧹 Mystical cache cleared (${removed.entries} analyses)`);
+                
+                dialog.showMessageBox(this.mainWindow, {
+                    type: 'info',
+                    title: 'Cache Cleared',
+                    message: `Removed ${removed.entries} cached ${removed.entries === 1 ? 'analysis' : 'analyses'}.`,
+                    buttons: ['OK']
+                });
+            } catch (error) {
+                console.error('❌ Failed to clear cache:', error);
+            }
         }
     }
     
@@ -4,24 +4,34 @@
  * @description Handles settings persistence, validation, and retrieval
  */
 
-const { app } = require('electron');
 const fs = require('fs').promises;
 const path = require('path');
+const { EventEmitter } = require('events');
 const { 
     DEFAULT_SETTINGS, 
     validateSettings, 
-    mergeWithDefaults 
+    mergeWithDefaults,
+    getProcessingConfig
 } = require('../shared/settings-schema');
+const { getUserDataPath } = require('../shared/user-data-path');
 
-class PreferencesManager {
-    constructor() {
-        this.userDataPath = app.getPath('userData');
+/**
+ * Emits 'change' with the new settings after every successful save.
+ */
+class PreferencesManager extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.userDataPath] - Override the settings directory (defaults to the app's userData)
+     */
+    constructor(options = {}) {
+        super();
+        this.userDataPath = options.userDataPath || getUserDataPath();
         this.settingsPath = path.join(this.userDataPath, 'hexbloop-settings.json');
         this.backupPath = path.join(this.userDataPath, 'hexbloop-settings.backup.json');
         this.currentSettings = null;
         
-        // Initialize settings on startup
-        this.initializeSettings();
+        // Initialize settings on startup (await `ready` when settings are needed immediately)
+        this.ready = this.initializeSettings();
     }
     
     /**
@@ -88,11 +98,13 @@ class PreferencesManager {
                 throw new Error(`Settings validation failed: ${errors.join(', ')}`);
             }
             
-            // Save to disk with pretty formatting
+            // Save to disk with pretty formatting (the folder may not exist yet outside Electron)
+            await fs.mkdir(this.userDataPath, { recursive: true });
             const settingsJson = JSON.stringify(this.currentSettings, null, 2);
             await fs.writeFile(this.settingsPath, settingsJson, 'utf8');
             
             console.log('💾 Mystical preferences saved successfully');
+            this.emit('change', this.currentSettings);
             return true;
         } catch (error) {
             console.error('❌ Failed to save mystical preferences:', error);
@@ -151,6 +163,7 @@ class PreferencesManager {
      * Update multiple settings at once
      */
     async updateSettings(newSettings) {
+        const previousSettings = this.currentSettings;
         try {
             // Merge new settings with current settings
             this.currentSettings = mergeWithDefaults({
@@ -161,6 +174,8 @@ class PreferencesManager {
             await this.saveSettings();
             return this.currentSettings;
         } catch (error) {
+            // Rejected settings must not stay live (watch folders read them per file)
+            this.currentSettings = previousSettings;
             console.error('❌ Failed to update mystical preferences:', error);
             throw error;
         }
@@ -181,21 +196,7 @@ class PreferencesManager {
      * @returns {Object} Config object with stages, metadata, and options
      */
     getProcessingConfig() {
-        const settings = this.getSettings();
-        return {
-            stages: {
-                compressing: settings.processing.compressing,
-                mastering: settings.processing.mastering,
-                coverArt: settings.processing.coverArt,
-                naming: settings.processing.naming
-            },
-            metadata: settings.processing.naming === 'custom' ? {
-                artist: settings.metadata.artist || 'Unknown Artist',
-                album: settings.metadata.album || 'Unknown Album',
-                year: settings.metadata.year || new Date().getFullYear(),
-                genre: settings.metadata.genre || 'Mystical Audio'
-            } : null
-        };
+        return getProcessingConfig(this.getSettings());
     }
     
     /**
@@ -53,6 +53,12 @@ class MetadataEmbedder {
                 text: metadata.comment || 'Processed with Hexbloop'
             }
         };
+        if (metadata.bpm) {
+            tags.bpm = String(metadata.bpm); // TBPM
+        }
+        if (metadata.key) {
+            tags.initialKey = metadata.key; // TKEY
+        }
 
         // Add artwork if provided (supports PNG and JPG)
         if (artworkPath && /\.(png|jpe?g)$/i.test(artworkPath)) {
@@ -110,8 +116,15 @@ class MetadataEmbedder {
                     `-metadata genre="${this.escapeMetadata(metadata.genre || 'Electronic')}"`,
                     `-metadata comment="${this.escapeMetadata(metadata.comment || 'Processed with Hexbloop')}"`
                 ]);
+            if (metadata.bpm) {
+                command = command.outputOptions(`-metadata BPM="${metadata.bpm}"`);
+            }
+            if (metadata.key) {
+                command = command.outputOptions(`-metadata KEY="${this.escapeMetadata(metadata.key)}"`);
+            }
 
             // Add artwork if provided (works for FLAC, AAC/M4A, OGG)
+            let artworkMapped = false;
             if (artworkPath && /\.(png|jpe?g)$/i.test(artworkPath)) {
                 const ext = path.extname(outputPath).toLowerCase();
 
@@ -129,6 +142,7 @@ class MetadataEmbedder {
                                 '-metadata:s:v comment="Cover (front)"',
                                 '-disposition:v:0 attached_pic'
                             ]);
+                        artworkMapped = true;
                         console.log(`🎨 Embedding artwork via FFmpeg (${ext.toUpperCase()})`);
                     } catch (error) {
                         console.log(`⚠️  Could not add artwork for ${ext}: ${error.message}`);
@@ -141,8 +155,8 @@ class MetadataEmbedder {
                 }
             }
 
-            // Copy codec to preserve quality
-            if (!artworkPath || path.extname(outputPath).toLowerCase() === '.wav') {
+            // Copy codec to preserve quality (and the bit depth of PCM formats)
+            if (!artworkMapped) {
                 command = command.audioCodec('copy');
             }
 
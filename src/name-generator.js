@@ -4,6 +4,8 @@
  * @description Creates musical track names based on moon phases, time, and mystical concepts
  */
 
+const ProcessingClock = require('./processing-clock');
+
 class NameGenerator {
     // === Curated word banks for better musical names ===
     
@@ -64,6 +66,12 @@ class NameGenerator {
         'Waning Crescent': ['fading', 'dissolving', 'vanishing', 'ephemeral', 'ghosting', 'waning']
     };
     
+    // Musical key moods: minor keys lean shadowy, major keys lean bright
+    static tonalWords = {
+        minor: ['aeolian', 'minor', 'umbral', 'somber', 'veiled', 'nocturne', 'lament', 'hollow'],
+        major: ['ionian', 'major', 'radiant', 'lucid', 'gilded', 'aubade', 'bright', 'open']
+    };
+    
     // Version/iteration markers (subtle)
     static versionMarkers = [
         'v1', 'v2', 'v3', 'mk1', 'mk2', 'mk3', 'alpha', 'beta', 'gamma', 'delta',
@@ -101,8 +109,8 @@ class NameGenerator {
         return 'Waning Crescent';
     }
     
-    // Generate clean, musical names (supports seeding)
-    static generateCleanName(randomFunc = Math.random) {
+    // Generate clean, musical names (supports seeding, a pinned date and the zone to read it in)
+    static generateCleanName(randomFunc = Math.random, date = new Date(), timeZone = null) {
         const patterns = [
             // Single evocative word
             () => this.capitalize(this.pick([
@@ -127,7 +135,7 @@ class NameGenerator {
 
             // Time-based
             () => {
-                const hour = new Date().getHours();
+                const { hour } = ProcessingClock.wallTime(date, timeZone);
                 const timeWord = hour < 6 ? "nocturnal" : hour < 12 ? "dawn" : hour < 18 ? "meridian" : "dusk";
                 return `${this.capitalize(timeWord)}_${this.capitalize(this.pick(this.mysticalWords, randomFunc))}`;
             }
@@ -136,9 +144,9 @@ class NameGenerator {
         return this.pick(patterns, randomFunc)();
     }
     
-    // Generate name with subtle stylistic elements (supports seeding)
-    static generateStyledName(style = 'neutral', randomFunc = Math.random) {
-        let name = this.generateCleanName(randomFunc);
+    // Generate name with subtle stylistic elements (supports seeding and a pinned date)
+    static generateStyledName(style = 'neutral', randomFunc = Math.random, date = new Date(), timeZone = null) {
+        let name = this.generateCleanName(randomFunc, date, timeZone);
         
         // Add subtle style markers based on preference
         switch(style) {
@@ -214,10 +222,33 @@ class NameGenerator {
         return this.pick(patterns, randomFunc)();
     }
     
+    // Generate name from a detected key (analysis/key.js result; supports seeding)
+    static generateTonalName(key, randomFunc = Math.random) {
+        const moodWords = this.tonalWords[key.scale] || this.tonalWords.major;
+        // Filename-safe spelling: F#m -> fsharp_minor, Bb -> bflat_major
+        const keyName = `${key.tonic.replace('#', 'sharp').replace(/^([A-G])b$/, '$1flat').toLowerCase()}_${key.scale}`;
+
+        const patterns = [
+            // Key mood + atmospheric
+            () => `${this.capitalize(this.pick(moodWords, randomFunc))}_${this.capitalize(this.pick(this.atmosphericWords, randomFunc))}`,
+
+            // Spelled-out key
+            () => `${keyName}_${this.pick(['transmission', 'signal', 'drift', 'cycle', 'sequence'], randomFunc)}`,
+
+            // Camelot wheel position
+            () => `${this.capitalize(this.pick(this.mysticalWords, randomFunc))}_${key.camelot}`
+        ];
+
+        return this.pick(patterns, randomFunc)();
+    }
+    
     // Main generation function - intelligent name creation
+    // metadata.date pins the lunar/temporal influences, read in metadata.timeZone (see ProcessingClock)
+    // metadata.key (AudioAnalyzer.reliableKey) adds key-influenced names to the mix
     static generateMystical(metadata = {}) {
-        const now = new Date();
-        const hour = now.getHours();
+        const now = metadata.date || new Date();
+        const timeZone = metadata.timeZone || null;
+        const { hour } = ProcessingClock.wallTime(now, timeZone);
 
         // BEST PRACTICE: Support seeding for reproducible names
         const seed = metadata.seed || Date.now();
@@ -228,7 +259,7 @@ class NameGenerator {
         if (!moonPhase) {
             try {
                 const LunarProcessor = require('./lunar-processor');
-                moonPhase = LunarProcessor.getMoonPhase();
+                moonPhase = LunarProcessor.getMoonPhase(now);
             } catch (e) {
                 // BEST PRACTICE: Correct lunar fallback calculation
                 // Julian day approximation for lunar cycle
@@ -262,6 +293,10 @@ class NameGenerator {
             weights.lunar += 15; // Strong lunar influence at extremes
         }
         
+        if (metadata.key) {
+            weights.tonal = 25;
+        }
+        
         // Pick generation method based on weights
         const total = Object.values(weights).reduce((a, b) => a + b, 0);
         let random = randomFunc() * total;
@@ -281,18 +316,21 @@ class NameGenerator {
             case 'lunar':
                 name = this.generateLunarName(moonPhase, randomFunc);
                 break;
+            case 'tonal':
+                name = this.generateTonalName(metadata.key, randomFunc);
+                break;
             case 'temporal':
                 const timeWord = hour < 6 ? 'nocturnal' : hour < 12 ? 'morning' : hour < 18 ? 'afternoon' : 'evening';
                 name = `${timeWord}_${this.pick(this.mysticalWords, randomFunc)}`;
                 break;
             case 'technical':
-                name = this.generateStyledName('technical', randomFunc);
+                name = this.generateStyledName('technical', randomFunc, now, timeZone);
                 break;
             case 'atmospheric':
-                name = this.generateStyledName('atmospheric', randomFunc);
+                name = this.generateStyledName('atmospheric', randomFunc, now, timeZone);
                 break;
             default:
-                name = this.generateCleanName(randomFunc);
+                name = this.generateCleanName(randomFunc, now, timeZone);
         }
 
         // BEST PRACTICE: Post-processing with better symbol handling
@@ -318,7 +356,7 @@ class NameGenerator {
         const hasLetters = /[a-zA-Z]/.test(name);
         if (!name || name.length < 3 || !hasLetters) {
             // Fallback to timestamp-based name
-            name = `hexbloop_${Date.now()}`;
+            name = `hexbloop_${now.getTime()}`;
         }
 
         return name;
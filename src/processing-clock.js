@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Processing clock for lunar and temporal influences
+ * @author Hexbloop Audio Labs
+ * @description Supplies "now" to the pipeline, optionally pinned to a fixed render date
+ *
+ * A live clock behaves exactly like `new Date()`. A pinned clock always reports the
+ * same instant and hands out stable seeds, so moon phase, time of day, names and
+ * artwork can be re-rendered "as of" that moment with identical parameters.
+ * A pinned clock reads its wall time (hour, year) in UTC, and ISO strings without an
+ * offset are taken as UTC wall time, so a render date means the same thing on every
+ * machine. The live clock keeps the machine's local time.
+ */
+
+// ISO date-time without a `Z` or `±HH:MM` offset (what datetime-local inputs produce)
+const OFFSETLESS_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+class ProcessingClock {
+    /**
+     * @param {Date|string|number|null} pinnedAt - Fixed render time, or null for the live clock
+     */
+    constructor(pinnedAt = null) {
+        this.pinnedAt = ProcessingClock.parse(pinnedAt);
+    }
+
+    /**
+     * Parse a render date from settings, CLI or IPC input
+     * @param {Date|string|number|null} value - ISO string (UTC unless it carries an offset), timestamp or Date
+     * @returns {Date|null} Parsed date, or null when no date was given
+     * @throws {Error} If the value cannot be parsed as a date
+     */
+    static parse(value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+
+        let date;
+        if (value instanceof Date) {
+            date = new Date(value.getTime());
+        } else if (typeof value === 'string' && OFFSETLESS_DATE_TIME.test(value.trim())) {
+            date = new Date(`${value.trim()}Z`);
+        } else {
+            date = new Date(value);
+        }
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid render date: ${value}`);
+        }
+        return date;
+    }
+
+    /**
+     * Calendar fields of a moment as read on a wall clock in a time zone
+     * @param {Date} date - Moment to read
+     * @param {string|null} [timeZone] - 'UTC' or an IANA zone; null reads the machine's local time
+     * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} month is 1-12
+     */
+    static wallTime(date, timeZone = null) {
+        if (!timeZone) {
+            return {
+                year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+                hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds()
+            };
+        }
+        if (timeZone === 'UTC') {
+            return {
+                year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+                hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds()
+            };
+        }
+
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }).formatToParts(date);
+        const field = (type) => Number(parts.find(part => part.type === type).value);
+        return {
+            year: field('year'), month: field('month'), day: field('day'),
+            hour: field('hour'), minute: field('minute'), second: field('second')
+        };
+    }
+
+    /**
+     * Build the clock for a batch. A per-batch override (IPC argument, batch option
+     * or CLI flag) wins over the `processing.renderAt` setting.
+     * @param {Object} settings - Current settings
+     * @param {Date|string|number|null} [override] - Per-batch render date
+     * @returns {ProcessingClock}
+     */
+    static resolve(settings, override = null) {
+        if (override !== null && override !== undefined && override !== '') {
+            return new ProcessingClock(override);
+        }
+        return new ProcessingClock(settings?.processing?.renderAt || null);
+    }
+
+    /**
+     * @returns {boolean} True when the clock is pinned to a fixed date
+     */
+    isPinned() {
+        return this.pinnedAt !== null;
+    }
+
+    /**
+     * @returns {Date} Current processing time (a fresh copy when pinned)
+     */
+    now() {
+        return this.pinnedAt ? new Date(this.pinnedAt.getTime()) : new Date();
+    }
+
+    /**
+     * Time zone that wall-time influences (time of day, year) are read in
+     * @returns {string|null} 'UTC' when pinned, or null for the machine's local zone
+     */
+    timeZone() {
+        return this.pinnedAt ? 'UTC' : null;
+    }
+
+    /**
+     * @returns {number} Year of the processing time in the clock's zone
+     */
+    year() {
+        return ProcessingClock.wallTime(this.now(), this.timeZone()).year;
+    }
+
+    /**
+     * Stable seed for seeded generators, derived from the pinned date and a salt.
+     * Returns null for the live clock so callers keep their random behaviour.
+     * @param {string|number} [salt] - Distinguishes seeds within one render (file index, name...)
+     * @returns {number|null} Positive 31-bit seed
+     */
+    seed(salt = '') {
+        if (!this.pinnedAt) {
+            return null;
+        }
+
+        // FNV-1a over the pinned instant + salt
+        const input = `${this.pinnedAt.toISOString()}:${salt}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < input.length; i++) {
+            hash ^= input.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return ((hash >>> 0) % 2147483646) + 1;
+    }
+
+    /**
+     * @returns {string|null} ISO render date for manifests, or null for the live clock
+     */
+    toJSON() {
+        return this.pinnedAt ? this.pinnedAt.toISOString() : null;
+    }
+}
+
+module.exports = ProcessingClock;
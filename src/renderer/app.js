@@ -59,11 +59,57 @@ class HexbloopMystic {
         // Settings button
         this.settingsButton = document.getElementById('settingsButton');
         
+        // Stage progress
+        this.progressStage = document.getElementById('progressStage');
+        this.progressFill = document.getElementById('progressFill');
+        
+        // Batch controls
+        this.pauseButton = document.getElementById('pauseButton');
+        this.cancelButton = document.getElementById('cancelButton');
+        this.isPaused = false;
+        
+        // Level report
+        this.levelReport = document.getElementById('levelReport');
+        this.levelReportTitle = document.getElementById('levelReportTitle');
+        this.levelReportList = document.getElementById('levelReportList');
+        
+        // Pre-flight report: files that can't be processed, asked about before the batch starts
+        this.preflightReport = document.getElementById('preflightReport');
+        this.preflightTitle = document.getElementById('preflightTitle');
+        this.preflightList = document.getElementById('preflightList');
+        this.preflightContinue = document.getElementById('preflightContinue');
+        this.preflightCancel = document.getElementById('preflightCancel');
+        this.resolvePreflight = null;
+        
+        // A/B preview: level-matched original vs processed excerpt, asked about before the batch starts
+        this.previewPanel = document.getElementById('previewPanel');
+        this.previewTitle = document.getElementById('previewTitle');
+        this.previewDetail = document.getElementById('previewDetail');
+        this.previewPlay = document.getElementById('previewPlay');
+        this.previewPosition = document.getElementById('previewPosition');
+        this.previewSides = [document.getElementById('previewOriginal'), document.getElementById('previewProcessed')];
+        this.previewContinue = document.getElementById('previewContinue');
+        this.previewCancel = document.getElementById('previewCancel');
+        this.resolvePreview = null;
+        this.isPreviewing = false;      // A preview is being rendered
+        this.previewCancelled = false;
+        this.previewContext = null;     // AudioContext, created on first preview
+        this.preview = null;            // Decoded excerpts and playback state
+        
+        // Watch-folder status
+        this.watchStatus = document.getElementById('watchStatus');
+        this.watchStatusText = document.getElementById('watchStatusText');
+        
         this.initEvents();
         this.initProgressListeners();
         this.initParallax();
         this.initAmbientAudio();
         this.initSettingsButton();
+        this.initBatchControls();
+        this.initLevelReport();
+        this.initPreflightReport();
+        this.initPreviewPanel();
+        this.initWatchStatus();
         
         // Initialize spectrum visualizer
         if (this.spectrum) {
@@ -92,6 +138,19 @@ class HexbloopMystic {
             this.updateProgress(data);
         });
         
+        window.electronAPI.onPreflightProgress((event, { checked, total }) => {
+            if (total > 1) {
+                this.progressText.textContent = `Inspecting the offerings… ${checked}/${total}`;
+            }
+        });
+        
+        // Main process offers unfinished batches on launch
+        window.electronAPI.onResumeBatch((event, journalPath) => {
+            if (!this.isProcessing) {
+                this.resumeBatch(journalPath);
+            }
+        });
+        
         window.electronAPI.onFileDropped((event, filePaths) => {
             console.log('📁 Received file drop from main process:', filePaths);
             if (filePaths && filePaths.length > 0) {
@@ -305,27 +364,419 @@ class HexbloopMystic {
         }
     }
     
+    initBatchControls() {
+        this.pauseButton.addEventListener('click', () => this.togglePause());
+        this.cancelButton.addEventListener('click', () => this.cancelProcessing());
+        
+        // Space pauses/resumes, Escape cancels while a batch is running
+        document.addEventListener('keydown', (e) => {
+            if (!this.isProcessing) return;
+            if (e.key === ' ') {
+                e.preventDefault();
+                this.togglePause();
+            } else if (e.key === 'Escape') {
+                this.cancelProcessing();
+            }
+        });
+        
+        window.electronAPI.onProcessingState((event, state) => {
+            this.setPaused(state === 'paused');
+            if (state === 'cancelled') {
+                this.progressText.textContent = 'The ritual is abandoned…';
+            }
+        });
+    }
+    
+    initLevelReport() {
+        document.getElementById('levelReportClose').addEventListener('click', () => this.hideLevelReport());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.isProcessing) {
+                this.hideLevelReport();
+            }
+        });
+    }
+    
+    showLevelReport(results) {
+        // Only files whose master missed a target; everything else is quietly fine
+        const missed = results.filter(r => r.levels && !r.levels.passed);
+        if (missed.length === 0) {
+            this.hideLevelReport();
+            return;
+        }
+        
+        this.levelReportTitle.textContent = `${missed.length} file${missed.length !== 1 ? 's' : ''} missed ${missed.length !== 1 ? 'their' : 'its'} targets`;
+        this.levelReportList.replaceChildren(...missed.map(result => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.className = 'level-report-file';
+            name.textContent = result.outputFile.split(/[\\/]/).pop();
+            const issues = document.createElement('span');
+            issues.className = 'level-report-issues';
+            issues.textContent = result.levels.issues.map(issue => issue.message).join(' • ');
+            item.append(name, issues);
+            return item;
+        }));
+        this.levelReport.classList.add('active');
+        console.log('📊 Level report:', missed.map(r => `${r.outputFile}: ${r.levels.issues.map(i => i.message).join('; ')}`));
+    }
+    
+    hideLevelReport() {
+        this.levelReport.classList.remove('active');
+    }
+    
+    initPreflightReport() {
+        this.preflightContinue.addEventListener('click', () => this.closePreflightReport(true));
+        this.preflightCancel.addEventListener('click', () => this.closePreflightReport(false));
+        document.addEventListener('keydown', (e) => {
+            if (!this.resolvePreflight) return;
+            if (e.key === 'Enter' && !this.preflightContinue.hidden) {
+                this.closePreflightReport(true);
+            } else if (e.key === 'Escape') {
+                this.closePreflightReport(false);
+            }
+        });
+    }
+    
+    /**
+     * List the files pre-flight rejected and ask whether to go on without them
+     * @param {Object} preflight - { ready, problems } from preflightAudio
+     * @returns {Promise<string[]|null>} Paths to process, or null if the user cancelled
+     */
+    askAboutPreflight({ ready, problems }) {
+        this.preflightTitle.textContent = `${problems.length} file${problems.length !== 1 ? 's' : ''} can't be processed`;
+        this.preflightList.replaceChildren(...problems.map(file => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.className = 'level-report-file';
+            name.textContent = file.fileName;
+            const issue = document.createElement('span');
+            issue.className = 'level-report-issues';
+            issue.textContent = file.problem;
+            item.append(name, issue);
+            return item;
+        }));
+        
+        this.preflightContinue.hidden = ready.length === 0;
+        this.preflightContinue.textContent = `Skip ${problems.length !== 1 ? 'them' : 'it'} and continue with ${ready.length}`;
+        this.preflightCancel.textContent = ready.length === 0 ? 'Dismiss' : 'Cancel';
+        this.preflightReport.classList.add('active');
+        
+        return new Promise(resolve => {
+            this.resolvePreflight = (proceed) => resolve(proceed ? ready : null);
+        });
+    }
+    
+    closePreflightReport(proceed) {
+        const resolve = this.resolvePreflight;
+        this.resolvePreflight = null;
+        this.preflightReport.classList.remove('active');
+        if (resolve) {
+            resolve(proceed);
+        }
+    }
+    
+    initPreviewPanel() {
+        this.previewPlay.addEventListener('click', () => this.togglePreviewPlayback());
+        this.previewSides.forEach(button => button.addEventListener('click', () => this.setPreviewSide(button.dataset.side)));
+        this.previewContinue.addEventListener('click', () => this.closePreviewPanel(true));
+        this.previewCancel.addEventListener('click', () => this.closePreviewPanel(false));
+        
+        window.electronAPI.onPreviewProgress((event, progress) => {
+            if (!this.isPreviewing) return;
+            this.progressFill.style.width = `${progress.filePercent}%`;
+            this.updateStageProgress(progress);
+        });
+        
+        // Space plays/pauses, A/B (or Tab) switch sides, Enter processes, Escape cancels
+        document.addEventListener('keydown', (e) => {
+            if (!this.resolvePreview) return;
+            const key = e.key.toLowerCase();
+            if (key === ' ') {
+                e.preventDefault();
+                this.togglePreviewPlayback();
+            } else if (key === 'a' || key === 'b') {
+                this.setPreviewSide(key === 'a' ? 'original' : 'processed');
+            } else if (key === 'tab') {
+                e.preventDefault();
+                this.setPreviewSide(this.preview?.side === 'original' ? 'processed' : 'original');
+            } else if (key === 'enter') {
+                e.preventDefault();
+                this.closePreviewPanel(true);
+            } else if (key === 'escape') {
+                this.closePreviewPanel(false);
+            }
+        });
+    }
+    
+    async wantsPreview() {
+        try {
+            const settings = await window.electronAPI.getSettings();
+            return settings?.ui?.previewBeforeBatch === true;
+        } catch (error) {
+            console.error('⚠️ Could not load settings, skipping preview:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Render a preview of the first file and let the user compare before the batch starts
+     * @param {string[]} paths - Files that passed pre-flight
+     * @returns {Promise<boolean>} Whether to go ahead with the batch
+     */
+    async previewBatch(paths) {
+        this.isProcessing = true;
+        this.isPreviewing = true;
+        this.previewCancelled = false;
+        this.pauseButton.hidden = true;
+        this.progressIndicator.classList.add('active');
+        this.progressFill.style.width = '0%';
+        this.progressText.textContent = 'Summoning a preview…';
+        
+        let preview;
+        try {
+            preview = await window.electronAPI.previewAudio(paths[0]);
+        } catch (error) {
+            if (!this.previewCancelled) {
+                console.error('Preview failed:', error);
+                this.showError('Preview failed. Check console for details.');
+            }
+            return false;
+        } finally {
+            this.isProcessing = false;
+            this.isPreviewing = false;
+            this.pauseButton.hidden = false;
+            this.progressIndicator.classList.remove('active');
+            this.progressText.textContent = '';
+            this.progressStage.textContent = '';
+            this.progressFill.style.width = '0%';
+        }
+        
+        return this.askAboutPreview(preview, paths.length);
+    }
+    
+    /**
+     * Show the A/B panel for a rendered preview
+     * @param {Object} preview - previewAudio result
+     * @param {number} count - Files the batch would process
+     * @returns {Promise<boolean>} Whether to go ahead with the batch
+     */
+    async askAboutPreview(preview, count) {
+        const { fileName, start, duration, gains } = preview;
+        const levels = gains.matched
+            ? `levels matched (processed ${gains.difference >= 0 ? '+' : ''}${gains.difference.toFixed(1)} LU)`
+            : 'levels not matched';
+        this.previewTitle.textContent = `Preview • ${fileName}`;
+        this.previewDetail.textContent = `${this.formatEta(Math.round(start))}–${this.formatEta(Math.round(start + duration))} • ${levels}`;
+        this.previewContinue.textContent = `Process ${count} file${count !== 1 ? 's' : ''}`;
+        
+        try {
+            await this.loadPreview(preview);
+        } catch (error) {
+            // Still let the user decide; they just can't listen
+            console.error('Preview could not be decoded:', error);
+            this.showError('Preview could not be played');
+        }
+        this.previewPlay.disabled = !this.preview;
+        this.setPreviewSide('processed');
+        this.previewPanel.classList.add('active');
+        
+        return new Promise(resolve => {
+            this.resolvePreview = resolve;
+        });
+    }
+    
+    closePreviewPanel(proceed) {
+        const resolve = this.resolvePreview;
+        this.resolvePreview = null;
+        this.stopPreview();
+        this.previewPanel.classList.remove('active');
+        if (resolve) {
+            resolve(proceed);
+        }
+    }
+    
+    async loadPreview({ original, processed, gains }) {
+        this.previewContext = this.previewContext || new AudioContext();
+        // IPC hands over Uint8Arrays; decodeAudioData takes (and detaches) an ArrayBuffer of its own
+        const decode = (bytes) => this.previewContext.decodeAudioData(bytes.slice().buffer);
+        const buffers = { original: await decode(original), processed: await decode(processed) };
+        this.preview = {
+            buffers,
+            gains,
+            side: 'processed',
+            // Both sides loop over their common length so they stay in step
+            length: Math.min(buffers.original.duration, buffers.processed.duration),
+            offset: 0,
+            startedAt: 0,
+            nodes: null,
+            frame: null,
+            ambient: false
+        };
+    }
+    
+    togglePreviewPlayback() {
+        if (!this.preview) return;
+        if (this.preview.nodes) {
+            this.pausePreview();
+        } else {
+            this.playPreview();
+        }
+    }
+    
+    playPreview() {
+        const preview = this.preview;
+        const context = this.previewContext;
+        context.resume();
+        
+        // Both sides play together and switching only moves the gains, so the position never jumps
+        preview.nodes = ['original', 'processed'].map(side => {
+            const source = context.createBufferSource();
+            source.buffer = preview.buffers[side];
+            source.loop = true;
+            source.loopEnd = preview.length;
+            const gain = context.createGain();
+            gain.gain.value = side === preview.side ? preview.gains[side] : 0;
+            source.connect(gain).connect(context.destination);
+            source.start(0, preview.offset);
+            return { side, source, gain };
+        });
+        preview.startedAt = context.currentTime - preview.offset;
+        
+        // The ambient loop would muddy the comparison
+        if (this.isAudioPlaying) {
+            preview.ambient = true;
+            this.toggleAmbientAudio(false);
+        }
+        
+        this.previewPlay.textContent = '❚❚';
+        this.previewPlay.title = 'Pause (Space)';
+        const draw = () => {
+            this.previewPosition.style.width = `${this.previewOffset() / preview.length * 100}%`;
+            preview.frame = requestAnimationFrame(draw);
+        };
+        draw();
+    }
+    
+    pausePreview() {
+        const preview = this.preview;
+        preview.offset = this.previewOffset();
+        preview.nodes.forEach(({ source }) => source.stop());
+        preview.nodes = null;
+        cancelAnimationFrame(preview.frame);
+        this.previewPlay.textContent = '▶';
+        this.previewPlay.title = 'Play (Space)';
+    }
+    
+    previewOffset() {
+        const preview = this.preview;
+        if (!preview.nodes) {
+            return preview.offset;
+        }
+        return (this.previewContext.currentTime - preview.startedAt) % preview.length;
+    }
+    
+    setPreviewSide(side) {
+        this.previewSides.forEach(button => {
+            const active = button.dataset.side === side;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-checked', String(active));
+        });
+        if (!this.preview) return;
+        
+        this.preview.side = side;
+        // A few milliseconds of crossfade: instant to the ear, but without a click
+        const now = this.previewContext.currentTime;
+        this.preview.nodes?.forEach(({ side: nodeSide, gain }) => {
+            gain.gain.setTargetAtTime(nodeSide === side ? this.preview.gains[nodeSide] : 0, now, 0.005);
+        });
+    }
+    
+    stopPreview() {
+        if (!this.preview) return;
+        if (this.preview.nodes) {
+            this.pausePreview();
+        }
+        if (this.preview.ambient) {
+            this.toggleAmbientAudio(true);
+        }
+        this.preview = null;
+        this.previewPosition.style.width = '0%';
+    }
+    
+    async togglePause() {
+        try {
+            if (this.isPaused) {
+                await window.electronAPI.resumeProcessing();
+            } else {
+                await window.electronAPI.pauseProcessing();
+            }
+        } catch (error) {
+            console.error('Pause/resume failed:', error);
+        }
+    }
+    
+    async cancelProcessing() {
+        try {
+            if (this.isPreviewing) {
+                this.previewCancelled = true;
+                await window.electronAPI.cancelPreview();
+                return;
+            }
+            await window.electronAPI.cancelProcessing();
+        } catch (error) {
+            console.error('Cancel failed:', error);
+        }
+    }
+    
+    setPaused(paused) {
+        this.isPaused = paused;
+        this.pauseButton.textContent = paused ? '▶' : '❚❚';
+        this.pauseButton.title = paused ? 'Resume (Space)' : 'Pause (Space)';
+        this.progressIndicator.classList.toggle('paused', paused);
+        this.pentagram.style.animationPlayState = paused ? 'paused' : '';
+        if (paused) {
+            this.progressText.textContent = 'The ritual rests…';
+            this.progressStage.textContent = '';
+        }
+    }
+    
     updateProgress(data) {
-        const { current, total, fileName, status } = data;
-        this.currentFileIndex = current;
+        // Per-file events from the batch queue; several files can be in flight at once
+        const { index, total, fileName, status, completed, failed, skipped = 0, active, overallPercent } = data;
+        const finished = completed + failed + skipped;
+        this.currentFileIndex = finished;
         this.totalFiles = total;
         
+        if (typeof overallPercent === 'number') {
+            this.progressFill.style.width = `${overallPercent}%`;
+        }
+        
+        if (status === 'progress') {
+            this.updateStageProgress(data);
+            return;
+        }
+        
         if (status === 'processing') {
-            console.log(`🎵 Processing ${current}/${total}: ${fileName}`);
+            console.log(`🎵 Processing ${index + 1}/${total}: ${fileName} (${active} running)`);
             
             this.progressIndicator.classList.add('active');
             
             // Start spectrum visualization when processing begins
-            if (this.spectrum && current === 1) {
+            if (this.spectrum) {
                 this.spectrum.startVisualization();
             }
             
             // Let the hexagon speak through its geometric nature
-            const hexagonalPhrase = this.generateHexagonalPhrase(current, total);
-            this.progressText.textContent = `${hexagonalPhrase} • ${fileName}`;
+            const hexagonalPhrase = this.generateHexagonalPhrase(finished + 1, total);
+            const parallel = active > 1 ? ` +${active - 1}` : '';
+            this.progressText.textContent = `${hexagonalPhrase} • ${fileName}${parallel}`;
+        }
+        
+        if (status === 'complete' || status === 'failed') {
+            console.log(`${status === 'complete' ? '✨' : '⚠️'} ${finished}/${total} finished: ${fileName}`);
             
             // Progressive pentagram ceremony - starts slow, peaks, then settles
-            const progress = current / total;
+            const progress = finished / total;
             let speed;
             if (progress < 0.3) {
                 speed = 8; // Ceremonial start
@@ -340,16 +791,53 @@ class HexbloopMystic {
             if (this.spectrum) {
                 this.spectrum.pulse();
             }
+            
+            if (status === 'complete' && data.loudness?.after) {
+                this.progressStage.textContent = `${fileName} • ${this.formatLoudness(data.loudness)}`;
+            }
         }
         
-        // Stop visualization when processing completes
-        if (status === 'complete' && this.spectrum) {
+        // Stop visualization when every file has finished
+        if (finished === total && this.spectrum) {
             setTimeout(() => {
                 this.spectrum.stopVisualization();
             }, 2000);
         }
     }
     
+    updateStageProgress({ stage, stagePercent, eta }) {
+        if (this.isPaused) return;
+        
+        const labels = {
+            listening: 'listening',
+            excerpt: 'cutting the excerpt',
+            measuring: 'measuring the whole track',
+            trimming: 'trimming silence',
+            compressing: 'lunar effects',
+            mastering: 'mastering',
+            converting: 'transmuting',
+            artwork: 'conjuring artwork',
+            tagging: 'inscribing',
+            analyzing: 'measuring levels'
+        };
+        const remaining = eta !== null && eta !== undefined ? ` • ${this.formatEta(eta)} left` : '';
+        this.progressStage.textContent = `${labels[stage] || stage} ${stagePercent}%${remaining}`;
+    }
+    
+    formatLoudness({ before, after }) {
+        const lufs = (value) => Number.isFinite(value) ? value.toFixed(1) : '—';
+        const from = before ? `${lufs(before.integrated)} → ` : '';
+        return `${from}${lufs(after.integrated)} LUFS • ${lufs(after.truePeak)} dBTP`;
+    }
+    
+    formatEta(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = String(seconds % 60).padStart(2, '0');
+        return minutes >= 60
+            ? `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`
+            : `${minutes}:${secs}`;
+    }
+    
     // === Drag & Drop Handlers ===
     onDragEnter(e) {
         e.preventDefault();
@@ -494,6 +982,58 @@ class HexbloopMystic {
     
     // === Audio Processing ===
     async processFiles(paths) {
+        if (this.isProcessing || this.resolvePreflight || this.resolvePreview) return;
+        console.log('🎵 Processing mystical audio:', paths);
+        
+        const readyPaths = await this.preflight(paths);
+        if (!readyPaths || readyPaths.length === 0) {
+            console.log('⏹️ Nothing to process after pre-flight');
+            return;
+        }
+        if (await this.wantsPreview() && !(await this.previewBatch(readyPaths))) {
+            console.log('⏹️ Batch cancelled after preview');
+            return;
+        }
+        return this.runBatch(() => window.electronAPI.processAudio(readyPaths));
+    }
+    
+    /**
+     * Probe every file before the batch starts
+     * @param {string[]} paths - Files the user offered
+     * @returns {Promise<string[]|null>} Paths to process, or null if the user cancelled
+     */
+    async preflight(paths) {
+        this.isProcessing = true;
+        this.hideLevelReport();
+        this.progressIndicator.classList.add('active');
+        this.progressText.textContent = 'Inspecting the offerings…';
+        
+        let result;
+        try {
+            result = await window.electronAPI.preflightAudio(paths);
+        } catch (error) {
+            // The batch still validates every file itself, so go ahead without the report
+            console.error('Pre-flight failed:', error);
+            return paths;
+        } finally {
+            this.isProcessing = false;
+            this.progressIndicator.classList.remove('active');
+            this.progressText.textContent = '';
+        }
+        
+        if (result.problems.length === 0) {
+            return result.ready;
+        }
+        this.showError(`${result.problems.length} file(s) failed pre-flight`);
+        return this.askAboutPreflight(result);
+    }
+    
+    async resumeBatch(journalPath) {
+        console.log('♻️ Resuming unfinished batch:', journalPath);
+        return this.runBatch(() => window.electronAPI.resumeBatch(journalPath));
+    }
+    
+    async runBatch(startBatch) {
         this.isProcessing = true;
         this.startProcessing();
         
@@ -503,16 +1043,19 @@ class HexbloopMystic {
         }
         
         try {
-            console.log('🎵 Processing mystical audio:', paths);
-            
-            const results = await window.electronAPI.processAudio(paths);
+            const results = await startBatch();
             console.log('✅ Mystical transformation complete:', results);
             
             const successfulFiles = results.filter(r => r.success);
+            const skippedFiles = results.filter(r => r.skipped);
+            if (skippedFiles.length > 0) {
+                console.log(`⏹️ Cancelled - ${skippedFiles.length} file${skippedFiles.length !== 1 ? 's' : ''} skipped`);
+            }
             if (successfulFiles.length > 0) {
                 this.showSuccess();
+                this.showLevelReport(successfulFiles);
                 console.log(`🎉 Successfully processed ${successfulFiles.length} files!`);
-            } else {
+            } else if (skippedFiles.length === 0) {
                 console.error('❌ No files were successfully processed');
             }
             
@@ -521,6 +1064,7 @@ class HexbloopMystic {
             this.showError('Audio processing failed. Check console for details.');
         } finally {
             this.isProcessing = false;
+            this.setPaused(false);
             this.stopProcessing();
             
             // Stop spectrum visualization after a delay
@@ -534,6 +1078,7 @@ class HexbloopMystic {
     
     // === UI State Management ===
     startProcessing() {
+        this.hideLevelReport();
         this.pentagram.classList.add('spinning');
         this.processingGlow.classList.add('active');
         this.progressIndicator.classList.add('active');
@@ -555,6 +1100,8 @@ class HexbloopMystic {
         this.progressIndicator.classList.remove('active');
         this.hexStack.classList.remove('processing');
         this.progressText.textContent = '';
+        this.progressStage.textContent = '';
+        this.progressFill.style.width = '0';
     }
     
     showSuccess() {
@@ -652,6 +1199,43 @@ class HexbloopMystic {
         }
     }
     
+    initWatchStatus() {
+        if (!this.watchStatus || !window.electronAPI.onWatchStatus) return;
+        
+        window.electronAPI.onWatchStatus((event, status) => this.updateWatchStatus(status));
+        window.electronAPI.getWatchStatus().then(status => this.updateWatchStatus(status));
+    }
+    
+    updateWatchStatus(status) {
+        if (!status) return;
+        
+        const isActive = status.state !== 'off';
+        this.watchStatus.classList.toggle('active', isActive);
+        this.watchStatus.classList.toggle('busy', status.state === 'processing');
+        
+        if (status.state === 'processing') {
+            this.watchStatusText.textContent = `inbox • ${status.current}`;
+        } else if (status.state === 'waiting') {
+            this.watchStatusText.textContent = `inbox • ${status.pending} after batch`;
+        } else if (status.state === 'settling') {
+            this.watchStatusText.textContent = `inbox • ${status.pending} arriving`;
+        } else if (isActive) {
+            this.watchStatusText.textContent = `watching • ${status.processed} done` +
+                (status.failed ? ` • ${status.failed} failed` : '');
+        } else {
+            this.watchStatusText.textContent = '';
+        }
+        
+        this.watchStatus.title = status.folders.join('\n');
+        
+        if (status.lastResult && status.lastResult !== this.lastWatchResult) {
+            this.lastWatchResult = status.lastResult;
+            if (!status.lastResult.success) {
+                this.showError(`${status.lastResult.file}: ${status.lastResult.error}`);
+            }
+        }
+    }
+    
     // Add custom setTimeout that tracks timeouts
     setTrackedTimeout(callback, delay) {
         const timeoutId = setTimeout(() => {
@@ -13,6 +13,8 @@ contextBridge.exposeInMainWorld('preferencesAPI', {
     updateSetting: (settingPath, value) => ipcRenderer.invoke('preferences-update-setting', settingPath, value),
     updateSettings: (newSettings) => ipcRenderer.invoke('preferences-update-settings', newSettings),
     resetToDefaults: () => ipcRenderer.invoke('preferences-reset-defaults'),
+    getMasteringPresets: () => ipcRenderer.invoke('preferences-get-mastering-presets'),
+    getEffectModules: () => ipcRenderer.invoke('preferences-get-effect-modules'),
     
     // Import/Export
     exportSettings: () => ipcRenderer.invoke('preferences-export'),
@@ -20,6 +22,7 @@ contextBridge.exposeInMainWorld('preferencesAPI', {
     
     // UI interactions
     chooseOutputFolder: () => ipcRenderer.invoke('preferences-choose-output-folder'),
+    chooseWatchFolder: () => ipcRenderer.invoke('preferences-choose-watch-folder'),
     closeWindow: () => ipcRenderer.invoke('preferences-close'),
     setAmbientAudio: (enabled) => ipcRenderer.send('toggle-ambient-audio', enabled),
     
@@ -21,6 +21,14 @@ const INPUT_VALIDATION = {
     DANGEROUS_CHARS: /[<>\"'`;&|\\]/g
 };
 
+// Silence trim number inputs: [min, max, value when the field is cleared]
+const TRIM_RANGES = {
+    'trim.threshold': [-90, -10, -50],
+    'trim.padding': [0, 5000, 250],
+    'trim.fadeIn': [0, 10000, 0],
+    'trim.fadeOut': [0, 10000, 0]
+};
+
 // Debug mode from environment
 const DEBUG = false; // Set to true for debug logging
 
@@ -65,6 +73,8 @@ class PreferencesController {
         
         // Load current settings
         await this.loadSettings();
+        await this.loadMasteringPresets();
+        await this.loadEffectModules();
         
         // Set up UI elements
         this.setupElements();
@@ -90,6 +100,38 @@ class PreferencesController {
         }
     }
     
+    async loadMasteringPresets() {
+        try {
+            this.masteringPresets = await window.preferencesAPI.getMasteringPresets();
+        } catch (error) {
+            console.error('Failed to load mastering presets:', error);
+            this.masteringPresets = [];
+        }
+        
+        const select = document.getElementById('mastering-preset');
+        select.replaceChildren(...this.masteringPresets.map(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.custom ? `${preset.name} (custom)` : preset.name;
+            return option;
+        }));
+    }
+    
+    async loadEffectModules() {
+        try {
+            this.effectModules = await window.preferencesAPI.getEffectModules();
+        } catch (error) {
+            console.error('Failed to load effect modules:', error);
+            this.effectModules = [];
+        }
+    }
+    
+    updateMasteringPresetDescription() {
+        const id = this.getSettingValue('processing.masteringPreset');
+        const preset = (this.masteringPresets || []).find(p => p.id === id);
+        document.getElementById('mastering-preset-description').textContent = preset ? preset.description : '';
+    }
+    
     setupElements() {
         // Collect all setting elements
         const settingElements = document.querySelectorAll('[data-setting]');
@@ -105,6 +147,9 @@ class PreferencesController {
             importBtn: document.getElementById('import-btn'),
             closeBtn: document.getElementById('close-btn'),
             chooseFolderBtn: document.getElementById('choose-folder-btn'),
+            addWatchFolderBtn: document.getElementById('add-watch-folder-btn'),
+            watchFolderList: document.getElementById('watch-folder-list'),
+            effectsChain: document.getElementById('effects-chain'),
             customMetadataSection: document.getElementById('custom-metadata-section'),
             loadingOverlay: document.getElementById('loadingOverlay')
         };
@@ -177,6 +222,12 @@ class PreferencesController {
                     // Reset border color
                     element.style.borderColor = '';
                 });
+            } else if (element.type === 'datetime-local') {
+                // Stored as an ISO string; empty means the live clock
+                element.addEventListener('change', (e) => {
+                    const value = e.target.value ? new Date(e.target.value).toISOString() : '';
+                    this.updateSetting(settingPath, value);
+                });
             } else if (element.tagName === 'SELECT') {
                 element.addEventListener('change', (e) => {
                     this.updateSetting(settingPath, e.target.value);
@@ -190,6 +241,11 @@ class PreferencesController {
         this.elements.importBtn.addEventListener('click', () => this.importSettings());
         this.elements.closeBtn.addEventListener('click', () => this.closeWindow());
         this.elements.chooseFolderBtn.addEventListener('click', () => this.chooseOutputFolder());
+        this.elements.addWatchFolderBtn.addEventListener('click', () => this.addWatchFolder());
+        
+        // Describe the chosen mastering preset
+        this.settingElements.get('processing.masteringPreset')
+            .addEventListener('change', () => this.updateMasteringPresetDescription());
         
         // Custom metadata visibility based on naming mode
         const namingRadios = document.querySelectorAll('input[name="naming"]');
@@ -224,18 +280,20 @@ class PreferencesController {
             } else if (element.type === 'radio') {
                 element.checked = element.value === value;
             } else if (element.type === 'range') {
-                element.value = value || 50; // Default to 50 for sliders
+                element.value = value ?? 50; // Default to 50 for sliders; 0 is a real value
                 
                 // Update display value
                 const displayId = element.id + '-value';
                 const displayElement = document.getElementById(displayId);
                 if (displayElement) {
-                    displayElement.textContent = (value || 50) + '%';
+                    displayElement.textContent = (value ?? 50) + '%';
                 }
             } else if (element.tagName === 'SELECT') {
                 if (value !== undefined && value !== null) {
                     element.value = value;
                 }
+            } else if (element.type === 'datetime-local') {
+                element.value = this.toDateTimeLocal(value);
             } else if (element.type === 'text' || element.type === 'number') {
                 element.value = value || '';
             }
@@ -244,6 +302,9 @@ class PreferencesController {
         // Update custom metadata section visibility
         this.updateCustomMetadataVisibility();
         this.updateBatchOptionsUI();
+        this.renderWatchFolders();
+        this.renderEffectsChain();
+        this.updateMasteringPresetDescription();
         
         console.log('🎨 UI updated with current settings');
     }
@@ -283,6 +344,20 @@ class PreferencesController {
         });
     }
     
+    /**
+     * Convert an ISO date string to the local `YYYY-MM-DDTHH:MM:SS` form used by datetime-local inputs
+     * @param {string} isoString - Stored ISO date ('' for none)
+     * @returns {string} Input value ('' when unset or invalid)
+     */
+    toDateTimeLocal(isoString) {
+        if (!isoString) return '';
+        const date = new Date(isoString);
+        if (isNaN(date.getTime())) return '';
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+    
     getSettingValue(settingPath) {
         const pathParts = settingPath.split('.');
         let value = this.currentSettings;
@@ -319,6 +394,8 @@ class PreferencesController {
         // Handle metadata fields
         if (settingPath.startsWith('metadata.')) {
             if (settingPath === 'metadata.year') {
+                // Empty or 0 leaves the year to the render date
+                if (value === '' || value === 0 || Number.isNaN(value)) return 0;
                 const year = parseInt(value);
                 if (isNaN(year) || year < INPUT_VALIDATION.MIN_YEAR || year > INPUT_VALIDATION.MAX_YEAR) {
                     throw new Error(`Year must be between ${INPUT_VALIDATION.MIN_YEAR} and ${INPUT_VALIDATION.MAX_YEAR}`);
@@ -343,6 +420,36 @@ class PreferencesController {
             }
         }
         
+        // Effect intensity and wet/dry mix: percentages
+        if (settingPath === 'processing.intensity' || settingPath === 'processing.mix') {
+            const num = parseFloat(value);
+            if (isNaN(num)) return settingPath === 'processing.mix' ? 100 : 50;
+            return Math.min(100, Math.max(0, num));
+        }
+        
+        // Parallel jobs: whole number, 0 = automatic
+        if (settingPath === 'processing.concurrency') {
+            const jobs = parseInt(value);
+            if (isNaN(jobs)) return 0;
+            return Math.min(32, Math.max(0, jobs));
+        }
+        
+        // Silence trim levels and times: whole numbers within sensible ranges
+        if (TRIM_RANGES[settingPath]) {
+            const [min, max, fallback] = TRIM_RANGES[settingPath];
+            const num = parseInt(value);
+            if (isNaN(num)) return fallback;
+            return Math.min(max, Math.max(min, num));
+        }
+        
+        // Watch folder list
+        if (settingPath === 'watch.folders') {
+            if (!Array.isArray(value)) {
+                throw new Error('Watch folders must be a list');
+            }
+            return value.filter(folder => typeof folder === 'string' && folder && !folder.includes('..'));
+        }
+        
         // File paths
         if (settingPath === 'ui.outputFolder') {
             // Basic path validation - more thorough validation happens in main process
@@ -444,6 +551,17 @@ class PreferencesController {
             }
         }
 
+        // Only mystical names can be steered by the key
+        const mysticalScheme = this.getSettingValue('batch.namingScheme') === 'mystical';
+        const useKeyToggle = this.settingElements.get('batch.useKey');
+        if (useKeyToggle) {
+            useKeyToggle.disabled = !mysticalScheme;
+        }
+        const useKeyCard = document.getElementById('batch-use-key-card');
+        if (useKeyCard) {
+            useKeyCard.classList.toggle('disabled', !mysticalScheme);
+        }
+
         const sessionFoldersEnabled = Boolean(this.getSettingValue('batch.sessionFolders'));
         const folderSchemeSelect = this.settingElements.get('batch.folderScheme');
         if (folderSchemeSelect) {
@@ -466,6 +584,7 @@ class PreferencesController {
                 
                 if (result.success) {
                     await this.loadSettings();
+                    await this.loadMasteringPresets();
                     this.updateUI();
                     this.hideLoading();
                     this.showSuccess('Preferences reset to defaults');
@@ -561,6 +680,7 @@ class PreferencesController {
                 
                 if (result.success) {
                     await this.loadSettings();
+                    await this.loadMasteringPresets();
                     this.updateUI();
                     this.hideLoading();
                     this.showSuccess('Settings imported successfully');
@@ -589,15 +709,32 @@ class PreferencesController {
         
         // Define allowed settings structure
         const allowedPaths = [
+            'processing.trimming',
             'processing.compressing',
+            'processing.effectsChain',
+            'processing.intensity',
+            'processing.mix',
             'processing.mastering', 
             'processing.coverArt',
             'processing.naming',
+            'processing.renderAt',
+            'processing.concurrency',
+            'processing.masteringPreset',
+            'processing.masteringPresets',
+            'trim.threshold',
+            'trim.padding',
+            'trim.fadeIn',
+            'trim.fadeOut',
+            'trim.fadeInCurve',
+            'trim.fadeOutCurve',
             'metadata.artist',
             'metadata.album',
             'metadata.year',
             'metadata.genre',
-            'ui.outputFolder'
+            'ui.outputFolder',
+            'ui.previewBeforeBatch',
+            'watch.enabled',
+            'watch.folders'
         ];
         
         // Process each allowed path
@@ -659,6 +796,216 @@ class PreferencesController {
         }
     }
     
+    renderWatchFolders() {
+        const list = this.elements.watchFolderList;
+        const folders = this.getSettingValue('watch.folders') || [];
+        list.replaceChildren();
+        
+        if (folders.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'empty';
+            empty.textContent = 'No folders yet';
+            list.appendChild(empty);
+            return;
+        }
+        
+        folders.forEach(folder => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = folder;
+            label.title = folder;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn btn-secondary';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.removeWatchFolder(folder));
+            
+            item.append(label, removeBtn);
+            list.appendChild(item);
+        });
+    }
+    
+    async addWatchFolder() {
+        try {
+            const result = await window.preferencesAPI.chooseWatchFolder();
+            
+            if (result.success) {
+                const folders = this.getSettingValue('watch.folders') || [];
+                if (!folders.includes(result.path)) {
+                    await this.updateSetting('watch.folders', [...folders, result.path]);
+                    this.renderWatchFolders();
+                }
+            } else if (result.error && result.error !== 'No folder selected') {
+                this.showError(`Error selecting folder: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('Error adding watch folder:', error);
+            this.showError(`Error adding watch folder: ${error.message}`);
+        }
+    }
+    
+    async removeWatchFolder(folder) {
+        const folders = this.getSettingValue('watch.folders') || [];
+        await this.updateSetting('watch.folders', folders.filter(f => f !== folder));
+        this.renderWatchFolders();
+    }
+    
+    /**
+     * The saved chain, followed by any modules it doesn't mention yet (switched off)
+     * @returns {Array<Object>} Chain entries
+     */
+    getEffectsChain() {
+        const chain = this.getSettingValue('processing.effectsChain') || [];
+        const missing = (this.effectModules || [])
+            .filter(module => !chain.some(entry => entry.effect === module.id))
+            .map(module => ({
+                effect: module.id,
+                enabled: false,
+                lunar: module.texture,
+                params: Object.fromEntries(Object.entries(module.params).map(([key, param]) => [key, param.default]))
+            }));
+        return [...chain, ...missing];
+    }
+    
+    renderEffectsChain() {
+        const list = this.elements.effectsChain;
+        const chain = this.getEffectsChain();
+        list.replaceChildren();
+        
+        chain.forEach((entry, index) => {
+            const module = (this.effectModules || []).find(m => m.id === entry.effect);
+            if (!module) return;
+            
+            const item = document.createElement('li');
+            item.className = entry.enabled ? 'effect-item' : 'effect-item off';
+            
+            const header = document.createElement('div');
+            header.className = 'effect-header';
+            
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = entry.enabled;
+            enabled.setAttribute('aria-label', `Enable ${module.name}`);
+            enabled.addEventListener('change', () => this.updateEffect(index, { enabled: enabled.checked }));
+            
+            const info = document.createElement('div');
+            info.className = 'effect-info';
+            const name = document.createElement('h3');
+            name.textContent = module.name;
+            const description = document.createElement('p');
+            description.textContent = module.sox ? module.description : `${module.description} (FFmpeg)`;
+            info.append(name, description);
+            
+            header.append(enabled, info);
+            
+            if (module.lunarParams.length > 0) {
+                const lunarLabel = document.createElement('label');
+                lunarLabel.className = 'effect-lunar';
+                const lunar = document.createElement('input');
+                lunar.type = 'checkbox';
+                lunar.checked = Boolean(entry.lunar);
+                lunar.addEventListener('change', () => this.updateEffect(index, { lunar: lunar.checked }));
+                lunarLabel.append(lunar, ' Follow the moon');
+                if (module.texture) {
+                    lunarLabel.title = 'Runs only in moon phases whose texture uses it, with that phase\'s settings';
+                }
+                header.appendChild(lunarLabel);
+            }
+            
+            const moveButton = (label, text, offset) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-secondary effect-move';
+                button.textContent = text;
+                button.setAttribute('aria-label', `${label} ${module.name}`);
+                button.disabled = index + offset < 0 || index + offset >= chain.length;
+                button.addEventListener('click', () => this.moveEffect(index, offset));
+                return button;
+            };
+            header.append(moveButton('Move up', '↑', -1), moveButton('Move down', '↓', 1));
+            
+            const params = document.createElement('div');
+            params.className = 'effect-params';
+            for (const [key, param] of Object.entries(module.params)) {
+                const field = document.createElement('label');
+                field.className = 'effect-param';
+                field.textContent = param.unit ? `${param.label} (${param.unit})` : param.label;
+                
+                const value = entry.params?.[key] ?? param.default;
+                let input;
+                if (param.options) {
+                    input = document.createElement('select');
+                    input.replaceChildren(...param.options.map(optionValue => {
+                        const option = document.createElement('option');
+                        option.value = optionValue;
+                        option.textContent = optionValue;
+                        return option;
+                    }));
+                    input.value = value;
+                    input.addEventListener('change', () => this.updateEffectParam(index, key, input.value));
+                } else {
+                    input = document.createElement('input');
+                    input.type = 'number';
+                    input.min = param.min;
+                    input.max = param.max;
+                    input.step = this.effectParamStep(param);
+                    input.value = value;
+                    input.addEventListener('change', () => {
+                        const number = parseFloat(input.value);
+                        const clamped = isNaN(number) ? param.default : Math.min(param.max, Math.max(param.min, number));
+                        input.value = clamped;
+                        this.updateEffectParam(index, key, clamped);
+                    });
+                }
+                // Lunar parameters are set by the moon at render time
+                if (entry.lunar && module.lunarParams.includes(key)) {
+                    input.disabled = true;
+                    field.title = module.texture ? 'Set by the moon phase texture' : 'Set by the moon phase and time of day';
+                }
+                field.appendChild(input);
+                params.appendChild(field);
+            }
+            
+            item.append(header, params);
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Step for a numeric effect parameter, from the width of its range
+     */
+    effectParamStep({ min, max }) {
+        const span = max - min;
+        if (span <= 2) return 0.01;
+        if (span <= 20) return 0.1;
+        return 1;
+    }
+    
+    async saveEffectsChain(chain) {
+        await this.updateSetting('processing.effectsChain', chain);
+        this.renderEffectsChain();
+    }
+    
+    async updateEffect(index, changes) {
+        const chain = this.getEffectsChain();
+        chain[index] = { ...chain[index], ...changes };
+        await this.saveEffectsChain(chain);
+    }
+    
+    async updateEffectParam(index, key, value) {
+        const chain = this.getEffectsChain();
+        chain[index] = { ...chain[index], params: { ...chain[index].params, [key]: value } };
+        await this.saveEffectsChain(chain);
+    }
+    
+    async moveEffect(index, offset) {
+        const chain = this.getEffectsChain();
+        const [entry] = chain.splice(index, 1);
+        chain.splice(index + offset, 0, entry);
+        await this.saveEffectsChain(chain);
+    }
+    
     closeWindow() {
         window.preferencesAPI.closeWindow();
     }
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Output channel policy and downmix matrices
+ * @author Hexbloop Audio Labs
+ * @description Decides how many channels a file is written with and builds the
+ * FFmpeg pan filter that gets it there. The conversion happens once, in the final
+ * encode, from the layout that reaches it (effects and the mono-safe master may
+ * have changed the source's).
+ *
+ * Policies:
+ *   preserve - Keep the source channels (folded to stereo only where the encoder can't carry more, e.g. MP3)
+ *   stereo   - Mono is copied to both sides, surround is folded down (ITU-R BS.775 coefficients)
+ *   mono     - Average of the stereo fold-down
+ *   mid-side - Stereo fold-down encoded as mid (left channel) and side (right channel)
+ */
+
+const CHANNEL_POLICIES = ['preserve', 'stereo', 'mono', 'mid-side'];
+const DEFAULT_CHANNEL_POLICY = 'preserve';
+
+// Encoders that carry at most this many channels
+const MAX_CHANNELS = {
+    mp3: 2
+};
+
+// Channel order of FFmpeg's named layouts (as reported by ffprobe)
+const LAYOUT_CHANNELS = {
+    mono: ['FC'],
+    stereo: ['FL', 'FR'],
+    '2.1': ['FL', 'FR', 'LFE'],
+    '3.0': ['FL', 'FR', 'FC'],
+    quad: ['FL', 'FR', 'BL', 'BR'],
+    '4.0': ['FL', 'FR', 'FC', 'BC'],
+    '5.0': ['FL', 'FR', 'FC', 'BL', 'BR'],
+    '5.0(side)': ['FL', 'FR', 'FC', 'SL', 'SR'],
+    '5.1': ['FL', 'FR', 'FC', 'LFE', 'BL', 'BR'],
+    '5.1(side)': ['FL', 'FR', 'FC', 'LFE', 'SL', 'SR'],
+    '7.1': ['FL', 'FR', 'FC', 'LFE', 'BL', 'BR', 'SL', 'SR']
+};
+
+// Share of each source channel sent to [left, right] in a stereo fold-down.
+// Centre and surrounds at -3 dB; LFE is dropped, as in ITU-R BS.775.
+const STEREO_FOLD = {
+    FL: [1, 0],
+    FR: [0, 1],
+    FC: [Math.SQRT1_2, Math.SQRT1_2],
+    LFE: [0, 0],
+    BL: [Math.SQRT1_2, 0],
+    BR: [0, Math.SQRT1_2],
+    SL: [Math.SQRT1_2, 0],
+    SR: [0, Math.SQRT1_2],
+    BC: [0.5, 0.5]
+};
+
+/**
+ * Channel names of a source, if its layout is known
+ * @param {Object} source - { channels, channelLayout } from MediaProbe
+ * @returns {string[]|null}
+ */
+function sourceChannelNames({ channels, channelLayout } = {}) {
+    const names = LAYOUT_CHANNELS[channelLayout];
+    if (names && (!channels || names.length === channels)) {
+        return names;
+    }
+    // Files without a channel mask (common in WAV) still mean the obvious thing for 1 or 2 channels
+    if (channels === 1) return LAYOUT_CHANNELS.mono;
+    if (channels === 2) return LAYOUT_CHANNELS.stereo;
+    return null;
+}
+
+/**
+ * Stereo fold-down matrix, scaled so a full-scale signal in every channel can't clip
+ * @param {string[]} names - Source channel names
+ * @returns {number[][]} Rows [left, right] of per-source-channel gains
+ */
+function stereoMatrix(names) {
+    if (names.length === 1) {
+        return [[1], [1]];
+    }
+    const rows = [0, 1].map(side => names.map(name => (STEREO_FOLD[name] || [0, 0])[side]));
+    const loudest = Math.max(...rows.map(row => row.reduce((sum, gain) => sum + gain, 0)));
+    return rows.map(row => row.map(gain => gain / loudest));
+}
+
+/**
+ * Output matrix for a policy
+ * @param {string} policy - 'stereo' | 'mono' | 'mid-side'
+ * @param {string[]} names - Source channel names
+ * @returns {number[][]} One row of gains per output channel
+ */
+function policyMatrix(policy, names) {
+    const [left, right] = stereoMatrix(names);
+    switch (policy) {
+        case 'mono':
+            return [left.map((gain, i) => (gain + right[i]) / 2)];
+        case 'mid-side':
+            return [
+                left.map((gain, i) => (gain + right[i]) / 2),
+                left.map((gain, i) => (gain - right[i]) / 2)
+            ];
+        default:
+            return [left, right];
+    }
+}
+
+/**
+ * FFmpeg pan filter for a matrix
+ * @param {number[][]} matrix - One row of gains per output channel
+ * @returns {string} e.g. "pan=mono|c0=0.5*c0+0.5*c1"
+ */
+function panFilter(matrix) {
+    const layout = matrix.length === 1 ? 'mono' : 'stereo';
+    const outputs = matrix.map((row, out) => {
+        const terms = row
+            .map((gain, input) => ({ gain: Number(gain.toFixed(4)), input }))
+            .filter(term => term.gain !== 0);
+        if (terms.length === 0) {
+            return `c${out}=0*c0`;
+        }
+        const expression = terms
+            .map(({ gain, input }, i) => `${gain < 0 ? '-' : i > 0 ? '+' : ''}${Math.abs(gain)}*c${input}`)
+            .join('');
+        return `c${out}=${expression}`;
+    });
+    return `pan=${layout}|${outputs.join('|')}`;
+}
+
+/**
+ * Mono fold-down played on both sides of a stereo pair (the mono-safe mastering fold)
+ * @param {Object|null} source - { channels, channelLayout } of the audio being folded, null if unknown
+ * @returns {string} FFmpeg filter with a stereo output
+ */
+function monoFoldFilter(source) {
+    const names = sourceChannelNames(source || {});
+    if (!names) {
+        // Unknown layout: FFmpeg's default matrix reaches mono first
+        return 'aformat=channel_layouts=mono,pan=stereo|c0=c0|c1=c0';
+    }
+    const [mono] = policyMatrix('mono', names);
+    return panFilter([mono, mono]);
+}
+
+/**
+ * Output channels for a file
+ * @param {string} policy - settings.output.channels
+ * @param {Object|null} source - { channels, channelLayout } from MediaProbe, null if unknown
+ * @param {string} format - Output container
+ * @returns {{policy: string, channels: number|null, filter: string|null}}
+ *   channels is null when preserving an unknown source; filter is null when nothing changes
+ */
+function resolveChannels(policy, source, format) {
+    let effective = CHANNEL_POLICIES.includes(policy) ? policy : DEFAULT_CHANNEL_POLICY;
+    const sourceChannels = source?.channels || null;
+    const max = MAX_CHANNELS[format];
+
+    if (effective === 'preserve') {
+        if (!sourceChannels || !max || sourceChannels <= max) {
+            return { policy: effective, channels: sourceChannels, filter: null };
+        }
+        effective = 'stereo';
+    }
+
+    const channels = effective === 'mono' ? 1 : 2;
+    const names = sourceChannelNames(source || {});
+    if (!names) {
+        // Unknown layout: let FFmpeg's default matrix reach stereo first
+        const fold = `aformat=channel_layouts=${channels === 1 ? 'mono' : 'stereo'}`;
+        return {
+            policy: effective,
+            channels,
+            filter: effective === 'mid-side' ? `${fold},${panFilter(policyMatrix('mid-side', LAYOUT_CHANNELS.stereo))}` : fold
+        };
+    }
+    if (effective === 'stereo' && names.length === 2) {
+        return { policy: effective, channels, filter: null };
+    }
+    if (effective === 'mono' && names.length === 1) {
+        return { policy: effective, channels, filter: null };
+    }
+    return { policy: effective, channels, filter: panFilter(policyMatrix(effective, names)) };
+}
+
+module.exports = {
+    CHANNEL_POLICIES,
+    DEFAULT_CHANNEL_POLICY,
+    sourceChannelNames,
+    stereoMatrix,
+    policyMatrix,
+    panFilter,
+    monoFoldFilter,
+    resolveChannels
+};
@@ -62,6 +62,18 @@ const FILE_NAMES = {
     SETTINGS_BACKUP: 'hexbloop-settings.backup.json'
 };
 
+// Supported input audio formats (sox and ffmpeg compatible)
+const AUDIO_EXTENSIONS = [
+    // Core formats (well-tested)
+    '.mp3', '.wav', '.m4a', '.aiff', '.aif', '.flac', '.ogg', '.aac',
+    // Additional lossless formats
+    '.ape', '.alac', '.wv',  // APE, ALAC, WavPack
+    // Additional lossy formats
+    '.opus', '.wma', '.mka',  // Opus, Windows Media, Matroska
+    // Legacy/specialty formats
+    '.au', '.snd', '.voc', '.8svx', '.amb', '.caf'  // Various legacy
+];
+
 // Debug Mode
 const DEBUG = process.env.NODE_ENV === 'development' || process.env.DEBUG === 'true';
 
@@ -71,5 +83,6 @@ module.exports = {
     COLORS,
     INPUT_VALIDATION,
     FILE_NAMES,
+    AUDIO_EXTENSIONS,
     DEBUG
 };
\ No newline at end of file
@@ -0,0 +1,597 @@
+/**
+ * @fileoverview Effects chain run before mastering
+ * @author Hexbloop Audio Labs
+ * @description Effect modules with typed parameters, validation for the user's chain
+ * in settings.processing.effectsChain, and compilers that turn the chain into a Sox
+ * argument list or an FFmpeg filter chain.
+ *
+ * Chain entry shape:
+ *   effect   - Module id (key of EFFECT_MODULES)
+ *   enabled  - Whether the effect runs
+ *   lunar    - Let the moon phase and time of day set the module's lunar parameters
+ *   params   - Parameter values; missing parameters use the module defaults
+ *
+ * Character effects (reverb, chorus, flanger, phaser, tremolo, bitcrush, noise bed) that
+ * follow the moon take their settings from the phase's texture (LunarProcessor.getTexture())
+ * and only run in phases whose texture uses them, so each phase sounds different.
+ *
+ * processing.intensity scales the effect amounts of modules that follow the moon around their
+ * neutral values (50 plays them as the moon sets them, 100 twice as far from neutral, 0 bypasses
+ * the module), and processing.mix blends the chain's output with the dry signal.
+ *
+ * Sox is used when it is installed and every enabled effect has a Sox form;
+ * otherwise the whole chain runs through FFmpeg.
+ */
+
+const path = require('path');
+
+// Bundled impulse responses (assets/impulse-responses, rendered by scripts/generate-impulse-responses.js).
+// A packaged app ships them as extraResources, outside the asar archive, so FFmpeg can read them.
+const IMPULSE_RESPONSE_DIR = process.resourcesPath && !process.resourcesPath.includes('node_modules')
+    ? path.join(process.resourcesPath, 'impulse-responses')
+    : path.join(__dirname, '..', '..', 'assets', 'impulse-responses');
+
+// Impulse responses for the FFmpeg reverb: the file's length in seconds, and the low-pass
+// cutoff (Hz) at 50% damping. stereoDepth is what the Sox reverb uses for the same space.
+const IMPULSE_RESPONSES = {
+    room: { file: 'room.wav', length: 0.8, brightness: 7000, stereoDepth: 100 },
+    hall: { file: 'hall.wav', length: 2.5, brightness: 5000, stereoDepth: 100 },
+    plate: { file: 'plate.wav', length: 1.6, brightness: 10000, stereoDepth: 60 },
+    cave: { file: 'cave.wav', length: 4, brightness: 3000, stereoDepth: 100 }
+};
+
+// Effect intensity that plays the lunar parameters unscaled, and the fully wet mix (percent)
+const DEFAULT_INTENSITY = 50;
+const DEFAULT_MIX = 100;
+
+// Fixed noise seed, so pinned renders stay identical
+const NOISE_SEED = 1337;
+
+// Rate of generated signals when the source rate is unknown (the bundled impulse responses' rate)
+const DEFAULT_SAMPLE_RATE = 48000;
+
+// Noise bed sources: (amplitude, sample rate) → FFmpeg source chain
+const NOISE_BEDS = {
+    // Surface noise with sparse clicks, band-limited like a record
+    vinyl: (amplitude, sampleRate) => `aevalsrc='${amplitude}*(0.3*(random(0)*2-1)+if(lt(random(1),0.0002),8*(random(2)*2-1),0))':s=${sampleRate},` +
+        'highpass=f=300,lowpass=f=5000',
+    // Hiss: pink noise with the lows rolled off
+    tape: (amplitude, sampleRate) => `anoisesrc=c=pink:r=${sampleRate}:a=${amplitude}:s=${NOISE_SEED},highpass=f=1500`,
+    // 50 Hz mains hum with its first harmonics
+    hum: (amplitude, sampleRate) => `aevalsrc='${amplitude}*(sin(100*PI*t)+0.5*sin(200*PI*t)+0.25*sin(300*PI*t))':s=${sampleRate}`
+};
+
+/**
+ * Effect modules
+ *
+ * Module shape:
+ *   name, description   - Shown in preferences
+ *   params              - Parameter id → { label, min, max, default, unit? } (numbers)
+ *                         or { label, options, default } (choices)
+ *   lunar               - Parameter id → (influence) => value, for parameters that can follow the moon
+ *                         (influence is LunarProcessor.getInfluencedParameters())
+ *   neutral             - Effect amount parameter id → value where it leaves the sound alone (or the
+ *                         closest value in range); intensity scales these around it when the entry
+ *                         follows the moon. Times, rates, choices and levels have none and aren't scaled.
+ *                         Lunar values are kept inside the parameter ranges at every intensity
+ *   texture             - Character effect: its lunar parameters come from the phase texture
+ *   sox(params)         - Sox effect arguments, or absent when Sox has no equivalent
+ *   ffmpeg(params, ctx) - FFmpeg audio filters; withSource() entries mix in a generated signal, made at
+ *                         ctx.sampleRate (the rate of the audio being processed) so the chain never resamples it
+ */
+const EFFECT_MODULES = {
+    overdrive: {
+        name: 'Overdrive',
+        description: 'Soft-clipping distortion',
+        params: {
+            gain: { label: 'Drive', min: 0, max: 20, default: 4, unit: 'dB' },
+            colour: { label: 'Colour', min: 0, max: 100, default: 2.5 }
+        },
+        lunar: { gain: (influence) => influence.overdrive },
+        neutral: { gain: 0 },
+        sox: ({ gain, colour }) => ['overdrive', String(gain), String(colour)],
+        // Drive into a tanh soft clipper, then pull the drive gain back out
+        ffmpeg: ({ gain }) => [`volume=${gain}dB`, 'asoftclip=type=tanh', `volume=-${gain}dB`]
+    },
+    eq: {
+        name: 'EQ',
+        description: 'Bass and treble shelves',
+        params: {
+            bass: { label: 'Bass', min: -20, max: 20, default: 2, unit: 'dB' },
+            treble: { label: 'Treble', min: -20, max: 20, default: 1, unit: 'dB' }
+        },
+        lunar: { bass: (influence) => influence.bass, treble: (influence) => influence.treble },
+        neutral: { bass: 0, treble: 0 },
+        sox: ({ bass, treble }) => ['bass', signed(bass), 'treble', signed(treble)],
+        ffmpeg: ({ bass, treble }) => [`bass=g=${bass}`, `treble=g=${treble}`]
+    },
+    echo: {
+        name: 'Echo',
+        description: 'Short slap-back echo',
+        params: {
+            inGain: { label: 'Input Gain', min: 0.01, max: 1, default: 0.3 },
+            outGain: { label: 'Output Gain', min: 0.01, max: 1, default: 0.05 },
+            delay: { label: 'Delay', min: 0.1, max: 5000, default: 6.5, unit: 'ms' },
+            decay: { label: 'Decay', min: 0.01, max: 1, default: 0.045 }
+        },
+        // LunarProcessor's echo delay/decay have always driven the input and output gains
+        lunar: { inGain: (influence) => influence.echo.delay, outGain: (influence) => influence.echo.decay },
+        // Unity gains and the quietest echo leave the sound alone; a lower input gain lifts the echo over the dry signal
+        neutral: { inGain: 1, outGain: 1, decay: 0.01 },
+        sox: ({ inGain, outGain, delay, decay }) => ['echo', String(inGain), String(outGain), String(delay), String(decay)],
+        ffmpeg: ({ inGain, outGain, delay, decay }) => [`aecho=${inGain}:${outGain}:${delay}:${decay}`]
+    },
+    compand: {
+        name: 'Compand',
+        description: 'Lifts quiet passages, compresses above -20 dB',
+        params: {
+            attack: { label: 'Attack', min: 0.001, max: 1, default: 0.2, unit: 's' },
+            ratio: { label: 'Ratio', min: 1, max: 20, default: 5 }
+        },
+        lunar: { attack: (influence) => influence.compand.attack, ratio: (influence) => influence.compand.ratio },
+        neutral: { ratio: 1 },
+        sox: ({ attack, ratio }) => ['compand', `${attack},0.6`, buildCompandTransfer(ratio), '-2', '-90', '0.25'],
+        ffmpeg: ({ attack, ratio }) => [`acompressor=threshold=-20dB:ratio=${ratio}:attack=${attack * 1000}:release=250:makeup=2`]
+    },
+    reverb: {
+        name: 'Reverb',
+        description: 'Room, hall, plate or cave reverb',
+        params: {
+            space: { label: 'Space', options: Object.keys(IMPULSE_RESPONSES), default: 'room' },
+            reverberance: { label: 'Reverberance', min: 0, max: 100, default: 50, unit: '%' },
+            damping: { label: 'HF Damping', min: 0, max: 100, default: 50, unit: '%' },
+            roomScale: { label: 'Room Size', min: 0, max: 100, default: 75, unit: '%' },
+            preDelay: { label: 'Pre-delay', min: 0, max: 500, default: 20, unit: 'ms' }
+        },
+        texture: true,
+        lunar: fromTexture('reverb', ['space', 'reverberance', 'damping', 'roomScale', 'preDelay']),
+        neutral: { reverberance: 0 },
+        // Reverberance also sets the wet level (0 dB at 50%), so no reverberance is no reverb, as in FFmpeg
+        sox: ({ space, reverberance, damping, roomScale, preDelay }) =>
+            ['reverb', String(reverberance), String(damping), String(roomScale), String(IMPULSE_RESPONSES[space].stereoDepth), String(preDelay),
+                String(round(Math.max(-60, 20 * Math.log10(reverberance / 50)), 2))],
+        // Convolution with the space's bundled impulse response, blended with the dry signal
+        ffmpeg: (params, { sampleRate }) => [withSource(buildImpulseResponse(params, sampleRate), 'afir', round(params.reverberance / 200))]
+    },
+    chorus: {
+        name: 'Chorus',
+        description: 'Doubled, slowly detuned voice',
+        params: {
+            delay: { label: 'Delay', min: 20, max: 100, default: 45, unit: 'ms' },
+            depth: { label: 'Depth', min: 0.1, max: 10, default: 2, unit: 'ms' },
+            rate: { label: 'Rate', min: 0.1, max: 5, default: 0.5, unit: 'Hz' },
+            mix: { label: 'Mix', min: 0.05, max: 1, default: 0.4 }
+        },
+        texture: true,
+        lunar: fromTexture('chorus', ['delay', 'depth', 'rate', 'mix']),
+        neutral: { depth: 0.1, mix: 0.05 },
+        sox: ({ delay, depth, rate, mix }) => ['chorus', '0.7', '0.9', String(delay), String(mix), String(rate), String(depth), '-s'],
+        ffmpeg: ({ delay, depth, rate, mix }) => [`chorus=0.7:0.9:${delay}:${mix}:${rate}:${depth}`]
+    },
+    flanger: {
+        name: 'Flanger',
+        description: 'Swept comb filter (jet sweep)',
+        params: {
+            delay: { label: 'Delay', min: 0, max: 30, default: 0, unit: 'ms' },
+            depth: { label: 'Depth', min: 0, max: 10, default: 2, unit: 'ms' },
+            regen: { label: 'Feedback', min: -95, max: 95, default: 0, unit: '%' },
+            width: { label: 'Mix', min: 0, max: 100, default: 71, unit: '%' },
+            speed: { label: 'Rate', min: 0.1, max: 10, default: 0.5, unit: 'Hz' }
+        },
+        texture: true,
+        lunar: fromTexture('flanger', ['delay', 'depth', 'regen', 'width', 'speed']),
+        neutral: { depth: 0, regen: 0, width: 0 },
+        sox: ({ delay, depth, regen, width, speed }) =>
+            ['flanger', String(delay), String(depth), String(regen), String(width), String(speed), 'sine', '25', 'linear'],
+        ffmpeg: ({ delay, depth, regen, width, speed }) =>
+            [`flanger=delay=${delay}:depth=${depth}:regen=${regen}:width=${width}:speed=${speed}:shape=sinusoidal:phase=25:interp=linear`]
+    },
+    phaser: {
+        name: 'Phaser',
+        description: 'Sweeping notches through the spectrum',
+        params: {
+            delay: { label: 'Delay', min: 0.1, max: 5, default: 3, unit: 'ms' },
+            decay: { label: 'Decay', min: 0.1, max: 0.5, default: 0.4 },
+            speed: { label: 'Rate', min: 0.1, max: 2, default: 0.5, unit: 'Hz' },
+            shape: { label: 'Shape', options: ['sine', 'triangle'], default: 'sine' }
+        },
+        texture: true,
+        lunar: fromTexture('phaser', ['delay', 'decay', 'speed', 'shape']),
+        neutral: { decay: 0.1 },
+        sox: ({ delay, decay, speed, shape }) =>
+            ['phaser', '0.8', '0.74', String(delay), String(decay), String(speed), shape === 'triangle' ? '-t' : '-s'],
+        ffmpeg: ({ delay, decay, speed, shape }) =>
+            [`aphaser=in_gain=0.8:out_gain=0.74:delay=${delay}:decay=${decay}:speed=${speed}:type=${shape === 'triangle' ? 't' : 's'}`]
+    },
+    tremolo: {
+        name: 'Tremolo',
+        description: 'Pulsing volume',
+        params: {
+            rate: { label: 'Rate', min: 0.1, max: 20, default: 5, unit: 'Hz' },
+            depth: { label: 'Depth', min: 0, max: 100, default: 40, unit: '%' }
+        },
+        texture: true,
+        lunar: fromTexture('tremolo', ['rate', 'depth']),
+        neutral: { depth: 0 },
+        sox: ({ rate, depth }) => ['tremolo', String(rate), String(depth)],
+        ffmpeg: ({ rate, depth }) => [`tremolo=f=${rate}:d=${round(depth / 100)}`]
+    },
+    bitcrush: {
+        name: 'Bitcrush',
+        description: 'Bit depth and sample rate reduction',
+        params: {
+            bits: { label: 'Bits', min: 1, max: 24, default: 8 },
+            downsample: { label: 'Downsample', min: 1, max: 250, default: 1, unit: '×' }
+        },
+        texture: true,
+        lunar: fromTexture('bitcrush', ['bits', 'downsample']),
+        neutral: { bits: 24, downsample: 1 },
+        ffmpeg: ({ bits, downsample }) => [`acrusher=bits=${bits}:samples=${downsample}:mode=lin:mix=1`]
+    },
+    noiseBed: {
+        name: 'Noise Bed',
+        description: 'Vinyl crackle, tape hiss or mains hum under the music',
+        params: {
+            type: { label: 'Type', options: Object.keys(NOISE_BEDS), default: 'vinyl' },
+            level: { label: 'Level', min: -80, max: -20, default: -48, unit: 'dBFS' }
+        },
+        texture: true,
+        lunar: fromTexture('noiseBed', ['type', 'level']),
+        neutral: { level: -80 },
+        ffmpeg: ({ type, level }, { sampleRate }) =>
+            [withSource(NOISE_BEDS[type](round(Math.pow(10, level / 20), 6), sampleRate), 'amix=inputs=2:duration=first:normalize=0')]
+    },
+    filterSweep: {
+        name: 'Filter Sweep',
+        description: 'Low-pass filter swept by a slow LFO',
+        params: {
+            center: { label: 'Centre', min: 100, max: 10000, default: 1200, unit: 'Hz' },
+            depth: { label: 'Depth', min: 0, max: 4, default: 2, unit: 'oct' },
+            rate: { label: 'Rate', min: 0.01, max: 10, default: 0.25, unit: 'Hz' }
+        },
+        // Per-bin gain of a 2-pole low-pass whose cutoff follows the LFO
+        ffmpeg: ({ center, depth, rate }) => {
+            const cutoff = `(${center}*pow(2,${depth}*sin(2*PI*${rate}*pts)))`;
+            const gain = `1/sqrt(1+pow(b*sr/(2*nb)/${cutoff},4))`;
+            return [`afftfilt=real='re*${gain}':imag='im*${gain}'`];
+        }
+    },
+    tapeSaturation: {
+        name: 'Tape Saturation',
+        description: 'Warm saturation with a gentle high-frequency roll-off',
+        params: {
+            drive: { label: 'Drive', min: 0, max: 20, default: 3, unit: 'dB' },
+            rolloff: { label: 'Roll-off', min: 2000, max: 20000, default: 12000, unit: 'Hz' }
+        },
+        sox: ({ drive, rolloff }) => ['overdrive', String(drive), '40', 'lowpass', '-1', String(rolloff)],
+        ffmpeg: ({ drive, rolloff }) => [`volume=${drive}dB`, 'asoftclip=type=atan', `volume=-${drive}dB`, `lowpass=f=${rolloff}:p=1`]
+    }
+};
+
+// The classic Hexbloop chain first; the rest are available but off
+const DEFAULT_EFFECTS_CHAIN = [
+    { effect: 'overdrive', enabled: true, lunar: true, params: { gain: 4, colour: 2.5 } },
+    { effect: 'eq', enabled: true, lunar: true, params: { bass: 2, treble: 1 } },
+    { effect: 'echo', enabled: true, lunar: true, params: { inGain: 0.3, outGain: 0.05, delay: 6.5, decay: 0.045 } },
+    { effect: 'compand', enabled: true, lunar: true, params: { attack: 0.2, ratio: 5 } },
+    { effect: 'chorus', enabled: false, lunar: true, params: { delay: 45, depth: 2, rate: 0.5, mix: 0.4 } },
+    { effect: 'flanger', enabled: false, lunar: true, params: { delay: 0, depth: 2, regen: 0, width: 71, speed: 0.5 } },
+    { effect: 'phaser', enabled: false, lunar: true, params: { delay: 3, decay: 0.4, speed: 0.5, shape: 'sine' } },
+    { effect: 'tremolo', enabled: false, lunar: true, params: { rate: 5, depth: 40 } },
+    { effect: 'reverb', enabled: false, lunar: true, params: { space: 'room', reverberance: 50, damping: 50, roomScale: 75, preDelay: 20 } },
+    { effect: 'tapeSaturation', enabled: false, lunar: false, params: { drive: 3, rolloff: 12000 } },
+    { effect: 'bitcrush', enabled: false, lunar: true, params: { bits: 8, downsample: 1 } },
+    { effect: 'noiseBed', enabled: false, lunar: true, params: { type: 'vinyl', level: -48 } },
+    { effect: 'filterSweep', enabled: false, lunar: false, params: { center: 1200, depth: 2, rate: 0.25 } }
+];
+
+// FFmpeg headroom before the chain (Sox uses gain -h / gain -r around it instead)
+const FFMPEG_HEADROOM = 'volume=-1.5dB';
+
+/**
+ * Validate a chain
+ * @param {Array} chain - Chain from settings
+ * @param {string} [path] - Setting path used in error messages
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateEffectsChain(chain, path = 'effectsChain') {
+    if (!Array.isArray(chain)) {
+        return [`Invalid type for ${path}: expected a list of effects`];
+    }
+
+    const errors = [];
+    chain.forEach((entry, i) => {
+        const entryPath = `${path}[${i}]`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`Invalid type for ${entryPath}: expected object`);
+            return;
+        }
+        const module = EFFECT_MODULES[entry.effect];
+        if (!module) {
+            errors.push(`Invalid value for ${entryPath}.effect: ${entry.effect}. Expected one of: ${Object.keys(EFFECT_MODULES).join(', ')}`);
+            return;
+        }
+        if (typeof entry.enabled !== 'boolean') {
+            errors.push(`Invalid type for ${entryPath}.enabled: expected boolean`);
+        }
+        if (entry.lunar !== undefined && typeof entry.lunar !== 'boolean') {
+            errors.push(`Invalid type for ${entryPath}.lunar: expected boolean`);
+        }
+        if (entry.params === undefined) {
+            return;
+        }
+        if (!entry.params || typeof entry.params !== 'object' || Array.isArray(entry.params)) {
+            errors.push(`Invalid type for ${entryPath}.params: expected object`);
+            return;
+        }
+        for (const [key, value] of Object.entries(entry.params)) {
+            const param = module.params[key];
+            if (!param) {
+                errors.push(`Unknown setting: ${entryPath}.params.${key}`);
+            } else if (param.options) {
+                if (!param.options.includes(value)) {
+                    errors.push(`Invalid value for ${entryPath}.params.${key}: ${value}. Expected one of: ${param.options.join(', ')}`);
+                }
+            } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`Invalid type for ${entryPath}.params.${key}: expected number`);
+            } else if (value < param.min || value > param.max) {
+                errors.push(`Invalid value for ${entryPath}.params.${key}: ${value}. Expected ${param.min} to ${param.max}`);
+            }
+        }
+    });
+    return errors;
+}
+
+/**
+ * The effects that will run, with every parameter filled in
+ * @param {Array} chain - settings.processing.effectsChain (already validated)
+ * @param {Object|null} [influence] - LunarProcessor.getInfluencedParameters(); null ignores the lunar flags
+ * @param {Object} [options]
+ * @param {number} [options.intensity=50] - settings.processing.intensity, applied to entries that follow the moon
+ * @returns {Array<{effect: string, params: Object}>} Enabled effects in chain order
+ */
+function resolveEffectsChain(chain, influence = null, { intensity = DEFAULT_INTENSITY } = {}) {
+    const followsMoon = (entry) => Boolean(entry.lunar && influence);
+    return (chain || [])
+        .filter(entry => entry.enabled && EFFECT_MODULES[entry.effect])
+        // Character effects that follow the moon sit out phases whose texture doesn't use them
+        .filter(entry => !(followsMoon(entry) && EFFECT_MODULES[entry.effect].texture && !influence.texture?.effects[entry.effect]))
+        // At intensity 0 every amount would sit at its neutral value, so the module is bypassed outright
+        .filter(entry => !(followsMoon(entry) && intensity === 0 && EFFECT_MODULES[entry.effect].neutral))
+        .map(entry => {
+            const module = EFFECT_MODULES[entry.effect];
+            const defaults = Object.fromEntries(Object.entries(module.params).map(([key, param]) => [key, param.default]));
+            const lunar = entry.lunar && influence && module.lunar
+                ? Object.fromEntries(Object.entries(module.lunar).map(([key, fromInfluence]) => [key, clampToRange(module.params[key], fromInfluence(influence))]))
+                : {};
+            const params = { ...defaults, ...entry.params, ...lunar };
+            return { effect: entry.effect, params: followsMoon(entry) ? scaleToIntensity(module, params, intensity) : params };
+        });
+}
+
+/**
+ * Move a module's effect amounts toward (intensity below 50) or away from (above 50) its
+ * neutral values, kept inside the parameter ranges
+ * @param {Object} module - EFFECT_MODULES entry
+ * @param {Object} values - Parameter id → value
+ * @param {number} intensity - 0 to 100
+ * @returns {Object} Scaled values
+ */
+function scaleToIntensity(module, values, intensity) {
+    const amount = intensity / DEFAULT_INTENSITY;
+    if (amount === 1 || !module.neutral) {
+        return values;
+    }
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => {
+        const neutral = module.neutral[key];
+        if (neutral === undefined || typeof value !== 'number') {
+            return [key, value];
+        }
+        return [key, round(clampToRange(module.params[key], neutral + (value - neutral) * amount))];
+    }));
+}
+
+/**
+ * Keep a number inside a parameter's range; choices pass through
+ * @param {Object} param - Module parameter ({ min, max } or { options })
+ * @param {*} value - Parameter value
+ */
+function clampToRange(param, value) {
+    if (typeof value !== 'number' || param.min === undefined) {
+        return value;
+    }
+    return Math.min(param.max, Math.max(param.min, value));
+}
+
+/**
+ * Module descriptions for the preferences chain editor (plain data, safe to send over IPC)
+ * @returns {Array<{id: string, name: string, description: string, params: Object, lunarParams: string[],
+ *   texture: boolean, sox: boolean}>}
+ */
+function describeEffectModules() {
+    return Object.entries(EFFECT_MODULES).map(([id, module]) => ({
+        id,
+        name: module.name,
+        description: module.description,
+        params: module.params,
+        lunarParams: Object.keys(module.lunar || {}),
+        texture: Boolean(module.texture),
+        sox: Boolean(module.sox)
+    }));
+}
+
+/**
+ * Sox effect arguments for resolved effects, wrapped in headroom handling
+ * @param {Array} effects - From resolveEffectsChain()
+ * @returns {string[]|null} Arguments after the output file, null when an effect has no Sox form
+ */
+function compileSoxEffects(effects) {
+    if (effects.some(({ effect }) => !EFFECT_MODULES[effect].sox)) {
+        return null;
+    }
+    // gain -h leaves headroom before the effects, gain -r reclaims it after
+    return ['gain', '-h', ...effects.flatMap(({ effect, params }) => EFFECT_MODULES[effect].sox(params)), 'gain', '-r'];
+}
+
+/**
+ * FFmpeg audio filters for resolved effects
+ * @param {Array} effects - From resolveEffectsChain()
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate] - Rate of the audio being processed (generated signals match it)
+ * @returns {Array<string|Object>} Filters in processing order (withSource() entries for generated signals)
+ */
+function compileFFmpegFilters(effects, { sampleRate } = {}) {
+    const context = { sampleRate: sampleRate || DEFAULT_SAMPLE_RATE };
+    return [FFMPEG_HEADROOM, ...effects.flatMap(({ effect, params }) => EFFECT_MODULES[effect].ffmpeg(params, context))];
+}
+
+/**
+ * Join compiled filters into one filter graph. Plain filters are chained; a withSource()
+ * entry gets its generated signal as a second input, blended with the dry signal when it has a wet level.
+ * @param {Array<string|Object>} filters - From compileFFmpegFilters()
+ * @returns {string} Graph for -filter_complex with one unlabeled input and output
+ */
+function buildFFmpegGraph(filters) {
+    const segments = [];
+    let inputs = '';        // Labels feeding the chain being built ('' = the input stream)
+    let chain = [];
+    filters.forEach((filter, i) => {
+        if (typeof filter === 'string') {
+            chain.push(filter);
+            return;
+        }
+        segments.push(`${filter.source}[src${i}]`);
+        if (filter.wet === undefined) {
+            segments.push(`${inputs}${chain.length > 0 ? chain.join(',') : 'anull'}[fx${i}]`);
+            inputs = `[fx${i}][src${i}]`;
+            chain = [filter.filter];
+        } else {
+            segments.push(`${inputs}${[...chain, 'asplit'].join(',')}[dry${i}][in${i}]`);
+            segments.push(`[in${i}][src${i}]${filter.filter}[wet${i}]`);
+            inputs = `[dry${i}][wet${i}]`;
+            chain = [`amix=inputs=2:duration=first:weights='1 ${filter.wet}':normalize=0`];
+        }
+    });
+    segments.push(`${inputs}${chain.length > 0 ? chain.join(',') : 'anull'}`);
+    return segments.join(';');
+}
+
+/**
+ * Filter graph that blends the effects chain's output with the dry signal
+ * @param {number} mix - Wet share in percent (settings.processing.mix)
+ * @returns {string} Graph for -filter_complex with the processed file as the first input
+ *   and the dry source as the second
+ */
+function buildDryWetGraph(mix) {
+    const wet = round(mix / 100);
+    return `[0:a][1:a]amix=inputs=2:duration=first:weights='${wet} ${round(1 - wet)}':normalize=0`;
+}
+
+/**
+ * Compile resolved effects for whichever engine can run them
+ * @param {Array} effects - From resolveEffectsChain()
+ * @param {Object} [options]
+ * @param {boolean} [options.sox=true] - Whether Sox is installed
+ * @param {number} [options.sampleRate] - Source sample rate, for FFmpeg's generated signals
+ * @returns {{engine: 'sox', args: string[]} | {engine: 'ffmpeg', filters: Array, graph: string}}
+ */
+function compileEffectsChain(effects, { sox = true, sampleRate } = {}) {
+    const args = sox ? compileSoxEffects(effects) : null;
+    if (args) {
+        return { engine: 'sox', args };
+    }
+    const filters = compileFFmpegFilters(effects, { sampleRate });
+    return { engine: 'ffmpeg', filters, graph: buildFFmpegGraph(filters) };
+}
+
+/**
+ * Short description for logs, e.g. "Overdrive → EQ → Reverb"
+ */
+function describeEffectsChain(effects) {
+    return effects.map(({ effect }) => EFFECT_MODULES[effect].name).join(' → ');
+}
+
+/**
+ * Sox compand transfer function for a given ratio, with 6 dB soft knees.
+ * Quiet passages are lifted: -70dB comes out at -60dB, easing back to unity at -20dB.
+ * Above -20dB levels are compressed by `ratio` (0dB comes out at -20 + 20/ratio dB).
+ */
+function buildCompandTransfer(ratio = 1) {
+    const safeRatio = Math.max(1, ratio || 1);
+    const ceiling = (-20 + 20 / safeRatio).toFixed(2);
+    return `6:-70,-60,-20,-20,0,${ceiling}`;
+}
+
+/**
+ * FFmpeg source chain for a reverb's impulse response: the space's bundled file at
+ * the source rate, its tail shortened by smaller rooms and less reverberance,
+ * darkened by the damping and pre-delayed
+ */
+function buildImpulseResponse({ space, reverberance, damping, roomScale, preDelay }, sampleRate = DEFAULT_SAMPLE_RATE) {
+    const ir = IMPULSE_RESPONSES[space] || IMPULSE_RESPONSES.room;
+    const length = round(ir.length * (0.4 + 0.6 * roomScale / 100) * (0.25 + 0.75 * reverberance / 100));
+    const filters = [
+        `amovie=${escapeFilterValue(path.join(IMPULSE_RESPONSE_DIR, ir.file))}`,
+        `aresample=${sampleRate}`,
+        `atrim=end=${length}`,
+        `afade=t=out:st=${round(length * 0.7)}:d=${round(length * 0.3)}`,
+        `lowpass=f=${Math.round(ir.brightness * (1.5 - damping / 100))}`
+    ];
+    if (preDelay > 0) {
+        filters.push(`adelay=${preDelay}:all=1`);
+    }
+    return filters.join(',');
+}
+
+/**
+ * A filter that takes a generated signal as its second input
+ * @param {string} source - FFmpeg source chain (no inputs)
+ * @param {string} filter - Two-input filter: the chain so far, then the source
+ * @param {number} [wet] - Blend the filter's output with the dry signal at this level
+ */
+function withSource(source, filter, wet) {
+    return wet === undefined ? { source, filter } : { source, filter, wet };
+}
+
+/**
+ * Lunar parameters of a character effect, read from the phase texture
+ */
+function fromTexture(effect, params) {
+    return Object.fromEntries(params.map(param => [param, (influence) => influence.texture.effects[effect][param]]));
+}
+
+/**
+ * Escape a filter option value (a file path) for use inside a filter graph:
+ * once for the option parser, then once more for the graph parser
+ */
+function escapeFilterValue(value) {
+    return value.replace(/[\\':]/g, '\\$&').replace(/[\\'[\],;]/g, '\\$&');
+}
+
+function signed(value) {
+    return value >= 0 ? `+${value}` : String(value);
+}
+
+function round(value, places = 3) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    EFFECT_MODULES,
+    DEFAULT_EFFECTS_CHAIN,
+    DEFAULT_INTENSITY,
+    DEFAULT_MIX,
+    IMPULSE_RESPONSES,
+    IMPULSE_RESPONSE_DIR,
+    validateEffectsChain,
+    resolveEffectsChain,
+    describeEffectModules,
+    compileSoxEffects,
+    compileFFmpegFilters,
+    buildFFmpegGraph,
+    buildDryWetGraph,
+    compileEffectsChain,
+    describeEffectsChain,
+    buildCompandTransfer
+};
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Input file validation
+ * @author Hexbloop Audio Labs
+ * @description The checks every input passes before it is probed or processed,
+ * shared by the batch processor and pre-flight so both reject files the same way.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { AUDIO_EXTENSIONS } = require('./constants');
+
+/**
+ * Check that a path points to a supported audio file
+ * @param {string} filePath - Input path
+ * @returns {string} Resolved absolute path
+ * @throws {Error} If the path is missing, not a file, or not a supported format
+ */
+function validateInputFile(filePath) {
+    if (!filePath || typeof filePath !== 'string') {
+        throw new Error('Invalid file path provided');
+    }
+
+    // Resolve to absolute path and check it exists
+    const resolvedPath = path.resolve(filePath);
+    if (!fs.existsSync(resolvedPath)) {
+        throw new Error(`Input file not found: ${path.basename(filePath)}`);
+    }
+
+    // Ensure file is actually a file, not a directory
+    const stats = fs.statSync(resolvedPath);
+    if (!stats.isFile()) {
+        throw new Error(`Path is not a file: ${path.basename(filePath)}`);
+    }
+
+    const ext = path.extname(resolvedPath).toLowerCase();
+    if (!AUDIO_EXTENSIONS.includes(ext)) {
+        throw new Error(`Unsupported audio format: ${ext}. Supported: ${AUDIO_EXTENSIONS.slice(0, 8).join(', ')} and more.`);
+    }
+
+    return resolvedPath;
+}
+
+module.exports = {
+    validateInputFile
+};
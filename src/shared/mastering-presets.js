@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Mastering presets for the FFmpeg stage
+ * @author Hexbloop Audio Labs
+ * @description Shipped presets, validation for user presets stored in
+ * settings.processing.masteringPresets, and the FFmpeg filter chain built from a preset.
+ *
+ * Chain order: (mono fold) → EQ → compressor → limiter → loudness normalization → safety limiter
+ *
+ * Loudness normalization runs in two passes when possible: a measurement pass
+ * (buildLoudnessMeasurementFilters) whose loudnorm stats feed a linear render pass.
+ */
+
+const { monoFoldFilter } = require('./channel-policy');
+
+/**
+ * Presets shipped with Hexbloop. User presets with the same id replace them.
+ *
+ * Preset shape:
+ *   name, description      - Shown in preferences and the File menu
+ *   eq[]                   - Peaking bands: frequency (Hz), width (Q), gain (dB)
+ *   compressor | null      - threshold (dB), ratio, attack/release (ms), makeup (gain multiplier, 1-64)
+ *   limiter | null         - limit (linear peak ceiling, 0.0625-1)
+ *   loudness | null        - EBU R128 target: integrated (LUFS), truePeak (dBTP), range (LU)
+ *   mono                   - Fold to dual mono so the master sounds the same on a single speaker
+ */
+const BUILTIN_MASTERING_PRESETS = {
+    balanced: {
+        name: 'Hexbloop Balanced',
+        description: 'The classic Hexbloop master: gentle EQ lift, 4:1 compression, -16 LUFS',
+        eq: [
+            { frequency: 100, width: 1, gain: 0.3 },     // Low bass boost
+            { frequency: 800, width: 1.2, gain: 0.5 },   // Low-mid presence
+            { frequency: 1600, width: 1, gain: 0.4 },    // Mid clarity
+            { frequency: 5000, width: 1, gain: 0.3 }     // High-mid sparkle
+        ],
+        compressor: { threshold: -18, ratio: 4, attack: 5, release: 50, makeup: 4 },
+        limiter: { limit: 0.95 },
+        loudness: { integrated: -16, truePeak: -1.5, range: 11 },
+        mono: false
+    },
+    streaming: {
+        name: 'Streaming (-14 LUFS)',
+        description: 'Spotify/YouTube loudness with -1 dBTP headroom for lossy encoding',
+        eq: [
+            { frequency: 60, width: 1, gain: 0.5 },
+            { frequency: 3000, width: 1, gain: 0.3 },
+            { frequency: 10000, width: 0.8, gain: 0.5 }
+        ],
+        compressor: { threshold: -20, ratio: 3, attack: 10, release: 100, makeup: 2 },
+        limiter: { limit: 0.95 },
+        loudness: { integrated: -14, truePeak: -1, range: 11 },
+        mono: false
+    },
+    podcast: {
+        name: 'Podcast (-16 LUFS, mono-safe)',
+        description: 'Voice-forward EQ and steady levels, folded to mono for phone speakers',
+        eq: [
+            { frequency: 100, width: 1, gain: -2 },      // Tame rumble and plosives
+            { frequency: 3000, width: 1, gain: 1.5 },    // Speech presence
+            { frequency: 8000, width: 1.5, gain: -0.5 }  // Soften sibilance
+        ],
+        compressor: { threshold: -22, ratio: 3.5, attack: 5, release: 80, makeup: 3 },
+        limiter: { limit: 0.9 },
+        loudness: { integrated: -16, truePeak: -1.5, range: 8 },
+        mono: true
+    },
+    club: {
+        name: 'Club (-9 LUFS)',
+        description: 'Dense and loud for DJ sets: heavier low end, 6:1 compression',
+        eq: [
+            { frequency: 60, width: 1, gain: 1.5 },
+            { frequency: 120, width: 1, gain: 0.5 },
+            { frequency: 10000, width: 0.8, gain: 1 }
+        ],
+        compressor: { threshold: -16, ratio: 6, attack: 3, release: 40, makeup: 4 },
+        limiter: { limit: 0.97 },
+        loudness: { integrated: -9, truePeak: -0.3, range: 6 },
+        mono: false
+    },
+    gentle: {
+        name: 'Gentle',
+        description: 'Light 1.5:1 glue with wide dynamics, -18 LUFS',
+        eq: [],
+        compressor: { threshold: -24, ratio: 1.5, attack: 20, release: 200, makeup: 1.5 },
+        limiter: { limit: 0.98 },
+        loudness: { integrated: -18, truePeak: -2, range: 15 },
+        mono: false
+    }
+};
+
+const DEFAULT_MASTERING_PRESET = 'balanced';
+
+// Final protection after loudnorm, which can overshoot on transients (-0.3 dB)
+const SAFETY_LIMIT = 0.97;
+
+// Allowed ranges, matching what the FFmpeg filters accept
+const PRESET_RANGES = {
+    eq: {
+        frequency: [20, 20000],
+        width: [0.1, 10],
+        gain: [-12, 12]
+    },
+    compressor: {
+        threshold: [-60, 0],
+        ratio: [1, 20],
+        attack: [0.01, 2000],
+        release: [0.01, 9000],
+        makeup: [1, 64]
+    },
+    limiter: {
+        limit: [0.0625, 1]
+    },
+    loudness: {
+        integrated: [-70, -5],
+        truePeak: [-9, 0],
+        range: [1, 50]
+    }
+};
+
+/**
+ * Validate one preset
+ * @param {Object} preset - Preset to check
+ * @param {string} [path] - Setting path used in error messages
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateMasteringPreset(preset, path = 'preset') {
+    const errors = [];
+
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        return [`Invalid type for ${path}: expected object`];
+    }
+    if (typeof preset.name !== 'string' || preset.name.trim() === '') {
+        errors.push(`Missing required setting: ${path}.name`);
+    }
+    if (preset.description !== undefined && typeof preset.description !== 'string') {
+        errors.push(`Invalid type for ${path}.description: expected string`);
+    }
+    if (preset.mono !== undefined && typeof preset.mono !== 'boolean') {
+        errors.push(`Invalid type for ${path}.mono: expected boolean`);
+    }
+
+    const checkRanges = (value, ranges, valuePath) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`Invalid type for ${valuePath}: expected object`);
+            return;
+        }
+        for (const [key, [min, max]] of Object.entries(ranges)) {
+            const number = value[key];
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                errors.push(`Invalid type for ${valuePath}.${key}: expected number`);
+            } else if (number < min || number > max) {
+                errors.push(`Invalid value for ${valuePath}.${key}: ${number}. Expected ${min} to ${max}`);
+            }
+        }
+    };
+
+    if (!Array.isArray(preset.eq)) {
+        errors.push(`Invalid type for ${path}.eq: expected a list of bands`);
+    } else {
+        preset.eq.forEach((band, i) => checkRanges(band, PRESET_RANGES.eq, `${path}.eq[${i}]`));
+    }
+
+    // Dynamics and loudness sections may be switched off with null
+    for (const section of ['compressor', 'limiter', 'loudness']) {
+        if (preset[section] !== null) {
+            checkRanges(preset[section], PRESET_RANGES[section], `${path}.${section}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Every selectable preset: shipped presets overlaid with the user's own
+ * @param {Object} settings - Full settings object
+ * @returns {Object} Presets keyed by id
+ */
+function getMasteringPresets(settings) {
+    return {
+        ...BUILTIN_MASTERING_PRESETS,
+        ...(settings?.processing?.masteringPresets || {})
+    };
+}
+
+/**
+ * The preset selected in settings, falling back to the default when it no longer exists
+ * @param {Object} settings - Full settings object
+ * @returns {{id: string, preset: Object}}
+ */
+function resolveMasteringPreset(settings) {
+    const presets = getMasteringPresets(settings);
+    const id = settings?.processing?.masteringPreset;
+
+    if (id && presets[id]) {
+        return { id, preset: presets[id] };
+    }
+    if (id) {
+        console.log(`⚠️ Unknown mastering preset "${id}", using ${DEFAULT_MASTERING_PRESET}`);
+    }
+    return { id: DEFAULT_MASTERING_PRESET, preset: BUILTIN_MASTERING_PRESETS[DEFAULT_MASTERING_PRESET] };
+}
+
+/**
+ * Build the FFmpeg audio filter chain for a preset
+ *
+ * Without `measured` loudnorm runs single-pass (dynamic). With the stats from a
+ * measurement pass it runs linear, applying one gain offset to the whole file.
+ *
+ * @param {Object} preset - Validated preset
+ * @param {Object} [options]
+ * @param {Object} [options.measured] - Stats from parseLoudnormStats() on the measurement pass
+ * @param {boolean} [options.printStats] - Have loudnorm print its stats as JSON (always on when measured)
+ * @param {Object|null} [options.layout] - { channels, channelLayout } of the audio being mastered, for the mono fold
+ * @returns {string[]} Filters in processing order
+ */
+function buildMasteringFilters(preset, { measured, printStats = false, layout = null } = {}) {
+    const filters = buildPreNormalizationFilters(preset, layout);
+
+    // 4. LOUDNESS NORMALIZATION: EBU R128
+    if (preset.loudness) {
+        const target = loudnormTarget(preset.loudness);
+        if (measured) {
+            const { input, offset } = measured;
+            filters.push(`${target}:measured_I=${input.integrated}:measured_TP=${input.truePeak}` +
+                `:measured_LRA=${input.range}:measured_thresh=${input.threshold}` +
+                `:offset=${offset}:linear=true:print_format=json`);
+        } else {
+            filters.push(printStats ? `${target}:print_format=json` : target);
+        }
+    }
+
+    // 5. SAFETY LIMITER
+    filters.push(`alimiter=limit=${SAFETY_LIMIT}`);
+
+    return filters;
+}
+
+/**
+ * Channel layout a preset's chain hands to the final encode
+ * @param {Object} preset - Validated preset
+ * @param {Object|null} layout - { channels, channelLayout } of the audio being mastered
+ * @returns {Object|null} Stereo after the mono fold, otherwise the input layout
+ */
+function masteredLayout(preset, layout) {
+    return preset.mono ? { channels: 2, channelLayout: 'stereo' } : layout;
+}
+
+/**
+ * Build the filter chain for the loudness measurement pass: everything up to
+ * loudnorm, which prints its statistics instead of the output being kept
+ * @param {Object} preset - Validated preset with a loudness target
+ * @param {Object} [options]
+ * @param {Object|null} [options.layout] - { channels, channelLayout } of the audio being mastered
+ * @returns {string[]} Filters in processing order
+ */
+function buildLoudnessMeasurementFilters(preset, { layout = null } = {}) {
+    return [
+        ...buildPreNormalizationFilters(preset, layout),
+        `${loudnormTarget(preset.loudness)}:print_format=json`
+    ];
+}
+
+/**
+ * Read the JSON block loudnorm prints to stderr with print_format=json
+ * @param {string} stderr - FFmpeg stderr output
+ * @returns {Object|null} input/output loudness and the normalization type, or null when missing
+ */
+function parseLoudnormStats(stderr) {
+    const start = stderr.lastIndexOf('{');
+    const end = stderr.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        return null;
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(stderr.slice(start, end + 1));
+    } catch (error) {
+        return null;
+    }
+    if (raw.input_i === undefined) {
+        return null;
+    }
+
+    // loudnorm reports "-inf" for digital silence
+    const number = (value) => value === '-inf' ? -Infinity : parseFloat(value);
+    return {
+        input: {
+            integrated: number(raw.input_i),
+            truePeak: number(raw.input_tp),
+            range: number(raw.input_lra),
+            threshold: number(raw.input_thresh)
+        },
+        output: {
+            integrated: number(raw.output_i),
+            truePeak: number(raw.output_tp),
+            range: number(raw.output_lra),
+            threshold: number(raw.output_thresh)
+        },
+        normalization: raw.normalization_type,
+        offset: number(raw.target_offset)
+    };
+}
+
+/**
+ * Single-pass loudnorm target for a preset's loudness section
+ */
+function loudnormTarget({ integrated, truePeak, range }) {
+    return `loudnorm=I=${integrated}:TP=${truePeak}:LRA=${range}`;
+}
+
+/**
+ * Mono fold, EQ, compressor and limiter: the part of the chain loudnorm measures.
+ * The fold matrix follows the input layout, so mono and surround sources fold correctly.
+ */
+function buildPreNormalizationFilters(preset, layout) {
+    const filters = [];
+
+    if (preset.mono) {
+        filters.push(monoFoldFilter(layout));
+    }
+
+    // 1. EQUALIZATION: Shape frequency response before dynamics
+    for (const band of preset.eq) {
+        filters.push(`equalizer=f=${band.frequency}:t=q:w=${band.width}:g=${band.gain}`);
+    }
+
+    // 2. COMPRESSION
+    if (preset.compressor) {
+        const { threshold, ratio, attack, release, makeup } = preset.compressor;
+        filters.push(`acompressor=threshold=${threshold}dB:ratio=${ratio}:attack=${attack}:release=${release}:makeup=${makeup}`);
+    }
+
+    // 3. LIMITING: Catch peaks before loudness normalization
+    if (preset.limiter) {
+        filters.push(`alimiter=limit=${preset.limiter.limit}`);
+    }
+
+    return filters;
+}
+
+module.exports = {
+    BUILTIN_MASTERING_PRESETS,
+    DEFAULT_MASTERING_PRESET,
+    validateMasteringPreset,
+    getMasteringPresets,
+    resolveMasteringPreset,
+    buildMasteringFilters,
+    buildLoudnessMeasurementFilters,
+    masteredLayout,
+    parseLoudnormStats
+};
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Output sample rate, bit depth and final quantisation
+ * @author Hexbloop Audio Labs
+ * @description Every stage before the final encode works at the source sample rate
+ * in 32-bit float with the source channels. The last FFmpeg step applies the channel
+ * policy, resamples once (only if the output rate differs) and quantises once, with
+ * dither, to the output bit depth.
+ */
+
+const path = require('path');
+const { resolveChannels } = require('./channel-policy');
+
+// Output bit depths: integer PCM, or 32-bit float with no quantisation at all
+const BIT_DEPTHS = ['16', '24', '32f'];
+const DEFAULT_BIT_DEPTH = '16';
+
+// Output rate when the source rate is unknown and none is configured
+const FALLBACK_SAMPLE_RATE = 44100;
+
+// Encoders that can't take every rate (MPEG-1 Layer III stops at 48 kHz)
+const MAX_SAMPLE_RATES = {
+    mp3: 48000,
+    aac: 96000
+};
+
+// Lossy encoders take float samples directly; bit depth doesn't apply
+const LOSSY_FORMATS = ['mp3', 'aac', 'ogg'];
+
+// Container used for output.format = 'original', by source extension
+const ORIGINAL_FORMATS = {
+    '.wav': 'wav',
+    '.aif': 'aiff',
+    '.aiff': 'aiff',
+    '.flac': 'flac',
+    '.mp3': 'mp3',
+    '.ogg': 'ogg',
+    '.m4a': 'aac',
+    '.aac': 'aac'
+};
+
+const PCM_CODECS = {
+    wav: { '16': 'pcm_s16le', '24': 'pcm_s24le', '32f': 'pcm_f32le' },
+    aiff: { '16': 'pcm_s16be', '24': 'pcm_s24be', '32f': 'pcm_f32be' }
+};
+
+// Sample format handed to the encoder per bit depth. 24-bit audio travels in s32,
+// so its dither is scaled up 8 bits to land on the 24-bit LSB.
+const QUANTIZATION = {
+    '16': { sampleFormat: 's16', ditherScale: 1 },
+    '24': { sampleFormat: 's32', ditherScale: 256 },
+    '32f': { sampleFormat: 'flt', ditherScale: 0 }
+};
+
+// TPDF dither with a high-pass tilt: no noise modulation, less audible hiss than flat TPDF
+const DITHER_METHOD = 'triangular_hp';
+
+/**
+ * Container the output is written in
+ * @param {Object} settings - Full settings
+ * @param {string} inputPath - Source file (for 'original')
+ * @returns {string} 'mp3' | 'wav' | 'flac' | 'aac' | 'ogg' | 'aiff' | other source extension
+ */
+function resolveOutputFormat(settings, inputPath) {
+    const format = settings?.output?.format || 'mp3';
+    if (format !== 'original') {
+        return format;
+    }
+    const ext = path.extname(inputPath).toLowerCase();
+    return ORIGINAL_FORMATS[ext] || ext.slice(1);
+}
+
+/**
+ * Output sample rate: the configured rate, else the source's, within what the encoder accepts
+ * @param {string} format - Output container from resolveOutputFormat
+ * @param {number|null} sourceRate - Source sample rate in Hz (null if unknown)
+ * @param {number} [requestedRate=0] - settings.output.sampleRate, 0 = preserve
+ * @returns {number} Sample rate in Hz
+ */
+function resolveOutputSampleRate(format, sourceRate, requestedRate = 0) {
+    const rate = requestedRate > 0 ? requestedRate : sourceRate || FALLBACK_SAMPLE_RATE;
+    const max = MAX_SAMPLE_RATES[format];
+    if (!max || rate <= max) {
+        return rate;
+    }
+
+    // Stay in the source's rate family (88.2k → 44.1k, 96k → 48k) for a clean integer ratio
+    let limited = rate % 44100 === 0 ? 44100 : 48000;
+    while (limited * 2 <= max) {
+        limited *= 2;
+    }
+    return limited;
+}
+
+/**
+ * Output bit depth for a container
+ * @param {string} format - Output container from resolveOutputFormat
+ * @param {string} [bitDepth] - settings.output.bitDepth
+ * @returns {string|null} '16' | '24' | '32f', null for lossy formats
+ */
+function resolveBitDepth(format, bitDepth) {
+    if (LOSSY_FORMATS.includes(format)) {
+        return null;
+    }
+    const depth = BIT_DEPTHS.includes(bitDepth) ? bitDepth : DEFAULT_BIT_DEPTH;
+    // FLAC stores integers only
+    if (format === 'flac' && depth === '32f') {
+        return '24';
+    }
+    return depth;
+}
+
+/**
+ * PCM codec for uncompressed containers
+ * @returns {string|null} FFmpeg codec name, null when the container picks its own codec
+ */
+function pcmCodec(format, bitDepth) {
+    return PCM_CODECS[format]?.[bitDepth] || null;
+}
+
+/**
+ * The final resample/quantise filter, appended to the last FFmpeg step's chain
+ * @param {Object} output
+ * @param {number} output.sampleRate - From resolveOutputSampleRate
+ * @param {string|null} output.bitDepth - From resolveBitDepth
+ * @returns {string} aresample filter
+ */
+function buildOutputFilter({ sampleRate, bitDepth }) {
+    const options = [`osr=${sampleRate}`];
+    const quantization = bitDepth && QUANTIZATION[bitDepth];
+    if (quantization) {
+        options.push(`osf=${quantization.sampleFormat}`);
+        if (quantization.ditherScale) {
+            options.push(`dither_method=${DITHER_METHOD}`, `dither_scale=${quantization.ditherScale}`);
+        }
+    }
+    return `aresample=${options.join(':')}`;
+}
+
+/**
+ * Short description for logs, e.g. "24-bit / 96 kHz / 6 ch" or "MP3 / 48 kHz / mid-side"
+ */
+function describeOutput({ format, sampleRate, bitDepth, channels, channelPolicy }) {
+    const resolution = bitDepth ? (bitDepth === '32f' ? '32-bit float' : `${bitDepth}-bit`) : format.toUpperCase();
+    const parts = [resolution, `${sampleRate / 1000} kHz`];
+    if (channelPolicy === 'mid-side') {
+        parts.push('mid-side');
+    } else if (channels) {
+        parts.push(channels === 1 ? 'mono' : channels === 2 ? 'stereo' : `${channels} ch`);
+    }
+    return parts.join(' / ');
+}
+
+/**
+ * Everything the final encode needs to know about the output
+ * @param {Object} settings - Full settings
+ * @param {string} inputPath - Source file
+ * @param {Object|null} source - Source audio stream from MediaProbe ({ sampleRate, channels, channelLayout }), null if unknown
+ * @returns {{format: string, sampleRate: number, bitDepth: string|null, codec: string|null,
+ *   channels: number|null, channelPolicy: string, filter: string}}
+ */
+function resolveOutput(settings, inputPath, source) {
+    const format = resolveOutputFormat(settings, inputPath);
+    const sampleRate = resolveOutputSampleRate(format, source?.sampleRate, settings?.output?.sampleRate);
+    const bitDepth = resolveBitDepth(format, settings?.output?.bitDepth);
+    return forEncodeLayout({ format, sampleRate, bitDepth, codec: pcmCodec(format, bitDepth) }, settings, source);
+}
+
+/**
+ * Build the channel conversion for the audio that actually reaches the final encode.
+ * Effects and mastering can change the source layout (a mono-safe master is stereo),
+ * so the matrix must refer to the channels going in, not the source's.
+ * @param {Object} output - From resolveOutput
+ * @param {Object} settings - Full settings
+ * @param {Object|null} layout - { channels, channelLayout } going into the final encode, null if unknown
+ * @returns {Object} Output with channels, channelPolicy and filter for that layout
+ */
+function forEncodeLayout(output, settings, layout) {
+    const channels = resolveChannels(settings?.output?.channels, layout, output.format);
+    return {
+        ...output,
+        channels: channels.channels,
+        channelPolicy: channels.policy,
+        // Channels first, so the matrix runs in float before the final quantisation
+        filter: [channels.filter, buildOutputFilter(output)].filter(Boolean).join(',')
+    };
+}
+
+module.exports = {
+    BIT_DEPTHS,
+    DEFAULT_BIT_DEPTH,
+    resolveOutputFormat,
+    resolveOutputSampleRate,
+    resolveBitDepth,
+    pcmCodec,
+    buildOutputFilter,
+    describeOutput,
+    resolveOutput,
+    forEncodeLayout
+};
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview A/B preview planning
+ * @author Hexbloop Audio Labs
+ * @description Picks the excerpt a preview renders, the settings it renders with and
+ * the playback gains that level-match the original against the processed excerpt.
+ * Pure functions; AudioPreview does the rendering.
+ */
+
+const { resolveOutputFormat } = require('./output-format');
+
+// Excerpt length (seconds)
+const PREVIEW_SECONDS = 30;
+
+// Formats Chromium's decoder plays; anything else is previewed as WAV
+const PLAYABLE_FORMATS = ['mp3', 'wav', 'flac', 'aac', 'ogg'];
+
+/**
+ * Find the loudest stretch of a track from its analysis
+ * @param {Object|null} features - AudioAnalyzer.analyzeAudio() result
+ * @param {number} [seconds] - Excerpt length
+ * @returns {{start: number, duration: number, source: string}} Excerpt in seconds; source is
+ *   'energy' (structure energy curve), 'waveform' (peak envelope), 'whole' (track shorter than
+ *   the excerpt) or 'middle' (no usable analysis)
+ */
+function findLoudestWindow(features, seconds = PREVIEW_SECONDS) {
+    const total = features?.duration || features?.structure?.duration || 0;
+    if (total > 0 && total <= seconds) {
+        return { start: 0, duration: round(total), source: 'whole' };
+    }
+
+    // Mean power over the window, so one spike doesn't outweigh a loud chorus
+    const curves = [
+        ['energy', features?.structure?.energy?.db, features?.structure?.energy?.interval, db => Math.pow(10, db / 10)],
+        ['waveform', features?.waveform, total / (features?.waveform?.length || 1), peak => peak * peak]
+    ];
+    for (const [source, values, interval, toPower] of curves) {
+        const points = Math.round(seconds / interval);
+        if (!total || !values || values.length <= points || !(interval > 0)) {
+            continue;
+        }
+
+        const power = values.map(value => Number.isFinite(value) ? toPower(value) : 0);
+        let sum = power.slice(0, points).reduce((acc, value) => acc + value, 0);
+        let best = { index: 0, sum };
+        for (let i = points; i < power.length; i++) {
+            sum += power[i] - power[i - points];
+            if (sum > best.sum) {
+                best = { index: i - points + 1, sum };
+            }
+        }
+        if (best.sum > 0) {
+            const start = Math.min(Math.max(0, best.index * interval), total - seconds);
+            return { start: round(start), duration: seconds, source };
+        }
+    }
+
+    return { start: round(Math.max(0, total / 2 - seconds / 2)), duration: seconds, source: 'middle' };
+}
+
+/**
+ * Playback gains that play both excerpts at the same integrated loudness. Only the
+ * louder one is turned down, so nothing is pushed past full scale.
+ * @param {number|null} original - Integrated loudness of the original excerpt (LUFS)
+ * @param {number|null} processed - Integrated loudness of the processed excerpt (LUFS)
+ * @returns {{original: number, processed: number, difference: number|null, matched: boolean}}
+ *   Linear gains; difference is processed minus original in LU
+ */
+function matchLevels(original, processed) {
+    if (!Number.isFinite(original) || !Number.isFinite(processed)) {
+        return { original: 1, processed: 1, difference: null, matched: false };
+    }
+
+    const difference = round(processed - original);
+    const attenuation = Math.pow(10, -Math.abs(difference) / 20);
+    return {
+        original: difference < 0 ? round(attenuation, 4) : 1,
+        processed: difference > 0 ? round(attenuation, 4) : 1,
+        difference,
+        matched: true
+    };
+}
+
+/**
+ * Settings a preview renders with: the user's chain and mastering, without the steps
+ * that make no sense for an excerpt, into a format the main window can play
+ * @param {Object} settings - Full settings object
+ * @param {string} inputPath - Source file (for output.format = 'original')
+ * @returns {Object} Settings copy
+ */
+function previewSettings(settings, inputPath) {
+    const format = resolveOutputFormat(settings, inputPath);
+    return {
+        ...settings,
+        processing: {
+            ...settings.processing,
+            // The excerpt's edges aren't the track's, so there is nothing to trim or fade
+            trimming: false,
+            coverArt: false
+        },
+        output: {
+            ...settings.output,
+            format: PLAYABLE_FORMATS.includes(format) ? format : 'wav'
+        }
+    };
+}
+
+function round(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    PREVIEW_SECONDS,
+    PLAYABLE_FORMATS,
+    findLoudestWindow,
+    matchLevels,
+    previewSettings
+};
@@ -6,21 +6,43 @@
 
 const os = require('os');
 const path = require('path');
+const {
+    DEFAULT_MASTERING_PRESET,
+    validateMasteringPreset,
+    getMasteringPresets
+} = require('./mastering-presets');
+const {
+    DEFAULT_EFFECTS_CHAIN,
+    DEFAULT_INTENSITY,
+    DEFAULT_MIX,
+    validateEffectsChain
+} = require('./effects-chain');
+
+// Percentage settings of the effects chain, overridable per batch
+const EFFECT_AMOUNTS = ['intensity', 'mix'];
 
 /**
  * Default settings for the mystical construct
  */
 const DEFAULT_SETTINGS = {
     processing: {
-        compressing: true,      // Sox effects (lunar-influenced distortion, filters)
+        trimming: false,        // Trim leading/trailing silence and apply fades before compression
+        compressing: true,      // Effects chain (lunar-influenced distortion, filters)
+        effectsChain: DEFAULT_EFFECTS_CHAIN,  // Ordered effects with parameters (see effects-chain.js for the shape)
+        intensity: DEFAULT_INTENSITY,  // 0-100: lunar effect amounts from bypassed (0) through as-is (50) to doubled (100)
+        mix: DEFAULT_MIX,       // 0-100: wet share of the effects chain, blended with the dry signal
         mastering: true,        // FFmpeg mastering (EQ, compression, limiting)
         coverArt: true,         // Procedural artwork generation
-        naming: 'mystical'      // 'mystical' | 'custom' | 'original'
+        naming: 'mystical',     // 'mystical' | 'custom' | 'original'
+        renderAt: '',           // ISO date to pin lunar/temporal influences ('' = live clock)
+        concurrency: 0,         // Files processed in parallel (0 = CPU count minus one)
+        masteringPreset: DEFAULT_MASTERING_PRESET,  // Preset id used by the FFmpeg mastering stage
+        masteringPresets: {}    // User presets keyed by id (see mastering-presets.js for the shape)
     },
     metadata: {
         artist: '',            // Custom artist name (used when naming === 'custom')
         album: '',             // Custom album name
-        year: new Date().getFullYear(),  // Custom year
+        year: 0,               // Custom year (0 = the render year from the ProcessingClock)
         genre: 'Mystical Audio'  // Custom genre
     },
     batch: {
@@ -31,6 +53,7 @@ const DEFAULT_SETTINGS = {
         numberingPadding: 3,          // Digits for numeric padding (001, 002, etc.)
         separator: '_',               // Character between naming elements
         preserveOriginal: false,      // Include original filename in output
+        useKey: false,                // Let each file's detected key steer mystical names (analyzes sources before naming)
         sessionFolders: false,        // Organize into session folders
         folderScheme: 'date'          // 'date' | 'lunar' | 'counter' | 'none'
     },
@@ -38,7 +61,17 @@ const DEFAULT_SETTINGS = {
         format: 'mp3',                // 'mp3' | 'wav' | 'flac' | 'aac' | 'ogg' | 'original'
         quality: 'high',              // 'low' | 'medium' | 'high' | 'maximum'
         mp3Bitrate: 192,              // kbps for MP3 (192k = high quality compressed)
-        sampleRate: 0                 // 0 = preserve original, or 44100, 48000, etc.
+        sampleRate: 0,                // 0 = preserve original, or 44100, 48000, etc.
+        bitDepth: '16',               // '16' | '24' | '32f' for WAV/AIFF/FLAC, dithered once at the final encode
+        channels: 'preserve'          // 'preserve' | 'stereo' | 'mono' | 'mid-side'
+    },
+    trim: {
+        threshold: -50,               // dBFS below which audio counts as silence
+        padding: 250,                 // ms of silence kept before the first and after the last sound
+        fadeIn: 0,                    // Fade-in length in ms (0 = none)
+        fadeOut: 0,                   // Fade-out length in ms (0 = none)
+        fadeInCurve: 'sine',          // 'linear' | 'exponential' | 'logarithmic' | 'sine' | 's-curve'
+        fadeOutCurve: 'sine'
     },
     artwork: {
         defaultStyle: 'auto',         // 'auto' | 'neon-grid' | 'sunset-liquid' | 'cosmic-void' | etc.
@@ -54,7 +87,13 @@ const DEFAULT_SETTINGS = {
     },
     ui: {
         outputFolder: path.join(os.homedir(), 'Documents', 'HexbloopOutput'),
-        ambientAudio: true        // Ambient soundscape in the main window
+        ambientAudio: true,       // Ambient soundscape in the main window
+        previewBeforeBatch: false // A/B preview of the first file before a batch from the main window starts
+    },
+    watch: {
+        enabled: false,           // Auto-process audio dropped into the inbox folders
+        folders: [],              // Inbox folders; sources move to done/ or failed/ inside each
+        settleTime: 2000          // ms a new file's size must stay unchanged before processing
     }
 };
 
@@ -63,10 +102,18 @@ const DEFAULT_SETTINGS = {
  */
 const SETTINGS_SCHEMA = {
     processing: {
+        trimming: 'boolean',
         compressing: 'boolean',
+        effectsChain: 'object',
+        intensity: 'number',
+        mix: 'number',
         mastering: 'boolean',
         coverArt: 'boolean',
-        naming: ['mystical', 'custom', 'original']
+        naming: ['mystical', 'custom', 'original'],
+        renderAt: 'string',
+        concurrency: 'number',
+        masteringPreset: 'string',
+        masteringPresets: 'object'
     },
     metadata: {
         artist: 'string',
@@ -82,6 +129,7 @@ const SETTINGS_SCHEMA = {
         numberingPadding: 'number',
         separator: 'string',
         preserveOriginal: 'boolean',
+        useKey: 'boolean',
         sessionFolders: 'boolean',
         folderScheme: ['date', 'lunar', 'counter', 'none']
     },
@@ -89,7 +137,17 @@ const SETTINGS_SCHEMA = {
         format: ['mp3', 'wav', 'flac', 'aac', 'ogg', 'original'],
         quality: ['low', 'medium', 'high', 'maximum'],
         mp3Bitrate: 'number',
-        sampleRate: 'number'
+        sampleRate: 'number',
+        bitDepth: ['16', '24', '32f'],
+        channels: ['preserve', 'stereo', 'mono', 'mid-side']
+    },
+    trim: {
+        threshold: 'number',
+        padding: 'number',
+        fadeIn: 'number',
+        fadeOut: 'number',
+        fadeInCurve: ['linear', 'exponential', 'logarithmic', 'sine', 's-curve'],
+        fadeOutCurve: ['linear', 'exponential', 'logarithmic', 'sine', 's-curve']
     },
     artwork: {
         defaultStyle: ['auto', 'neon-grid', 'sunset-liquid', 'cosmic-void', 'crystal-prism', 'glitch-storm', 'vapor-dream', 'data-flow', 'organic-chaos'],
@@ -105,7 +163,13 @@ const SETTINGS_SCHEMA = {
     },
     ui: {
         outputFolder: 'string',
-        ambientAudio: 'boolean'
+        ambientAudio: 'boolean',
+        previewBeforeBatch: 'boolean'
+    },
+    watch: {
+        enabled: 'boolean',
+        folders: 'string[]',
+        settleTime: 'number'
     }
 };
 
@@ -130,6 +194,11 @@ function validateSettings(settings) {
                 if (!expectedType.includes(value)) {
                     errors.push(`Invalid value for ${currentPath}: ${value}. Expected one of: ${expectedType.join(', ')}`);
                 }
+            } else if (expectedType === 'string[]') {
+                // List of strings (e.g. folder paths)
+                if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                    errors.push(`Invalid type for ${currentPath}: expected a list of strings`);
+                }
             } else if (typeof expectedType === 'object') {
                 // Nested object validation
                 if (typeof value !== 'object' || value === null) {
@@ -147,6 +216,54 @@ function validateSettings(settings) {
     }
     
     validateObject(settings, SETTINGS_SCHEMA);
+
+    // Render date must parse when set
+    const renderAt = settings?.processing?.renderAt;
+    if (typeof renderAt === 'string' && renderAt !== '' && isNaN(new Date(renderAt).getTime())) {
+        errors.push(`Invalid value for processing.renderAt: ${renderAt}. Expected an ISO date or empty string`);
+    }
+
+    // Effect intensity and wet/dry mix are percentages
+    for (const key of EFFECT_AMOUNTS) {
+        const value = settings?.processing?.[key];
+        if (typeof value === 'number' && !isPercentage(value)) {
+            errors.push(`Invalid value for processing.${key}: ${value}. Expected 0 to 100`);
+        }
+    }
+
+    // User mastering presets and the selected preset id
+    const customPresets = settings?.processing?.masteringPresets;
+    if (customPresets && typeof customPresets === 'object' && !Array.isArray(customPresets)) {
+        for (const [id, preset] of Object.entries(customPresets)) {
+            errors.push(...validateMasteringPreset(preset, `processing.masteringPresets.${id}`));
+        }
+        const selected = settings.processing.masteringPreset;
+        if (typeof selected === 'string' && !getMasteringPresets(settings)[selected]) {
+            errors.push(`Invalid value for processing.masteringPreset: ${selected}. Expected one of: ${Object.keys(getMasteringPresets(settings)).join(', ')}`);
+        }
+    } else if (customPresets !== undefined) {
+        errors.push('Invalid type for processing.masteringPresets: expected object');
+    }
+
+    // Effects chain: known effects with parameters in range
+    const effectsChain = settings?.processing?.effectsChain;
+    if (effectsChain !== undefined) {
+        errors.push(...validateEffectsChain(effectsChain, 'processing.effectsChain'));
+    }
+
+    // Outputs written straight into a watched inbox would be picked up and processed again
+    // (the watcher is not recursive, so subfolders of an inbox are fine)
+    const outputFolder = settings?.ui?.outputFolder;
+    const inboxes = settings?.watch?.folders;
+    if (settings?.watch?.enabled === true && typeof outputFolder === 'string' && Array.isArray(inboxes)) {
+        const output = path.resolve(outputFolder || DEFAULT_SETTINGS.ui.outputFolder);
+        for (const inbox of inboxes) {
+            if (typeof inbox === 'string' && path.relative(path.resolve(inbox), output) === '') {
+                errors.push(`Invalid value for ui.outputFolder: ${output} is the watch folder ${inbox}`);
+            }
+        }
+    }
+
     return errors;
 }
 
@@ -171,12 +288,66 @@ function mergeWithDefaults(userSettings) {
     return deepMerge(DEFAULT_SETTINGS, userSettings || {});
 }
 
+/**
+ * Get processing configuration for the audio pipeline
+ * @param {Object} settings - Full settings object
+ * @param {Object} [options]
+ * @param {ProcessingClock} [options.clock] - Processing clock; supplies the year when none is set
+ * @returns {Object} Config object with stages, metadata, and options
+ */
+function getProcessingConfig(settings, { clock = null } = {}) {
+    return {
+        stages: {
+            trimming: settings.processing.trimming,
+            compressing: settings.processing.compressing,
+            mastering: settings.processing.mastering,
+            coverArt: settings.processing.coverArt,
+            naming: settings.processing.naming
+        },
+        metadata: settings.processing.naming === 'custom' ? {
+            artist: settings.metadata.artist || 'Unknown Artist',
+            album: settings.metadata.album || 'Unknown Album',
+            year: settings.metadata.year || (clock ? clock.year() : new Date().getFullYear()),
+            genre: settings.metadata.genre || 'Mystical Audio'
+        } : null,
+        effectsChain: settings.processing.effectsChain,
+        intensity: settings.processing.intensity ?? DEFAULT_INTENSITY,
+        mix: settings.processing.mix ?? DEFAULT_MIX,
+        trim: settings.processing.trimming ? { ...settings.trim } : null
+    };
+}
+
+/**
+ * Apply a batch's effect intensity and wet/dry mix (IPC options) to a copy of the settings
+ * @param {Object} settings - Full settings object
+ * @param {Object} [overrides] - { intensity, mix } in percent; missing values keep the settings
+ * @returns {Object} Settings for the batch
+ * @throws {Error} If an override is not a number from 0 to 100
+ */
+function applyEffectOverrides(settings, overrides = {}) {
+    const processing = { ...settings.processing };
+    for (const key of EFFECT_AMOUNTS) {
+        const value = overrides?.[key];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (typeof value !== 'number' || !isPercentage(value)) {
+            throw new Error(`Invalid ${key}: ${value}. Expected 0 to 100`);
+        }
+        processing[key] = value;
+    }
+    return { ...settings, processing };
+}
+
 /**
  * Get processing stages based on current settings
  */
 function getEnabledProcessingStages(settings) {
     const stages = [];
     
+    if (settings.processing.trimming) {
+        stages.push('trim');
+    }
     if (settings.processing.compressing) {
         stages.push('sox');
     }
@@ -193,10 +364,16 @@ function getEnabledProcessingStages(settings) {
     return stages;
 }
 
+function isPercentage(value) {
+    return Number.isFinite(value) && value >= 0 && value <= 100;
+}
+
 module.exports = {
     DEFAULT_SETTINGS,
     SETTINGS_SCHEMA,
     validateSettings,
     mergeWithDefaults,
+    getProcessingConfig,
+    applyEffectOverrides,
     getEnabledProcessingStages
 };
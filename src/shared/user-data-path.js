@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Resolve the Hexbloop user data directory
+ * @author Hexbloop Audio Labs
+ * @description Uses Electron's userData path when available, otherwise the same
+ * per-platform location so the CLI shares settings and counters with the app.
+ */
+
+const os = require('os');
+const path = require('path');
+
+const APP_NAME = 'Hexbloop';
+
+/**
+ * Get the directory holding settings, session counters and caches
+ * @returns {string} Absolute path to the user data directory
+ */
+function getUserDataPath() {
+    // Inside Electron's main process the app module knows the real location
+    try {
+        const { app } = require('electron');
+        if (app && typeof app.getPath === 'function') {
+            return app.getPath('userData');
+        }
+    } catch {
+        // not running inside Electron
+    }
+
+    // Mirror Electron's defaults: <appData>/<productName>
+    const home = os.homedir();
+    switch (process.platform) {
+        case 'darwin':
+            return path.join(home, 'Library', 'Application Support', APP_NAME);
+        case 'win32':
+            return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), APP_NAME);
+        default:
+            return path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), APP_NAME);
+    }
+}
+
+module.exports = {
+    APP_NAME,
+    getUserDataPath
+};
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Leading/trailing silence trimming and fades
+ * @author Hexbloop Audio Labs
+ * @description Finds where the sound starts and ends with FFmpeg's silencedetect,
+ * then cuts the file to that window (plus padding) and optionally fades it in and
+ * out. Runs before compression and mastering, writing a 32-bit float WAV.
+ *
+ * Settings (settings.trim):
+ *   threshold    - Level in dBFS below which audio counts as silence
+ *   padding      - Silence kept before the first and after the last sound (ms)
+ *   fadeIn       - Fade-in length (ms, 0 = none)
+ *   fadeOut      - Fade-out length (ms, 0 = none)
+ *   fadeInCurve  - 'linear' | 'exponential' | 'logarithmic' | 'sine' | 's-curve'
+ *   fadeOutCurve - Same choices as fadeInCurve
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const binaries = require('./binary-resolver');
+
+// Shortest gap silencedetect reports; leading/trailing silence shorter than this is left alone
+const MIN_SILENCE_SECONDS = 0.1;
+
+// Cuts smaller than this aren't worth a render pass
+const MIN_TRIM_SECONDS = 0.01;
+
+// Share of the stage spent detecting (a decode-only pass) before the render
+const DETECT_SHARE = 0.4;
+
+// Fade curve names in settings → FFmpeg afade curves
+const FADE_CURVES = {
+    linear: 'tri',
+    exponential: 'exp',
+    logarithmic: 'log',
+    sine: 'qsin',
+    's-curve': 'esin'
+};
+
+class SilenceTrimmer {
+    /**
+     * Trim one file
+     * @param {string} inputPath - Source audio
+     * @param {string} outputPath - Trimmed 32-bit float WAV (only written when something changes)
+     * @param {Object} options - settings.trim
+     * @param {Object} [control]
+     * @param {AbortSignal} [control.signal] - Stops FFmpeg when aborted
+     * @param {Function} [control.onProgress] - Called with the stage percentage
+     * @returns {Promise<Object>} { applied, duration, start, end, fadeIn, fadeOut } in seconds;
+     *   applied is false when there was nothing to trim or fade (outputPath is not written)
+     */
+    static async process(inputPath, outputPath, options, { signal, onProgress } = {}) {
+        const detection = await this.detect(inputPath, {
+            threshold: options.threshold,
+            signal,
+            onProgress: onProgress && ((percent) => onProgress(percent * DETECT_SHARE))
+        });
+
+        const plan = this.plan(detection, options);
+        if (!plan.applied) {
+            console.log(plan.silent ? '🔇 Only silence found, leaving the file untrimmed' : '✂️ No silence to trim');
+            return plan;
+        }
+
+        console.log(`✂️ Trimming ${plan.start.toFixed(2)}s from the start and ${(detection.duration - plan.end).toFixed(2)}s from the end` +
+            (plan.fadeIn || plan.fadeOut ? ` (fades ${plan.fadeIn}s / ${plan.fadeOut}s)` : ''));
+        await this.render(inputPath, outputPath, this.buildFilters(plan, options), plan.end - plan.start, {
+            signal,
+            onProgress: onProgress && ((percent) => onProgress(DETECT_SHARE * 100 + percent * (1 - DETECT_SHARE)))
+        });
+        return plan;
+    }
+
+    /**
+     * Find silent regions
+     * @param {string} filePath - Audio file
+     * @param {Object} options - { threshold (dBFS), signal, onProgress }
+     * @returns {Promise<{duration: number|null, silences: Array<{start: number, end: number|null}>}>}
+     */
+    static detect(filePath, { threshold, signal, onProgress } = {}) {
+        return new Promise((resolve, reject) => {
+            const ffmpegBin = binaries.ffmpeg.path || 'ffmpeg';
+            const proc = spawn(ffmpegBin, [
+                '-hide_banner',
+                '-i', filePath,
+                '-vn',
+                '-af', `silencedetect=noise=${threshold}dB:d=${MIN_SILENCE_SECONDS}`,
+                '-f', 'null',
+                '-'
+            ], { stdio: ['ignore', 'ignore', 'pipe'], signal, killSignal: 'SIGKILL' });
+
+            const parser = this.createParser(onProgress);
+            // Progress lines end in \r, not \n
+            readline.createInterface({ input: proc.stderr, crlfDelay: Infinity })
+                .on('line', (line) => line.split('\r').forEach(part => parser.push(part)));
+
+            proc.on('error', (error) => reject(signal?.aborted ? signal.reason : error));
+            proc.on('close', (code) => {
+                if (signal?.aborted) {
+                    return reject(signal.reason);
+                }
+                if (code !== 0) {
+                    return reject(new Error(`Silence detection failed for ${filePath} (code ${code})`));
+                }
+                resolve(parser.result());
+            });
+        });
+    }
+
+    /**
+     * Line parser for a silencedetect run
+     * @param {Function} [onProgress] - Called with the percentage decoded
+     * @returns {{push: Function, result: Function}}
+     */
+    static createParser(onProgress) {
+        let duration = null;
+        const silences = [];
+
+        const push = (line) => {
+            const header = line.match(/^\s*Duration: (\d+):(\d+):([\d.]+)/);
+            if (header && duration === null) {
+                duration = toSeconds(header);
+                return;
+            }
+            const start = line.match(/silence_start: (-?[\d.]+)/);
+            if (start) {
+                silences.push({ start: Math.max(0, parseFloat(start[1])), end: null });
+                return;
+            }
+            const end = line.match(/silence_end: (-?[\d.]+)/);
+            if (end && silences.length > 0) {
+                silences[silences.length - 1].end = parseFloat(end[1]);
+                return;
+            }
+            const time = line.match(/time=(\d+):(\d+):([\d.]+)/);
+            if (time && onProgress && duration) {
+                onProgress(Math.min(100, toSeconds(time) / duration * 100));
+            }
+        };
+
+        return { push, result: () => ({ duration, silences }) };
+    }
+
+    /**
+     * Parse a complete silencedetect log
+     * @param {string} stderr - FFmpeg stderr
+     * @returns {{duration: number|null, silences: Array<{start: number, end: number|null}>}}
+     */
+    static parse(stderr) {
+        const parser = this.createParser();
+        stderr.split(/\r?\n|\r/).forEach(line => parser.push(line));
+        return parser.result();
+    }
+
+    /**
+     * Work out the window to keep
+     * @param {Object} detection - From detect()/parse()
+     * @param {Object} options - settings.trim
+     * @returns {Object} { applied, silent, duration, start, end, fadeIn, fadeOut } in seconds
+     */
+    static plan({ duration, silences }, { padding = 0, fadeIn = 0, fadeOut = 0 } = {}) {
+        const untouched = { applied: false, silent: false, duration, start: 0, end: duration, fadeIn: 0, fadeOut: 0 };
+        if (!duration) {
+            return untouched;
+        }
+
+        // A silence reaching the end may have no silence_end (older FFmpeg) or one at the last sample
+        const reachesEnd = (silence) => silence.end === null || silence.end >= duration - MIN_SILENCE_SECONDS / 2;
+        const leading = silences.find(silence => silence.start <= MIN_TRIM_SECONDS);
+        const trailing = silences.find(silence => reachesEnd(silence));
+
+        if (leading && reachesEnd(leading)) {
+            return { ...untouched, silent: true };
+        }
+
+        const soundStart = leading ? leading.end : 0;
+        const soundEnd = trailing ? trailing.start : duration;
+        const pad = padding / 1000;
+        const start = round(Math.max(0, soundStart - pad));
+        const end = round(Math.min(duration, soundEnd + pad));
+
+        // Fades never overlap each other
+        const length = end - start;
+        const fadeInSeconds = round(Math.min(fadeIn / 1000, length / 2));
+        const fadeOutSeconds = round(Math.min(fadeOut / 1000, length / 2));
+
+        const trimmed = start >= MIN_TRIM_SECONDS || duration - end >= MIN_TRIM_SECONDS;
+        return {
+            applied: trimmed || fadeInSeconds > 0 || fadeOutSeconds > 0,
+            silent: false,
+            duration,
+            start: trimmed ? start : 0,
+            end: trimmed ? end : duration,
+            fadeIn: fadeInSeconds,
+            fadeOut: fadeOutSeconds
+        };
+    }
+
+    /**
+     * FFmpeg filters for a plan
+     * @param {Object} plan - From plan()
+     * @param {Object} options - settings.trim (fade curves)
+     * @returns {string[]} Filters in processing order
+     */
+    static buildFilters(plan, { fadeInCurve = 'sine', fadeOutCurve = 'sine' } = {}) {
+        const filters = [`atrim=start=${plan.start}:end=${plan.end}`, 'asetpts=PTS-STARTPTS'];
+        const length = round(plan.end - plan.start);
+        if (plan.fadeIn > 0) {
+            filters.push(`afade=t=in:st=0:d=${plan.fadeIn}:curve=${FADE_CURVES[fadeInCurve] || FADE_CURVES.sine}`);
+        }
+        if (plan.fadeOut > 0) {
+            filters.push(`afade=t=out:st=${round(length - plan.fadeOut)}:d=${plan.fadeOut}:curve=${FADE_CURVES[fadeOutCurve] || FADE_CURVES.sine}`);
+        }
+        return filters;
+    }
+
+    /**
+     * Write the trimmed file
+     * @param {number} length - Output length in seconds (for progress)
+     */
+    static render(inputPath, outputPath, filters, length, { signal, onProgress } = {}) {
+        return new Promise((resolve, reject) => {
+            const ffmpegBin = binaries.ffmpeg.path || 'ffmpeg';
+            const proc = spawn(ffmpegBin, [
+                '-hide_banner',
+                '-y',
+                '-i', inputPath,
+                '-vn',
+                '-af', filters.join(','),
+                '-c:a', 'pcm_f32le',
+                '-f', 'wav',
+                outputPath
+            ], { stdio: ['ignore', 'ignore', 'pipe'], signal, killSignal: 'SIGKILL' });
+
+            let lastLine = '';
+            readline.createInterface({ input: proc.stderr, crlfDelay: Infinity }).on('line', (line) => {
+                for (const part of line.split('\r')) {
+                    const time = part.match(/time=(\d+):(\d+):([\d.]+)/);
+                    if (time && onProgress && length > 0) {
+                        onProgress(Math.min(100, toSeconds(time) / length * 100));
+                    } else if (part.trim()) {
+                        lastLine = part.trim();
+                    }
+                }
+            });
+
+            proc.on('error', (error) => reject(signal?.aborted ? signal.reason : error));
+            proc.on('close', (code) => {
+                if (signal?.aborted) {
+                    return reject(signal.reason);
+                }
+                if (code !== 0) {
+                    return reject(new Error(`Silence trimming failed for ${inputPath}: ${lastLine || `code ${code}`}`));
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+function toSeconds([, hours, minutes, seconds]) {
+    return Number(hours) * 3600 + Number(minutes) * 60 + parseFloat(seconds);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = SilenceTrimmer;
+module.exports.FADE_CURVES = FADE_CURVES;
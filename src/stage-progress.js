@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Per-file stage progress for the audio pipeline
+ * @author Hexbloop Audio Labs
+ * @description Plans the stages a file goes through and turns each stage's own
+ * percentage (from sox -S or FFmpeg's progress events) into progress for the whole
+ * file, weighted by how long each stage roughly takes.
+ */
+
+// Rough share of a file's processing time per stage, for whole-file progress
+const STAGE_WEIGHTS = {
+    listening: 10,          // Feature analysis of the source (waveform, spectrum, key, structure, tempo)
+    trimming: 15,           // Silence detection + render pass
+    compressing: 35,
+    mastering: 55,          // Loudness measurement + render pass
+    converting: 20,
+    artwork: 15,
+    tagging: 5,
+    analyzing: 15           // Level report: source and output measured
+};
+
+/**
+ * Stages a file will go through, in order
+ * @param {Object} stages - processingConfig.stages
+ * @returns {string[]} Stage names (keys of STAGE_WEIGHTS)
+ */
+function planStages(stages) {
+    const plan = ['listening'];
+    if (stages.trimming) {
+        plan.push('trimming');
+    }
+    if (stages.compressing) {
+        plan.push('compressing');
+    }
+    if (stages.mastering) {
+        plan.push('mastering');
+    } else if (stages.compressing) {
+        plan.push('converting');
+    }
+    if (stages.coverArt) {
+        plan.push('artwork');
+    }
+    if (!stages.compressing && !stages.mastering) {
+        // Untouched input is converted just before tagging
+        plan.push('converting');
+    }
+    plan.push('tagging', 'analyzing');
+    return plan;
+}
+
+/**
+ * Turn per-stage percentages into progress for the whole file
+ * @param {string[]} plan - Stages from planStages()
+ * @param {Function} [onProgress] - Called with { stage, stagePercent, filePercent }
+ * @returns {{stage: Function, complete: Function}} stage(name) returns a percent callback
+ */
+function createStageTracker(plan, onProgress) {
+    const totalWeight = plan.reduce((sum, name) => sum + STAGE_WEIGHTS[name], 0);
+    const finished = new Set();
+
+    const report = (name, stagePercent) => {
+        if (!onProgress || !plan.includes(name)) {
+            return;
+        }
+        const doneWeight = plan
+            .filter(stage => finished.has(stage))
+            .reduce((sum, stage) => sum + STAGE_WEIGHTS[stage], 0);
+        const current = finished.has(name) ? 0 : STAGE_WEIGHTS[name] * stagePercent / 100;
+        onProgress({
+            stage: name,
+            stagePercent: Math.round(stagePercent),
+            filePercent: Math.round((doneWeight + current) / totalWeight * 100)
+        });
+    };
+
+    return {
+        stage: (name) => (percent) => report(name, percent),
+        complete: (name) => {
+            finished.add(name);
+            report(name, 100);
+        }
+    };
+}
+
+/**
+ * fluent-ffmpeg 'progress' listener that reports a clamped stage percentage
+ * @param {Function} [onProgress] - Called with 0-100
+ * @returns {Function}
+ */
+function ffmpegProgressHandler(onProgress) {
+    return (progress) => {
+        if (onProgress && Number.isFinite(progress.percent)) {
+            onProgress(Math.min(100, Math.max(0, progress.percent)));
+        }
+    };
+}
+
+/**
+ * Latest input percentage in a chunk of `sox -S` stderr, which redraws one status line
+ * ("In:42.10% 00:00:01.23 [00:00:01.70] Out:54.2k ...")
+ * @param {string} text - stderr chunk
+ * @returns {number|null} 0-100, or null when the chunk has no status
+ */
+function parseSoxProgress(text) {
+    const matches = [...text.matchAll(/In:\s*([\d.]+)%/g)];
+    return matches.length > 0 ? parseFloat(matches[matches.length - 1][1]) : null;
+}
+
+module.exports = {
+    STAGE_WEIGHTS,
+    planStages,
+    createStageTracker,
+    ffmpegProgressHandler,
+    parseSoxProgress
+};
@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Watch-folder manager for Hexbloop
+ * @author Hexbloop Audio Labs
+ * @description Watches inbox folders for new audio files, waits until each file
+ * has finished copying, runs it through the pipeline and files the source away
+ * into a "done" or "failed" subfolder of its inbox.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { AUDIO_EXTENSIONS } = require('../shared/constants');
+
+const DONE_FOLDER = 'done';
+const FAILED_FOLDER = 'failed';
+const DEFAULT_SETTLE_TIME = 2000;
+const DEFAULT_POLL_INTERVAL = 500;
+
+/**
+ * Emits 'status' with getStatus() whenever the watcher state changes and
+ * 'file-complete' with { file, success, outputFile, error, movedTo } per file.
+ */
+class WatchFolderManager extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.processFile - async (filePath) => result with { success, outputFile?, error? }
+     * @param {Function} [options.waitForTurn] - async () => resolves when the next file may start
+     *   (e.g. once a batch started from the main window has finished)
+     * @param {number} [options.pollInterval=500] - ms between size checks of settling files
+     */
+    constructor({ processFile, waitForTurn = null, pollInterval = DEFAULT_POLL_INTERVAL } = {}) {
+        super();
+        if (typeof processFile !== 'function') {
+            throw new Error('WatchFolderManager requires a processFile function');
+        }
+
+        this.processFile = processFile;
+        this.waitForTurn = waitForTurn;
+        this.pollInterval = pollInterval;
+        this.settleTime = DEFAULT_SETTLE_TIME;
+        this.enabled = false;
+
+        this.watchers = new Map();   // folder -> fs.FSWatcher
+        this.folderErrors = new Map(); // folder -> error message
+        this.settling = new Map();   // file -> { folder, size, mtimeMs, stableSince }
+        this.queue = [];             // [{ file, folder }]
+        this.queued = new Set();
+        this.skipped = new Set();    // files that could not be moved out of the inbox
+        this.current = null;
+        this.waiting = false;        // queued files are held back by waitForTurn
+        this.processed = 0;
+        this.failed = 0;
+        this.lastResult = null;
+        this.pollTimer = null;
+        this.draining = false;
+    }
+
+    /**
+     * Apply watch settings, starting or stopping folder watchers as needed
+     * @param {Object} watchSettings - settings.watch ({ enabled, folders, settleTime })
+     */
+    configure(watchSettings = {}) {
+        this.enabled = Boolean(watchSettings.enabled);
+        this.settleTime = Number.isFinite(watchSettings.settleTime) ? Math.max(0, watchSettings.settleTime) : DEFAULT_SETTLE_TIME;
+
+        const wanted = this.enabled
+            ? new Set((watchSettings.folders || []).map(folder => path.resolve(folder)))
+            : new Set();
+
+        for (const folder of [...this.watchers.keys(), ...this.folderErrors.keys()]) {
+            if (!wanted.has(folder)) {
+                this.unwatchFolder(folder);
+            }
+        }
+
+        for (const folder of wanted) {
+            if (!this.watchers.has(folder)) {
+                this.watchFolder(folder);
+            }
+        }
+
+        this.emitStatus();
+    }
+
+    /**
+     * Stop watching every folder. Files already queued are dropped; the file being
+     * processed finishes normally.
+     */
+    stop() {
+        this.configure({ enabled: false });
+    }
+
+    /**
+     * @returns {Object} Snapshot for the main window and menu
+     */
+    getStatus() {
+        let state = 'off';
+        if (this.current) {
+            state = 'processing';
+        } else if (this.waiting && this.queue.length > 0) {
+            state = 'waiting';
+        } else if (this.queue.length > 0 || this.settling.size > 0) {
+            state = 'settling';
+        } else if (this.enabled && this.watchers.size > 0) {
+            state = 'watching';
+        }
+
+        return {
+            enabled: this.enabled,
+            state,
+            folders: [...this.watchers.keys()],
+            errors: [...this.folderErrors].map(([folder, error]) => ({ folder, error })),
+            current: this.current ? path.basename(this.current) : null,
+            pending: this.queue.length + this.settling.size,
+            processed: this.processed,
+            failed: this.failed,
+            lastResult: this.lastResult
+        };
+    }
+
+    // === Folder watching ===
+
+    watchFolder(folder) {
+        try {
+            if (!fs.statSync(folder).isDirectory()) {
+                throw new Error('Not a folder');
+            }
+
+            const watcher = fs.watch(folder, (eventType, fileName) => {
+                if (fileName) {
+                    this.consider(path.join(folder, fileName.toString()), folder);
+                }
+            });
+            watcher.on('error', (error) => {
+                console.error(`❌ Watch folder error (${folder}):`, error.message);
+                this.unwatchFolder(folder);
+                this.folderErrors.set(folder, error.message);
+                this.emitStatus();
+            });
+
+            this.watchers.set(folder, watcher);
+            this.folderErrors.delete(folder);
+            console.log(`👁️ Watching inbox: ${folder}`);
+
+            // Pick up anything dropped in while we weren't watching
+            for (const entry of fs.readdirSync(folder)) {
+                this.consider(path.join(folder, entry), folder);
+            }
+        } catch (error) {
+            console.error(`❌ Cannot watch ${folder}:`, error.message);
+            this.folderErrors.set(folder, error.code === 'ENOENT' ? 'Folder not found' : error.message);
+        }
+    }
+
+    unwatchFolder(folder) {
+        const watcher = this.watchers.get(folder);
+        if (watcher) {
+            watcher.close();
+            console.log(`🙈 Stopped watching: ${folder}`);
+        }
+        this.watchers.delete(folder);
+        this.folderErrors.delete(folder);
+
+        // Forget files from this inbox that have not started processing
+        for (const [file, entry] of this.settling) {
+            if (entry.folder === folder) this.settling.delete(file);
+        }
+        this.queue = this.queue.filter(entry => entry.folder !== folder);
+        this.queued = new Set(this.queue.map(entry => entry.file));
+
+        if (this.settling.size === 0) {
+            this.stopPolling();
+        }
+    }
+
+    /**
+     * Start tracking a path if it is a new audio file directly inside an inbox
+     */
+    consider(filePath, folder) {
+        const name = path.basename(filePath);
+        if (
+            !this.watchers.has(folder) ||
+            name.startsWith('.') ||
+            !AUDIO_EXTENSIONS.includes(path.extname(name).toLowerCase()) ||
+            this.settling.has(filePath) ||
+            this.queued.has(filePath) ||
+            this.skipped.has(filePath) ||
+            this.current === filePath
+        ) {
+            return;
+        }
+
+        let stats;
+        try {
+            stats = fs.statSync(filePath);
+        } catch {
+            return; // removed or renamed away
+        }
+        if (!stats.isFile()) {
+            return;
+        }
+
+        this.settling.set(filePath, {
+            folder,
+            size: stats.size,
+            mtimeMs: stats.mtimeMs,
+            stableSince: Date.now()
+        });
+        this.startPolling();
+        this.emitStatus();
+    }
+
+    // === Settling (wait for copies to finish) ===
+
+    startPolling() {
+        if (!this.pollTimer) {
+            this.pollTimer = setInterval(() => this.checkSettling(), this.pollInterval);
+        }
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    checkSettling() {
+        const now = Date.now();
+        let changed = false;
+
+        for (const [file, entry] of this.settling) {
+            let stats;
+            try {
+                stats = fs.statSync(file);
+            } catch {
+                this.settling.delete(file);
+                changed = true;
+                continue;
+            }
+
+            if (stats.size !== entry.size || stats.mtimeMs !== entry.mtimeMs || stats.size === 0) {
+                // Still being written (empty files wait for their first bytes)
+                entry.size = stats.size;
+                entry.mtimeMs = stats.mtimeMs;
+                entry.stableSince = now;
+            } else if (now - entry.stableSince >= this.settleTime) {
+                this.settling.delete(file);
+                this.queue.push({ file, folder: entry.folder });
+                this.queued.add(file);
+                changed = true;
+            }
+        }
+
+        if (this.settling.size === 0) {
+            this.stopPolling();
+        }
+        if (changed) {
+            this.emitStatus();
+            this.drain();
+        }
+    }
+
+    // === Processing ===
+
+    async drain() {
+        if (this.draining) {
+            return;
+        }
+        this.draining = true;
+
+        try {
+            while (this.queue.length > 0) {
+                if (this.waitForTurn) {
+                    this.waiting = true;
+                    this.emitStatus();
+                    try {
+                        await this.waitForTurn();
+                    } finally {
+                        this.waiting = false;
+                    }
+                    // Stopped while waiting
+                    if (this.queue.length === 0) {
+                        this.emitStatus();
+                        break;
+                    }
+                }
+
+                const { file, folder } = this.queue.shift();
+                this.queued.delete(file);
+                this.current = file;
+                this.emitStatus();
+
+                let result;
+                try {
+                    result = await this.processFile(file);
+                } catch (error) {
+                    result = { success: false, error: error.message };
+                }
+                const success = Boolean(result && result.success);
+
+                let movedTo = null;
+                try {
+                    movedTo = this.moveToSubfolder(file, folder, success ? DONE_FOLDER : FAILED_FOLDER);
+                } catch (error) {
+                    // Leave it in place but never pick it up again this session
+                    console.error(`❌ Could not move ${path.basename(file)} out of the inbox:`, error.message);
+                    this.skipped.add(file);
+                }
+
+                if (success) {
+                    this.processed++;
+                } else {
+                    this.failed++;
+                }
+                this.lastResult = {
+                    file: path.basename(file),
+                    success,
+                    outputFile: result?.outputFile || null,
+                    error: success ? null : (result?.error || 'Processing failed')
+                };
+                this.current = null;
+
+                this.emit('file-complete', { ...this.lastResult, movedTo });
+                this.emitStatus();
+            }
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    /**
+     * Move a processed source into <inbox>/<subfolder>, never overwriting
+     * @returns {string} New path of the source file
+     */
+    moveToSubfolder(file, folder, subfolder) {
+        const targetFolder = path.join(folder, subfolder);
+        fs.mkdirSync(targetFolder, { recursive: true });
+
+        const ext = path.extname(file);
+        const base = path.basename(file, ext);
+        let target = path.join(targetFolder, `${base}${ext}`);
+        for (let n = 1; fs.existsSync(target); n++) {
+            target = path.join(targetFolder, `${base} (${n})${ext}`);
+        }
+
+        fs.renameSync(file, target);
+        return target;
+    }
+
+    emitStatus() {
+        this.emit('status', this.getStatus());
+    }
+}
+
+module.exports = {
+    WatchFolderManager,
+    DONE_FOLDER,
+    FAILED_FOLDER
+};
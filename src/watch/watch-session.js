@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Watch-folder sessions for Hexbloop
+ * @author Hexbloop Audio Labs
+ * @description Feeds watch-folder files one by one into a continuing batch, so a
+ * day of inbox drops shares one session folder and manifest. A new session starts
+ * on the next day, or as soon as the settings change.
+ */
+
+const ProcessingClock = require('../processing-clock');
+
+class WatchSession {
+    /**
+     * @param {Object} options
+     * @param {Function} options.createBatch - (settings) => BatchProcessor for a new session
+     * @param {Function} [options.now] - Returns the current Date (the session day is local)
+     */
+    constructor({ createBatch, now = () => new Date() } = {}) {
+        if (typeof createBatch !== 'function') {
+            throw new Error('WatchSession requires a createBatch function');
+        }
+
+        this.createBatch = createBatch;
+        this.now = now;
+        this.batch = null;
+        this.key = null;
+    }
+
+    /**
+     * Process one inbox file in the current session
+     * @param {string} filePath - Settled inbox file
+     * @param {Object} settings - Current settings
+     * @returns {Promise<Object>} The file's BatchProcessor result ({ success, outputFile?, error? })
+     */
+    async processFile(filePath, settings) {
+        const key = this.sessionKey(settings);
+        if (!this.batch || key !== this.key) {
+            this.batch = this.createBatch(settings);
+            this.key = key;
+            console.log('👁️ Starting a new watch-folder session');
+        }
+
+        const { results } = await this.batch.append([filePath]);
+        return results[0];
+    }
+
+    /**
+     * Sessions are per local day and settings snapshot
+     * @private
+     */
+    sessionKey(settings) {
+        const { year, month, day } = ProcessingClock.wallTime(this.now());
+        return `${year}-${month}-${day}:${JSON.stringify(settings)}`;
+    }
+}
+
+module.exports = WatchSession;
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Analysis Cache Tests
+ * @description Tests for content-hash keyed analysis caching, eviction and clearing
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AnalysisCache } = require('../src/analysis/analysis-cache');
+const AudioAnalyzer = require('../src/audio-analyzer');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n🗃️  HEXBLOOP ANALYSIS CACHE TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'hexbloop-cache-test-'));
+
+function makeCache(name, options = {}) {
+    return new AnalysisCache({ directory: path.join(tempRoot, name), ...options });
+}
+
+/**
+ * Pretend an entry was last used some seconds ago
+ */
+function age(cache, key, seconds) {
+    const time = new Date(Date.now() - seconds * 1000);
+    fs.utimesSync(cache.entryPath(key), time, time);
+}
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+async function runTests() {
+    // Test 1: Content Hashing
+    console.log('\n📝 Testing Content Hashing...');
+    try {
+        const original = path.join(tempRoot, 'track.wav');
+        const renamed = path.join(tempRoot, 'renamed.wav');
+        const edited = path.join(tempRoot, 'edited.wav');
+        fs.writeFileSync(original, Buffer.alloc(300000, 7));
+        fs.copyFileSync(original, renamed);
+        fs.writeFileSync(edited, Buffer.concat([Buffer.alloc(299999, 7), Buffer.from([8])]));
+
+        const hash = await AnalysisCache.hashFile(original);
+        assert.match(hash, /^[0-9a-f]{64}$/);
+        assert.strictEqual(await AnalysisCache.hashFile(renamed), hash, 'Same contents, same hash');
+        assert.notStrictEqual(await AnalysisCache.hashFile(edited), hash, 'One changed byte, new hash');
+        assert.notStrictEqual(AudioAnalyzer.cacheKey(hash), hash, 'Analysis version is part of the key');
+        assert(AudioAnalyzer.cacheKey(hash).endsWith(`-v${AudioAnalyzer.ANALYSIS_VERSION}`));
+        console.log('  ✅ Keys follow contents, not names, and carry the analysis version');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Round Trip
+    console.log('\n📝 Testing Store And Load...');
+    try {
+        const cache = makeCache('roundtrip');
+        const features = { duration: 215.4, energy: 0.62, tempo: 128, key: { name: 'A minor', camelot: '8A' } };
+        assert.strictEqual(cache.get('missing'), null, 'Miss on an empty cache');
+        cache.set('abc-v1', features);
+        assert.deepStrictEqual(cache.get('abc-v1'), features);
+        assert.strictEqual(cache.get('abc-v2'), null, 'Other versions miss');
+
+        fs.writeFileSync(cache.entryPath('broken'), '{"duration": ');
+        assert.strictEqual(cache.get('broken'), null, 'Corrupt entries read as misses');
+        assert(!fs.existsSync(cache.entryPath('broken')), 'Corrupt entries are removed');
+        console.log('  ✅ Entries survive a round trip, corrupt ones are dropped');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Eviction
+    console.log('\n📝 Testing Eviction...');
+    try {
+        const byCount = makeCache('count', { maxEntries: 3 });
+        for (const key of ['a', 'b', 'c']) {
+            byCount.set(key, { key });
+        }
+        age(byCount, 'a', 30);
+        age(byCount, 'b', 20);
+        age(byCount, 'c', 10);
+        byCount.get('a'); // recently used again
+        byCount.set('d', { key: 'd' });
+        assert.strictEqual(byCount.get('b'), null, 'Least recently used entry evicted');
+        assert.deepStrictEqual(['a', 'c', 'd'].map(key => byCount.get(key)?.key), ['a', 'c', 'd']);
+
+        const entrySize = JSON.stringify({ padding: 'x'.repeat(1000) }).length;
+        const bySize = makeCache('size', { maxBytes: entrySize * 2.5 });
+        for (const key of ['one', 'two', 'three']) {
+            bySize.set(key, { padding: 'x'.repeat(1000) });
+            age(bySize, key, { one: 30, two: 20, three: 10 }[key]);
+        }
+        bySize.evict();
+        assert.strictEqual(bySize.stats().entries, 2, 'Size limit keeps two entries');
+        assert.strictEqual(bySize.get('one'), null, 'Oldest entry evicted first');
+        console.log('  ✅ Entry and byte limits evict least recently used first');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 4: Clear And Analyzer Hit
+    console.log('\n📝 Testing Clear And Cached Analysis...');
+    try {
+        const cache = makeCache('analyzer');
+        const input = path.join(tempRoot, 'cached.wav');
+        fs.writeFileSync(input, Buffer.alloc(4096, 3));
+        const stored = { duration: 12, energy: 0.4, tempo: 90, tempoConfidence: 0.8 };
+        cache.set(AudioAnalyzer.cacheKey(await AnalysisCache.hashFile(input)), stored);
+
+        // A hit returns the stored result without decoding anything
+        assert.deepStrictEqual(await AudioAnalyzer.analyzeAudio(input, { cache }), stored);
+
+        const removed = cache.clear();
+        assert.strictEqual(removed.entries, 1);
+        assert(removed.bytes > 0);
+        assert.deepStrictEqual(cache.stats(), { entries: 0, bytes: 0 });
+        assert.deepStrictEqual(cache.clear(), { entries: 0, bytes: 0 }, 'Clearing twice is harmless');
+        console.log('  ✅ Analyzer reuses cached results, clear empties the cache');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Analysis cache is ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Batch Journal Tests
+ * @description Tests for incremental journal writes, verification and resume planning
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BatchJournal = require('../src/batch/batch-journal');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n📒 HEXBLOOP BATCH JOURNAL TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'hexbloop-journal-'));
+const USER_DATA = path.join(TEMP_DIR, 'user-data');
+const OUTPUT_DIR = path.join(TEMP_DIR, 'out');
+fs.mkdirSync(OUTPUT_DIR);
+
+/**
+ * Planned job as produced by BatchProcessor.planJobs
+ */
+function plannedJob(index, name) {
+    const input = path.join(TEMP_DIR, `${name}.wav`);
+    fs.writeFileSync(input, 'RIFF');
+    return {
+        index,
+        filePath: input,
+        resolvedPath: input,
+        generatedName: `hex_${name}`,
+        outputFile: `hex_${name}.mp3`,
+        outputPath: path.join(OUTPUT_DIR, `hex_${name}.mp3`)
+    };
+}
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+function runTests() {
+    const jobs = [
+        plannedJob(0, 'one'),
+        plannedJob(1, 'two'),
+        { index: 2, filePath: '/missing.wav', error: new Error('Input file not found: missing.wav') },
+        plannedJob(3, 'three'),
+        plannedJob(4, 'four')
+    ];
+    let journal;
+
+    // Test 1: Journal Written Up Front
+    console.log('\n📝 Testing Journal Creation...');
+    try {
+        journal = BatchJournal.create({
+            outputDirectory: OUTPUT_DIR,
+            sessionFolder: null,
+            settings: { batch: { namingScheme: 'sequential' } },
+            renderAt: '2026-03-03T02:00:00.000Z',
+            jobs
+        }, { userDataPath: USER_DATA });
+
+        assert(path.basename(journal.path).startsWith(BatchJournal.JOURNAL_PREFIX));
+        assert.strictEqual(path.dirname(journal.path), OUTPUT_DIR, 'Journal lives with the outputs');
+
+        const onDisk = JSON.parse(fs.readFileSync(journal.path, 'utf8'));
+        assert.deepStrictEqual(onDisk.files.map(f => f.state), ['pending', 'pending', 'failed', 'pending', 'pending']);
+        assert.strictEqual(onDisk.renderAt, '2026-03-03T02:00:00.000Z');
+        assert.deepStrictEqual(BatchJournal.findUnfinished({ userDataPath: USER_DATA }).map(j => j.path), [journal.path]);
+        assert.deepStrictEqual(BatchJournal.findUnfinished({ userDataPath: USER_DATA, exclude: [journal.id] }), [],
+            'The running batch is not offered for resume');
+        assert.deepStrictEqual(BatchJournal.findUnfinished({ userDataPath: USER_DATA }).map(j => j.path), [journal.path],
+            'Excluding a running batch keeps it registered');
+        console.log('  ✅ Every file recorded before processing starts, batch registered');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Incremental Updates Survive A Crash
+    console.log('\n📝 Testing Incremental Updates...');
+    try {
+        fs.writeFileSync(jobs[0].outputPath, 'finished mp3');
+        journal.update(0, {
+            state: 'complete',
+            bytes: 'finished mp3'.length,
+            influence: { moonPhase: 'Full Moon' },
+            loudness: { after: { integrated: -16, truePeak: -1.5, range: 8.7 } }
+        });
+
+        // Output later truncated/replaced on disk
+        fs.writeFileSync(jobs[1].outputPath, 'finished mp3');
+        journal.update(1, { state: 'complete', bytes: 'finished mp3'.length });
+        fs.writeFileSync(jobs[1].outputPath, 'half');
+
+        // Crashed mid-file
+        journal.update(3, { state: 'processing' });
+
+        // "Relaunch": read it back from disk
+        const reloaded = BatchJournal.load(journal.path, { userDataPath: USER_DATA });
+        assert.deepStrictEqual(reloaded.files.map(f => f.state), ['complete', 'complete', 'failed', 'processing', 'pending']);
+
+        const summary = BatchJournal.findUnfinished({ userDataPath: USER_DATA })[0];
+        assert.strictEqual(summary.total, 5);
+        assert.strictEqual(summary.remaining, 3, 'One verified output, one failure, three to redo');
+        console.log('  ✅ File states persisted as they change');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Resume Planning
+    console.log('\n📝 Testing Resume Jobs...');
+    try {
+        const resumeJobs = BatchJournal.load(journal.path, { userDataPath: USER_DATA }).resumeJobs();
+
+        assert.strictEqual(resumeJobs[0].done, true, 'Verified output is kept');
+        assert.deepStrictEqual(resumeJobs[0].influence, { moonPhase: 'Full Moon' });
+        assert.strictEqual(resumeJobs[0].loudness.after.integrated, -16, 'Loudness report carried into the manifest');
+        assert(!resumeJobs[1].done, 'Output with the wrong size is processed again');
+        assert.strictEqual(resumeJobs[1].outputPath, jobs[1].outputPath, 'Original output name is reused');
+        assert.strictEqual(resumeJobs[2].error.message, 'Input file not found: missing.wav');
+        assert(!resumeJobs[3].done && !resumeJobs[3].error, 'Interrupted file runs again');
+        assert(!resumeJobs[4].done && !resumeJobs[4].error, 'Pending file runs');
+        console.log('  ✅ Only unfinished or unverified files are processed again');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 4: Finish And Discard
+    console.log('\n📝 Testing Finish And Discard...');
+    try {
+        journal.finish();
+        assert(!fs.existsSync(journal.path), 'Finished journal is removed');
+        assert.deepStrictEqual(BatchJournal.findUnfinished({ userDataPath: USER_DATA }), []);
+
+        const other = BatchJournal.create({
+            outputDirectory: OUTPUT_DIR, sessionFolder: null, settings: {}, renderAt: null, jobs: [plannedJob(0, 'five')]
+        }, { userDataPath: USER_DATA });
+        BatchJournal.discard(other.path, { userDataPath: USER_DATA });
+        assert(!fs.existsSync(other.path));
+        assert.deepStrictEqual(BatchJournal.findUnfinished({ userDataPath: USER_DATA }), []);
+
+        // Journal deleted behind the app's back is dropped from the registry
+        const orphan = BatchJournal.create({
+            outputDirectory: OUTPUT_DIR, sessionFolder: null, settings: {}, renderAt: null, jobs: []
+        }, { userDataPath: USER_DATA });
+        fs.rmSync(orphan.path);
+        assert.deepStrictEqual(BatchJournal.findUnfinished({ userDataPath: USER_DATA }), []);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(BatchJournal.registryPath(USER_DATA), 'utf8')), []);
+        console.log('  ✅ Finished, discarded and missing journals leave the registry');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Batch journals are ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests();
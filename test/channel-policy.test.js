@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Channel Policy Tests
+ * @description Tests for preserve/stereo/mono/mid-side output and the downmix matrices behind them
+ */
+
+const assert = require('assert');
+const {
+    sourceChannelNames,
+    stereoMatrix,
+    policyMatrix,
+    panFilter,
+    resolveChannels
+} = require('../src/shared/channel-policy');
+const { resolveOutput, forEncodeLayout, describeOutput } = require('../src/shared/output-format');
+const { BUILTIN_MASTERING_PRESETS, buildMasteringFilters, masteredLayout } = require('../src/shared/mastering-presets');
+const { DEFAULT_SETTINGS } = require('../src/shared/settings-schema');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n🔈 HEXBLOOP CHANNEL POLICY TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+const MONO = { channels: 1, channelLayout: 'mono' };
+const STEREO = { channels: 2, channelLayout: 'stereo' };
+const SURROUND = { channels: 6, channelLayout: '5.1(side)' };
+
+/**
+ * Apply a matrix to one frame of samples
+ */
+function mix(matrix, frame) {
+    return matrix.map(row => row.reduce((sum, gain, i) => sum + gain * frame[i], 0));
+}
+
+/**
+ * Highest input channel a filter chain's pan matrices read, per pan filter
+ */
+function pannedInputs(filter) {
+    return filter.split(',').filter(part => part.startsWith('pan=')).map(pan =>
+        Math.max(...[...pan.split('|').slice(1).join('|').matchAll(/\*c(\d+)/g)].map(match => Number(match[1]))) + 1);
+}
+
+function close(actual, expected, message) {
+    assert(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+// Test 1: Preserve
+console.log('\n📝 Testing Preserve...');
+try {
+    assert.deepStrictEqual(resolveChannels('preserve', MONO, 'wav'), { policy: 'preserve', channels: 1, filter: null },
+        'Mono voice memos stay mono');
+    assert.deepStrictEqual(resolveChannels('preserve', SURROUND, 'flac'), { policy: 'preserve', channels: 6, filter: null },
+        '5.1 stems stay 5.1 where the format allows');
+    assert.deepStrictEqual(resolveChannels('preserve', null, 'mp3'), { policy: 'preserve', channels: null, filter: null });
+
+    const mp3 = resolveChannels('preserve', SURROUND, 'mp3');
+    assert.strictEqual(mp3.policy, 'stereo', 'MP3 carries two channels at most');
+    assert(mp3.filter.startsWith('pan=stereo|'));
+    assert.strictEqual(resolveChannels('bogus', STEREO, 'wav').policy, 'preserve', 'Unknown policies preserve');
+    console.log('  ✅ Source channels kept, folded only where the encoder needs it');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Test 2: Downmix Matrices
+console.log('\n📝 Testing Downmix Matrices...');
+try {
+    // FL FR FC LFE SL SR
+    const names = sourceChannelNames(SURROUND);
+    assert.deepStrictEqual(names, ['FL', 'FR', 'FC', 'LFE', 'SL', 'SR']);
+    const [left, right] = stereoMatrix(names);
+    close(left[2] / left[0], Math.SQRT1_2, 'Centre at -3 dB relative to the front');
+    close(left[4] / left[0], Math.SQRT1_2, 'Surround at -3 dB relative to the front');
+    assert.strictEqual(left[3], 0, 'LFE dropped');
+    assert.strictEqual(left[5], 0, 'Right surround stays out of the left');
+    close(left.reduce((sum, gain) => sum + gain, 0), 1, 'Full scale in every channel cannot clip');
+
+    const fullScale = mix([left, right], [1, 1, 1, 1, 1, 1]);
+    fullScale.forEach(sample => assert(sample <= 1 + 1e-9));
+
+    // Centre-only dialogue lands equally on both sides
+    const dialogue = mix([left, right], [0, 0, 1, 0, 0, 0]);
+    close(dialogue[0], dialogue[1], 'Centre is centred');
+
+    // A channel without a known layout mask still means mono/stereo for 1/2 channels
+    assert.deepStrictEqual(sourceChannelNames({ channels: 2, channelLayout: null }), ['FL', 'FR']);
+    assert.strictEqual(sourceChannelNames({ channels: 4, channelLayout: null }), null);
+
+    assert.strictEqual(panFilter(policyMatrix('mono', ['FL', 'FR'])), 'pan=mono|c0=0.5*c0+0.5*c1');
+    assert.strictEqual(panFilter(policyMatrix('stereo', ['FC'])), 'pan=stereo|c0=1*c0|c1=1*c0', 'Mono copied to both sides');
+    console.log('  ✅ ITU fold-down with centre/surround at -3 dB, LFE dropped, no clipping');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Test 3: Mid/Side
+console.log('\n📝 Testing Mid/Side...');
+try {
+    const ms = resolveChannels('mid-side', STEREO, 'wav');
+    assert.strictEqual(ms.filter, 'pan=stereo|c0=0.5*c0+0.5*c1|c1=0.5*c0-0.5*c1');
+
+    const matrix = policyMatrix('mid-side', ['FL', 'FR']);
+    const [mid, side] = mix(matrix, [0.8, 0.2]);
+    close(mid, 0.5, 'Mid is the average');
+    close(side, 0.3, 'Side is half the difference');
+    // Decoding L = M + S, R = M - S gets the original back
+    close(mid + side, 0.8, 'Left recovered');
+    close(mid - side, 0.2, 'Right recovered');
+
+    assert.strictEqual(resolveChannels('mid-side', MONO, 'wav').filter, 'pan=stereo|c0=1*c0|c1=0*c0', 'Mono has no side');
+    assert.strictEqual(resolveChannels('mid-side', { channels: 4 }, 'wav').filter,
+        'aformat=channel_layouts=stereo,pan=stereo|c0=0.5*c0+0.5*c1|c1=0.5*c0-0.5*c1', 'Unknown layouts fold with FFmpeg\'s matrix first');
+
+    const output = resolveOutput({ ...DEFAULT_SETTINGS, output: { ...DEFAULT_SETTINGS.output, format: 'wav', channels: 'mid-side' } },
+        '/music/take.wav', { sampleRate: 48000, ...STEREO });
+    assert(output.filter.startsWith('pan=stereo|'), 'Channels are set before the final quantisation');
+    assert(output.filter.endsWith('dither_scale=1'));
+    assert.strictEqual(describeOutput(output), '16-bit / 48 kHz / mid-side');
+    console.log('  ✅ Mid in left, side in right, round-trips to the original');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Test 4: Layout Reaching The Final Encode
+console.log('\n📝 Testing Layout Through Mastering...');
+try {
+    const settingsFor = (channels) => ({ ...DEFAULT_SETTINGS, output: { ...DEFAULT_SETTINGS.output, format: 'wav', channels } });
+    const podcast = BUILTIN_MASTERING_PRESETS.podcast;
+    const balanced = BUILTIN_MASTERING_PRESETS.balanced;
+
+    for (const source of [MONO, SURROUND]) {
+        const sourceInfo = { sampleRate: 48000, ...source };
+        for (const policy of ['preserve', 'stereo', 'mono', 'mid-side']) {
+            const settings = settingsFor(policy);
+            const planned = resolveOutput(settings, '/music/take.wav', sourceInfo);
+
+            // The mono-safe master hands two channels to the encode, whatever the source had
+            const afterPodcast = forEncodeLayout(planned, settings, masteredLayout(podcast, source));
+            const chain = [...buildMasteringFilters(podcast, { layout: source }), afterPodcast.filter].join(',');
+            const [fold, ...encode] = pannedInputs(chain);
+            assert.strictEqual(fold, source.channels, `${source.channelLayout} fold reads the source channels`);
+            encode.forEach(inputs => assert(inputs <= 2, `${source.channelLayout}/${policy}: encode reads only the stereo master (${chain})`));
+            assert.strictEqual(afterPodcast.channels, policy === 'mono' ? 1 : 2);
+
+            // Without a fold the source layout reaches the encode unchanged
+            const afterBalanced = forEncodeLayout(planned, settings, masteredLayout(balanced, source));
+            assert.deepStrictEqual(afterBalanced, planned);
+            pannedInputs(afterBalanced.filter).forEach(inputs => assert(inputs <= source.channels));
+        }
+    }
+
+    // Effects that come out stereo: a 5.1 source's matrix is not applied to them
+    const stereoEffects = forEncodeLayout(resolveOutput(settingsFor('mono'), '/music/take.wav', SURROUND), settingsFor('mono'), STEREO);
+    assert.strictEqual(stereoEffects.filter.split(',')[0], 'pan=mono|c0=0.5*c0+0.5*c1');
+    assert.strictEqual(forEncodeLayout(resolveOutput(settingsFor('preserve'), '/music/take.wav', SURROUND), settingsFor('preserve'), STEREO).channels, 2);
+    console.log('  ✅ The output matrix follows the channels that reach the final encode');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Results Summary
+console.log('\n' + '='.repeat(60));
+console.log('\n📊 TEST RESULTS:');
+console.log(`   ✅ Passed:  ${testResults.passed}`);
+console.log(`   ❌ Failed:  ${testResults.failed}`);
+console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+if (testResults.failed === 0) {
+    console.log('\n🎉 All tests passed! Channel policies are ready.\n');
+    process.exit(0);
+} else {
+    console.log('\n⚠️  Some tests failed. Review the output above.\n');
+    process.exit(1);
+}
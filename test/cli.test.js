@@ -0,0 +1,176 @@
+/**
+ * @fileoverview CLI Tests
+ * @description Tests for argument parsing, setting overrides and input expansion
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, parseArgs, applyOverrides, expandInputs, UsageError } = require('../src/cli/hexbloop-cli');
+const { DEFAULT_SETTINGS } = require('../src/shared/settings-schema');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n⌨️  HEXBLOOP CLI TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'hexbloop-cli-'));
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+async function runTests() {
+    // Test 1: Argument Parsing
+    console.log('\n📝 Testing Argument Parsing...');
+    try {
+        const options = parseArgs([
+            'a.wav', '-f', 'flac', '--no-artwork', '--naming=sequential',
+            '--set', 'metadata.artist=Nyx', '--render-at', '2026-03-03T02:00:00', '-r', 'b.wav'
+        ]);
+
+        assert.deepStrictEqual(options.inputs, ['a.wav', 'b.wav']);
+        assert.deepStrictEqual(options.overrides, [
+            { path: 'output.format', value: 'flac' },
+            { path: 'processing.coverArt', value: false },
+            { path: 'batch.namingScheme', value: 'sequential' },
+            { path: 'metadata.artist', value: 'Nyx' }
+        ]);
+        assert.strictEqual(options.renderAt, '2026-03-03T02:00:00');
+        assert.strictEqual(options.recursive, true);
+        assert.throws(() => parseArgs(['--bogus']), UsageError);
+        assert.throws(() => parseArgs(['--format']), /Missing value/);
+        console.log('  ✅ Flags, switches, --set and inputs parsed');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Setting Overrides
+    console.log('\n📝 Testing Setting Overrides...');
+    try {
+        const settings = applyOverrides(DEFAULT_SETTINGS, [
+            { path: 'output.mp3Bitrate', value: '320' },
+            { path: 'batch.sessionFolders', value: 'true' },
+            { path: 'ui.outputFolder', value: 'renders' }
+        ]);
+
+        assert.strictEqual(settings.output.mp3Bitrate, 320);
+        assert.strictEqual(settings.batch.sessionFolders, true);
+        assert.strictEqual(settings.ui.outputFolder, path.resolve('renders'));
+        assert.strictEqual(DEFAULT_SETTINGS.output.mp3Bitrate, 192, 'Defaults must not be mutated');
+        assert.throws(() => applyOverrides(DEFAULT_SETTINGS, [{ path: 'output.nope', value: '1' }]), /Unknown setting/);
+        assert.throws(() => applyOverrides(DEFAULT_SETTINGS, [{ path: 'a.b.c', value: '1' }]), UsageError);
+        assert.throws(() => applyOverrides(DEFAULT_SETTINGS, [{ path: 'ui.outputFolder.x', value: '1' }]), UsageError);
+        for (const inherited of ['constructor', 'toString', 'batch.hasOwnProperty', '__proto__.x', 'output.format.length', 'batch']) {
+            assert.throws(() => applyOverrides(DEFAULT_SETTINGS, [{ path: inherited, value: '3' }]), /Unknown setting/, inherited);
+        }
+        assert.throws(() => applyOverrides(DEFAULT_SETTINGS, [{ path: 'output.mp3Bitrate', value: 'loud' }]), /Expected a number/);
+        console.log('  ✅ Values typed from the settings schema');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Input Expansion
+    console.log('\n📝 Testing Input Expansion...');
+    try {
+        fs.mkdirSync(path.join(TEMP_DIR, 'set', 'deep'), { recursive: true });
+        for (const file of ['set/one.wav', 'set/two.mp3', 'set/notes.txt', 'set/deep/three.flac']) {
+            fs.writeFileSync(path.join(TEMP_DIR, file), '');
+        }
+        const set = path.join(TEMP_DIR, 'set');
+
+        assert.strictEqual(expandInputs([set]).length, 2, 'Folder should list audio files only');
+        assert.strictEqual(expandInputs([set], { recursive: true }).length, 3);
+        assert.deepStrictEqual(expandInputs([path.join(set, '*.wav')]), [path.join(set, 'one.wav')]);
+        assert.strictEqual(expandInputs([path.join(set, '**', '*.flac')]).length, 1);
+        assert.strictEqual(expandInputs([set, path.join(set, 'one.wav')]).length, 2, 'Duplicates removed');
+        console.log('  ✅ Files, folders and globs expanded');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 4: Exit Codes
+    console.log('\n📝 Testing Exit Codes...');
+    try {
+        const settingsFile = path.join(TEMP_DIR, 'settings.json');
+        fs.writeFileSync(settingsFile, JSON.stringify({ settings: { batch: { namingScheme: 'sequential' } } }));
+        const input = path.join(TEMP_DIR, 'set', 'one.wav');
+
+        assert.strictEqual(await run(['--settings', settingsFile]), 2, 'No inputs is a usage error');
+        assert.strictEqual(await run(['--settings', settingsFile, '-f', 'wma', input]), 2, 'Invalid enum is a usage error');
+        assert.strictEqual(await run(['--settings', settingsFile, '--render-at', 'soon', input]), 2);
+        assert.strictEqual(await run(['--settings', settingsFile, '--set', 'a.b.c=1', input]), 2, 'Unknown nested setting is a usage error');
+        assert.strictEqual(await run(['--settings', settingsFile, '--set', 'constructor=3', '--dry-run', input]), 2, 'Inherited property is a usage error');
+        assert.strictEqual(await run(['--settings', settingsFile, '--dry-run', input]), 0);
+        console.log('  ✅ Usage errors exit 2, dry run exits 0');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 5: Dry Run Plan
+    console.log('\n📝 Testing Dry Run Plan...');
+    try {
+        fs.writeFileSync(path.join(TEMP_DIR, 'set', 'deep', 'one.wav'), '');
+        const settingsFile = path.join(TEMP_DIR, 'preserve.json');
+        fs.writeFileSync(settingsFile, JSON.stringify({ settings: { batch: { namingScheme: 'preserve' } } }));
+
+        const lines = [];
+        const write = process.stdout.write;
+        process.stdout.write = (chunk) => lines.push(...String(chunk).split('\n').filter(Boolean));
+        let code;
+        try {
+            code = await run(['--settings', settingsFile, '--dry-run', '-f', 'flac',
+                path.join(TEMP_DIR, 'set', 'one.wav'), path.join(TEMP_DIR, 'set', 'deep', 'one.wav')]);
+        } finally {
+            process.stdout.write = write;
+        }
+
+        assert.strictEqual(code, 0);
+        assert.deepStrictEqual(lines, ['one.wav -> one.flac', 'one.wav -> one_2.flac'], 'Same de-duplicated names as a real run');
+        console.log('  ✅ Dry run prints the names BatchProcessor would write');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! The CLI is ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests().catch((error) => {
+    console.error('\n❌ Test runner error:', error);
+    process.exit(1);
+});
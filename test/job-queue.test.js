@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Job Queue Tests
+ * @description Tests for bounded parallel batch jobs
+ */
+
+const assert = require('assert');
+const os = require('os');
+const JobQueue = require('../src/batch/job-queue');
+const { JobCancelledError } = JobQueue;
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n⚙️  HEXBLOOP JOB QUEUE TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Job that behaves like a spawned process: finishes after a delay, stops on abort
+ */
+const abortableJob = (ms, value, log) => (signal) => new Promise((resolve, reject) => {
+    log.push(`start ${value}`);
+    const timer = setTimeout(() => resolve(value), ms);
+    signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        log.push(`killed ${value}`);
+        reject(new Error('SIGKILL'));
+    }, { once: true });
+});
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+async function runTests() {
+    // Test 1: Concurrency Setting
+    console.log('\n📝 Testing Concurrency Resolution...');
+    try {
+        const auto = Math.max(1, os.cpus().length - 1);
+
+        assert.strictEqual(JobQueue.resolveConcurrency(0), auto);
+        assert.strictEqual(JobQueue.resolveConcurrency(undefined), auto);
+        assert.strictEqual(JobQueue.resolveConcurrency(3), 3);
+        assert.strictEqual(JobQueue.resolveConcurrency(-2), auto);
+        assert.strictEqual(new JobQueue().concurrency, auto);
+        console.log(`  ✅ 0/unset resolves to CPU count minus one (${auto})`);
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Bounded Parallelism
+    console.log('\n📝 Testing Bounded Parallelism...');
+    try {
+        const queue = new JobQueue({ concurrency: 3 });
+        let running = 0;
+        let peak = 0;
+
+        const results = await Promise.all([40, 10, 30, 5, 20, 15, 25].map((delay, i) => queue.add(async () => {
+            running++;
+            peak = Math.max(peak, running);
+            await sleep(delay);
+            running--;
+            return i;
+        })));
+
+        assert.strictEqual(peak, 3, `Expected 3 jobs in flight, saw ${peak}`);
+        assert.deepStrictEqual(results, [0, 1, 2, 3, 4, 5, 6], 'Results follow submission order');
+        await queue.onIdle();
+        console.log('  ✅ Never more than 3 jobs in flight, results keep order');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Failures Stay Isolated
+    console.log('\n📝 Testing Failure Isolation...');
+    try {
+        const queue = new JobQueue({ concurrency: 2 });
+        const outcomes = await Promise.allSettled([
+            queue.add(async () => 'ok'),
+            queue.add(async () => { throw new Error('sox exploded'); }),
+            queue.add(async () => 'still ok')
+        ]);
+
+        assert.deepStrictEqual(outcomes.map(o => o.status), ['fulfilled', 'rejected', 'fulfilled']);
+        assert.strictEqual(outcomes[1].reason.message, 'sox exploded');
+        assert.strictEqual(queue.active, 0);
+        console.log('  ✅ A failing job does not stop the queue');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 4: Pause And Resume
+    console.log('\n📝 Testing Pause And Resume...');
+    try {
+        const queue = new JobQueue({ concurrency: 2 });
+        const log = [];
+        const jobs = ['a', 'b', 'c'].map(name => queue.add(abortableJob(60, name, log)));
+
+        await sleep(20);
+        assert.strictEqual(queue.pause(), true);
+        assert.strictEqual(queue.state, 'paused');
+        await sleep(100);
+        assert.deepStrictEqual(log, ['start a', 'start b', 'killed a', 'killed b'], 'Paused jobs are stopped, nothing new starts');
+        assert.strictEqual(queue.active, 0);
+        assert.strictEqual(queue.size, 3, 'Interrupted jobs go back on the queue');
+
+        assert.strictEqual(queue.resume(), true);
+        assert.deepStrictEqual(await Promise.all(jobs), ['a', 'b', 'c']);
+        assert.deepStrictEqual(log.slice(4, 6), ['start a', 'start b'], 'Interrupted jobs restart in order');
+        console.log('  ✅ Pause stops running jobs, resume restarts them in order');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 5: Cancel
+    console.log('\n📝 Testing Cancel...');
+    try {
+        const queue = new JobQueue({ concurrency: 1 });
+        const log = [];
+        const first = queue.add(async () => 'done');
+        const outcomes = Promise.allSettled([
+            first,
+            queue.add(abortableJob(60, 'running', log)),
+            queue.add(abortableJob(60, 'waiting', log))
+        ]);
+
+        await first;
+        await sleep(10);
+        assert.strictEqual(queue.cancel(), true);
+        const settled = await outcomes;
+
+        assert.strictEqual(settled[0].value, 'done');
+        assert(settled[1].reason instanceof JobCancelledError, 'Running job rejects as cancelled');
+        assert(settled[2].reason instanceof JobCancelledError, 'Waiting job rejects as cancelled');
+        assert.deepStrictEqual(log, ['start running', 'killed running'], 'Waiting job never starts');
+        await assert.rejects(queue.add(async () => 'late'), JobCancelledError);
+        assert.strictEqual(queue.state, 'cancelled');
+        console.log('  ✅ Cancel kills running jobs and drops waiting ones');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! The job queue is ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests().catch((error) => {
+    console.error('\n❌ Test runner error:', error);
+    process.exit(1);
+});
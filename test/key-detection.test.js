@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Key Detection Tests
+ * @description Tests for chroma-based key and scale detection, Camelot notation and key-influenced names
+ */
+
+const assert = require('assert');
+const { detectKey, camelot, KEY_CONFIDENCE_THRESHOLD } = require('../src/analysis/key');
+const { analyzeSpectrum } = require('../src/analysis/spectral');
+const AudioAnalyzer = require('../src/audio-analyzer');
+const NameGenerator = require('../src/name-generator');
+const BatchNamingEngine = require('../src/batch/batch-naming-engine');
+const ProcessingClock = require('../src/processing-clock');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n🎼 HEXBLOOP KEY DETECTION TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+const SAMPLE_RATE = 22050;
+
+/**
+ * Eighth-note melody over a held triad, each voice with a couple of harmonics
+ * @param {number[]} melody - MIDI notes, looped
+ * @param {number[]} chord - MIDI notes held throughout
+ */
+function progression(melody, chord, seconds = 12) {
+    const samples = new Float32Array(SAMPLE_RATE * seconds);
+    const noteLength = SAMPLE_RATE / 4;
+    const frequency = (note) => 440 * 2 ** ((note - 69) / 12);
+    for (let i = 0; i < samples.length; i++) {
+        const voices = [melody[Math.floor(i / noteLength) % melody.length], ...chord];
+        let value = 0;
+        for (const note of voices) {
+            const phase = 2 * Math.PI * frequency(note) * i / SAMPLE_RATE;
+            value += 0.08 * (Math.sin(phase) + 0.4 * Math.sin(2 * phase) + 0.2 * Math.sin(3 * phase));
+        }
+        samples[i] = value;
+    }
+    return samples;
+}
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+function runTests() {
+    // Test 1: Camelot Wheel
+    console.log('\n📝 Testing Camelot Notation...');
+    try {
+        assert.strictEqual(camelot(0, 'major'), '8B', 'C major');
+        assert.strictEqual(camelot(9, 'minor'), '8A', 'A minor');
+        assert.strictEqual(camelot(7, 'major'), '9B', 'G major');
+        assert.strictEqual(camelot(4, 'minor'), '9A', 'E minor');
+        assert.strictEqual(camelot(5, 'major'), '7B', 'F major');
+        assert.strictEqual(camelot(11, 'major'), '1B', 'B major');
+        assert.strictEqual(camelot(8, 'minor'), '1A', 'G# minor');
+        assert.strictEqual(camelot(3, 'minor'), '2A', 'Eb minor');
+        const positions = new Set();
+        for (let tonic = 0; tonic < 12; tonic++) {
+            positions.add(camelot(tonic, 'major'));
+            positions.add(camelot(tonic, 'minor'));
+        }
+        assert.strictEqual(positions.size, 24, 'Every key has its own position');
+        console.log('  ✅ All 24 keys map to distinct wheel positions');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Synthesized Progressions
+    console.log('\n📝 Testing Keys Of Synthesized Progressions...');
+    try {
+        const cMajorScale = [60, 62, 64, 65, 67, 69, 71, 72];
+        const aMinorScale = [57, 59, 60, 62, 64, 65, 67, 69, 68];
+        const cases = [
+            { expected: { name: 'C major', tag: 'C', camelot: '8B' }, samples: progression(cMajorScale, [48, 52, 55]) },
+            { expected: { name: 'A minor', tag: 'Am', camelot: '8A' }, samples: progression(aMinorScale, [45, 48, 52]) },
+            { expected: { name: 'F# major', tag: 'F#', camelot: '2B' }, samples: progression(cMajorScale.map(n => n + 6), [54, 58, 61]) },
+            { expected: { name: 'Eb minor', tag: 'Ebm', camelot: '2A' }, samples: progression(aMinorScale.map(n => n + 6), [51, 54, 58]) }
+        ];
+        for (const { expected, samples } of cases) {
+            const key = detectKey(analyzeSpectrum(samples, SAMPLE_RATE).chroma);
+            assert.strictEqual(key.name, expected.name);
+            assert.strictEqual(key.tag, expected.tag);
+            assert.strictEqual(key.camelot, expected.camelot);
+            assert(key.confidence >= KEY_CONFIDENCE_THRESHOLD, `${key.name} confidence ${key.confidence}`);
+        }
+        console.log('  ✅ C major, A minor, F# major and Eb minor found with tags and Camelot');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Ambiguous Input
+    console.log('\n📝 Testing Ambiguous Chroma...');
+    try {
+        assert.strictEqual(detectKey(null), null);
+        assert.strictEqual(detectKey(new Array(12).fill(1)), null, 'Flat chroma has no key');
+
+        const noiseChroma = [0.882, 0.841, 1, 0.738, 0.553, 0.558, 0.594, 0.652, 0.676, 0.71, 0.729, 0.791];
+        const noiseKey = detectKey(noiseChroma);
+        assert(noiseKey.confidence < KEY_CONFIDENCE_THRESHOLD, `Noise confidence ${noiseKey.confidence}`);
+        assert.strictEqual(AudioAnalyzer.reliableKey({ key: noiseKey }), null, 'Unsure keys are not reported');
+        assert.strictEqual(AudioAnalyzer.reliableKey(null), null);
+        console.log('  ✅ Missing, flat and noise-like chroma are not tagged');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 4: Key-Influenced Names
+    console.log('\n📝 Testing Key-Influenced Names...');
+    try {
+        const key = { tonic: 'F#', scale: 'minor', camelot: '11A' };
+        const names = new Set();
+        for (let seed = 1; seed <= 200; seed++) {
+            const name = NameGenerator.generateTonalName(key, NameGenerator.seededRandom(seed * 7919));
+            assert(!/[#\s]/.test(name), `${name} is filename-safe`);
+            names.add(name);
+        }
+        assert([...names].some(name => name.startsWith('fsharp_minor_')), 'Key spelled out in some names');
+        assert([...names].some(name => name.endsWith('_11A')), 'Camelot position in some names');
+
+        assert.strictEqual(
+            NameGenerator.generateMystical({ seed: 4242, key }),
+            NameGenerator.generateMystical({ seed: 4242, key }),
+            'Seeded key names are reproducible'
+        );
+        console.log('  ✅ Tonal names are filename-safe and seedable');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 5: Key-Influenced Batch Names
+    console.log('\n📝 Testing Key-Influenced Batch Names...');
+    try {
+        const key = { tonic: 'F#', scale: 'minor', camelot: '11A' };
+        const clock = new ProcessingClock('2026-03-03T14:00:00Z');
+        const keyed = new BatchNamingEngine({ namingScheme: 'mystical', useKey: true }, { clock });
+        const plain = new BatchNamingEngine({ namingScheme: 'mystical', useKey: false }, { clock });
+
+        assert.strictEqual(keyed.usesKey(), true);
+        assert.strictEqual(plain.usesKey(), false, 'Off unless batch.useKey is set');
+        assert.strictEqual(new BatchNamingEngine({ namingScheme: 'hybrid', useKey: true }, { clock }).usesKey(), false,
+            'Only mystical names are steered by the key');
+
+        const keyedNames = [];
+        for (let index = 0; index < 60; index++) {
+            keyedNames.push(keyed.generateName('/in/take.wav', index, 60, { key }));
+            assert.strictEqual(
+                plain.generateName('/in/take.wav', index, 60, { key }),
+                plain.generateName('/in/take.wav', index, 60),
+                'The key is ignored while batch.useKey is off'
+            );
+        }
+        assert(keyedNames.some(name => name.startsWith('fsharp_minor_') || name.endsWith('_11A')),
+            'Detected key reaches the batch names');
+        console.log('  ✅ batch.useKey passes the detected key into mystical batch names');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Key detection is ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Level Analyzer Tests
+ * @description Tests for parsing ebur128/astats logs and checking masters against targets
+ */
+
+const assert = require('assert');
+const LevelAnalyzer = require('../src/level-analyzer');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n📊 HEXBLOOP LEVEL ANALYZER TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+// Trimmed FFmpeg log for: -af ebur128=peak=true,astats -f null -
+const FFMPEG_LOG = `Input #0, wav, from 'take.wav':
+  Duration: 00:03:12.00, bitrate: 1411 kb/s
+[Parsed_ebur128_0 @ 0x600001f3c000] t: 0.1        TARGET:-23 LUFS    M:-120.7 S:-120.7     I: -70.0 LUFS       LRA:   0.0 LU  FTPK: -9.2 dBFS  TPK: -9.2 dBFS
+[Parsed_ebur128_0 @ 0x600001f3c000] t: 3.0        TARGET:-23 LUFS    M: -15.1 S: -16.4     I: -16.2 LUFS       LRA:   0.0 LU  FTPK: -1.1 dBFS  TPK: -0.8 dBFS
+[Parsed_ebur128_0 @ 0x600001f3c000] t: 3.1        TARGET:-23 LUFS    M: -12.9 S: -13.2     I: -15.9 LUFS       LRA:   1.2 LU  FTPK: -0.6 dBFS  TPK: -0.4 dBFS
+[Parsed_ebur128_0 @ 0x600001f3c000] t: 3.2        TARGET:-23 LUFS    M: -18.0 S: -15.0     I: -16.0 LUFS       LRA:   1.4 LU  FTPK: -2.0 dBFS  TPK: -0.4 dBFS
+[Parsed_astats_1 @ 0x600001f3c0b0] Channel: 1
+[Parsed_astats_1 @ 0x600001f3c0b0] DC offset: 0.020000
+[Parsed_astats_1 @ 0x600001f3c0b0] Peak level dB: -0.400000
+[Parsed_astats_1 @ 0x600001f3c0b0] Overall
+[Parsed_astats_1 @ 0x600001f3c0b0] DC offset: 0.000012
+[Parsed_astats_1 @ 0x600001f3c0b0] Min level: -1.000000
+[Parsed_astats_1 @ 0x600001f3c0b0] Max level: 1.000000
+[Parsed_astats_1 @ 0x600001f3c0b0] Peak level dB: 0.000000
+[Parsed_astats_1 @ 0x600001f3c0b0] RMS level dB: -12.500000
+[Parsed_astats_1 @ 0x600001f3c0b0] Peak count: 14
+[Parsed_astats_1 @ 0x600001f3c0b0] Number of samples: 8467200
+[Parsed_ebur128_0 @ 0x600001f3c000] Summary:
+
+  Integrated loudness:
+    I:         -15.8 LUFS
+    Threshold: -26.1 LUFS
+
+  Loudness range:
+    LRA:         6.3 LU
+    Threshold:  -36.1 LUFS
+    LRA low:   -20.4 LUFS
+    LRA high:  -14.1 LUFS
+
+  True peak:
+    Peak:        0.3 dBFS
+`;
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+function runTests() {
+    // Test 1: Log Parsing
+    console.log('\n📝 Testing Log Parsing...');
+    try {
+        const levels = LevelAnalyzer.parse(FFMPEG_LOG);
+        assert.deepStrictEqual(levels, {
+            integrated: -15.8,
+            shortTermMax: -13.2,
+            truePeak: 0.3,
+            range: 6.3,
+            crestFactor: 12.5,
+            dcOffset: 0.000012,
+            clipping: 14
+        });
+        console.log('  ✅ Summary, short-term max and overall astats read from the log');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Headroom Means No Clipping
+    console.log('\n📝 Testing Clipping Count...');
+    try {
+        const quiet = LevelAnalyzer.parse(FFMPEG_LOG.replace('Peak level dB: 0.000000', 'Peak level dB: -3.000000'));
+        assert.strictEqual(quiet.clipping, 0, 'Peak count below full scale is not clipping');
+        assert.strictEqual(quiet.crestFactor, 9.5);
+
+        const silent = LevelAnalyzer.parse(FFMPEG_LOG
+            .replace('RMS level dB: -12.500000', 'RMS level dB: -inf')
+            .replace('I:         -15.8 LUFS', 'I:         -inf LUFS'));
+        assert.strictEqual(silent.crestFactor, null);
+        assert.strictEqual(silent.integrated, -Infinity);
+        console.log('  ✅ Clipping only counted at full scale, silence handled');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Target Checks
+    console.log('\n📝 Testing Target Checks...');
+    try {
+        const output = LevelAnalyzer.parse(FFMPEG_LOG);
+        const target = { integrated: -14, truePeak: -1, range: 11 };
+
+        const report = LevelAnalyzer.buildReport({ input: null, output, target });
+        assert.strictEqual(report.passed, false);
+        assert.deepStrictEqual(report.issues.map(issue => issue.check), ['integrated', 'truePeak', 'clipping']);
+        assert(report.issues[0].message.includes('-15.8 LUFS'));
+
+        const clean = { ...output, integrated: -14.4, truePeak: -1.05, clipping: 0 };
+        assert.strictEqual(LevelAnalyzer.buildReport({ input: output, output: clean, target }).passed, true,
+            'Within tolerance of the target');
+
+        const offset = LevelAnalyzer.buildReport({ input: null, output: { ...clean, dcOffset: -0.02 } });
+        assert.deepStrictEqual(offset.issues.map(issue => issue.check), ['dcOffset'], 'No target: only clipping and DC checked');
+        console.log('  ✅ Loudness, true peak, clipping and DC offset checked against targets');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Level reports are ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Lunar Processing Tests
+ * @description Tests for lunar influences and the pinned processing clock
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const LunarProcessor = require('../src/lunar-processor');
+const ProcessingClock = require('../src/processing-clock');
+const BatchNamingEngine = require('../src/batch/batch-naming-engine');
+const { DEFAULT_SETTINGS, getProcessingConfig } = require('../src/shared/settings-schema');
+const {
+    DEFAULT_EFFECTS_CHAIN,
+    resolveEffectsChain,
+    compileSoxEffects,
+    buildCompandTransfer
+} = require('../src/shared/effects-chain');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n🌙 HEXBLOOP LUNAR PROCESSING TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+// Full moon, deep night (no offset, so UTC wall time)
+const FULL_MOON_RENDER = '2026-03-03T02:00:00';
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+async function runTests() {
+    // Test 1: Pinned Moon Phase
+    console.log('\n📝 Testing Pinned Moon Phase...');
+    try {
+        const clock = new ProcessingClock(FULL_MOON_RENDER);
+        const moon = LunarProcessor.getMoonPhase(clock.now());
+
+        assert.strictEqual(moon.name, 'Full Moon', `Expected Full Moon, got ${moon.name}`);
+        assert.strictEqual(moon.influence.type, 'ethereal');
+        console.log(`  ✅ ${FULL_MOON_RENDER} resolves to ${moon.name} (phase ${moon.phase.toFixed(3)})`);
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Reproducible Influenced Parameters
+    console.log('\n📝 Testing Reproducible Influenced Parameters...');
+    try {
+        const first = LunarProcessor.getInfluencedParameters(new ProcessingClock(FULL_MOON_RENDER).now());
+        const second = LunarProcessor.getInfluencedParameters(new ProcessingClock(FULL_MOON_RENDER).now());
+
+        assert.deepStrictEqual(first, second, 'Same render date should give identical parameters');
+        assert.strictEqual(first.timeOfDay, 'deep_night');
+        console.log(`  ✅ Identical parameters: ${first.description}`);
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Clock Seeds
+    console.log('\n📝 Testing Clock Seeds...');
+    try {
+        const pinned = new ProcessingClock(FULL_MOON_RENDER);
+        const live = new ProcessingClock();
+
+        assert.strictEqual(pinned.seed('name:0'), new ProcessingClock(FULL_MOON_RENDER).seed('name:0'));
+        assert.notStrictEqual(pinned.seed('name:0'), pinned.seed('name:1'));
+        assert(pinned.seed('name:0') > 0, 'Seed should be positive');
+        assert.strictEqual(live.seed('name:0'), null, 'Live clock should not seed');
+        console.log('  ✅ Pinned seeds are stable and salted, live clock stays random');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 4: Settings vs Override Resolution
+    console.log('\n📝 Testing Clock Resolution...');
+    try {
+        const settings = { processing: { renderAt: '2026-01-01T12:00:00' } };
+
+        assert.strictEqual(ProcessingClock.resolve(settings).now().getUTCMonth(), 0);
+        assert.strictEqual(ProcessingClock.resolve(settings, FULL_MOON_RENDER).now().getUTCMonth(), 2);
+        assert.strictEqual(ProcessingClock.resolve({ processing: { renderAt: '' } }).isPinned(), false);
+        assert.throws(() => new ProcessingClock('not a date'), /Invalid render date/);
+        console.log('  ✅ Per-batch override wins over settings, invalid dates rejected');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 5: Reproducible Batch Names
+    console.log('\n📝 Testing Reproducible Batch Names...');
+    try {
+        const schemes = ['mystical', 'hybrid', 'timestamp'];
+
+        for (const namingScheme of schemes) {
+            const names = () => {
+                const engine = new BatchNamingEngine(
+                    { namingScheme, numberingStyle: 'numeric' },
+                    { clock: new ProcessingClock(FULL_MOON_RENDER) }
+                );
+                return ['a.wav', 'b.wav', 'c.wav'].map((file, i) => engine.generateName(file, i, 3));
+            };
+
+            assert.deepStrictEqual(names(), names(), `${namingScheme} names should be reproducible`);
+        }
+
+        console.log(`  ✅ ${schemes.join(', ')} schemes reproduce identical names`);
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 6: Same Render In Every Time Zone
+    console.log('\n📝 Testing Render Date Across Time Zones...');
+    try {
+        // Evaluate the pinned render in child processes with different local zones
+        const script = `
+            const LunarProcessor = require('./src/lunar-processor');
+            const ProcessingClock = require('./src/processing-clock');
+            const BatchNamingEngine = require('./src/batch/batch-naming-engine');
+            const clock = new ProcessingClock(${JSON.stringify(FULL_MOON_RENDER)});
+            const engine = new BatchNamingEngine({ namingScheme: 'timestamp' }, { clock });
+            console.log(JSON.stringify({
+                params: LunarProcessor.getInfluencedParameters(clock.now(), { timeZone: clock.timeZone() }),
+                name: engine.generateName('a.wav', 0, 1),
+                year: clock.year()
+            }));
+        `;
+        const renderIn = (TZ) => JSON.parse(execFileSync(process.execPath, ['-e', script], {
+            cwd: path.join(__dirname, '..'),
+            env: { ...process.env, TZ },
+            timeout: 30000,
+            encoding: 'utf8'
+        }));
+
+        const auckland = renderIn('Pacific/Auckland');
+        const losAngeles = renderIn('America/Los_Angeles');
+
+        assert.deepStrictEqual(auckland, losAngeles, 'Render should not depend on the machine time zone');
+        assert.strictEqual(auckland.params.moonPhase, 'Full Moon');
+        assert.strictEqual(auckland.params.timeOfDay, 'deep_night');
+        assert.strictEqual(auckland.name, 'hexbloop_20260303_020000');
+        assert.strictEqual(auckland.year, 2026);
+        console.log(`  ✅ Auckland and Los Angeles agree: ${auckland.params.description}`);
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 7: Wall Time And Year From The Clock
+    console.log('\n📝 Testing Wall Time And Clock Year...');
+    try {
+        const newYearsEve = new ProcessingClock('2025-12-31T23:30:00Z');
+
+        assert.strictEqual(newYearsEve.timeZone(), 'UTC');
+        assert.strictEqual(new ProcessingClock().timeZone(), null);
+        assert.strictEqual(ProcessingClock.wallTime(newYearsEve.now(), 'Asia/Tokyo').year, 2026);
+        assert.strictEqual(ProcessingClock.wallTime(newYearsEve.now(), 'Asia/Tokyo').hour, 8);
+
+        const evening = LunarProcessor.getTimeInfluence(newYearsEve.now(), 'UTC');
+        const morning = LunarProcessor.getTimeInfluence(newYearsEve.now(), 'Asia/Tokyo');
+        assert.strictEqual(evening.type, 'evening');
+        assert.strictEqual(morning.type, 'morning');
+
+        const custom = { ...DEFAULT_SETTINGS, processing: { ...DEFAULT_SETTINGS.processing, naming: 'custom' } };
+        assert.strictEqual(getProcessingConfig(custom, { clock: newYearsEve }).metadata.year, 2025);
+        assert.strictEqual(getProcessingConfig({
+            ...custom,
+            metadata: { ...custom.metadata, year: 1999 }
+        }, { clock: newYearsEve }).metadata.year, 1999);
+        console.log('  ✅ Zones read the right wall time, the default year follows the clock');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 8: Sox Stage Follows The Moon
+    console.log('\n📝 Testing Lunar Sox Parameters...');
+    try {
+        const soxArgsAt = (renderAt) => {
+            const clock = new ProcessingClock(renderAt);
+            const influence = LunarProcessor.getInfluencedParameters(clock.now(), { timeZone: clock.timeZone() });
+            const args = compileSoxEffects(resolveEffectsChain(DEFAULT_EFFECTS_CHAIN, influence));
+            const effect = (name, count) => args.slice(args.indexOf(name) + 1, args.indexOf(name) + 1 + count);
+            return { influence, args, effect };
+        };
+        const numbers = (values) => values.map(value => Math.round(parseFloat(value) * 1000) / 1000);
+
+        // New Moon deep in the night: darkest, heaviest settings, stretched by the hour
+        const newMoon = soxArgsAt('2026-02-17T03:00:00');
+        assert.strictEqual(newMoon.influence.moonPhase, 'New Moon');
+        assert.strictEqual(newMoon.influence.timeOfDay, 'deep_night');
+        assert.deepStrictEqual(numbers(newMoon.effect('overdrive', 2)), [7.8, 2.5], 'Overdrive × deep night modifier');
+        assert.deepStrictEqual(newMoon.effect('bass', 1), ['+4.5'], 'Bass boosted by the night');
+        assert.deepStrictEqual(newMoon.effect('treble', 1), ['-0.5'], 'Negative treble keeps its sign');
+        assert.deepStrictEqual(numbers(newMoon.effect('echo', 4)), [0.7, 0.14, 6.5, 0.045], 'Echo × deep night multiplier');
+        assert.deepStrictEqual(newMoon.effect('compand', 2), ['0.3,0.6', buildCompandTransfer(8)]);
+
+        // Full Moon in the afternoon: light and open
+        const fullMoon = soxArgsAt('2026-03-03T14:00:00');
+        assert.strictEqual(fullMoon.influence.moonPhase, 'Full Moon');
+        assert.deepStrictEqual(fullMoon.effect('overdrive', 1), ['2']);
+        assert.deepStrictEqual(fullMoon.effect('treble', 1), ['+2.5']);
+        assert.deepStrictEqual(fullMoon.effect('compand', 2), ['0.1,0.6', buildCompandTransfer(3)]);
+        assert.notDeepStrictEqual(newMoon.args, fullMoon.args, 'Different skies give different Sox stages');
+
+        // Ratio sets the compand ceiling above -20 dB; 1 (or less) leaves levels alone
+        assert.strictEqual(buildCompandTransfer(8), '6:-70,-60,-20,-20,0,-17.50');
+        assert.strictEqual(buildCompandTransfer(1), '6:-70,-60,-20,-20,0,0.00');
+        assert.strictEqual(buildCompandTransfer(0), buildCompandTransfer(1));
+        console.log('  ✅ Moon phase and time of day set the Sox overdrive, EQ, echo and compand');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Lunar processing is reproducible.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests().catch((error) => {
+    console.error('\n❌ Test runner error:', error);
+    process.exit(1);
+});
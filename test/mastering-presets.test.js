@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Mastering Preset Tests
+ * @description Tests for shipped presets, preset validation, the FFmpeg chain and two-pass loudnorm
+ */
+
+const assert = require('assert');
+const {
+    BUILTIN_MASTERING_PRESETS,
+    validateMasteringPreset,
+    resolveMasteringPreset,
+    buildMasteringFilters,
+    buildLoudnessMeasurementFilters,
+    parseLoudnormStats
+} = require('../src/shared/mastering-presets');
+const { validateSettings, mergeWithDefaults } = require('../src/shared/settings-schema');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n🎚️  HEXBLOOP MASTERING PRESET TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+// The chain processFFmpeg used before presets existed
+const LEGACY_CHAIN = [
+    'equalizer=f=100:t=q:w=1:g=0.3',
+    'equalizer=f=800:t=q:w=1.2:g=0.5',
+    'equalizer=f=1600:t=q:w=1:g=0.4',
+    'equalizer=f=5000:t=q:w=1:g=0.3',
+    'acompressor=threshold=-18dB:ratio=4:attack=5:release=50:makeup=4',
+    'alimiter=limit=0.95',
+    'loudnorm=I=-16:TP=-1.5:LRA=11',
+    'alimiter=limit=0.97'
+].join(',');
+
+const customPreset = {
+    name: 'Tape Warmth',
+    description: 'Low shelf lift and slow glue',
+    eq: [{ frequency: 80, width: 0.7, gain: 2 }],
+    compressor: { threshold: -20, ratio: 2, attack: 30, release: 300, makeup: 1.5 },
+    limiter: null,
+    loudness: { integrated: -15, truePeak: -1, range: 12 },
+    mono: false
+};
+
+// What loudnorm prints to stderr with print_format=json
+const LOUDNORM_STDERR = `size=N/A time=00:03:12.00 bitrate=N/A speed= 212x
+[Parsed_loudnorm_6 @ 0x7f9d1c004a40] 
+{
+	"input_i" : "-23.41",
+	"input_tp" : "-4.02",
+	"input_lra" : "9.30",
+	"input_thresh" : "-33.78",
+	"output_i" : "-16.02",
+	"output_tp" : "-1.50",
+	"output_lra" : "8.70",
+	"output_thresh" : "-26.35",
+	"normalization_type" : "linear",
+	"target_offset" : "0.02"
+}`;
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+function runTests() {
+    // Test 1: Shipped Presets
+    console.log('\n📝 Testing Shipped Presets...');
+    try {
+        for (const [id, preset] of Object.entries(BUILTIN_MASTERING_PRESETS)) {
+            assert.deepStrictEqual(validateMasteringPreset(preset, id), [], `${id} should be valid`);
+        }
+        assert.strictEqual(BUILTIN_MASTERING_PRESETS.streaming.loudness.integrated, -14);
+        assert.strictEqual(BUILTIN_MASTERING_PRESETS.podcast.loudness.integrated, -16);
+        assert.strictEqual(BUILTIN_MASTERING_PRESETS.podcast.mono, true);
+        assert.strictEqual(BUILTIN_MASTERING_PRESETS.club.loudness.integrated, -9);
+        assert(BUILTIN_MASTERING_PRESETS.gentle);
+        console.log('  ✅ streaming, podcast, club and gentle ship and validate');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Default Chain Unchanged
+    console.log('\n📝 Testing Default Chain...');
+    try {
+        const { id, preset } = resolveMasteringPreset(mergeWithDefaults({}));
+        assert.strictEqual(id, 'balanced');
+        assert.strictEqual(buildMasteringFilters(preset).join(','), LEGACY_CHAIN);
+        console.log('  ✅ Default preset reproduces the original mastering chain');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: User Presets
+    console.log('\n📝 Testing User Presets...');
+    try {
+        const settings = mergeWithDefaults({
+            processing: { masteringPreset: 'tape', masteringPresets: { tape: customPreset } }
+        });
+        assert.deepStrictEqual(validateSettings(settings), []);
+
+        const { id, preset } = resolveMasteringPreset(settings);
+        assert.strictEqual(id, 'tape');
+        const filters = buildMasteringFilters(preset);
+        assert.deepStrictEqual(filters, [
+            'equalizer=f=80:t=q:w=0.7:g=2',
+            'acompressor=threshold=-20dB:ratio=2:attack=30:release=300:makeup=1.5',
+            'loudnorm=I=-15:TP=-1:LRA=12',
+            'alimiter=limit=0.97'
+        ], 'null limiter is left out, safety limiter stays');
+
+        const podcast = BUILTIN_MASTERING_PRESETS.podcast;
+        const stereo = buildMasteringFilters(podcast, { layout: { channels: 2, channelLayout: 'stereo' } });
+        assert.strictEqual(stereo[0], 'pan=stereo|c0=0.5*c0+0.5*c1|c1=0.5*c0+0.5*c1', 'Mono-safe preset folds first');
+
+        // A mono source has no second channel: copy it to both sides
+        const mono = buildMasteringFilters(podcast, { layout: { channels: 1, channelLayout: 'mono' } });
+        assert.strictEqual(mono[0], 'pan=stereo|c0=1*c0|c1=1*c0');
+
+        // 5.1 keeps centre and surrounds (-3 dB) and drops the LFE
+        const [surround] = buildLoudnessMeasurementFilters(podcast, { layout: { channels: 6, channelLayout: '5.1' } });
+        const [left] = surround.split('|').slice(1);
+        assert.strictEqual(surround.split('|')[2].slice(3), left.slice(3), 'Same fold on both sides');
+        for (const channel of ['c0', 'c1', 'c2', 'c4', 'c5']) {
+            assert(left.includes(`*${channel}`), `5.1 channel ${channel} is in the fold`);
+        }
+        assert(!left.includes('*c3'), 'LFE is dropped');
+        const gains = left.slice(3).split('+').map(term => parseFloat(term));
+        assert(Math.abs(gains[0] + gains[1] + gains[2] + gains[3] + gains[4] - 1) < 0.001, 'Fold cannot clip');
+
+        // Unknown layout: FFmpeg downmixes to mono first
+        assert.strictEqual(buildMasteringFilters(podcast)[0], 'aformat=channel_layouts=mono,pan=stereo|c0=c0|c1=c0');
+        console.log('  ✅ Custom presets validate, resolve and build their own chain');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 4: Validation Errors
+    console.log('\n📝 Testing Preset Validation...');
+    try {
+        const broken = {
+            ...customPreset,
+            eq: [{ frequency: 5, width: 1, gain: 0 }],
+            compressor: { ...customPreset.compressor, ratio: 'hard' },
+            loudness: { integrated: -1, truePeak: -1, range: 12 }
+        };
+        const errors = validateSettings(mergeWithDefaults({
+            processing: { masteringPresets: { broken } }
+        }));
+        assert(errors.some(e => e.includes('processing.masteringPresets.broken.eq[0].frequency')), 'EQ range checked');
+        assert(errors.some(e => e.includes('processing.masteringPresets.broken.compressor.ratio')), 'Types checked');
+        assert(errors.some(e => e.includes('processing.masteringPresets.broken.loudness.integrated')), 'Loudness range checked');
+
+        const unknown = validateSettings(mergeWithDefaults({ processing: { masteringPreset: 'missing' } }));
+        assert(unknown.some(e => e.includes('processing.masteringPreset')), 'Unknown preset id rejected');
+        console.log('  ✅ Out-of-range and mistyped preset values are reported by path');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 5: Two-Pass Loudness Normalization
+    console.log('\n📝 Testing Two-Pass Loudnorm...');
+    try {
+        const preset = BUILTIN_MASTERING_PRESETS.balanced;
+        const measurement = buildLoudnessMeasurementFilters(preset);
+        assert.strictEqual(measurement.length, 7, 'EQ, compressor and limiter are measured, safety limiter is not');
+        assert.strictEqual(measurement[6], 'loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json');
+
+        const stats = parseLoudnormStats(LOUDNORM_STDERR);
+        assert.deepStrictEqual(stats.input, { integrated: -23.41, truePeak: -4.02, range: 9.3, threshold: -33.78 });
+        assert.strictEqual(stats.output.integrated, -16.02);
+        assert.strictEqual(stats.normalization, 'linear');
+        assert.strictEqual(stats.offset, 0.02);
+
+        const filters = buildMasteringFilters(preset, { measured: stats });
+        assert.strictEqual(filters[6],
+            'loudnorm=I=-16:TP=-1.5:LRA=11:measured_I=-23.41:measured_TP=-4.02:measured_LRA=9.3' +
+            ':measured_thresh=-33.78:offset=0.02:linear=true:print_format=json');
+        assert.strictEqual(filters[7], 'alimiter=limit=0.97', 'Safety limiter still closes the chain');
+
+        assert.strictEqual(buildMasteringFilters(preset, { printStats: true })[6],
+            'loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json', 'Single-pass fallback still reports');
+        assert.strictEqual(parseLoudnormStats('Conversion failed!'), null);
+        assert.strictEqual(parseLoudnormStats(LOUDNORM_STDERR.replace('"-23.41"', '"-inf"')).input.integrated, -Infinity);
+        console.log('  ✅ Measured stats feed a linear second pass');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Mastering presets are ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Media Probe Tests
+ * @description Tests for ffprobe JSON parsing and shell-free probing of awkward file names
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const binaries = require('../src/binary-resolver');
+const MediaProbe = require('../src/media-probe');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n🔬 HEXBLOOP MEDIA PROBE TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+// ffprobe -show_format -show_streams output, trimmed to the fields that matter
+const WAV_24 = {
+    streams: [{
+        index: 0, codec_name: 'pcm_s24le', codec_type: 'audio', sample_fmt: 's32', sample_rate: '96000',
+        channels: 2, channel_layout: 'stereo', bits_per_sample: 24, bits_per_raw_sample: '24',
+        duration: '187.500000', bit_rate: '4608000'
+    }],
+    format: { format_name: 'wav', duration: '187.500000', size: '108000044', bit_rate: '4608001' }
+};
+
+const MP3_TAGGED = {
+    streams: [
+        {
+            index: 0, codec_name: 'mp3', codec_type: 'audio', sample_fmt: 'fltp', sample_rate: '44100',
+            channels: 2, channel_layout: 'stereo', bits_per_sample: 0, duration: '215.431837', bit_rate: '320000'
+        },
+        {
+            index: 1, codec_name: 'png', codec_type: 'video', disposition: { attached_pic: 1 },
+            tags: { comment: 'Cover (front)' }
+        }
+    ],
+    format: {
+        format_name: 'mp3', duration: '215.431837', size: '8626210', bit_rate: '320335',
+        tags: { title: 'Night Drive', ARTIST: 'Vesper', TBPM: '128', TKEY: 'Am' }
+    }
+};
+
+const FLAC_24 = {
+    streams: [{
+        index: 0, codec_name: 'flac', codec_type: 'audio', sample_fmt: 's32', sample_rate: '48000',
+        channels: 1, channel_layout: 'mono', bits_per_sample: 0, bits_per_raw_sample: '24',
+        tags: { TITLE: 'Field Recording' }
+    }],
+    format: { format_name: 'flac', duration: 'N/A', size: '2200000' }
+};
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+async function runTests() {
+    // Test 1: PCM
+    console.log('\n📝 Testing Uncompressed Audio...');
+    try {
+        const info = MediaProbe.parse(WAV_24);
+        assert.strictEqual(info.format, 'wav');
+        assert.strictEqual(info.duration, 187.5);
+        assert.strictEqual(info.size, 108000044);
+        assert.deepStrictEqual(info.audio, {
+            codec: 'pcm_s24le',
+            sampleRate: 96000,
+            channels: 2,
+            channelLayout: 'stereo',
+            bitDepth: 24,
+            sampleFormat: 's32',
+            bitRate: 4608000
+        });
+        assert.strictEqual(info.hasArtwork, false);
+        assert.strictEqual(info.encrypted, false);
+        assert.deepStrictEqual(info.tags, {});
+        console.log('  ✅ 24-bit/96 kHz WAV described correctly');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Lossy, Tags, Artwork
+    console.log('\n📝 Testing Tags, Artwork And Lossy Codecs...');
+    try {
+        const mp3 = MediaProbe.parse(MP3_TAGGED);
+        assert.strictEqual(mp3.audio.codec, 'mp3');
+        assert.strictEqual(mp3.audio.bitDepth, null, 'Lossy audio has no bit depth');
+        assert.strictEqual(mp3.hasArtwork, true);
+        assert.deepStrictEqual(mp3.tags, { title: 'Night Drive', artist: 'Vesper', tbpm: '128', tkey: 'Am' });
+
+        const flac = MediaProbe.parse(FLAC_24);
+        assert.strictEqual(flac.audio.bitDepth, 24, 'FLAC depth from bits_per_raw_sample, not the s32 decoder format');
+        assert.strictEqual(flac.duration, null, 'N/A duration');
+        assert.strictEqual(flac.tags.title, 'Field Recording', 'Stream tags are included');
+
+        const noAudio = MediaProbe.parse({ streams: [{ codec_type: 'video' }], format: {} });
+        assert.strictEqual(noAudio.audio, null);
+        assert.strictEqual(noAudio.encrypted, false);
+
+        const protectedAac = MediaProbe.parse({ streams: [{ codec_type: 'audio', codec_name: 'aac', codec_tag_string: 'drms' }], format: {} });
+        assert.strictEqual(protectedAac.encrypted, true, 'FairPlay sample entry');
+        console.log('  ✅ Tags lower-cased, cover art seen, lossy depth left unknown');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Awkward File Names
+    console.log('\n📝 Testing File Names Without A Shell...');
+    if (process.platform === 'win32') {
+        console.log('  ⏭️  Skipped (fake ffprobe is a shell script)');
+        testResults.skipped++;
+    } else {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hexbloop-probe-test-'));
+        const originalPath = binaries.ffprobe.path;
+        try {
+            // Stand-in ffprobe that reports the file name it was given as a tag
+            const fakeProbe = path.join(tempDir, 'ffprobe');
+            fs.writeFileSync(fakeProbe, `#!${process.execPath}
+const file = process.argv[process.argv.indexOf('-i') + 1];
+if (file.includes('missing')) { console.error(file + ': No such file or directory'); process.exit(1); }
+console.log(JSON.stringify({ streams: [], format: { format_name: 'wav', duration: '1.5', tags: { file } } }));
+`, { mode: 0o755 });
+            binaries.ffprobe.path = fakeProbe;
+
+            const awkward = path.join(tempDir, `Tom's "best" $HOME \`mix\` & more.wav`);
+            const info = await MediaProbe.probe(awkward);
+            assert.strictEqual(info.tags.file, awkward, 'File name reaches ffprobe unchanged');
+            assert.strictEqual(info.duration, 1.5);
+
+            await assert.rejects(MediaProbe.probe(path.join(tempDir, 'missing.wav')), /No such file or directory/);
+
+            const controller = new AbortController();
+            controller.abort(new Error('cancelled'));
+            await assert.rejects(MediaProbe.probe(awkward, { signal: controller.signal }), /cancelled/);
+            console.log('  ✅ Quotes, $ and backticks pass through; errors and aborts reject');
+            testResults.passed++;
+        } catch (error) {
+            console.log(`  ❌ Error: ${error.message}`);
+            testResults.failed++;
+        } finally {
+            binaries.ffprobe.path = originalPath;
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Media probing is ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Output Format Tests
+ * @description Tests for output sample rate, bit depth and the final resample/dither filter
+ */
+
+const assert = require('assert');
+const {
+    resolveOutput,
+    resolveOutputFormat,
+    resolveOutputSampleRate,
+    resolveBitDepth,
+    buildOutputFilter,
+    describeOutput
+} = require('../src/shared/output-format');
+const { DEFAULT_SETTINGS, validateSettings } = require('../src/shared/settings-schema');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n🎚️  HEXBLOOP OUTPUT FORMAT TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+function settingsWith(output) {
+    return { ...DEFAULT_SETTINGS, output: { ...DEFAULT_SETTINGS.output, ...output } };
+}
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+// Test 1: Sample Rate
+console.log('\n📝 Testing Output Sample Rate...');
+try {
+    assert.strictEqual(resolveOutputSampleRate('wav', 96000, 0), 96000, 'Preserve keeps 96 kHz');
+    assert.strictEqual(resolveOutputSampleRate('flac', 192000, 0), 192000);
+    assert.strictEqual(resolveOutputSampleRate('wav', 96000, 44100), 44100, 'Configured rate wins');
+    assert.strictEqual(resolveOutputSampleRate('wav', null, 0), 44100, 'Unknown source falls back to 44.1 kHz');
+
+    // MP3 tops out at 48 kHz, AAC at 96 kHz; stay in the source's rate family
+    assert.strictEqual(resolveOutputSampleRate('mp3', 96000, 0), 48000);
+    assert.strictEqual(resolveOutputSampleRate('mp3', 88200, 0), 44100);
+    assert.strictEqual(resolveOutputSampleRate('mp3', 48000, 0), 48000);
+    assert.strictEqual(resolveOutputSampleRate('mp3', 22050, 0), 22050);
+    assert.strictEqual(resolveOutputSampleRate('aac', 192000, 0), 96000);
+    assert.strictEqual(resolveOutputSampleRate('aac', 176400, 0), 88200);
+    assert.strictEqual(resolveOutputSampleRate('ogg', 96000, 0), 96000);
+    console.log('  ✅ Source rate preserved within each encoder\'s limits');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Test 2: Bit Depth
+console.log('\n📝 Testing Output Bit Depth...');
+try {
+    assert.strictEqual(resolveBitDepth('wav', '24'), '24');
+    assert.strictEqual(resolveBitDepth('wav', '32f'), '32f');
+    assert.strictEqual(resolveBitDepth('wav', undefined), '16', 'Default is 16-bit');
+    assert.strictEqual(resolveBitDepth('flac', '32f'), '24', 'FLAC has no float samples');
+    assert.strictEqual(resolveBitDepth('mp3', '24'), null, 'Lossy formats have no bit depth');
+    assert.strictEqual(resolveOutputFormat(settingsWith({ format: 'original' }), '/music/take.AIF'), 'aiff');
+    assert.strictEqual(resolveOutputFormat(settingsWith({ format: 'original' }), '/music/take.m4a'), 'aac');
+
+    const wav24 = resolveOutput(settingsWith({ format: 'wav', bitDepth: '24' }), '/music/take.wav',
+        { sampleRate: 96000, channels: 2, channelLayout: 'stereo' });
+    assert.deepStrictEqual(wav24, {
+        format: 'wav',
+        sampleRate: 96000,
+        bitDepth: '24',
+        codec: 'pcm_s24le',
+        channels: 2,
+        channelPolicy: 'preserve',
+        filter: 'aresample=osr=96000:osf=s32:dither_method=triangular_hp:dither_scale=256'
+    });
+    assert.strictEqual(describeOutput(wav24), '24-bit / 96 kHz / stereo');
+
+    const aiffFloat = resolveOutput(settingsWith({ format: 'original', bitDepth: '32f' }), '/music/take.aiff', { sampleRate: 48000 });
+    assert.strictEqual(aiffFloat.codec, 'pcm_f32be');
+    assert.strictEqual(aiffFloat.filter, 'aresample=osr=48000:osf=flt', 'Float output is never dithered');
+    console.log('  ✅ 16/24/32f map to codecs, FLAC and lossy formats handled');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Test 3: Final Filter And Settings
+console.log('\n📝 Testing Final Quantisation...');
+try {
+    assert.strictEqual(buildOutputFilter({ sampleRate: 44100, bitDepth: '16' }),
+        'aresample=osr=44100:osf=s16:dither_method=triangular_hp:dither_scale=1');
+    assert.strictEqual(buildOutputFilter({ sampleRate: 48000, bitDepth: null }), 'aresample=osr=48000',
+        'Lossy encoders take float, no dither');
+
+    const mp3 = resolveOutput(DEFAULT_SETTINGS, '/music/take.wav', { sampleRate: 96000 });
+    assert.strictEqual(mp3.codec, null);
+    assert.strictEqual(describeOutput(mp3), 'MP3 / 48 kHz');
+    assert.strictEqual(resolveOutput(DEFAULT_SETTINGS, '/music/take.wav', null).sampleRate, 44100, 'Unknown source');
+
+    assert.deepStrictEqual(validateSettings(DEFAULT_SETTINGS), [], 'Defaults are valid');
+    const invalid = validateSettings(settingsWith({ bitDepth: '20' }));
+    assert(invalid.some(error => error.includes('output.bitDepth')), 'Unknown bit depths are rejected');
+    console.log('  ✅ One aresample sets rate, format and dither; settings validate');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Results Summary
+console.log('\n' + '='.repeat(60));
+console.log('\n📊 TEST RESULTS:');
+console.log(`   ✅ Passed:  ${testResults.passed}`);
+console.log(`   ❌ Failed:  ${testResults.failed}`);
+console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+if (testResults.failed === 0) {
+    console.log('\n🎉 All tests passed! Output formats are ready.\n');
+    process.exit(0);
+} else {
+    console.log('\n⚠️  Some tests failed. Review the output above.\n');
+    process.exit(1);
+}
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Pre-flight Tests
+ * @description Tests for probing a batch up front and reporting files that can't be processed
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Preflight = require('../src/batch/preflight');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n🔎 HEXBLOOP PRE-FLIGHT TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hexbloop-preflight-test-'));
+
+function audioInfo(overrides = {}) {
+    return {
+        format: 'wav',
+        duration: 180,
+        size: 1000,
+        bitRate: 1411200,
+        audio: { codec: 'pcm_s16le', sampleRate: 44100, channels: 2, channelLayout: 'stereo', bitDepth: 16, sampleFormat: 's16', bitRate: 1411200 },
+        hasArtwork: false,
+        encrypted: false,
+        tags: {},
+        ...overrides
+    };
+}
+
+function makeFile(name, bytes = 1000) {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, Buffer.alloc(bytes, 1));
+    return filePath;
+}
+
+// Stand-in for MediaProbe.probe, answering by file name
+const PROBE_RESULTS = {
+    'good.wav': audioInfo(),
+    'also-good.flac': audioInfo({ format: 'flac' }),
+    'video-only.m4a': audioInfo({ audio: null }),
+    'store.m4a': audioInfo({ format: 'mov,mp4,m4a,3gp,3g2,mj2', encrypted: true }),
+    'silent.wav': audioInfo({ duration: 0 }),
+    'weird.wav': audioInfo({ audio: { ...audioInfo().audio, codec: 'adpcm_xyz', sampleRate: null } })
+};
+
+async function fakeProbe(filePath) {
+    const name = path.basename(filePath);
+    if (!PROBE_RESULTS[name]) {
+        throw new Error(`ffprobe failed for ${filePath}: ${filePath}: Invalid data found when processing input`);
+    }
+    return PROBE_RESULTS[name];
+}
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+async function runTests() {
+    // Test 1: Problem Detection
+    console.log('\n📝 Testing Problem Detection...');
+    try {
+        const paths = {
+            good: makeFile('good.wav'),
+            missing: path.join(tempDir, 'missing.wav'),
+            empty: makeFile('empty.wav', 0),
+            corrupt: makeFile('corrupt.mp3'),
+            videoOnly: makeFile('video-only.m4a'),
+            drm: makeFile('store.m4a'),
+            silent: makeFile('silent.wav'),
+            weird: makeFile('weird.wav'),
+            unsupported: makeFile('notes.txt'),
+            alsoGood: makeFile('also-good.flac')
+        };
+        const result = await Preflight.check(Object.values(paths), { probe: fakeProbe });
+
+        assert.deepStrictEqual(result.ready, [paths.good, paths.alsoGood], 'Only good files, in batch order');
+        const reasons = Object.fromEntries(result.problems.map(file => [file.fileName, file.problem]));
+        assert.match(reasons['missing.wav'], /not found/);
+        assert.strictEqual(reasons['empty.wav'], 'Empty file (0 bytes)');
+        assert.strictEqual(reasons['corrupt.mp3'], 'Unreadable or corrupt file (Invalid data found when processing input)');
+        assert.strictEqual(reasons['video-only.m4a'], 'No audio stream');
+        assert.strictEqual(reasons['store.m4a'], 'DRM protected');
+        assert.strictEqual(reasons['silent.wav'], 'Zero-length audio');
+        assert.strictEqual(reasons['weird.wav'], 'Unsupported audio stream (adpcm_xyz)');
+        assert.match(reasons['notes.txt'], /Unsupported audio format/);
+        assert.strictEqual(result.files.length, 10);
+        assert.strictEqual(result.files[0].info.audio.sampleRate, 44100, 'Probe results are passed on');
+        console.log('  ✅ Missing, empty, corrupt, DRM and silent files reported; good files kept in order');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Progress And Cancellation
+    console.log('\n📝 Testing Progress And Cancellation...');
+    try {
+        const files = [makeFile('good.wav'), makeFile('also-good.flac')];
+        const progress = [];
+        const result = await Preflight.check(files, { probe: fakeProbe, onProgress: (event) => progress.push(event) });
+        assert.strictEqual(result.problems.length, 0);
+        assert.deepStrictEqual(progress, [
+            { checked: 1, total: 2, fileName: 'good.wav' },
+            { checked: 2, total: 2, fileName: 'also-good.flac' }
+        ]);
+
+        const controller = new AbortController();
+        const stopAfterFirst = async (filePath) => {
+            controller.abort(new Error('cancelled'));
+            return fakeProbe(filePath);
+        };
+        await assert.rejects(Preflight.check(files, { probe: stopAfterFirst, signal: controller.signal }), /cancelled/);
+        console.log('  ✅ Progress per file, abort stops the check');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    fs.rmSync(tempDir, { recursive: true, force: true });
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Pre-flight checks are ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview A/B Preview Tests
+ * @description Tests for the excerpt window, level matching and preview settings
+ */
+
+const assert = require('assert');
+const {
+    PREVIEW_SECONDS,
+    findLoudestWindow,
+    matchLevels,
+    previewSettings
+} = require('../src/shared/preview-plan');
+const { DEFAULT_SETTINGS, validateSettings } = require('../src/shared/settings-schema');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n🎧 HEXBLOOP A/B PREVIEW TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+// Three minutes: quiet verse, a loud chorus from 100 s to 140 s, a single spike at 20 s
+function songFeatures() {
+    const db = Array.from({ length: 360 }, (_, i) => {
+        const seconds = i * 0.5;
+        if (seconds === 20) return -3;
+        return seconds >= 100 && seconds < 140 ? -10 : -24;
+    });
+    return {
+        duration: 180,
+        waveform: Array.from({ length: 360 }, (_, i) => (i >= 200 && i < 280 ? 0.8 : 0.2)),
+        structure: { duration: 180, energy: { interval: 0.5, db } }
+    };
+}
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+// Test 1: Loudest Window
+console.log('\n📝 Testing Loudest Window...');
+try {
+    const window = findLoudestWindow(songFeatures());
+    assert.strictEqual(window.source, 'energy');
+    assert.strictEqual(window.duration, PREVIEW_SECONDS);
+    assert(window.start >= 100 && window.start + window.duration <= 140, `Window inside the chorus (${window.start})`);
+
+    // Without a structure result the waveform envelope is used
+    const { structure, ...noStructure } = songFeatures();
+    const fromWaveform = findLoudestWindow(noStructure);
+    assert.strictEqual(fromWaveform.source, 'waveform');
+    assert(fromWaveform.start >= 100 && fromWaveform.start <= 110, `Waveform window inside the chorus (${fromWaveform.start})`);
+
+    // Loudest at the very end: the window stays inside the file
+    const late = songFeatures();
+    late.structure.energy.db = late.structure.energy.db.map((_, i) => (i > 340 ? -6 : -30));
+    const tail = findLoudestWindow(late);
+    assert.strictEqual(tail.start + tail.duration, 180, 'Clamped to the end of the file');
+    console.log('  ✅ Sustained loud section wins over a single spike');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Test 2: Short Files And Missing Analysis
+console.log('\n📝 Testing Fallbacks...');
+try {
+    assert.deepStrictEqual(findLoudestWindow({ duration: 12.345 }), { start: 0, duration: 12.35, source: 'whole' }, 'Short files are previewed whole');
+    assert.deepStrictEqual(findLoudestWindow({ duration: 100, waveform: [] }), { start: 35, duration: 30, source: 'middle' });
+
+    // Digital silence everywhere: no loudest part, so the middle
+    const silent = { duration: 100, structure: { energy: { interval: 0.5, db: new Array(200).fill(-Infinity) } } };
+    assert.strictEqual(findLoudestWindow(silent).source, 'middle');
+    assert.deepStrictEqual(findLoudestWindow(null), { start: 0, duration: 30, source: 'middle' });
+    assert.strictEqual(findLoudestWindow(songFeatures(), 10).duration, 10, 'Custom excerpt length');
+    console.log('  ✅ Whole file when short, the middle without analysis');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Test 3: Level Matching
+console.log('\n📝 Testing Level Matching...');
+try {
+    // Mastering made the excerpt 6 dB louder: the processed side is turned down
+    const louder = matchLevels(-20, -14);
+    assert.deepStrictEqual(louder, { original: 1, processed: 0.5012, difference: 6, matched: true });
+
+    const quieter = matchLevels(-9, -12.5);
+    assert.strictEqual(quieter.processed, 1, 'Nothing is turned up');
+    assert.strictEqual(quieter.difference, -3.5);
+    assert(Math.abs(20 * Math.log10(quieter.original) + 3.5) < 0.01, 'Original turned down by the difference');
+
+    assert.deepStrictEqual(matchLevels(-14, -14), { original: 1, processed: 1, difference: 0, matched: true });
+    assert.deepStrictEqual(matchLevels(null, -14), { original: 1, processed: 1, difference: null, matched: false });
+    assert.strictEqual(matchLevels(-Infinity, -14).matched, false, 'Silent excerpts are not matched');
+    console.log('  ✅ Louder side attenuated to the quieter one');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Test 4: Preview Settings
+console.log('\n📝 Testing Preview Settings...');
+try {
+    const settings = {
+        ...DEFAULT_SETTINGS,
+        processing: { ...DEFAULT_SETTINGS.processing, trimming: true },
+        output: { ...DEFAULT_SETTINGS.output, format: 'flac' }
+    };
+    const preview = previewSettings(settings, '/music/song.wav');
+    assert.strictEqual(preview.processing.trimming, false, 'Excerpts are not trimmed');
+    assert.strictEqual(preview.processing.coverArt, false);
+    assert.strictEqual(preview.processing.effectsChain, settings.processing.effectsChain, 'Same chain as the batch');
+    assert.strictEqual(preview.output.format, 'flac');
+    assert.strictEqual(settings.processing.trimming, true, 'The settings passed in are left alone');
+
+    const aiff = { ...DEFAULT_SETTINGS, output: { ...DEFAULT_SETTINGS.output, format: 'original' } };
+    assert.strictEqual(previewSettings(aiff, '/music/song.aiff').output.format, 'wav', 'AIFF is previewed as WAV');
+    assert.strictEqual(previewSettings(aiff, '/music/song.mp3').output.format, 'mp3', 'Original format when it plays');
+
+    assert.strictEqual(DEFAULT_SETTINGS.ui.previewBeforeBatch, false, 'Off unless asked for');
+    assert.deepStrictEqual(validateSettings(DEFAULT_SETTINGS), [], 'Defaults are valid');
+    console.log('  ✅ Batch settings without trim and artwork, in a playable format');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Results Summary
+console.log('\n' + '='.repeat(60));
+console.log('\n📊 TEST RESULTS:');
+console.log(`   ✅ Passed:  ${testResults.passed}`);
+console.log(`   ❌ Failed:  ${testResults.failed}`);
+console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+if (testResults.failed === 0) {
+    console.log('\n🎉 All tests passed! The A/B preview is ready.\n');
+    process.exit(0);
+} else {
+    console.log('\n⚠️  Some tests failed. Review the output above.\n');
+    process.exit(1);
+}
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Silence Trimmer Tests
+ * @description Tests for silencedetect parsing, the trim window and the fade filters
+ */
+
+const assert = require('assert');
+const SilenceTrimmer = require('../src/silence-trimmer');
+const { FADE_CURVES } = require('../src/silence-trimmer');
+const { DEFAULT_SETTINGS, validateSettings, getProcessingConfig } = require('../src/shared/settings-schema');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n✂️  HEXBLOOP SILENCE TRIMMER TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+// A DAW bounce: 2.5 s of silence, a gap in the middle, 4 s of tail
+const BOUNCE_LOG = [
+    "Input #0, wav, from 'demo.wav':",
+    '  Duration: 00:00:30.00, bitrate: 1411 kb/s',
+    '  Stream #0:0: Audio: pcm_s16le ([1][0][0][0] / 0x0001), 44100 Hz, stereo, s16, 1411 kb/s',
+    '[silencedetect @ 0x7f9] silence_start: 0',
+    '[silencedetect @ 0x7f9] silence_end: 2.5 | silence_duration: 2.5',
+    '[silencedetect @ 0x7f9] silence_start: 12.1',
+    '[silencedetect @ 0x7f9] silence_end: 12.6 | silence_duration: 0.5',
+    'size=N/A time=00:00:20.00 bitrate=N/A speed= 400x\r[silencedetect @ 0x7f9] silence_start: 26',
+    '[silencedetect @ 0x7f9] silence_end: 30 | silence_duration: 4',
+    'size=N/A time=00:00:30.00 bitrate=N/A speed= 401x'
+].join('\n');
+
+const TRIM = { ...DEFAULT_SETTINGS.trim };
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+// Test 1: Parsing
+console.log('\n📝 Testing silencedetect Parsing...');
+try {
+    const detection = SilenceTrimmer.parse(BOUNCE_LOG);
+    assert.strictEqual(detection.duration, 30);
+    assert.deepStrictEqual(detection.silences, [
+        { start: 0, end: 2.5 },
+        { start: 12.1, end: 12.6 },
+        { start: 26, end: 30 }
+    ], 'Lines after a carriage-return progress update are still read');
+
+    // Older FFmpeg leaves a silence running to the end without silence_end
+    const open = SilenceTrimmer.parse('  Duration: 00:01:00.50, start: 0\nsilence_start: 55.2');
+    assert.deepStrictEqual(open, { duration: 60.5, silences: [{ start: 55.2, end: null }] });
+
+    const progress = [];
+    const parser = SilenceTrimmer.createParser(percent => progress.push(percent));
+    BOUNCE_LOG.split(/\n|\r/).forEach(line => parser.push(line));
+    assert.deepStrictEqual(progress.map(Math.round), [67, 100], 'Decode progress from time=');
+    console.log('  ✅ Duration, silent regions and progress read from the log');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Test 2: Trim Window
+console.log('\n📝 Testing Trim Window...');
+try {
+    const detection = SilenceTrimmer.parse(BOUNCE_LOG);
+    const plan = SilenceTrimmer.plan(detection, TRIM);
+    assert.strictEqual(plan.applied, true);
+    assert.strictEqual(plan.start, 2.25, 'Padding kept before the first sound');
+    assert.strictEqual(plan.end, 26.25, 'Padding kept after the last sound');
+    assert.strictEqual(plan.fadeIn, 0);
+
+    const unpadded = SilenceTrimmer.plan(detection, { ...TRIM, padding: 0 });
+    assert.deepStrictEqual([unpadded.start, unpadded.end], [2.5, 26], 'Gaps inside the track are left alone');
+
+    const wide = SilenceTrimmer.plan(detection, { ...TRIM, padding: 10000 });
+    assert.deepStrictEqual([wide.start, wide.end, wide.applied], [0, 30, false], 'Padding never reaches past the file');
+
+    const tight = SilenceTrimmer.plan({ duration: 10, silences: [{ start: 4, end: 5 }] }, TRIM);
+    assert.strictEqual(tight.applied, false, 'No leading or trailing silence, no render');
+
+    const silent = SilenceTrimmer.plan({ duration: 10, silences: [{ start: 0, end: null }] }, TRIM);
+    assert.deepStrictEqual([silent.applied, silent.silent], [false, true], 'An all-silent file is left as it is');
+
+    const tail = SilenceTrimmer.plan(SilenceTrimmer.parse('  Duration: 00:01:00.50, start: 0\nsilence_start: 55.2'), { ...TRIM, padding: 0 });
+    assert.deepStrictEqual([tail.start, tail.end], [0, 55.2], 'Unterminated trailing silence is trimmed');
+    console.log('  ✅ Sound window found, padded and clamped to the file');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Test 3: Fades
+console.log('\n📝 Testing Fades...');
+try {
+    const detection = SilenceTrimmer.parse(BOUNCE_LOG);
+    const options = { ...TRIM, fadeIn: 500, fadeOut: 2000, fadeInCurve: 'linear', fadeOutCurve: 's-curve' };
+    const plan = SilenceTrimmer.plan(detection, options);
+    assert.deepStrictEqual(SilenceTrimmer.buildFilters(plan, options), [
+        'atrim=start=2.25:end=26.25',
+        'asetpts=PTS-STARTPTS',
+        'afade=t=in:st=0:d=0.5:curve=tri',
+        'afade=t=out:st=22:d=2:curve=esin'
+    ]);
+
+    // Fades alone still need a render, with the whole file kept
+    const fadeOnly = SilenceTrimmer.plan({ duration: 10, silences: [] }, { ...TRIM, fadeOut: 1000 });
+    assert.deepStrictEqual([fadeOnly.applied, fadeOnly.start, fadeOnly.end, fadeOnly.fadeOut], [true, 0, 10, 1]);
+
+    const short = SilenceTrimmer.plan({ duration: 1, silences: [] }, { ...TRIM, fadeIn: 5000, fadeOut: 5000 });
+    assert.deepStrictEqual([short.fadeIn, short.fadeOut], [0.5, 0.5], 'Fades never overlap');
+
+    assert.strictEqual(SilenceTrimmer.buildFilters(fadeOnly, { fadeOutCurve: 'bogus' })[2], 'afade=t=out:st=9:d=1:curve=qsin',
+        'Unknown curves fall back to sine');
+    assert.deepStrictEqual(Object.keys(FADE_CURVES), ['linear', 'exponential', 'logarithmic', 'sine', 's-curve']);
+    console.log('  ✅ Fade in/out with the chosen curves, clamped to the trimmed length');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Test 4: Settings
+console.log('\n📝 Testing Settings...');
+try {
+    assert.strictEqual(DEFAULT_SETTINGS.processing.trimming, false, 'Off unless asked for');
+    assert.deepStrictEqual(validateSettings(DEFAULT_SETTINGS), [], 'Defaults are valid');
+    const invalid = validateSettings({ ...DEFAULT_SETTINGS, trim: { ...TRIM, fadeInCurve: 'cubic' } });
+    assert(invalid.some(error => error.includes('trim.fadeInCurve')), 'Unknown curves are rejected');
+
+    assert.strictEqual(getProcessingConfig(DEFAULT_SETTINGS).trim, null);
+    const config = getProcessingConfig({ ...DEFAULT_SETTINGS, processing: { ...DEFAULT_SETTINGS.processing, trimming: true } });
+    assert.strictEqual(config.stages.trimming, true);
+    assert.deepStrictEqual(config.trim, TRIM);
+    console.log('  ✅ Trim stage and options reach the pipeline config');
+    testResults.passed++;
+} catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    testResults.failed++;
+}
+
+// Results Summary
+console.log('\n' + '='.repeat(60));
+console.log('\n📊 TEST RESULTS:');
+console.log(`   ✅ Passed:  ${testResults.passed}`);
+console.log(`   ❌ Failed:  ${testResults.failed}`);
+console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+if (testResults.failed === 0) {
+    console.log('\n🎉 All tests passed! Silence trimming is ready.\n');
+    process.exit(0);
+} else {
+    console.log('\n⚠️  Some tests failed. Review the output above.\n');
+    process.exit(1);
+}
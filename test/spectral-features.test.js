@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Spectral Feature Tests
+ * @description Tests for FFT timbre features and how they steer mood and art style
+ */
+
+const assert = require('assert');
+const { analyzeSpectrum, createSpectralAnalyzer, PITCH_CLASSES } = require('../src/analysis/spectral');
+const AudioAnalyzer = require('../src/audio-analyzer');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n🌈 HEXBLOOP SPECTRAL FEATURE TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+const SAMPLE_RATE = 22050;
+
+const GENERATOR_STYLES = [
+    'neon-plasma', 'cosmic-flow', 'vapor-dream', 'cyber-matrix',
+    'sunset-liquid', 'electric-storm', 'crystal-prism', 'ocean-aurora'
+];
+
+function seededRandom(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        return seed / 4294967296 * 2 - 1;
+    };
+}
+
+function tone(frequency, seconds = 5, amplitude = 0.5) {
+    return Float32Array.from({ length: SAMPLE_RATE * seconds }, (_, i) =>
+        amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+}
+
+function noise(seconds = 5, amplitude = 0.5) {
+    const random = seededRandom(11);
+    return Float32Array.from({ length: SAMPLE_RATE * seconds }, () => amplitude * random());
+}
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+function runTests() {
+    // Test 1: Pure Tone
+    console.log('\n📝 Testing Pure Tone...');
+    try {
+        const features = analyzeSpectrum(tone(440), SAMPLE_RATE);
+        assert(Math.abs(features.centroid - 440) < 30, `Centroid ${features.centroid} Hz for a 440 Hz sine`);
+        assert.strictEqual(PITCH_CLASSES[features.chroma.indexOf(1)], 'A', 'A440 is pitch class A');
+        assert(features.flatness < 0.05, `Sine flatness ${features.flatness}`);
+        assert(features.bands.mid > 0.95, 'A440 sits in the mid band');
+        console.log('  ✅ Centroid, chroma, flatness and bands of A440');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Noise vs Bass
+    console.log('\n📝 Testing Noise And Bass...');
+    try {
+        const hiss = analyzeSpectrum(noise(), SAMPLE_RATE);
+        assert(hiss.flatness > 0.4, `White noise flatness ${hiss.flatness}`);
+        assert(hiss.brightness > 0.8, `White noise brightness ${hiss.brightness}`);
+        assert(hiss.rolloff > 8000, `White noise rolloff ${hiss.rolloff} Hz`);
+
+        const bass = analyzeSpectrum(tone(45), SAMPLE_RATE);
+        assert(bass.bands.sub > 0.9, `45 Hz tone sub share ${bass.bands.sub}`);
+        assert.strictEqual(bass.brightness, 0, 'Sub bass is as dark as it gets');
+        console.log('  ✅ Noise reads flat and bright, sub bass dark');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Streaming
+    console.log('\n📝 Testing Streaming And Silence...');
+    try {
+        const samples = tone(1000);
+        const analyzer = createSpectralAnalyzer(SAMPLE_RATE);
+        for (let offset = 0; offset < samples.length; offset += 3001) {
+            analyzer.push(samples.subarray(offset, offset + 3001));
+        }
+        assert.deepStrictEqual(analyzer.result(), analyzeSpectrum(samples, SAMPLE_RATE), 'Chunk size does not matter');
+        assert.strictEqual(analyzeSpectrum(new Float32Array(SAMPLE_RATE * 5), SAMPLE_RATE), null, 'Silence has no spectrum');
+        console.log('  ✅ Odd-sized chunks match one push, silence returns null');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 4: Mood And Style
+    console.log('\n📝 Testing Mood And Art Style...');
+    try {
+        const dark = { flatness: 0.05, brightness: 0.1, bands: { sub: 0.5, low: 0.4, mid: 0.1, high: 0 } };
+        const airy = { flatness: 0.1, brightness: 0.8, bands: { sub: 0, low: 0.1, mid: 0.6, high: 0.3 } };
+        const harsh = { flatness: 0.5, brightness: 0.9, bands: { sub: 0, low: 0.1, mid: 0.5, high: 0.4 } };
+
+        assert.strictEqual(AudioAnalyzer.detectMood('track.wav', 200, 0.5, 120), 'neutral');
+        assert.strictEqual(AudioAnalyzer.detectMood('track.wav', 200, 0.5, 120, dark), 'dark');
+        assert.strictEqual(AudioAnalyzer.detectMood('track.wav', 200, 0.5, 120, airy), 'happy');
+        assert.strictEqual(AudioAnalyzer.detectMood('track.wav', 200, 0.5, 120, harsh), 'intense');
+        assert.strictEqual(AudioAnalyzer.detectMood('chill.wav', 200, 0.5, 120, harsh), 'calm', 'Filename hints still win');
+
+        for (const spectral of [null, dark, airy, harsh]) {
+            for (const roll of [0, 0.5, 0.999, 1]) {
+                const style = AudioAnalyzer.suggestArtStyle({ duration: 200, energy: 0.5, spectral }, 'track.wav', roll);
+                assert(GENERATOR_STYLES.includes(style), `${style} is a generator style`);
+            }
+        }
+        assert.strictEqual(
+            AudioAnalyzer.suggestArtStyle({ duration: 200, energy: 0.5, spectral: dark }, 'track.wav', 0.2),
+            AudioAnalyzer.suggestArtStyle({ duration: 200, energy: 0.5, spectral: dark }, 'track.wav', 0.2),
+            'Same roll, same style'
+        );
+        console.log('  ✅ Timbre decides neutral moods, styles are all renderable');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Spectral features are ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Stage Progress Tests
+ * @description Tests for stage plans, whole-file progress and sox/FFmpeg progress parsing
+ */
+
+const assert = require('assert');
+const {
+    STAGE_WEIGHTS,
+    planStages,
+    createStageTracker,
+    ffmpegProgressHandler,
+    parseSoxProgress
+} = require('../src/stage-progress');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n📈 HEXBLOOP STAGE PROGRESS TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+const ALL_STAGES = { trimming: true, compressing: true, mastering: true, coverArt: true };
+const NO_STAGES = { trimming: false, compressing: false, mastering: false, coverArt: false };
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+async function runTests() {
+    // Test 1: Stage Plans
+    console.log('\n📝 Testing Stage Plans...');
+    try {
+        assert.deepStrictEqual(planStages(ALL_STAGES),
+            ['listening', 'trimming', 'compressing', 'mastering', 'artwork', 'tagging', 'analyzing']);
+        assert.deepStrictEqual(planStages({ ...NO_STAGES, compressing: true }),
+            ['listening', 'compressing', 'converting', 'tagging', 'analyzing'], 'Effects without mastering are converted after');
+        assert.deepStrictEqual(planStages({ ...NO_STAGES, coverArt: true }),
+            ['listening', 'artwork', 'converting', 'tagging', 'analyzing'], 'Untouched input is converted just before tagging');
+
+        for (const stages of [ALL_STAGES, NO_STAGES]) {
+            for (const stage of planStages(stages)) {
+                assert(STAGE_WEIGHTS[stage] > 0, `${stage} has a weight`);
+            }
+        }
+        console.log('  ✅ Stages planned in pipeline order for each setting');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Whole-File Progress
+    console.log('\n📝 Testing Whole-File Progress...');
+    try {
+        const events = [];
+        const plan = planStages({ ...NO_STAGES, compressing: true, mastering: true });
+        const progress = createStageTracker(plan, event => events.push(event));
+        const total = plan.reduce((sum, stage) => sum + STAGE_WEIGHTS[stage], 0);
+
+        progress.complete('listening');
+        progress.stage('compressing')(50);
+        assert.deepStrictEqual(events[1], {
+            stage: 'compressing',
+            stagePercent: 50,
+            filePercent: Math.round((STAGE_WEIGHTS.listening + STAGE_WEIGHTS.compressing / 2) / total * 100)
+        });
+
+        progress.complete('compressing');
+        progress.stage('mastering')(0);
+        assert.strictEqual(events[3].filePercent,
+            Math.round((STAGE_WEIGHTS.listening + STAGE_WEIGHTS.compressing) / total * 100), 'Finished stages count in full');
+
+        // Stages outside the plan are ignored
+        progress.stage('artwork')(40);
+        assert.strictEqual(events.length, 4);
+
+        for (const stage of ['mastering', 'tagging', 'analyzing']) {
+            progress.complete(stage);
+        }
+        const last = events[events.length - 1];
+        assert.deepStrictEqual(last, { stage: 'analyzing', stagePercent: 100, filePercent: 100 });
+
+        const percents = events.map(event => event.filePercent);
+        assert.deepStrictEqual(percents, [...percents].sort((a, b) => a - b), 'File progress never goes backwards');
+
+        // No listener, no work
+        assert.doesNotThrow(() => createStageTracker(plan).stage('mastering')(10));
+        console.log('  ✅ Stage percentages weighted into one file percentage');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Sox And FFmpeg Progress
+    console.log('\n📝 Testing Sox And FFmpeg Progress...');
+    try {
+        assert.strictEqual(parseSoxProgress('In:42.10% 00:00:01.23 [00:00:01.70] Out:54.2k [ -====|====- ] Hd:0.0 Clip:0'), 42.1);
+        assert.strictEqual(parseSoxProgress('\rIn:10.00% 00:00:00.3\rIn:12.50% 00:00:00.4\rIn:99.9% 00:00:03'), 99.9,
+            'The latest redraw wins');
+        assert.strictEqual(parseSoxProgress('Input File     : \'take.wav\'\nChannels       : 2'), null, 'Header lines carry no progress');
+
+        const percents = [];
+        const handler = ffmpegProgressHandler(percent => percents.push(percent));
+        handler({ percent: 37.5 });
+        handler({ percent: 104.2 });
+        handler({ percent: -3 });
+        handler({ percent: undefined });
+        handler({ timemark: '00:00:01.00' });
+        assert.deepStrictEqual(percents, [37.5, 100, 0], 'Clamped to 0-100, unknown durations skipped');
+        assert.doesNotThrow(() => ffmpegProgressHandler()({ percent: 50 }));
+        console.log('  ✅ sox -S status lines and FFmpeg progress events read as stage percentages');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Stage progress is ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests().catch((error) => {
+    console.error('\n❌ Test runner error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Structure Analysis Tests
+ * @description Tests for the energy curve, section detection, silence regions and fades
+ */
+
+const assert = require('assert');
+const { analyzeStructure, createStructureAnalyzer, STRUCTURE_VERSION } = require('../src/analysis/structure');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n🏗️  HEXBLOOP STRUCTURE ANALYSIS TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+const SAMPLE_RATE = 22050;
+
+function seededRandom(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        return seed / 4294967296 * 2 - 1;
+    };
+}
+
+/**
+ * Join noise segments: [seconds, amplitude(t from 0 to 1), dark (low-passed)]
+ */
+function arrangement(segments) {
+    const random = seededRandom(9);
+    const parts = segments.map(([seconds, amplitude, dark = false]) => {
+        const part = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+        let lowPassed = 0;
+        for (let i = 0; i < part.length; i++) {
+            lowPassed += 0.1 * (random() - lowPassed);
+            part[i] = amplitude(i / part.length) * (dark ? lowPassed * 4 : random());
+        }
+        return part;
+    });
+    const samples = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        samples.set(part, offset);
+        offset += part.length;
+    }
+    return samples;
+}
+
+// A two-drop track: silence, fade-in, dark intro, rising build, drop, dark breakdown, drop, dark outro fading out
+const TRACK = arrangement([
+    [2, () => 0],
+    [4, t => 0.05 * t, true],
+    [14, () => 0.05, true],
+    [16, t => 0.05 + 0.15 * t],
+    [24, () => 0.5],
+    [16, () => 0.08, true],
+    [24, () => 0.5],
+    [12, () => 0.05, true],
+    [6, t => 0.05 * (1 - t) ** 2, true],
+    [2, () => 0]
+]);
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+function runTests() {
+    const structure = analyzeStructure(TRACK, SAMPLE_RATE);
+
+    // Test 1: Schema
+    console.log('\n📝 Testing Result Schema...');
+    try {
+        assert.strictEqual(structure.version, STRUCTURE_VERSION);
+        assert.strictEqual(structure.duration, 120);
+        assert.strictEqual(structure.energy.interval, 0.5);
+        assert.strictEqual(structure.energy.db.length, 240);
+        assert(structure.energy.db.every(Number.isFinite), 'Energy curve is plain numbers (JSON-safe)');
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(structure)), structure, 'Survives a JSON round trip');
+        assert.strictEqual(structure.sections[0].start, 0);
+        assert.strictEqual(structure.sections[structure.sections.length - 1].end, structure.duration);
+        for (let i = 1; i < structure.sections.length; i++) {
+            assert.strictEqual(structure.sections[i].start, structure.sections[i - 1].end, 'Sections are contiguous');
+        }
+        console.log('  ✅ Versioned, JSON-safe, sections cover the whole file');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Sections
+    console.log('\n📝 Testing Section Detection...');
+    try {
+        const summary = structure.sections.map(section => `${section.type}@${section.start}`);
+        assert.deepStrictEqual(summary, ['intro@0', 'build@20', 'drop@36', 'breakdown@60', 'drop@76', 'outro@100']);
+        const drops = structure.sections.filter(section => section.type === 'drop');
+        assert(drops.every(drop => drop.relative === 1), 'Drops are the loudest sections');
+        console.log(`  ✅ ${summary.join(' ')}`);
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Silence And Fades
+    console.log('\n📝 Testing Silence And Fades...');
+    try {
+        assert.strictEqual(structure.silence.length, 2);
+        assert.strictEqual(structure.silence[0].start, 0);
+        assert(Math.abs(structure.silence[0].end - 2) <= 0.2, `Leading silence ends at ${structure.silence[0].end}`);
+        assert(Math.abs(structure.silence[1].start - 117) <= 0.5, `Trailing silence starts at ${structure.silence[1].start}`);
+        assert.strictEqual(structure.silence[1].end, 120);
+
+        assert(structure.fadeIn && structure.fadeIn.start === 2 && structure.fadeIn.end <= 6, 'Fade-in found after the silence');
+        assert(structure.fadeOut && structure.fadeOut.start >= 112 && structure.fadeOut.end <= 118, 'Fade-out found before the silence');
+        console.log('  ✅ Leading/trailing silence and both fades located');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 4: Steady And Degenerate Input
+    console.log('\n📝 Testing Steady, Short And Streamed Input...');
+    try {
+        const random = seededRandom(3);
+        const steady = Float32Array.from({ length: SAMPLE_RATE * 120 }, (_, i) => {
+            const time = i / SAMPLE_RATE;
+            return 0.3 * Math.exp(-((time * 2) % 1) * 8) * random() + 0.2 * Math.sin(2 * Math.PI * 110 * time);
+        });
+        const steadyStructure = analyzeStructure(steady, SAMPLE_RATE);
+        assert.deepStrictEqual(steadyStructure.sections.map(section => section.type), ['body'], 'A loop is one section');
+        assert.strictEqual(steadyStructure.fadeIn, null);
+        assert.strictEqual(steadyStructure.fadeOut, null);
+        assert.deepStrictEqual(steadyStructure.silence, []);
+
+        assert.strictEqual(analyzeStructure(new Float32Array(100), SAMPLE_RATE), null, 'Too short for one point');
+
+        const analyzer = createStructureAnalyzer(SAMPLE_RATE);
+        for (let offset = 0; offset < TRACK.length; offset += 7001) {
+            analyzer.push(TRACK.subarray(offset, offset + 7001));
+        }
+        assert.deepStrictEqual(analyzer.result(), structure, 'Chunk size does not matter');
+        console.log('  ✅ Loops stay whole, tiny clips return null, streaming matches');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Structure analysis is ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Tempo Detection Tests
+ * @description Tests for onset-based BPM estimation on synthetic drum patterns
+ */
+
+const assert = require('assert');
+const FFT = require('../src/analysis/fft');
+const { estimateTempo, TEMPO_CONFIDENCE_THRESHOLD } = require('../src/analysis/tempo');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n🥁 HEXBLOOP TEMPO DETECTION TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+const SAMPLE_RATE = 22050;
+
+/**
+ * Deterministic noise source so every run hears the same pattern
+ */
+function seededRandom(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        return seed / 4294967296 * 2 - 1;
+    };
+}
+
+/**
+ * Noise-burst "kick" on every beat, optionally with quieter off-beat hats and a noise floor
+ */
+function drumPattern(bpm, seconds, { offbeats = false, noise = 0 } = {}) {
+    const random = seededRandom(7);
+    const samples = new Float32Array(SAMPLE_RATE * seconds);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = noise * random();
+    }
+    const hit = (time, amplitude) => {
+        const start = Math.round(time * SAMPLE_RATE);
+        for (let i = 0; i < 0.03 * SAMPLE_RATE && start + i < samples.length; i++) {
+            samples[start + i] += amplitude * random() * Math.exp(-i / (0.005 * SAMPLE_RATE));
+        }
+    };
+    const period = 60 / bpm;
+    for (let time = 0; time < seconds; time += period) {
+        hit(time, 0.8);
+        if (offbeats) {
+            hit(time + period / 2, 0.3);
+        }
+    }
+    return samples;
+}
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+function runTests() {
+    // Test 1: FFT
+    console.log('\n📝 Testing FFT...');
+    try {
+        const fft = new FFT(1024);
+        const bin = 64;
+        const tone = Float32Array.from({ length: 1024 }, (_, i) => Math.sin(2 * Math.PI * bin * i / 1024));
+        const magnitudes = fft.magnitudes(tone, 0);
+        const loudest = magnitudes.indexOf(Math.max(...magnitudes));
+        assert.strictEqual(magnitudes.length, 513);
+        assert.strictEqual(loudest, bin, 'Sine lands in its own bin');
+        assert.throws(() => new FFT(1000), /power of two/);
+        console.log('  ✅ Sine peaks in the expected bin');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Steady Tempos
+    console.log('\n📝 Testing Steady Tempos...');
+    try {
+        for (const bpm of [60, 90, 128]) {
+            const result = estimateTempo(drumPattern(bpm, 30), SAMPLE_RATE);
+            assert(Math.abs(result.bpm - bpm) <= 0.5, `${bpm} BPM detected as ${result.bpm}`);
+            assert(result.confidence > 0.6, `${bpm} BPM confidence ${result.confidence}`);
+        }
+        const noisy = estimateTempo(drumPattern(140, 30, { noise: 0.1 }), SAMPLE_RATE);
+        assert(Math.abs(noisy.bpm - 140) <= 0.5, `Noisy 140 BPM detected as ${noisy.bpm}`);
+        console.log('  ✅ 60, 90, 128 and noisy 140 BPM found within half a beat per minute');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Octave Errors
+    console.log('\n📝 Testing Octave Handling...');
+    try {
+        const dnb = estimateTempo(drumPattern(174, 30), SAMPLE_RATE);
+        assert(Math.abs(dnb.bpm - 174) <= 0.5, `174 BPM detected as ${dnb.bpm}, not half time`);
+
+        const withHats = estimateTempo(drumPattern(100, 30, { offbeats: true }), SAMPLE_RATE);
+        assert(Math.abs(withHats.bpm - 100) <= 0.5, `Off-beat hats don't double 100 BPM (got ${withHats.bpm})`);
+        console.log('  ✅ Fast tempos not halved, off-beats not mistaken for the beat');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 4: No Pulse
+    console.log('\n📝 Testing Confidence Without A Pulse...');
+    try {
+        const random = seededRandom(3);
+        const noise = Float32Array.from({ length: SAMPLE_RATE * 30 }, () => random());
+        assert(estimateTempo(noise, SAMPLE_RATE).confidence < TEMPO_CONFIDENCE_THRESHOLD, 'Noise has no reliable tempo');
+        assert.deepStrictEqual(estimateTempo(new Float32Array(SAMPLE_RATE * 30), SAMPLE_RATE), { bpm: null, confidence: 0 });
+        assert.deepStrictEqual(estimateTempo(drumPattern(120, 3), SAMPLE_RATE), { bpm: null, confidence: 0 }, 'Too short');
+        console.log('  ✅ Noise, silence and short clips report low or no confidence');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Tempo detection is ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Watch Folder Tests
+ * @description Tests for inbox detection, settling and done/failed filing
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WatchFolderManager } = require('../src/watch/watch-folder-manager');
+const WatchSession = require('../src/watch/watch-session');
+const { validateSettings, mergeWithDefaults } = require('../src/shared/settings-schema');
+
+// ===================================================================
+// TEST CONFIGURATION
+// ===================================================================
+
+console.log('\n👁️  HEXBLOOP WATCH FOLDER TESTS\n');
+console.log('=' .repeat(60));
+
+const testResults = {
+    passed: 0,
+    failed: 0,
+    skipped: 0
+};
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'hexbloop-watch-'));
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until a condition holds or time out
+ */
+async function waitFor(condition, timeout = 3000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for watcher');
+        }
+        await sleep(25);
+    }
+}
+
+// ===================================================================
+// TESTS
+// ===================================================================
+
+async function runTests() {
+    // Test 1: Settings Schema
+    console.log('\n📝 Testing Watch Settings Schema...');
+    try {
+        const settings = mergeWithDefaults({ watch: { enabled: true, folders: ['/tmp/inbox'] } });
+        assert.deepStrictEqual(validateSettings(settings), []);
+
+        settings.watch.folders = 'not a list';
+        assert(validateSettings(settings).some(e => e.includes('watch.folders')));
+
+        // Outputs must never land in a watched inbox
+        const overlapping = (outputFolder, enabled = true) => validateSettings(mergeWithDefaults({
+            ui: { outputFolder },
+            watch: { enabled, folders: ['/tmp/inbox'] }
+        })).some(e => e.includes('ui.outputFolder'));
+        assert(overlapping('/tmp/inbox'), 'Output folder equal to an inbox');
+        assert(overlapping('/tmp/inbox/'), 'Trailing separator is the same folder');
+        assert(!overlapping('/tmp/inbox', false), 'Inboxes only matter while watching');
+        assert(!overlapping('/tmp/inbox/renders'), 'Subfolder of an inbox is fine (the watcher is not recursive)');
+        assert(!overlapping('/tmp/inbox-renders'), 'Sibling folder with a shared prefix is fine');
+        assert(!overlapping('/tmp'), 'Parent of an inbox is fine');
+        console.log('  ✅ watch.folders validated as a list of paths, outputs kept out of watched inboxes');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 2: Inbox Processing
+    console.log('\n📝 Testing Inbox Processing...');
+    const inbox = path.join(TEMP_DIR, 'inbox');
+    fs.mkdirSync(inbox);
+    const processed = [];
+    const watcher = new WatchFolderManager({
+        pollInterval: 25,
+        processFile: async (filePath) => {
+            processed.push(path.basename(filePath));
+            return path.basename(filePath).startsWith('bad')
+                ? { success: false, error: 'Corrupt audio' }
+                : { success: true, outputFile: '/out/x.mp3' };
+        }
+    });
+
+    try {
+        // Present before watching starts
+        fs.writeFileSync(path.join(inbox, 'early.wav'), 'data');
+        watcher.configure({ enabled: true, folders: [inbox], settleTime: 100 });
+
+        fs.writeFileSync(path.join(inbox, 'bad.mp3'), 'data');
+        fs.writeFileSync(path.join(inbox, 'notes.txt'), 'ignore me');
+
+        await waitFor(() => processed.length === 2 && watcher.getStatus().state === 'watching');
+
+        assert.deepStrictEqual(processed.sort(), ['bad.mp3', 'early.wav']);
+        assert(fs.existsSync(path.join(inbox, 'done', 'early.wav')), 'Success moves to done/');
+        assert(fs.existsSync(path.join(inbox, 'failed', 'bad.mp3')), 'Failure moves to failed/');
+        assert(fs.existsSync(path.join(inbox, 'notes.txt')), 'Non-audio files are left alone');
+
+        const status = watcher.getStatus();
+        assert.strictEqual(status.processed, 1);
+        assert.strictEqual(status.failed, 1);
+        console.log('  ✅ Existing and new files processed and filed away');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 3: Waits For Copies To Finish
+    console.log('\n📝 Testing Settle Time...');
+    try {
+        const growing = path.join(inbox, 'growing.flac');
+        fs.writeFileSync(growing, 'a');
+        for (let i = 0; i < 5; i++) {
+            await sleep(50);
+            fs.appendFileSync(growing, 'more');
+        }
+        assert(!processed.includes('growing.flac'), 'File still growing should not be processed');
+
+        await waitFor(() => processed.includes('growing.flac'));
+        await waitFor(() => fs.existsSync(path.join(inbox, 'done', 'growing.flac')));
+        console.log('  ✅ Processing waits until the file size stabilises');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    // Test 4: Disable And Name Collisions
+    console.log('\n📝 Testing Stop And Collisions...');
+    try {
+        fs.writeFileSync(path.join(inbox, 'early.wav'), 'again');
+        await waitFor(() => fs.existsSync(path.join(inbox, 'done', 'early (1).wav')));
+
+        watcher.stop();
+        assert.strictEqual(watcher.getStatus().state, 'off');
+        fs.writeFileSync(path.join(inbox, 'late.wav'), 'data');
+        await sleep(300);
+        assert(!processed.includes('late.wav'), 'Stopped watcher should ignore new files');
+        console.log('  ✅ Duplicates get numbered names, stop() ignores new files');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    watcher.stop();
+
+    // Test 5: Waits Behind The Active Batch
+    console.log('\n📝 Testing Queue Behind Active Batch...');
+    const heldInbox = path.join(TEMP_DIR, 'held');
+    fs.mkdirSync(heldInbox);
+    const started = [];
+    let releaseBatch;
+    let activeRun = new Promise(resolve => { releaseBatch = resolve; });
+    const heldWatcher = new WatchFolderManager({
+        pollInterval: 25,
+        processFile: async (filePath) => {
+            started.push(path.basename(filePath));
+            return { success: true };
+        },
+        waitForTurn: async () => {
+            while (activeRun) {
+                await activeRun;
+            }
+        }
+    });
+
+    try {
+        heldWatcher.configure({ enabled: true, folders: [heldInbox], settleTime: 50 });
+        fs.writeFileSync(path.join(heldInbox, 'drop.wav'), 'data');
+
+        await waitFor(() => heldWatcher.getStatus().state === 'waiting');
+        await sleep(200);
+        assert.deepStrictEqual(started, [], 'Nothing starts while the batch runs');
+        assert.strictEqual(heldWatcher.getStatus().pending, 1);
+
+        activeRun = null;
+        releaseBatch();
+        await waitFor(() => fs.existsSync(path.join(heldInbox, 'done', 'drop.wav')));
+        assert.deepStrictEqual(started, ['drop.wav']);
+        console.log('  ✅ Inbox files wait for the running batch, then process');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+    heldWatcher.stop();
+
+    // Test 6: One Session Per Day
+    console.log('\n📝 Testing Watch Sessions...');
+    try {
+        const batches = [];
+        let today = new Date(2026, 4, 1, 9, 0);
+        const session = new WatchSession({
+            now: () => today,
+            createBatch: (settings) => {
+                const batch = {
+                    settings,
+                    files: [],
+                    append: async ([filePath]) => {
+                        batch.files.push(path.basename(filePath));
+                        return { results: [{ success: true, outputFile: `/out/${batches.length}` }] };
+                    }
+                };
+                batches.push(batch);
+                return batch;
+            }
+        });
+        const settings = mergeWithDefaults({});
+
+        assert.strictEqual((await session.processFile('/inbox/a.wav', settings)).success, true);
+        today = new Date(2026, 4, 1, 23, 0);
+        await session.processFile('/inbox/b.wav', settings);
+        assert.strictEqual(batches.length, 1, 'Files on the same day share a session');
+        assert.deepStrictEqual(batches[0].files, ['a.wav', 'b.wav']);
+
+        today = new Date(2026, 4, 2, 0, 30);
+        await session.processFile('/inbox/c.wav', settings);
+        assert.strictEqual(batches.length, 2, 'A new day starts a new session');
+
+        await session.processFile('/inbox/d.wav', mergeWithDefaults({ output: { format: 'flac' } }));
+        assert.strictEqual(batches.length, 3, 'Changed settings start a new session');
+        assert.strictEqual(batches[2].settings.output.format, 'flac');
+        assert.throws(() => new WatchSession(), /createBatch/);
+        console.log('  ✅ One session per day and settings snapshot');
+        testResults.passed++;
+    } catch (error) {
+        console.log(`  ❌ Error: ${error.message}`);
+        testResults.failed++;
+    }
+
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+
+    // Results Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('\n📊 TEST RESULTS:');
+    console.log(`   ✅ Passed:  ${testResults.passed}`);
+    console.log(`   ❌ Failed:  ${testResults.failed}`);
+    console.log(`   ⏭️  Skipped: ${testResults.skipped}`);
+    console.log(`   📊 Total:   ${testResults.passed + testResults.failed + testResults.skipped}`);
+
+    if (testResults.failed === 0) {
+        console.log('\n🎉 All tests passed! Watch folders are ready.\n');
+        process.exit(0);
+    } else {
+        console.log('\n⚠️  Some tests failed. Review the output above.\n');
+        process.exit(1);
+    }
+}
+
+runTests().catch((error) => {
+    console.error('\n❌ Test runner error:', error);
+    process.exit(1);
+});